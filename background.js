@@ -3,29 +3,142 @@
  * Handles storage, communication between popup and content script
  */
 
+// Message catalogs and number formatting for the chosen language
+importScripts('i18n.js');
+
+// Message types, senders and error codes shared with the popup and content scripts
+importScripts('message-protocol.js');
+
+// Load the shared calculation engine used by all extension contexts
+importScripts('calculator.js');
+
+// Supported ordering sites, used to find their open tabs
+importScripts('site-adapters.js');
+
+// Payment message templates edited in the settings
+importScripts('message-templates.js');
+
+// IBAN validation for bank transfer settings
+importScripts('payment-requests.js');
+
+// Payment tracking across calculated orders
+importScripts('payment-ledger.js');
+
 // Import security manager with error handling
 let securityManager;
 try {
   importScripts('security.js');
+  securityManager = new SecurityManager();
 } catch (error) {
   console.error('Security manager failed to load:', error);
   // Create fallback security manager
   securityManager = {
     validateExtensionContext: () => {},
     checkRateLimit: () => true,
-    encrypt: async (data) => data,
+    encrypt: async () => {
+      throw new Error('Encryption is not available');
+    },
     decrypt: async (data) => data,
+    isEncrypted: () => false,
+    needsReencryption: async () => false,
+    rotateKey: async () => false,
+    retireUnusedKeys: async () => {},
+    isPassphraseEnabled: async () => false,
+    isLocked: async () => false,
+    assertUnlocked: async () => {},
+    recordActivity: async () => {},
+    setAutoLockMinutes: async () => {},
+    unlock: async () => true,
+    lock: async () => {},
+    setPassphrase: async () => {
+      throw new Error('Encryption is not available');
+    },
+    removePassphrase: async () => {},
+    validateTikkieUrl: (url) => ({ valid: true, url }),
     logSecurityEvent: () => {}
   };
 }
 
+// Schema of sensitive settings and records, encrypted at rest
+importScripts('secure-storage.js');
+
+// Storage areas for everything the extension stores, encrypting the sensitive fields
+// Only this browser has the keys, so sensitive settings are kept out of sync storage
+const secureSync = SecureStorage.createSecureArea(chrome.storage.sync, SecureStorage.SENSITIVE_FIELDS.sync, securityManager,
+  chrome.storage.local);
+const secureLocal = SecureStorage.createSecureArea(chrome.storage.local, SecureStorage.SENSITIVE_FIELDS.local, securityManager);
+
 // Default settings
 const DEFAULT_SETTINGS = {
-  dailyBudget: 14,
+  dailyBudget: GroupOrderCalculator.DEFAULT_BUDGET,
+  splitStrategy: GroupOrderCalculator.DEFAULT_STRATEGY,
+  roster: [], // Per-person budget overrides: { name, budget, reimbursed }
   currency: 'EUR',
-  tikkieLink: '' // Will be stored encrypted
+  tikkieLink: '', // Will be stored encrypted
+  iban: '', // Bank account for transfer QR codes
+  accountHolder: '',
+  reminderDays: 3, // Days between payment reminders, 0 turns them off
+  selfName: '', // The user's name on colleagues' orders, for netting debts
+  messageTemplates: [], // Own and changed built-in payment message templates
+  messageTemplate: '', // Empty uses the built-in template of the active language
+  language: 'auto', // 'auto' follows the browser or page language, or one of I18n.SUPPORTED_LOCALES
+  autoLockMinutes: 15 // Minutes without activity before the passphrase lock closes, when it is on
 };
 
+// Manual order corrections are kept for the most recent orders only
+const MAX_STORED_CORRECTIONS = 50;
+
+// The payment ledger keeps the most recent calculated orders
+const MAX_LEDGER_ORDERS = 200;
+
+// Payment reminders are checked periodically by a persistent alarm
+const REMINDER_ALARM = 'payment-reminders';
+const REMINDER_CHECK_MINUTES = 60;
+const REMINDER_NOTIFICATION_PREFIX = 'payment-reminder:';
+const MAX_REMINDER_DAYS = 30;
+
+// An open passphrase lock is checked every minute and closes after the auto-lock minutes
+const AUTO_LOCK_ALARM = 'passphrase-auto-lock';
+const MAX_AUTO_LOCK_MINUTES = 480;
+
+// Roster limits keep the encrypted roster a manageable size
+const MAX_ROSTER_ENTRIES = 50;
+const MAX_ROSTER_NAME_LENGTH = 50;
+
+/**
+ * Normalize roster entries to { name, budget, reimbursed }
+ * Drops unnamed and duplicate entries
+ */
+function sanitizeRoster(roster) {
+  if (!Array.isArray(roster)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const sanitized = [];
+
+  roster.forEach(entry => {
+    if (!entry || typeof entry.name !== 'string') {
+      return;
+    }
+
+    const name = entry.name.trim().substring(0, MAX_ROSTER_NAME_LENGTH);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    const budget = typeof entry.budget === 'number' && !isNaN(entry.budget) && entry.budget >= 0
+      ? parseFloat(entry.budget.toFixed(2))
+      : null;
+
+    sanitized.push({ name, budget, reimbursed: entry.reimbursed !== false });
+  });
+
+  return sanitized.slice(0, MAX_ROSTER_ENTRIES);
+}
+
 /**
  * Extract Tikkie URL from text that may contain additional content
  * Supports both direct URLs and full message text
@@ -69,13 +182,46 @@ function extractTikkieUrl(text) {
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(async () => {
-  // Set default settings if not already set
-  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-  await chrome.storage.sync.set(settings);
+  // Set default settings if not already set; sensitive ones read as their empty defaults when missing
+  await secureSync.set(await secureSync.getPublic(DEFAULT_SETTINGS));
+
+  // Updates encrypt sensitive values stored in plain text by earlier versions
+  await maintainEncryption();
+});
+
+chrome.runtime.onStartup.addListener(maintainEncryption);
+
+// Alarms outlive the service worker, but listeners must be registered on every start
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === REMINDER_ALARM) {
+    checkPaymentReminders();
+  } else if (alarm.name === AUTO_LOCK_ALARM) {
+    checkAutoLock();
+  }
 });
 
+chrome.notifications.onClicked.addListener(handleReminderClicked);
+
+ensureReminderAlarm();
+
+// Notifications and errors use the language from the settings
+let languageReady = applyLanguage();
+
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const senderContext = MessageProtocol.getSenderContext(sender, chrome.runtime);
+  const rejection = MessageProtocol.validateMessage(message, MessageProtocol.CONTEXTS.background, senderContext);
+  if (rejection) {
+    console.warn('Rejected message:', rejection.message);
+    sendResponse(MessageProtocol.errorResponse(rejection));
+    return;
+  }
+
+  // Only what the user does counts as activity for the auto-lock, not what open order pages send
+  if (MessageProtocol.isUserActivity(message, senderContext)) {
+    securityManager.recordActivity();
+  }
+
   switch (message.type) {
     case 'GET_SETTINGS':
       handleGetSettings(sendResponse);
@@ -88,68 +234,197 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'CALCULATE_ORDER':
       handleCalculateOrder(message.data, sendResponse);
       return true;
+
+    case 'GET_ORDER_CORRECTIONS':
+      handleGetOrderCorrections(message.orderKey, sendResponse);
+      return true;
+
+    case 'SAVE_ORDER_CORRECTIONS':
+      handleSaveOrderCorrections(message.orderKey, message.corrections, sendResponse);
+      return true;
+
+    case 'RECORD_ORDER':
+      handleRecordOrder(message.order, sendResponse);
+      return true;
+
+    case 'GET_LEDGER':
+      handleGetLedger(sendResponse);
+      return true;
+
+    case 'UPDATE_PAYMENT_STATUS':
+      handleUpdatePaymentStatus(message, sendResponse);
+      return true;
+
+    case 'DELETE_LEDGER_ORDER':
+      handleDeleteLedgerOrder(message.orderKey, sendResponse);
+      return true;
+
+    case 'OPEN_EXPENSE_REPORT':
+      handleOpenExpenseReport(message, sendResponse);
+      return true;
+
+    case 'GET_LOCK_STATUS':
+      handleGetLockStatus(sendResponse);
+      return true;
+
+    case 'UNLOCK':
+      handleUnlock(message.passphrase, sendResponse);
+      return true;
+
+    case 'LOCK':
+      handleLock(sendResponse);
+      return true;
+
+    case 'SET_PASSPHRASE':
+      handleSetPassphrase(message, sendResponse);
+      return true;
+
+    case 'REMOVE_PASSPHRASE':
+      handleRemovePassphrase(message.currentPassphrase, sendResponse);
+      return true;
+
+    case 'GET_LOCALE_MESSAGES':
+      handleGetLocaleMessages(message.locale, sendResponse);
+      return true;
       
     case 'LOG_ERROR':
       console.error('Content script error:', message.error);
       break;
-      
-    default:
-      console.warn('Unknown message type:', message.type);
   }
 });
 
-// Get current settings with secure Tikkie link handling
-async function handleGetSettings(sendResponse) {
-  try {
-    // Validate extension context for security
-    securityManager.validateExtensionContext();
-
-    const result = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-    // Properly merge settings, ensuring zero values are preserved
-    const settings = { ...DEFAULT_SETTINGS };
-
-    // Only use defaults for undefined/null values, not for 0 or false
-    Object.keys(result).forEach(key => {
-      if (result[key] !== undefined && result[key] !== null) {
-        settings[key] = result[key];
+// Read settings with defaults applied and the sensitive ones decrypted
+// While the passphrase lock is closed the sensitive settings keep their defaults and locked is set;
+// sensitive settings that cannot be decrypted keep their defaults and are listed in unreadable
+async function loadSettings() {
+  // Validate extension context for security
+  securityManager.validateExtensionContext();
+
+  const locked = await securityManager.isLocked();
+  const unreadable = [];
+  let result;
+  if (locked) {
+    result = await secureSync.getPublic(DEFAULT_SETTINGS);
+  } else {
+    try {
+      result = await secureSync.get(DEFAULT_SETTINGS);
+    } catch (error) {
+      if (!error.unreadable) {
+        throw error;
       }
-    });
+      // Read the sensitive settings one by one to find which ones cannot be decrypted
+      result = await secureSync.getPublic(DEFAULT_SETTINGS);
+      for (const key of Object.keys(SecureStorage.SENSITIVE_FIELDS.sync)) {
+        try {
+          Object.assign(result, await secureSync.get({ [key]: DEFAULT_SETTINGS[key] }));
+        } catch (fieldError) {
+          if (!fieldError.unreadable) {
+            throw fieldError;
+          }
+          unreadable.push(key);
+        }
+      }
+    }
+  }
+  // Properly merge settings, ensuring zero values are preserved
+  const settings = { ...DEFAULT_SETTINGS };
 
+  // Only use defaults for undefined/null values, not for 0 or false
+  Object.keys(result).forEach(key => {
+    if (result[key] !== undefined && result[key] !== null) {
+      settings[key] = result[key];
+    }
+  });
 
+  // Validate decrypted Tikkie link
+  if (settings.tikkieLink) {
+    const validation = securityManager.validateTikkieUrl(settings.tikkieLink);
+    if (validation.valid) {
+      settings.tikkieLink = validation.url;
+    } else {
+      console.warn('Invalid Tikkie URL detected, clearing:', validation.error);
+      settings.tikkieLink = '';
+      securityManager.logSecurityEvent('invalid_tikkie_url_retrieved', {
+        error: validation.error
+      });
+    }
+  }
 
-    // Decrypt Tikkie link if present and encrypted
-    if (settings.tikkieLink && settings.tikkieLink.startsWith('encrypted:')) {
-      try {
-        const encryptedData = settings.tikkieLink.substring(10); // Remove 'encrypted:' prefix
-        const decryptedLink = await securityManager.decrypt(encryptedData);
+  settings.locked = locked;
+  settings.unreadable = unreadable;
+  return settings;
+}
 
-        // Validate decrypted URL
-        const validation = securityManager.validateTikkieUrl(decryptedLink);
-        if (validation.valid) {
-          settings.tikkieLink = validation.url;
-        } else {
-          console.warn('Invalid Tikkie URL detected, clearing:', validation.error);
-          settings.tikkieLink = '';
-          securityManager.logSecurityEvent('invalid_tikkie_url_retrieved', {
-            error: validation.error
-          });
+// Replace an encryption key past its age and move all sensitive values to the
+// current key, then drop keys nothing is encrypted with any more
+async function maintainEncryption() {
+  try {
+    // Keys cannot be replaced while locked; this runs again on unlock
+    if (await securityManager.isLocked()) {
+      return;
+    }
+
+    const rotated = await securityManager.rotateKey();
+    // Reading encrypts each value again; values that cannot be decrypted stay as they are
+    const areas = [[secureSync, SecureStorage.SENSITIVE_FIELDS.sync], [secureLocal, SecureStorage.SENSITIVE_FIELDS.local]];
+    for (const [area, fields] of areas) {
+      for (const key of Object.keys(fields)) {
+        try {
+          await area.get([key]);
+        } catch (error) {
+          if (!error.unreadable) {
+            throw error;
+          }
         }
-      } catch (error) {
-        console.error('Failed to decrypt Tikkie link:', error);
-        settings.tikkieLink = '';
-        securityManager.logSecurityEvent('tikkie_decryption_failed', {
-          error: error.message
-        });
       }
     }
+    await securityManager.retireUnusedKeys([
+      ...await secureSync.listEncryptedValues(),
+      ...await secureLocal.listEncryptedValues()
+    ]);
+    if (rotated) {
+      securityManager.logSecurityEvent('encryption_key_rotated');
+    }
+  } catch (error) {
+    console.error('Encryption maintenance failed:', error);
+  }
+}
 
+// Load the catalog of the language set in the settings, or of the browser language
+async function applyLanguage() {
+  try {
+    const { language } = await secureSync.getPublic({ language: DEFAULT_SETTINGS.language });
+    return await I18n.load(I18n.resolveLocale(language, chrome.i18n.getUILanguage()));
+  } catch (error) {
+    console.error('Failed to load language:', error);
+    return I18n.getLocale();
+  }
+}
+
+// Send a message catalog to a content script, which cannot read extension files itself
+async function handleGetLocaleMessages(locale, sendResponse) {
+  try {
+    if (!I18n.SUPPORTED_LOCALES.includes(locale)) {
+      throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.INVALID_VALUE, `Unsupported language: ${locale}`);
+    }
+    sendResponse({ success: true, messages: await I18n.readCatalog(locale) });
+  } catch (error) {
+    console.error('Error loading message catalog:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Get current settings with secure Tikkie link handling
+async function handleGetSettings(sendResponse) {
+  try {
+    const settings = await loadSettings();
     sendResponse({ success: true, settings });
   } catch (error) {
     console.error('Error getting settings:', error);
     securityManager.logSecurityEvent('settings_retrieval_failed', {
       error: error.message
     });
-    sendResponse({ success: false, error: error.message });
+    sendResponse(MessageProtocol.errorResponse(error));
   }
 }
 
@@ -173,6 +448,63 @@ async function handleUpdateSettings(newSettings, sendResponse) {
     // Create a copy of settings for processing
     const settingsToStore = { ...newSettings };
 
+    // Only accept split strategies the calculation engine knows about
+    if (settingsToStore.splitStrategy !== undefined &&
+        !GroupOrderCalculator.SPLIT_STRATEGIES[settingsToStore.splitStrategy]) {
+      console.warn('Unknown split strategy, using default:', settingsToStore.splitStrategy);
+      settingsToStore.splitStrategy = GroupOrderCalculator.DEFAULT_STRATEGY;
+    }
+
+    if (settingsToStore.roster !== undefined) {
+      settingsToStore.roster = sanitizeRoster(settingsToStore.roster);
+    }
+
+    // Only store IBANs with valid check digits, so QR codes never point to a mistyped account
+    if (settingsToStore.iban !== undefined) {
+      const iban = PaymentRequests.normalizeIban(settingsToStore.iban);
+      if (iban && !PaymentRequests.isValidIban(iban)) {
+        console.warn('Invalid IBAN, not storing it');
+      }
+      settingsToStore.iban = PaymentRequests.isValidIban(iban) ? iban : '';
+    }
+
+    // Reminder interval in whole days; 0 turns reminders off
+    if (settingsToStore.reminderDays !== undefined) {
+      const reminderDays = parseInt(settingsToStore.reminderDays, 10);
+      settingsToStore.reminderDays = isNaN(reminderDays)
+        ? DEFAULT_SETTINGS.reminderDays
+        : Math.min(Math.max(reminderDays, 0), MAX_REMINDER_DAYS);
+    }
+
+    if (settingsToStore.accountHolder !== undefined) {
+      settingsToStore.accountHolder = String(settingsToStore.accountHolder || '').trim().substring(0, 70);
+    }
+
+    if (settingsToStore.selfName !== undefined) {
+      settingsToStore.selfName = String(settingsToStore.selfName || '').trim().substring(0, 70);
+    }
+
+    // Templates that do not parse are dropped rather than breaking every payment request
+    if (settingsToStore.messageTemplates !== undefined) {
+      settingsToStore.messageTemplates = MessageTemplates.sanitizeTemplates(settingsToStore.messageTemplates);
+    }
+
+    if (settingsToStore.messageTemplate) {
+      settingsToStore.messageTemplate = MessageTemplates.getTemplate(
+        settingsToStore.messageTemplates || [], String(settingsToStore.messageTemplate)).id;
+    }
+
+    if (settingsToStore.language !== undefined && !I18n.SUPPORTED_LOCALES.includes(settingsToStore.language)) {
+      settingsToStore.language = 'auto';
+    }
+
+    if (settingsToStore.autoLockMinutes !== undefined) {
+      const autoLockMinutes = parseInt(settingsToStore.autoLockMinutes, 10);
+      settingsToStore.autoLockMinutes = isNaN(autoLockMinutes)
+        ? DEFAULT_SETTINGS.autoLockMinutes
+        : Math.min(Math.max(autoLockMinutes, 1), MAX_AUTO_LOCK_MINUTES);
+    }
+
     // Validate and process Tikkie link if present
     if (settingsToStore.tikkieLink !== undefined) {
       try {
@@ -214,38 +546,25 @@ async function handleUpdateSettings(newSettings, sendResponse) {
       }
     }
 
-    // Store settings
+    // Store settings; sensitive ones are encrypted on the way
     try {
-      await chrome.storage.sync.set(settingsToStore);
+      await secureSync.set(settingsToStore);
+      languageReady = applyLanguage();
       sendResponse({ success: true });
     } catch (storageError) {
       console.error('Storage operation failed:', storageError);
-      sendResponse({
-        success: false,
-        error: `Storage failed: ${storageError.message}`
-      });
+      sendResponse(MessageProtocol.errorResponse(storageError, MessageProtocol.ERROR_CODES.STORAGE_FAILED));
       return;
     }
 
-    // Prepare settings for notification (with decrypted Tikkie link)
-    const notificationSettings = { ...settingsToStore };
-    if (notificationSettings.tikkieLink && notificationSettings.tikkieLink.startsWith('encrypted:')) {
-      notificationSettings.tikkieLink = newSettings.tikkieLink; // Use original unencrypted value
+    if (settingsToStore.autoLockMinutes !== undefined) {
+      await securityManager.setAutoLockMinutes(settingsToStore.autoLockMinutes);
     }
 
-    // Notify all content scripts about settings change
-    const tabs = await chrome.tabs.query({ url: 'https://www.thuisbezorgd.nl/*' });
-    tabs.forEach(tab => {
-      chrome.tabs.sendMessage(tab.id, {
-        type: 'SETTINGS_UPDATED',
-        settings: notificationSettings
-      }).catch(() => {
-        // Ignore errors for tabs without content script
-      });
-    });
+    await notifySettingsChanged(settingsToStore);
 
     securityManager.logSecurityEvent('settings_updated', {
-      hasEncryptedTikkie: settingsToStore.tikkieLink.startsWith('encrypted:')
+      encryptedFields: Object.keys(settingsToStore).filter(key => SecureStorage.SENSITIVE_FIELDS.sync[key])
     });
 
   } catch (error) {
@@ -253,68 +572,382 @@ async function handleUpdateSettings(newSettings, sendResponse) {
     securityManager.logSecurityEvent('settings_update_failed', {
       error: error.message
     });
-    sendResponse({ success: false, error: error.message });
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Send changed settings to the content scripts of all open order pages
+async function notifySettingsChanged(settings) {
+  const tabs = await chrome.tabs.query({ url: SiteAdapters.getMatchPatterns() });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, MessageProtocol.createMessage({
+      type: 'SETTINGS_UPDATED',
+      settings
+    })).catch(() => {
+      // Ignore errors for tabs without content script
+    });
+  });
+}
+
+// Minutes without activity before the passphrase lock closes, readable while locked
+async function readAutoLockMinutes() {
+  const { autoLockMinutes } = await secureSync.getPublic({ autoLockMinutes: DEFAULT_SETTINGS.autoLockMinutes });
+  return autoLockMinutes;
+}
+
+// Report whether the passphrase lock is on and whether it is open
+async function handleGetLockStatus(sendResponse) {
+  try {
+    sendResponse({
+      success: true,
+      lock: {
+        enabled: await securityManager.isPassphraseEnabled(),
+        locked: await securityManager.isLocked(),
+        autoLockMinutes: await readAutoLockMinutes()
+      }
+    });
+  } catch (error) {
+    console.error('Error getting lock status:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Open the passphrase lock, then catch up on what was skipped while locked
+async function handleUnlock(passphrase, sendResponse) {
+  try {
+    await languageReady;
+    if (!await securityManager.unlock(passphrase, await readAutoLockMinutes())) {
+      throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.WRONG_PASSPHRASE, I18n.t('lockWrongPassphrase'));
+    }
+
+    await ensureAutoLockAlarm();
+    await maintainEncryption();
+    await notifySettingsChanged(await loadSettings());
+    securityManager.logSecurityEvent('unlocked');
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error unlocking:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Close the passphrase lock and hide the payment details on open order pages
+async function handleLock(sendResponse) {
+  try {
+    await lockPaymentData();
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error locking:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Drop the passphrase key and tell order pages the payment details are gone
+async function lockPaymentData() {
+  await securityManager.lock();
+  await chrome.alarms.clear(AUTO_LOCK_ALARM);
+  await notifySettingsChanged(await loadSettings());
+  securityManager.logSecurityEvent('locked');
+}
+
+// Check the current passphrase when the lock is on
+async function verifyCurrentPassphrase(currentPassphrase) {
+  if (await securityManager.isPassphraseEnabled() &&
+      !await securityManager.unlock(currentPassphrase, await readAutoLockMinutes())) {
+    throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.WRONG_PASSPHRASE, I18n.t('lockWrongPassphrase'));
+  }
+}
+
+// Turn the passphrase lock on, or change the passphrase after checking the current one
+async function handleSetPassphrase({ passphrase, currentPassphrase }, sendResponse) {
+  try {
+    await languageReady;
+    if (passphrase.length < SecurityManager.MIN_PASSPHRASE_LENGTH) {
+      throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.INVALID_VALUE,
+        I18n.t('lockPassphraseTooShort', String(SecurityManager.MIN_PASSPHRASE_LENGTH)));
+    }
+
+    await verifyCurrentPassphrase(currentPassphrase);
+    await securityManager.setPassphrase(passphrase, await readAutoLockMinutes());
+    await ensureAutoLockAlarm();
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error setting passphrase:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Turn the passphrase lock off after checking the passphrase
+async function handleRemovePassphrase(currentPassphrase, sendResponse) {
+  try {
+    await languageReady;
+    await verifyCurrentPassphrase(currentPassphrase);
+    await securityManager.removePassphrase();
+    await chrome.alarms.clear(AUTO_LOCK_ALARM);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error removing passphrase:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Check the open passphrase lock every minute while it is open
+async function ensureAutoLockAlarm() {
+  try {
+    await chrome.alarms.create(AUTO_LOCK_ALARM, { periodInMinutes: 1 });
+  } catch (error) {
+    console.error('Failed to schedule the auto-lock:', error);
+  }
+}
+
+// Close the passphrase lock once it was unused for the auto-lock minutes
+// Checking the session closes one past its limit; order pages are told here
+async function checkAutoLock() {
+  try {
+    if (!await securityManager.isPassphraseEnabled()) {
+      await chrome.alarms.clear(AUTO_LOCK_ALARM);
+    } else if (await securityManager.isLocked()) {
+      await lockPaymentData();
+    }
+  } catch (error) {
+    console.error('Failed to check the auto-lock:', error);
   }
 }
 
 // Handle calculation request
 async function handleCalculateOrder(orderData, sendResponse) {
   try {
-    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-    const result = calculateOrderDistribution(orderData, settings);
+    const settings = await loadSettings();
+    const result = GroupOrderCalculator.calculateDistribution(orderData, settings);
     sendResponse({ success: true, result });
   } catch (error) {
     console.error('Error calculating order:', error);
-    sendResponse({ success: false, error: error.message });
-  }
-}
-
-// Calculate order distribution
-function calculateOrderDistribution(orderData, settings) {
-  const { people, delivery, service, discount } = orderData;
-  const budget = settings.dailyBudget || DEFAULT_SETTINGS.dailyBudget;
-  
-  const extraFeesTotal = delivery + service;
-  const participantNames = Object.keys(people);
-  const extraPerPerson = participantNames.length > 0 ? extraFeesTotal / participantNames.length : 0;
-  
-  const results = {};
-  const orderSubtotal = Object.values(people).reduce((a, b) => a + b, 0);
-  
-  participantNames.forEach((name) => {
-    const subtotal = people[name];
-    let total = subtotal + extraPerPerson;
-    
-    // Apply proportional discount if any exists
-    if (discount !== 0 && orderSubtotal > 0) {
-      const ratio = subtotal / orderSubtotal;
-      total += ratio * discount;
-    }
-    
-    const overage = Math.max(0, total - budget);
-    results[name] = parseFloat(overage.toFixed(2));
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Get manual corrections remembered for an order
+async function handleGetOrderCorrections(orderKey, sendResponse) {
+  try {
+    const { orderCorrections = {} } = await secureLocal.get(['orderCorrections']);
+    sendResponse({ success: true, corrections: orderCorrections[orderKey] || null });
+  } catch (error) {
+    console.error('Error getting order corrections:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Create the reminder alarm unless it already exists
+async function ensureReminderAlarm() {
+  try {
+    const alarm = await chrome.alarms.get(REMINDER_ALARM);
+    if (!alarm) {
+      await chrome.alarms.create(REMINDER_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: REMINDER_CHECK_MINUTES
+      });
+    }
+  } catch (error) {
+    console.error('Failed to schedule payment reminders:', error);
+  }
+}
+
+// Ledger changes read the whole ledger and write it back, so they run one after another;
+// otherwise two changes at the same time would each write their own copy and lose the other
+let ledgerQueue = Promise.resolve();
+
+// Run a change of the payment ledger after the changes queued before it
+function queueLedgerChange(change) {
+  const result = ledgerQueue.then(change);
+  ledgerQueue = result.catch(() => {});
+  return result;
+}
+
+// Raise a notification for every order with payers open longer than the reminder interval
+async function checkPaymentReminders() {
+  try {
+    // The ledger cannot be read while locked; reminders resume once unlocked
+    if (await securityManager.isLocked()) {
+      return;
+    }
+
+    const settings = await loadSettings();
+    await languageReady;
+
+    await queueLedgerChange(async () => {
+      const { paymentLedger = {} } = await secureLocal.get(['paymentLedger']);
+      const now = Date.now();
+
+      const dueOrders = PaymentLedger.findDueReminders(paymentLedger, settings.reminderDays, now);
+      if (dueOrders.length === 0) {
+        return;
+      }
+
+      for (const order of dueOrders) {
+        const openPayers = PaymentLedger.getOpenPayers(order);
+        await chrome.notifications.create(`${REMINDER_NOTIFICATION_PREFIX}${order.orderKey}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon48.png',
+          title: I18n.t('reminderNotificationTitle', PaymentLedger.describeOrder(order)),
+          message: openPayers
+            .map(payer => `${payer.name} ${GroupOrderCalculator.formatCents(payer.outstanding)}`)
+            .join(', '),
+          contextMessage: I18n.t('reminderNotificationAction'),
+          priority: 0
+        });
+        paymentLedger[order.orderKey] = PaymentLedger.markReminded(order, now);
+      }
+
+      await secureLocal.set({ paymentLedger });
+    });
+  } catch (error) {
+    console.error('Failed to check payment reminders:', error);
+  }
+}
+
+// Open the payment ledger with the reminder message when a reminder is clicked
+async function handleReminderClicked(notificationId) {
+  if (!notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    return;
+  }
+
+  const orderKey = notificationId.substring(REMINDER_NOTIFICATION_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL(`popup.html?remind=${encodeURIComponent(orderKey)}#payments`)
   });
-  
-  // Calculate remaining extra for order owner
-  const grandTotal = orderSubtotal + extraFeesTotal + discount;
-  const totalBudget = budget * participantNames.length;
-  const extraForOwner = Math.max(0, grandTotal - totalBudget);
-  
-  if (extraForOwner > 0) {
-    results['You (Order Owner)'] = parseFloat(extraForOwner.toFixed(2));
-  }
-  
-  return {
-    results,
-    breakdown: {
-      orderSubtotal,
-      delivery,
-      service,
-      discount,
-      grandTotal,
-      totalBudget,
-      extraForOwner,
-      participantCount: participantNames.length
+}
+
+// Keep only the amounts of an acknowledged difference with the page total
+function sanitizeAcknowledgement(acknowledgement) {
+  if (!acknowledgement || typeof acknowledgement !== 'object') {
+    return null;
+  }
+
+  const fields = ['parsedSubtotal', 'parsedTotal', 'pageSubtotal', 'pageTotal'];
+  const sanitized = {};
+  fields.forEach(field => {
+    const value = acknowledgement[field];
+    sanitized[field] = Number.isInteger(value) ? value : null;
+  });
+  return sanitized;
+}
+
+// Remember manual corrections for an order, or forget them when corrections is null
+async function handleSaveOrderCorrections(orderKey, corrections, sendResponse) {
+  try {
+    const problems = corrections ? GroupOrderCalculator.validateCorrections(corrections) : [];
+    if (problems.length > 0) {
+      throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.INVALID_VALUE, problems[0]);
     }
-  };
+
+    const { orderCorrections = {} } = await secureLocal.get(['orderCorrections']);
+
+    if (corrections) {
+      orderCorrections[orderKey] = {
+        operations: corrections.operations || [],
+        fees: corrections.fees || {},
+        acknowledgedDiscrepancy: sanitizeAcknowledgement(corrections.acknowledgedDiscrepancy),
+        updatedAt: Date.now()
+      };
+    } else {
+      delete orderCorrections[orderKey];
+    }
+
+    // Keep only the most recently corrected orders
+    const keys = Object.keys(orderCorrections)
+      .sort((a, b) => orderCorrections[b].updatedAt - orderCorrections[a].updatedAt);
+    keys.slice(MAX_STORED_CORRECTIONS).forEach(key => delete orderCorrections[key]);
+
+    await secureLocal.set({ orderCorrections });
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error saving order corrections:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Keep a calculated order in the payment ledger, preserving payment progress
+async function handleRecordOrder(order, sendResponse) {
+  try {
+    await queueLedgerChange(async () => {
+      const { paymentLedger = {} } = await secureLocal.get(['paymentLedger']);
+      paymentLedger[order.orderKey] = PaymentLedger.createLedgerOrder(order, paymentLedger[order.orderKey] || null);
+
+      await secureLocal.set({ paymentLedger: PaymentLedger.pruneLedger(paymentLedger, MAX_LEDGER_ORDERS) });
+    });
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error recording order:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Get all recorded orders with their payment status
+async function handleGetLedger(sendResponse) {
+  try {
+    const { paymentLedger = {} } = await secureLocal.get(['paymentLedger']);
+    sendResponse({ success: true, ledger: paymentLedger });
+  } catch (error) {
+    console.error('Error getting payment ledger:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Mark a payer of a recorded order as paid, partially paid, unpaid or forgiven
+async function handleUpdatePaymentStatus({ orderKey, name, status, paidAmount }, sendResponse) {
+  try {
+    await languageReady;
+    const ledger = await queueLedgerChange(async () => {
+      const { paymentLedger = {} } = await secureLocal.get(['paymentLedger']);
+      if (!paymentLedger[orderKey]) {
+        throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.NOT_FOUND, I18n.t('ledgerErrorOrderNotFound'));
+      }
+
+      paymentLedger[orderKey] = PaymentLedger.setPaymentStatus(paymentLedger[orderKey], name, status, paidAmount);
+      await secureLocal.set({ paymentLedger });
+      return paymentLedger;
+    });
+    sendResponse({ success: true, ledger });
+  } catch (error) {
+    console.error('Error updating payment status:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Open the printable expense report of one recorded order or of a month
+async function handleOpenExpenseReport({ orderKey, month }, sendResponse) {
+  try {
+    let query;
+    if (typeof orderKey === 'string' && orderKey) {
+      query = `order=${encodeURIComponent(orderKey)}`;
+    } else if (typeof month === 'string' && /^\d{4}-\d{2}$/.test(month)) {
+      query = `month=${month}`;
+    } else {
+      throw MessageProtocol.createError(MessageProtocol.ERROR_CODES.INVALID_MESSAGE,
+        'An order key or a month (YYYY-MM) is required for an expense report');
+    }
+
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?${query}`) });
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error opening expense report:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
+}
+
+// Remove an order from the payment ledger
+async function handleDeleteLedgerOrder(orderKey, sendResponse) {
+  try {
+    const ledger = await queueLedgerChange(async () => {
+      const { paymentLedger = {} } = await secureLocal.get(['paymentLedger']);
+      delete paymentLedger[orderKey];
+      await secureLocal.set({ paymentLedger });
+      return paymentLedger;
+    });
+    sendResponse({ success: true, ledger });
+  } catch (error) {
+    console.error('Error deleting ledger order:', error);
+    sendResponse(MessageProtocol.errorResponse(error));
+  }
 }
@@ -0,0 +1,854 @@
+/**
+ * Shared calculation engine for Group Order Splitter
+ *
+ * Pure, side-effect-free split logic used by the content script, the
+ * background service worker and the popup, so every context computes the
+ * same payments for the same order.
+ */
+(function (root) {
+  'use strict';
+
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { t } = I18n;
+
+  const DEFAULT_BUDGET = 14;
+
+  // Participant names that identify the person who placed the order
+  const ORDER_CREATOR_PATTERNS = ['you', 'yu', 'me', 'myself'];
+
+  /**
+   * Available split strategies
+   * messageKey: prefix of the strategy's Label and Description messages
+   * feeAllocation: how delivery/service/discount are shared (equal, proportional, creator)
+   * settlement: how overages are settled (pooled_proportional, individual, pooled_equal)
+   */
+  const SPLIT_STRATEGIES = {
+    equal_fees: {
+      messageKey: 'strategyEqualFees',
+      feeAllocation: 'equal',
+      settlement: 'pooled_proportional'
+    },
+    proportional_fees: {
+      messageKey: 'strategyProportionalFees',
+      feeAllocation: 'proportional',
+      settlement: 'pooled_proportional'
+    },
+    creator_absorbs_fees: {
+      messageKey: 'strategyCreatorAbsorbsFees',
+      feeAllocation: 'creator',
+      settlement: 'pooled_proportional'
+    },
+    no_pooling: {
+      messageKey: 'strategyNoPooling',
+      feeAllocation: 'equal',
+      settlement: 'individual'
+    },
+    pooled_equal: {
+      messageKey: 'strategyPooledEqual',
+      feeAllocation: 'equal',
+      settlement: 'pooled_equal'
+    }
+  };
+
+  const DEFAULT_STRATEGY = 'equal_fees';
+
+  /**
+   * Resolve the per-person budget from settings, preserving explicit zero values
+   */
+  function resolveBudget(settings = {}) {
+    const budget = settings.dailyBudget;
+    return (budget !== undefined && budget !== null) ? budget : DEFAULT_BUDGET;
+  }
+
+  /**
+   * Find the roster entry for a participant name (case- and whitespace-insensitive)
+   */
+  function findRosterEntry(name, roster) {
+    if (!Array.isArray(roster) || !name) {
+      return null;
+    }
+
+    const normalized = name.trim().toLowerCase();
+    return roster.find(entry => entry && typeof entry.name === 'string' &&
+      entry.name.trim().toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Resolve a participant's own budget, honouring roster overrides
+   * Participants marked as not reimbursed get no company budget at all
+   */
+  function resolveParticipantBudget(name, settings = {}) {
+    const entry = findRosterEntry(name, settings.roster);
+
+    if (entry && entry.reimbursed === false) {
+      return 0;
+    }
+
+    if (entry && typeof entry.budget === 'number' && !isNaN(entry.budget) && entry.budget >= 0) {
+      return entry.budget;
+    }
+
+    return resolveBudget(settings);
+  }
+
+  /**
+   * Find the participant that placed the order, if any
+   */
+  function identifyOrderCreator(participantNames) {
+    for (const name of participantNames) {
+      if (ORDER_CREATOR_PATTERNS.some(pattern => name.toLowerCase().includes(pattern))) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A split strategy with its label and description in the active language
+   */
+  function describeStrategy(id) {
+    const strategy = SPLIT_STRATEGIES[id];
+    return {
+      id,
+      ...strategy,
+      label: t(`${strategy.messageKey}Label`),
+      description: t(`${strategy.messageKey}Description`)
+    };
+  }
+
+  /**
+   * Resolve the configured split strategy, falling back to the default
+   */
+  function resolveStrategy(settings = {}) {
+    const id = SPLIT_STRATEGIES[settings.splitStrategy] ? settings.splitStrategy : DEFAULT_STRATEGY;
+    return describeStrategy(id);
+  }
+
+  /**
+   * List available split strategies for settings UIs
+   */
+  function listStrategies() {
+    return Object.keys(SPLIT_STRATEGIES).map(describeStrategy);
+  }
+
+  /**
+   * Convert a euro amount to integer cents
+   */
+  function toCents(euros) {
+    if (typeof euros !== 'number' || isNaN(euros)) {
+      return 0;
+    }
+    return Math.round(euros * 100);
+  }
+
+  /**
+   * Parse a price string such as "12,50", "1.234,50" or "12.50" to integer cents
+   * Returns null when the text does not contain a usable amount
+   */
+  function parsePriceToCents(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const cleaned = text.replace(/[^\d.,-]/g, '');
+    const negative = cleaned.startsWith('-');
+    const digits = cleaned.replace(/-/g, '');
+    if (!/\d/.test(digits)) {
+      return null;
+    }
+
+    // The last separator followed by one or two digits is the decimal separator
+    const decimalMatch = digits.match(/^(.*)[.,](\d{1,2})$/);
+    const wholePart = (decimalMatch ? decimalMatch[1] : digits).replace(/[.,]/g, '');
+    const fractionPart = decimalMatch ? decimalMatch[2].padEnd(2, '0') : '00';
+
+    const cents = parseInt(wholePart || '0', 10) * 100 + parseInt(fractionPart, 10);
+    if (isNaN(cents)) {
+      return null;
+    }
+
+    return negative ? -cents : cents;
+  }
+
+  /**
+   * Format integer cents for display in the active language,
+   * e.g. 1250 -> "€12.50" in English and "€ 12,50" in Dutch
+   */
+  function formatCents(cents) {
+    return I18n.formatCents(cents);
+  }
+
+  /**
+   * Describe a rounding adjustment from a calculation breakdown,
+   * e.g. "Anna absorbed +€0.01 on their fee share"
+   */
+  function describeRoundingAdjustment(adjustment) {
+    const sign = adjustment.cents > 0 ? '+' : '-';
+    return t(adjustment.stage === 'fees' ? 'roundingFeeShare' : 'roundingPayment',
+      adjustment.name, `${sign}${formatCents(Math.abs(adjustment.cents))}`);
+  }
+
+  /**
+   * Describe an ordered item, e.g. "2× Pizza Margherita (extra cheese, no olives)"
+   */
+  function describeItem(item) {
+    const quantity = item.quantity > 1 ? `${item.quantity}× ` : '';
+    const options = item.options && item.options.length > 0 ? ` (${item.options.join(', ')})` : '';
+    return `${quantity}${item.name}${options}`;
+  }
+
+  /**
+   * Split an integer cent total over weights using the largest remainder method
+   * The allocations always add up to the total exactly. Adjustments record where
+   * the result differs from rounding each exact share on its own.
+   *
+   * @param {number} totalCents - Amount to allocate (may be negative)
+   * @param {number[]} weights - Non-negative weights, equal split when all are zero
+   * @returns {{ allocations: number[], adjustments: number[] }}
+   */
+  function allocateCents(totalCents, weights) {
+    const count = weights.length;
+    if (count === 0) {
+      return { allocations: [], adjustments: [] };
+    }
+
+    const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+    const effectiveWeights = weightTotal > 0 ? weights : weights.map(() => 1);
+    const divisor = weightTotal > 0 ? weightTotal : count;
+
+    // Allocate the absolute amount and restore the sign afterwards
+    const sign = totalCents < 0 ? -1 : 1;
+    const amount = Math.abs(totalCents);
+
+    const shares = effectiveWeights.map((weight, index) => {
+      const numerator = amount * weight;
+      const floor = Math.floor(numerator / divisor);
+      return { index, floor, remainder: numerator - floor * divisor };
+    });
+
+    let leftover = amount - shares.reduce((sum, share) => sum + share.floor, 0);
+    const allocations = shares.map(share => share.floor);
+
+    // Hand out remaining cents to the largest remainders, earliest first on ties
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach((share) => {
+        if (leftover > 0) {
+          allocations[share.index] += 1;
+          leftover -= 1;
+        }
+      });
+
+    const adjustments = shares.map((share) => {
+      const rounded = share.floor + (share.remainder * 2 >= divisor ? 1 : 0);
+      return sign * (allocations[share.index] - rounded) || 0;
+    });
+
+    return {
+      allocations: allocations.map(value => sign * value || 0),
+      adjustments
+    };
+  }
+
+  /**
+   * Allocate delivery, service and discount over participants
+   * Returns shared cost cents and rounding adjustments per participant name
+   */
+  function allocateSharedCosts(participantNames, people, sharedCostsTotal, feeAllocation, orderCreator) {
+    let weights;
+    if (feeAllocation === 'creator') {
+      weights = participantNames.map(name => (name === orderCreator ? 1 : 0));
+    } else if (feeAllocation === 'proportional') {
+      weights = participantNames.map(name => people[name]);
+    } else {
+      weights = participantNames.map(() => 1);
+    }
+
+    return mapAllocation(participantNames, allocateCents(sharedCostsTotal, weights));
+  }
+
+  /**
+   * Decide how much each participant finally pays
+   * Returns payment cents and rounding adjustments per participant name
+   */
+  function settleOverages(participantNames, participantDetails, excess, settlement) {
+    if (settlement === 'individual') {
+      // Everyone pays their own overage, unused budget is not shared
+      const payments = {};
+      const adjustments = {};
+      participantNames.forEach((name) => {
+        payments[name] = participantDetails[name].overBudget;
+        adjustments[name] = 0;
+      });
+      return { payments, adjustments };
+    }
+
+    if (settlement === 'pooled_equal') {
+      // Pool all budgets, then split the remaining excess equally
+      const allocation = allocateCents(excess, participantNames.map(() => 1));
+      const { values, adjustments } = mapAllocation(participantNames, allocation);
+      return { payments: values, adjustments };
+    }
+
+    // Share unused budget proportionally to each person's overage
+    const weights = participantNames.map(name => participantDetails[name].overBudget);
+    const allocation = allocateCents(excess, weights);
+    const { values, adjustments } = mapAllocation(participantNames, allocation);
+    return { payments: values, adjustments };
+  }
+
+  /**
+   * Convert positional allocation results to maps keyed by participant name
+   */
+  function mapAllocation(participantNames, allocation) {
+    const values = {};
+    const adjustments = {};
+    participantNames.forEach((name, index) => {
+      values[name] = allocation.allocations[index];
+      adjustments[name] = allocation.adjustments[index];
+    });
+    return { values, adjustments };
+  }
+
+  /**
+   * Sum each participant's item line prices into a { name: subtotalCents } map
+   */
+  function summarizeParticipants(participants) {
+    const people = {};
+    (participants || []).forEach((participant) => {
+      people[participant.name] = (participant.items || []).reduce((sum, item) => sum + item.linePrice, 0);
+    });
+    return people;
+  }
+
+  /**
+   * Apply manual corrections to a parsed order without mutating it
+   * Operations are replayed in order; ones that no longer match the parsed
+   * order (e.g. a participant that disappeared) are skipped and counted.
+   *
+   * Supported operations:
+   *   { type: 'rename', from, to }
+   *   { type: 'merge', from, into }
+   *   { type: 'delete', name }
+   *   { type: 'reassign', from, to, item: { name, linePrice } }
+   *   { type: 'add_item', participant, item: { name, quantity, linePrice } }
+   * Fee overrides ({ delivery, service, discount } in cents) replace parsed fees.
+   *
+   * @param {Object} orderData - Parsed order model with participants
+   * @param {Object} corrections - { operations: [], fees: {} }
+   * @returns {Object} Corrected order model with corrected/skippedCorrections flags
+   */
+  function applyCorrections(orderData, corrections) {
+    const operations = (corrections && corrections.operations) || [];
+    const feeOverrides = (corrections && corrections.fees) || {};
+
+    // Work on copies so the parsed order stays untouched
+    const participants = (orderData.participants || []).map(participant => ({
+      name: participant.name,
+      items: (participant.items || []).map(item => ({ ...item, options: [...(item.options || [])] }))
+    }));
+    const findParticipant = name => participants.find(participant => participant.name === name);
+    let skipped = 0;
+
+    operations.forEach((operation) => {
+      const source = findParticipant(operation.from || operation.name);
+
+      switch (operation.type) {
+        case 'rename': {
+          const target = findParticipant(operation.to);
+          if (!source || !operation.to || target) {
+            skipped++;
+            return;
+          }
+          source.name = operation.to;
+          return;
+        }
+
+        case 'merge': {
+          const target = findParticipant(operation.into);
+          if (!source || !target || source === target) {
+            skipped++;
+            return;
+          }
+          target.items.push(...source.items);
+          participants.splice(participants.indexOf(source), 1);
+          return;
+        }
+
+        case 'delete':
+          if (!source) {
+            skipped++;
+            return;
+          }
+          participants.splice(participants.indexOf(source), 1);
+          return;
+
+        case 'reassign': {
+          const target = findParticipant(operation.to);
+          const itemIndex = source && operation.item
+            ? source.items.findIndex(item => item.name === operation.item.name && item.linePrice === operation.item.linePrice)
+            : -1;
+          if (!target || itemIndex === -1 || source === target) {
+            skipped++;
+            return;
+          }
+          target.items.push(...source.items.splice(itemIndex, 1));
+          return;
+        }
+
+        case 'add_item': {
+          const item = operation.item;
+          if (!operation.participant || !item || !item.name || !Number.isInteger(item.linePrice)) {
+            skipped++;
+            return;
+          }
+          const quantity = Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+          let target = findParticipant(operation.participant);
+          if (!target) {
+            target = { name: operation.participant, items: [] };
+            participants.push(target);
+          }
+          target.items.push({
+            name: item.name,
+            quantity,
+            options: [],
+            unitPrice: Math.round(item.linePrice / quantity),
+            linePrice: item.linePrice,
+            addedManually: true
+          });
+          return;
+        }
+
+        default:
+          skipped++;
+      }
+    });
+
+    const fee = key => (Number.isInteger(feeOverrides[key]) ? feeOverrides[key] : (orderData[key] || 0));
+
+    return {
+      ...orderData,
+      participants,
+      people: summarizeParticipants(participants),
+      delivery: fee('delivery'),
+      service: fee('service'),
+      discount: fee('discount'),
+      corrected: operations.length > 0 || Object.keys(feeOverrides).length > 0,
+      skippedCorrections: skipped
+    };
+  }
+
+  /**
+   * Problems that keep corrections from being stored
+   * Checks each operation's type, the participants it names and that item
+   * prices, quantities and fee overrides are integer cents.
+   *
+   * @param {Object} corrections - { operations: [], fees: {} }
+   * @returns {string[]} Problems found; empty when the corrections are valid
+   */
+  function validateCorrections(corrections) {
+    if (!corrections || typeof corrections !== 'object') {
+      return ['corrections must be an object'];
+    }
+
+    const errors = [];
+    const isName = value => typeof value === 'string' && value.trim().length > 0;
+    const requireNames = (operation, path, keys) => {
+      keys.forEach(key => {
+        if (!isName(operation[key])) {
+          errors.push(`${path}.${key} must name a participant`);
+        }
+      });
+    };
+    const requireItem = (item, path, withQuantity) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`${path}.item must be an object`);
+        return;
+      }
+      if (!isName(item.name)) {
+        errors.push(`${path}.item.name must not be empty`);
+      }
+      if (!Number.isInteger(item.linePrice)) {
+        errors.push(`${path}.item.linePrice must be whole cents`);
+      }
+      if (withQuantity && item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+        errors.push(`${path}.item.quantity must be a positive whole number`);
+      }
+    };
+
+    const operations = corrections.operations === undefined ? [] : corrections.operations;
+    if (!Array.isArray(operations)) {
+      errors.push('corrections.operations must be a list');
+    } else {
+      operations.forEach((operation, index) => {
+        const path = `corrections.operations[${index}]`;
+        if (!operation || typeof operation !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+
+        switch (operation.type) {
+          case 'rename':
+            requireNames(operation, path, ['from', 'to']);
+            break;
+          case 'merge':
+            requireNames(operation, path, ['from', 'into']);
+            break;
+          case 'delete':
+            requireNames(operation, path, ['name']);
+            break;
+          case 'reassign':
+            requireNames(operation, path, ['from', 'to']);
+            requireItem(operation.item, path, false);
+            break;
+          case 'add_item':
+            requireNames(operation, path, ['participant']);
+            requireItem(operation.item, path, true);
+            break;
+          default:
+            errors.push(`${path}.type ${JSON.stringify(operation.type)} is not a known correction`);
+        }
+      });
+    }
+
+    const fees = corrections.fees === undefined ? {} : corrections.fees;
+    if (!fees || typeof fees !== 'object' || Array.isArray(fees)) {
+      errors.push('corrections.fees must be an object');
+    } else {
+      Object.entries(fees).forEach(([key, cents]) => {
+        if (!['delivery', 'service', 'discount'].includes(key)) {
+          errors.push(`corrections.fees.${key} is not a fee`);
+        } else if (!Number.isInteger(cents)) {
+          errors.push(`corrections.fees.${key} must be whole cents`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Calculate cost distribution using the configured split strategy
+   * By default people with unused budget help those who exceed budget.
+   * All order amounts and results are integer cents; budgets in settings are euros.
+   *
+   * @param {Object} orderData - { participants: [{ name, items }], people: { name: subtotalCents },
+   *   delivery, service, discount }; people is derived from participants when missing
+   * @param {Object} settings - Extension settings ({ dailyBudget, splitStrategy, roster })
+   * @returns {Object} { results, withinBudget, orderCreator, breakdown }; per participant,
+   *   budgetUsage (own budget the company paid) and budgetHelpReceived (colleagues'
+   *   unused budget the company paid) add up to totalCost - finalPayment under every
+   *   strategy, so over all participants to breakdown.companyCost. budgetUsage is
+   *   negative for someone who pays more than their own cost, which pooled_equal
+   *   asks of people far under budget.
+   */
+  function calculateDistribution(orderData, settings = {}) {
+    const people = orderData.people || summarizeParticipants(orderData.participants);
+    const delivery = orderData.delivery || 0;
+    const service = orderData.service || 0;
+    const discount = orderData.discount || 0;
+    const strategy = resolveStrategy(settings);
+
+    const participantNames = Object.keys(people);
+    const orderSubtotal = Object.values(people).reduce((a, b) => a + b, 0);
+    const grandTotal = orderSubtotal + delivery + service + discount;
+
+    // Per-person budgets from the roster, falling back to the daily budget
+    const budgets = {};
+    participantNames.forEach((name) => {
+      budgets[name] = toCents(resolveParticipantBudget(name, settings));
+    });
+    const totalCompanyBudget = participantNames.reduce((sum, name) => sum + budgets[name], 0);
+
+    const orderCreator = identifyOrderCreator(participantNames);
+
+    // Items ordered by each participant, when the order model has them
+    const itemsByName = {};
+    (orderData.participants || []).forEach((participant) => {
+      itemsByName[participant.name] = participant.items || [];
+    });
+
+    // Without a detected creator there is nobody to absorb the fees
+    const feeAllocation = (strategy.feeAllocation === 'creator' && !orderCreator) ? 'equal' : strategy.feeAllocation;
+
+    // Calculate shared costs per person
+    const sharedCostsTotal = delivery + service + discount;
+    const sharedCostsPerPerson = participantNames.length > 0 ? Math.round(sharedCostsTotal / participantNames.length) : 0;
+    const sharedCosts = allocateSharedCosts(participantNames, people, sharedCostsTotal, feeAllocation, orderCreator);
+
+    // Step 1: Calculate each person's total cost and budget usage
+    const participantDetails = {};
+    let totalExtraBudget = 0; // Budget available from people under budget
+    let totalOverBudget = 0;  // Amount needed by people over budget
+
+    participantNames.forEach((name) => {
+      const individualOrder = people[name];
+      const budget = budgets[name];
+      const totalCost = individualOrder + sharedCosts.values[name];
+      const extraBudget = Math.max(0, budget - totalCost);
+      const overBudget = Math.max(0, totalCost - budget);
+
+      participantDetails[name] = {
+        individualOrder,
+        sharedCosts: sharedCosts.values[name],
+        totalCost,
+        extraBudget,
+        overBudget,
+        budget,
+        reimbursed: findRosterEntry(name, settings.roster)?.reimbursed !== false,
+        isOrderCreator: name === orderCreator,
+        items: itemsByName[name] || []
+      };
+
+      totalExtraBudget += extraBudget;
+      totalOverBudget += overBudget;
+    });
+
+    // Step 2: Distribute extra budget to those who need it
+    // Sum of (cost - budget) over everyone equals grandTotal - totalCompanyBudget
+    const excess = Math.max(0, grandTotal - totalCompanyBudget);
+    const settlement = settleOverages(participantNames, participantDetails, excess, strategy.settlement);
+    const finalPayments = {};
+    let totalPayments = 0;
+
+    participantNames.forEach((name) => {
+      const details = participantDetails[name];
+      const finalPayment = settlement.payments[name];
+      // The company pays whatever the participant does not; above their own
+      // budget that is colleagues' unused budget. Under pooled_equal people
+      // under budget also pay a share, so this holds for every settlement.
+      const companyPaid = details.totalCost - finalPayment;
+      const budgetHelpReceived = Math.max(0, companyPaid - details.budget);
+
+      let status;
+      if (finalPayment > 0) {
+        status = 'pays';
+      } else if (details.overBudget > 0) {
+        status = 'covered';
+      } else {
+        status = details.extraBudget > 0 ? 'helps_others' : 'exact';
+      }
+
+      finalPayments[name] = {
+        ...details,
+        budgetUsage: companyPaid - budgetHelpReceived,
+        budgetHelpReceived,
+        finalPayment,
+        status
+      };
+      totalPayments += finalPayment;
+    });
+
+    // Record who absorbed rounding cents so the breakdown can explain them
+    const roundingAdjustments = [];
+    participantNames.forEach((name) => {
+      if (sharedCosts.adjustments[name] !== 0) {
+        roundingAdjustments.push({ name, stage: 'fees', cents: sharedCosts.adjustments[name] });
+      }
+      if (settlement.adjustments[name] !== 0) {
+        roundingAdjustments.push({ name, stage: 'payments', cents: settlement.adjustments[name] });
+      }
+    });
+
+    // Check if order is within total budget
+    const withinBudget = grandTotal <= totalCompanyBudget;
+
+    return {
+      results: finalPayments,
+      withinBudget,
+      orderCreator,
+      breakdown: {
+        orderSubtotal,
+        delivery,
+        service,
+        discount,
+        grandTotal,
+        totalBudget: totalCompanyBudget,
+        companyCost: grandTotal - totalPayments,
+        totalPayments,
+        sharedCostsTotal,
+        sharedCostsPerPerson,
+        totalExtraBudget,
+        totalOverBudget,
+        participantCount: participantNames.length,
+        manuallyCorrected: Boolean(orderData.corrected),
+        roundingAdjustments,
+        strategy: strategy.id,
+        strategyLabel: strategy.label,
+        strategyDescription: strategy.description,
+        feeAllocation
+      }
+    };
+  }
+
+  /**
+   * Pinpoint likely causes of a difference between the calculated order and the page
+   * Differences are calculated minus page, in cents.
+   */
+  function findDiscrepancyCauses(breakdown, participants, subtotalDifference, totalDifference) {
+    const causes = [];
+
+    if (subtotalDifference !== null && subtotalDifference < 0) {
+      causes.push({
+        code: 'missed_item',
+        message: t('causeMissedItem', formatCents(-subtotalDifference))
+      });
+    } else if (subtotalDifference !== null && subtotalDifference > 0) {
+      // An item costing exactly the difference was most likely read twice
+      let duplicate = null;
+      participants.forEach(participant => {
+        (participant.items || []).forEach(item => {
+          if (!duplicate && item.linePrice === subtotalDifference) {
+            duplicate = { name: participant.name, item };
+          }
+        });
+      });
+
+      causes.push(duplicate ? {
+        code: 'duplicate_item',
+        message: t('causeDuplicateItem', describeItem(duplicate.item), duplicate.name, formatCents(subtotalDifference))
+      } : {
+        code: 'extra_item',
+        message: t('causeExtraItem', formatCents(subtotalDifference))
+      });
+    }
+
+    if (totalDifference === null) {
+      return causes;
+    }
+
+    // The part of the total difference not explained by the items lies in the fees
+    const feeDifference = totalDifference - (subtotalDifference || 0);
+    if (feeDifference === 0) {
+      return causes;
+    }
+
+    const { delivery, service, discount } = breakdown;
+    const countedFee = [['delivery', delivery], ['service', service]]
+      .find(([, amount]) => amount > 0 && amount === feeDifference);
+
+    if (discount !== 0 && feeDifference === 2 * discount) {
+      causes.push({
+        code: 'discount_sign',
+        message: t(discount > 0 ? 'causeDiscountAdded' : 'causeDiscountSubtracted', formatCents(Math.abs(discount)))
+      });
+    } else if (countedFee) {
+      causes.push({
+        code: 'double_counted_fee',
+        message: t(countedFee[0] === 'delivery' ? 'causeDeliveryFeeCounted' : 'causeServiceFeeCounted',
+          formatCents(countedFee[1]))
+      });
+    } else if (feeDifference > 0 && discount === 0) {
+      causes.push({
+        code: 'missed_discount',
+        message: t('causeMissedDiscount', formatCents(feeDifference))
+      });
+    } else if (feeDifference < 0) {
+      causes.push({
+        code: 'missed_fee',
+        message: t(subtotalDifference === null ? 'causeMissedFeeOrItem' : 'causeMissedFee', formatCents(-feeDifference))
+      });
+    } else {
+      causes.push({
+        code: 'fees_mismatch',
+        message: t('causeFeesMismatch', formatCents(feeDifference))
+      });
+    }
+
+    return causes;
+  }
+
+  /**
+   * Reconcile the calculated order with the subtotal and total printed on the page
+   *
+   * @param {Object} breakdown - Breakdown from calculateDistribution
+   * @param {Object} pageTotals - { subtotal, total } in cents, null when not found on the page
+   * @param {Object} options - { participants: order model participants used to pinpoint
+   *   double-counted items, acknowledged: a previously acknowledged discrepancy }
+   * @returns {Object} { status: 'matched'|'mismatch'|'unverified', amounts, differences,
+   *   causes: [{ code, message }], acknowledged, blocksPayments }
+   */
+  function reconcileTotals(breakdown, pageTotals = {}, options = {}) {
+    const pageSubtotal = Number.isInteger(pageTotals.subtotal) ? pageTotals.subtotal : null;
+    const pageTotal = Number.isInteger(pageTotals.total) ? pageTotals.total : null;
+    const parsedSubtotal = breakdown.orderSubtotal;
+    const parsedTotal = breakdown.grandTotal;
+
+    const subtotalDifference = pageSubtotal === null ? null : parsedSubtotal - pageSubtotal;
+    const totalDifference = pageTotal === null ? null : parsedTotal - pageTotal;
+
+    let status = 'matched';
+    if (pageSubtotal === null && pageTotal === null) {
+      status = 'unverified';
+    } else if (subtotalDifference || totalDifference) {
+      status = 'mismatch';
+    }
+
+    const causes = status === 'mismatch'
+      ? findDiscrepancyCauses(breakdown, options.participants || [], subtotalDifference, totalDifference)
+      : [];
+
+    // An acknowledgement only covers the exact amounts that were acknowledged
+    const acknowledgement = options.acknowledged;
+    const acknowledged = status === 'mismatch' && Boolean(acknowledgement) &&
+      acknowledgement.parsedSubtotal === parsedSubtotal && acknowledgement.parsedTotal === parsedTotal &&
+      acknowledgement.pageSubtotal === pageSubtotal && acknowledgement.pageTotal === pageTotal;
+
+    return {
+      status,
+      pageSubtotal,
+      pageTotal,
+      parsedSubtotal,
+      parsedTotal,
+      subtotalDifference,
+      totalDifference,
+      causes,
+      acknowledged,
+      blocksPayments: status === 'mismatch' && !acknowledged
+    };
+  }
+
+  /**
+   * The amounts a user acknowledges when accepting a discrepancy
+   */
+  function createDiscrepancyAcknowledgement(reconciliation) {
+    return {
+      parsedSubtotal: reconciliation.parsedSubtotal,
+      parsedTotal: reconciliation.parsedTotal,
+      pageSubtotal: reconciliation.pageSubtotal,
+      pageTotal: reconciliation.pageTotal
+    };
+  }
+
+  const GroupOrderCalculator = {
+    DEFAULT_BUDGET,
+    DEFAULT_STRATEGY,
+    SPLIT_STRATEGIES,
+    resolveBudget,
+    findRosterEntry,
+    resolveParticipantBudget,
+    resolveStrategy,
+    listStrategies,
+    toCents,
+    parsePriceToCents,
+    formatCents,
+    describeRoundingAdjustment,
+    describeItem,
+    allocateCents,
+    identifyOrderCreator,
+    summarizeParticipants,
+    applyCorrections,
+    validateCorrections,
+    calculateDistribution,
+    reconcileTotals,
+    createDiscrepancyAcknowledgement
+  };
+
+  // Make available to content script, service worker and popup
+  root.GroupOrderCalculator = GroupOrderCalculator;
+
+  // Export for module use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GroupOrderCalculator;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -1,7 +1,7 @@
 /**
  * Enhanced Group Order Splitter - Content Script
  *
- * This content script runs on Thuisbezorgd order pages and automatically
+ * This content script runs on supported order pages (see site-adapters.js) and automatically
  * splits costs for group lunch orders when they exceed company budgets.
  * It integrates with the popup interface and background script for a
  * complete user experience.
@@ -15,18 +15,56 @@
   };
   let calculationResults = null;
   let isCalculating = false;
+  let parsedOrderData = null; // Order model as parsed from the page, before corrections
+  let orderCorrections = null; // Manual corrections remembered for this order
+  let selectedTemplateId = null; // Message template picked in the results modal
+
+  // Adapter for the site this page belongs to (null on unsupported sites)
+  const siteAdapter = SiteAdapters.findAdapter(window.location.href);
+
+  // Page readiness detection
+  const READY_STABLE_MS = 1000; // Order content must stay unchanged this long
+  const READY_TIMEOUT_MS = 30000; // Calculate anyway when content never settles
+  const SIGNATURE_THROTTLE_MS = 250; // Minimum time between order content checks
+  let lastUrl = window.location.href;
+  let orderSignature = ''; // Text of participant and fee elements, changes when prices change
+  let calculatedSignature = null; // Signature the current results were calculated from
+  let stableTimer = null;
+  let readyTimeout = null;
+  let signatureCheckPending = false;
+
+  // All parsed amounts are integer cents
+  const { parsePriceToCents, formatCents } = GroupOrderCalculator;
+  const { t } = I18n;
+
+  // Page text ends up in the modal, so markup is only built with escaping templates
+  const { html, render } = SafeHtml;
+
+  // Messages are checked against the shared protocol and fail with its error codes
+  const { ERROR_CODES, CONTEXTS, createError } = MessageProtocol;
+
+  // Settings and the language they pick, loaded before the first calculation
+  let settingsReady = Promise.resolve();
+
+  // Transfer QR codes are drawn as inline SVG
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+  // Longest names and quantities the message protocol accepts in corrections
+  const MAX_CORRECTION_NAME_LENGTH = 200;
+  const MAX_CORRECTION_ITEM_LENGTH = 500;
+  const MAX_CORRECTION_QUANTITY = 1000;
 
   // Initialize content script
   function initialize() {
     console.log('Group Order Splitter: Content script loaded');
-    loadSettings();
+    settingsReady = loadSettings();
     setupMessageListeners();
 
-    // Auto-calculate if enabled and page is ready
-    if (document.readyState === 'complete') {
-      scheduleAutoCalculation();
+    // Watch the page for order content once the DOM is available
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', startPageWatcher);
     } else {
-      document.addEventListener('DOMContentLoaded', scheduleAutoCalculation);
+      startPageWatcher();
     }
   }
 
@@ -40,11 +78,39 @@
     } catch (error) {
       console.warn('Failed to load settings, using defaults:', error);
     }
+    await loadLanguage();
+  }
+
+  /**
+   * Load the messages of the language picked in the settings, or of the page
+   * Content scripts cannot read extension files, so the background serves the catalogs.
+   */
+  async function loadLanguage() {
+    const locale = I18n.resolveLocale(currentSettings.language, document.documentElement.lang || navigator.language);
+    try {
+      await I18n.load(locale, async (catalogLocale) => {
+        const response = await sendMessage({ type: 'GET_LOCALE_MESSAGES', locale: catalogLocale });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || `No messages for ${catalogLocale}`);
+        }
+        return response.messages;
+      });
+    } catch (error) {
+      console.warn('Failed to load messages, using the browser language:', error);
+    }
   }
 
   // Setup message listeners for communication with popup
   function setupMessageListeners() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      const rejection = MessageProtocol.validateMessage(message, CONTEXTS.content,
+        MessageProtocol.getSenderContext(sender, chrome.runtime));
+      if (rejection) {
+        console.warn('Rejected message:', rejection.message);
+        sendResponse(MessageProtocol.errorResponse(rejection));
+        return;
+      }
+
       switch (message.type) {
         case 'TRIGGER_CALCULATION':
           handleTriggerCalculation(sendResponse);
@@ -52,10 +118,16 @@
 
         case 'SETTINGS_UPDATED':
           currentSettings = { ...currentSettings, ...message.settings };
+          settingsReady = loadLanguage();
           break;
 
-        default:
-          console.warn('Unknown message type:', message.type);
+        case 'OPEN_CORRECTION_EDITOR':
+          handleOpenCorrectionEditor(sendResponse);
+          return true;
+
+        case 'ACKNOWLEDGE_DISCREPANCY':
+          handleAcknowledgeDiscrepancy(sendResponse);
+          return true;
       }
     });
   }
@@ -69,850 +141,618 @@
         results: result.results,
         breakdown: result.breakdown,
         withinBudget: result.withinBudget,
-        orderCreator: result.orderCreator
+        orderCreator: result.orderCreator,
+        restaurant: result.restaurant,
+        parseReport: result.parseReport,
+        reconciliation: result.reconciliation
       });
     } catch (error) {
       console.error('Calculation failed:', error);
-      sendResponse({
-        success: false,
-        error: error.message || 'Calculation failed'
-      });
+      sendResponse(MessageProtocol.errorResponse(error, ERROR_CODES.CALCULATION_FAILED, t('errorCalculationFailed')));
     }
   }
 
-  // Schedule auto-calculation with delay
-  function scheduleAutoCalculation() {
-    const delayMs = 3000; // Wait for page to fully load
-    setTimeout(() => {
-      if (!isCalculating) {
-        calculateAndDisplay(false);
+  // Handle request from popup to review and correct the parsed order
+  async function handleOpenCorrectionEditor(sendResponse) {
+    try {
+      if (!parsedOrderData) {
+        await calculateAndDisplay(true);
       }
-    }, delayMs);
-  }
-
-  /**
-   * Enhanced calculation function that extracts order information from the page
-   * and calculates cost distribution based on current settings.
-   *
-   * @param {boolean} fromPopup - Whether calculation was triggered from popup
-   * @returns {Object} Calculation results and breakdown
-   */
-  async function calculateAndDisplay(fromPopup = false) {
-    if (isCalculating) {
-      throw new Error('Calculation already in progress');
+      displayCorrectionEditor();
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Failed to open correction editor:', error);
+      sendResponse(MessageProtocol.errorResponse(error, ERROR_CODES.CALCULATION_FAILED, t('errorOpenEditorFailed')));
     }
+  }
 
-    isCalculating = true;
-
+  // Handle acknowledgement from popup of a difference with the page total
+  async function handleAcknowledgeDiscrepancy(sendResponse) {
     try {
-      // Show loading state if triggered from popup
-      if (fromPopup) {
-        showLoadingState();
+      if (!calculationResults) {
+        await calculateAndDisplay(true);
       }
-
-      // Parse order data from page
-      const orderData = parseOrderData();
-
-      if (!orderData.people || Object.keys(orderData.people).length === 0) {
-        console.error('No participants found in order data:', orderData);
-        throw new Error('No order data found on this page. Make sure you are on an order confirmation or tracking page.');
-      }
-
-      // Calculate distribution using current settings
-      const results = calculateDistribution(orderData, currentSettings);
-
-      // Store results for popup communication
-      calculationResults = results;
-
-      // Display results on page
-      const displayBudget = (currentSettings.dailyBudget !== undefined && currentSettings.dailyBudget !== null) ? currentSettings.dailyBudget : 14;
-      displayResults(results.results, results.breakdown, fromPopup, results.withinBudget, results.orderCreator, displayBudget);
-
-      return results;
-
+      const result = await acknowledgeDiscrepancy();
+      sendResponse({
+        success: true,
+        results: result.results,
+        breakdown: result.breakdown,
+        withinBudget: result.withinBudget,
+        orderCreator: result.orderCreator,
+        restaurant: result.restaurant,
+        parseReport: result.parseReport,
+        reconciliation: result.reconciliation
+      });
     } catch (error) {
-      console.error('Calculation error:', error);
-
-      // Send error to background for logging
-      sendMessage({ type: 'LOG_ERROR', error: error.message });
-
-      // Show error to user
-      if (fromPopup) {
-        throw error; // Re-throw for popup to handle
-      } else {
-        displayError(error.message);
-      }
-
-    } finally {
-      isCalculating = false;
+      console.error('Failed to acknowledge discrepancy:', error);
+      sendResponse(MessageProtocol.errorResponse(error, ERROR_CODES.CALCULATION_FAILED, t('errorAcknowledgeFailed')));
     }
   }
 
   /**
-   * Enhanced order data parsing with comprehensive error handling and validation
+   * Observe the page so calculation starts once order content has rendered,
+   * restarts after single-page navigation and follows price changes
    */
-  function parseOrderData() {
-    try {
-      // Validate page context first
-      validatePageContext();
+  function startPageWatcher() {
+    const observer = new MutationObserver(handlePageMutations);
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    window.addEventListener('popstate', checkUrlChange);
 
-      // Try multiple parsing strategies for better compatibility
-      let orderData = null;
+    handleOrderPageEntered();
+  }
 
-      // Strategy 1: Parse from structured elements (preferred)
-      orderData = parseFromStructuredElements();
+  /**
+   * Check whether a URL is an order page the splitter works on
+   */
+  function isOrderPage(url) {
+    return Boolean(siteAdapter && siteAdapter.isOrderUrl(url));
+  }
 
-      // Strategy 2: Fallback to text parsing if structured parsing fails
-      if (!orderData || Object.keys(orderData.people || {}).length === 0) {
-        console.log('Structured parsing failed, trying text parsing...');
-        orderData = parseFromText();
-      }
+  /**
+   * React to DOM changes, ignoring changes inside our own modal
+   */
+  function handlePageMutations(mutations) {
+    const ownModal = document.getElementById('group-order-modal-backdrop');
+    const pageChanged = mutations.some(mutation => !ownModal || !ownModal.contains(mutation.target));
+    if (!pageChanged) {
+      return;
+    }
 
-      // Validate parsed data
-      if (!orderData) {
-        throw new Error('Unable to parse order data from page. Please ensure you are on a valid Thuisbezorgd order page.');
-      }
+    checkUrlChange();
 
-      // Comprehensive data validation
-      validateOrderData(orderData);
+    // Throttle signature checks; pages with timers mutate constantly
+    if (!signatureCheckPending) {
+      signatureCheckPending = true;
+      setTimeout(() => {
+        signatureCheckPending = false;
+        checkOrderSignature();
+      }, SIGNATURE_THROTTLE_MS);
+    }
+  }
 
-      return orderData;
+  /**
+   * Reset state and start over when the app navigates to another page
+   */
+  function checkUrlChange() {
+    if (window.location.href === lastUrl) {
+      return;
+    }
 
-    } catch (error) {
-      // Enhanced error context
-      const errorContext = gatherErrorContext();
-      console.error('Order parsing failed:', error.message, errorContext);
+    console.log('Page navigation detected:', window.location.href);
+    lastUrl = window.location.href;
+    parsedOrderData = null;
+    orderCorrections = null;
+    calculationResults = null;
 
-      // Provide specific error messages based on context
-      if (error.message.includes('not a valid order page')) {
-        throw new Error('This page does not appear to be a Thuisbezorgd order page. Please navigate to an order confirmation or food tracker page.');
-      } else if (error.message.includes('No participants found')) {
-        throw new Error('No order participants detected. The order may still be loading or the page format has changed.');
-      } else if (error.message.includes('Invalid price data')) {
-        throw new Error('Order prices could not be parsed correctly. Please refresh the page and try again.');
-      } else {
-        throw new Error(`Order parsing failed: ${error.message}. Please refresh the page or contact support if the issue persists.`);
-      }
+    const existingBackdrop = document.getElementById('group-order-modal-backdrop');
+    if (existingBackdrop) {
+      existingBackdrop.remove();
     }
+
+    handleOrderPageEntered();
   }
 
   /**
-   * Validate that we're on a valid order page
+   * Start waiting for order content on the current page
    */
-  function validatePageContext() {
-    const url = window.location.href;
-
-    if (!url.includes('thuisbezorgd.nl')) {
-      throw new Error('This extension only works on Thuisbezorgd.nl pages');
+  function handleOrderPageEntered() {
+    clearTimeout(stableTimer);
+    clearTimeout(readyTimeout);
+    orderSignature = '';
+    calculatedSignature = null;
+
+    if (!isOrderPage(window.location.href)) {
+      return;
     }
 
-    // Check for order-specific indicators
-    const hasOrderIndicators =
-      url.includes('foodtracker') ||
-      url.includes('order-confirmation') ||
-      document.querySelector('[data-qa="participant-name"]') ||
-      document.querySelector('[data-qa="item-details-product-price"]') ||
-      document.querySelector('.order-summary') ||
-      document.querySelector('.participant-order');
+    // Fall back to calculating anyway, e.g. for text-only order pages
+    readyTimeout = setTimeout(() => {
+      if (calculatedSignature === null) {
+        console.log('Order content did not settle, calculating anyway');
+        runAutoCalculation(false);
+      }
+    }, READY_TIMEOUT_MS);
 
-    if (!hasOrderIndicators) {
-      throw new Error('This does not appear to be a valid order page');
-    }
+    checkOrderSignature();
   }
 
   /**
-   * Validate parsed order data for completeness and correctness
+   * Build a signature of the participant and fee elements on the page
    */
-  function validateOrderData(orderData) {
-    if (!orderData || typeof orderData !== 'object') {
-      throw new Error('Invalid order data structure');
+  function getOrderSignature() {
+    if (!siteAdapter) {
+      return '';
     }
+    return Array.from(document.querySelectorAll(siteAdapter.orderContentSelector))
+      .map(element => element.textContent.trim())
+      .join('|');
+  }
 
-    if (!orderData.people || typeof orderData.people !== 'object') {
-      throw new Error('No participants found in order data');
+  /**
+   * Restart the stability timer whenever the order content changes
+   */
+  function checkOrderSignature() {
+    if (!isOrderPage(window.location.href)) {
+      return;
     }
 
-    const participantCount = Object.keys(orderData.people).length;
-    if (participantCount === 0) {
-      throw new Error('No participants found in the order');
+    const signature = getOrderSignature();
+    if (signature === orderSignature) {
+      return;
     }
 
-    if (participantCount > 50) {
-      throw new Error('Too many participants detected (>50). This may indicate a parsing error.');
+    orderSignature = signature;
+    clearTimeout(stableTimer);
+    if (signature) {
+      stableTimer = setTimeout(handleOrderContentStable, READY_STABLE_MS);
     }
+  }
 
-    // Validate participant data
-    for (const [name, amount] of Object.entries(orderData.people)) {
-      if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        throw new Error('Invalid participant name detected');
-      }
-
-      if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
-        throw new Error(`Invalid price data for participant "${name}": ${amount}`);
-      }
+  /**
+   * Calculate once order content is stable, or refresh results after price changes
+   */
+  function handleOrderContentStable() {
+    if (calculatedSignature === null) {
+      clearTimeout(readyTimeout);
+      runAutoCalculation(false);
+      return;
+    }
 
-      if (amount > 1000) {
-        throw new Error(`Unusually high amount detected for "${name}": €${amount}. Please verify the order data.`);
-      }
+    if (orderSignature !== calculatedSignature && isResultsModalOpen()) {
+      console.log('Order content changed, updating results in place');
+      runAutoCalculation(true);
     }
+  }
 
-    // Validate fee data
-    const fees = ['delivery', 'service', 'discount'];
-    fees.forEach(fee => {
-      if (orderData[fee] !== undefined) {
-        if (typeof orderData[fee] !== 'number' || isNaN(orderData[fee])) {
-          throw new Error(`Invalid ${fee} fee data: ${orderData[fee]}`);
-        }
-      }
-    });
+  /**
+   * Run a calculation triggered by the page watcher
+   */
+  function runAutoCalculation(inPlace) {
+    if (isCalculating) {
+      // Try again once the running calculation has finished
+      clearTimeout(stableTimer);
+      stableTimer = setTimeout(handleOrderContentStable, READY_STABLE_MS);
+      return;
+    }
 
-    console.log(`✅ Order data validation passed: ${participantCount} participants`);
+    calculateAndDisplay(false, inPlace);
   }
 
   /**
-   * Gather error context for debugging
+   * Check whether the results modal (not the editor or an error) is open
    */
-  function gatherErrorContext() {
-    return {
-      url: window.location.href,
-      userAgent: navigator.userAgent,
-      timestamp: new Date().toISOString(),
-      pageTitle: document.title,
-      participantElements: document.querySelectorAll('[data-qa="participant-name"]').length,
-      priceElements: document.querySelectorAll('[data-qa="item-details-product-price"]').length,
-      hasOrderSummary: !!document.querySelector('.order-summary'),
-      documentReady: document.readyState
-    };
+  function isResultsModalOpen() {
+    const backdrop = document.getElementById('group-order-modal-backdrop');
+    return !!backdrop && backdrop.dataset.view === 'results';
   }
 
   /**
-   * Parse order data from structured DOM elements - Enhanced for Thuisbezorgd.nl
+   * Enhanced calculation function that extracts order information from the page
+   * and calculates cost distribution based on current settings.
+   *
+   * @param {boolean} fromPopup - Whether calculation was triggered from popup
+   * @param {boolean} inPlace - Whether to update an open results modal in place
+   * @returns {Object} Calculation results and breakdown
    */
-  function parseFromStructuredElements() {
+  async function calculateAndDisplay(fromPopup = false, inPlace = false) {
+    if (isCalculating) {
+      throw new Error(t('errorCalculationInProgress'));
+    }
+
+    isCalculating = true;
+
     try {
-      const people = {};
-      let delivery = 0;
-      let service = 0;
-      let discount = 0;
-
-      console.log('Attempting structured parsing for Thuisbezorgd.nl...');
-
-      // Strategy 1: Look for participant-based structure
-      const participantNames = document.querySelectorAll('[data-qa="participant-name"]');
-      console.log(`Found ${participantNames.length} participants with data-qa="participant-name"`);
-
-      if (participantNames.length > 0) {
-        // Parse participant-based order structure
-        participantNames.forEach(nameElement => {
-          const participantName = nameElement.textContent.trim();
-          console.log(`Processing participant: ${participantName}`);
-
-          // Find the participant's container (usually a parent element)
-          let participantContainer = nameElement.closest('[data-qa*="participant"]') ||
-                                   nameElement.closest('.participant') ||
-                                   nameElement.parentElement;
-
-          // If no specific container, look for items following this participant
-          if (!participantContainer) {
-            participantContainer = findParticipantItemsContainer(nameElement);
-          }
+      await settingsReady;
 
-          if (participantContainer) {
-            const participantTotal = parseParticipantItems(participantContainer, participantName);
-            if (participantTotal > 0) {
-              people[participantName] = participantTotal;
-              console.log(`${participantName}: €${participantTotal.toFixed(2)}`);
-            }
-          }
-        });
+      // Show loading state if triggered from popup
+      if (fromPopup) {
+        showLoadingState();
       }
 
-      // Strategy 2: Look for order items with prices if participant parsing failed
-      if (Object.keys(people).length === 0) {
-        console.log('Participant parsing failed, trying item-based parsing...');
-        const itemPrices = document.querySelectorAll('[data-qa="item-details-product-price"]');
-        console.log(`Found ${itemPrices.length} items with data-qa="item-details-product-price"`);
+      // Remember which page content these results belong to
+      calculatedSignature = getOrderSignature();
+      clearTimeout(readyTimeout);
 
-        if (itemPrices.length > 0) {
-          parseItemBasedStructure(itemPrices, people);
-        }
-      }
+      // Parse order data from page and re-apply remembered corrections
+      parsedOrderData = parseOrderData();
+      orderCorrections = await loadOrderCorrections();
 
-      // Strategy 3: Fallback to generic selectors
-      if (Object.keys(people).length === 0) {
-        console.log('Trying fallback selectors...');
-        const fallbackSelectors = [
-          '[data-qa*="order-item"]',
-          '[data-qa*="basket-item"]',
-          '.order-item',
-          '.basket-item',
-          '.menu-item'
-        ];
-
-        for (const selector of fallbackSelectors) {
-          const items = document.querySelectorAll(selector);
-          if (items.length > 0) {
-            console.log(`Found ${items.length} items with selector: ${selector}`);
-            parseItemsFromElements(items, people);
-            break;
-          }
-        }
-      }
+      return calculateFromOrderData(parsedOrderData, fromPopup, inPlace);
 
-      // Parse fees from structured elements
-      const feeData = parseFeesFromElements();
-      delivery = feeData.delivery;
-      service = feeData.service;
-      discount = feeData.discount;
+    } catch (error) {
+      console.error('Calculation error:', error);
 
-      console.log('Structured parsing results:', { people, delivery, service, discount });
+      // Send error to background for logging
+      sendMessage({ type: 'LOG_ERROR', error: error.message });
 
-      // Return null if no people found to trigger text parsing
-      if (Object.keys(people).length === 0) {
-        console.log('No participants found in structured parsing, falling back to text parsing');
-        return null;
+      // Show error to user
+      if (fromPopup) {
+        throw error; // Re-throw for popup to handle
+      } else {
+        displayError(error.message);
       }
 
-      return { people, delivery, service, discount };
-
-    } catch (error) {
-      console.warn('Structured parsing failed:', error);
-      return null;
+    } finally {
+      isCalculating = false;
     }
   }
 
   /**
-   * Fallback text-based parsing (original algorithm with improvements)
+   * Calculate and display the split for the parsed order with corrections applied
    */
-  function parseFromText() {
-    // Collect all visible text on the page
-    const allText = document.body.innerText || '';
-    const lines = allText
-      .split(/\n+/)
-      .map((l) => l.trim())
-      .filter((l) => l.length > 0);
-
-    const people = {};
-    let currentPerson = null;
-
-    // Improved person detection patterns
-    const excludePatterns = [
-      /^order/i,
-      /^subtotal/i,
-      /^total/i,
-      /^delivery/i,
-      /^service/i,
-      /^discount/i,
-      /^voucher/i,
-      /^\d+$/,
-      /^€/,
-      /payment/i,
-      /address/i,
-      /phone/i,
-      /email/i
-    ];
-
-    for (const line of lines) {
-      // Stop collecting items once we reach the subtotal section
-      if (line.match(/^(subtotal|total|delivery|service)/i)) {
-        break;
-      }
+  function calculateFromOrderData(parsedData, fromPopup = false, inPlace = false) {
+    const orderData = orderCorrections
+      ? GroupOrderCalculator.applyCorrections(parsedData, orderCorrections)
+      : parsedData;
 
-      const priceMatch = line.match(/€\s*([\d.,-]+)/);
-      if (priceMatch) {
-        // This line contains a price – assign it to the current person
-        if (currentPerson) {
-          const numStr = priceMatch[1].replace(/\./g, '').replace(',', '.');
-          const price = parseFloat(numStr);
-          if (!Number.isNaN(price) && price >= 0) {
-            people[currentPerson] = (people[currentPerson] || 0) + price;
-          }
-        }
-      } else {
-        // Check if this could be a person name
-        const hasDigit = /\d/.test(line);
-        const hasEuro = /€/.test(line);
-        const isExcluded = excludePatterns.some(pattern => pattern.test(line));
-
-        if (!hasDigit && !hasEuro && !isExcluded && line.length > 1 && line.length < 50) {
-          currentPerson = line;
-          if (typeof people[currentPerson] === 'undefined') {
-            people[currentPerson] = 0;
-          }
-        }
-      }
+    if (orderData.skippedCorrections > 0) {
+      console.warn(`${orderData.skippedCorrections} saved corrections no longer match this order`);
     }
 
-    // Parse fees from text
-    const feeData = parseFeesFromText(lines);
+    if (!orderData.people || Object.keys(orderData.people).length === 0) {
+      console.error('No participants found in order data:', orderData);
+      throw new Error(t('errorNoOrderData'));
+    }
 
-    return {
-      people,
-      delivery: feeData.delivery,
-      service: feeData.service,
-      discount: feeData.discount
-    };
+    // Calculate distribution using the shared engine and current settings
+    const results = GroupOrderCalculator.calculateDistribution(orderData, currentSettings);
+    results.parseReport = parsedData.parseReport || null;
+    results.restaurant = parsedData.restaurant || null;
+
+    // Check the calculated order against the totals printed on the page
+    const pageTotals = results.parseReport
+      ? { subtotal: results.parseReport.pageSubtotal, total: results.parseReport.pageTotal }
+      : {};
+    results.reconciliation = GroupOrderCalculator.reconcileTotals(results.breakdown, pageTotals, {
+      participants: orderData.participants,
+      acknowledged: orderCorrections && orderCorrections.acknowledgedDiscrepancy
+    });
+    console.log('Calculation results:', results);
+
+    // Store results for popup communication
+    calculationResults = results;
+    recordOrder(results, parsedData);
+
+    // Display results on page
+    const displayBudget = GroupOrderCalculator.resolveBudget(currentSettings);
+    displayResults(results.results, results.breakdown, fromPopup, results.withinBudget, results.orderCreator, displayBudget, inPlace, {
+      parseReport: results.parseReport,
+      reconciliation: results.reconciliation,
+      restaurant: results.restaurant
+    });
+
+    return results;
   }
 
   /**
-   * Find container that holds items for a specific participant
+   * Identify the current order so corrections can be remembered per order
    */
-  function findParticipantItemsContainer(nameElement) {
-    // Look for a container that follows the participant name
-    let container = nameElement.parentElement;
-    while (container && container !== document.body) {
-      // Check if this container has item price elements
-      const priceElements = container.querySelectorAll('[data-qa="item-details-product-price"]');
-      if (priceElements.length > 0) {
-        return container;
-      }
-      container = container.parentElement;
+  function getOrderKey() {
+    const url = new URL(window.location.href);
+    const orderId = url.searchParams.get('orderId') || url.searchParams.get('id');
+    if (orderId) {
+      return `${url.hostname}:${orderId}`;
+    }
+
+    // Food tracker URLs end with the order id
+    const trackerMatch = url.pathname.match(/foodtracker\/([^/]+)/);
+    if (trackerMatch) {
+      return `${url.hostname}:${trackerMatch[1]}`;
     }
-    return null;
+
+    return `${url.hostname}${url.pathname}`;
   }
 
   /**
-   * Parse items for a specific participant from their container
+   * Keep the calculated order in the payment ledger
+   * Recalculations update the same ledger entry and keep payments marked so far.
    */
-  function parseParticipantItems(container, participantName) {
-    let total = 0;
-
-    // Look for price elements within this participant's container
-    const priceElements = container.querySelectorAll('[data-qa="item-details-product-price"]');
-    console.log(`Found ${priceElements.length} price elements for ${participantName}`);
-
-    priceElements.forEach(priceElement => {
-      const priceText = priceElement.textContent || priceElement.innerText || '';
-      const priceMatch = priceText.match(/€\s*([\d.,-]+)/);
-
-      if (priceMatch) {
-        const numStr = priceMatch[1].replace(/\./g, '').replace(',', '.');
-        const price = parseFloat(numStr);
-        if (!Number.isNaN(price) && price >= 0) {
-          total += price;
-          console.log(`  Item price: €${price.toFixed(2)}`);
+  function recordOrder(results, parsedData) {
+    sendMessage({
+      type: 'RECORD_ORDER',
+      order: {
+        orderKey: getOrderKey(),
+        site: siteAdapter.id,
+        siteName: siteAdapter.name,
+        restaurant: parsedData.restaurant || null,
+        orderNumber: getOrderReference() || null,
+        vat: parsedData.vat || [],
+        orderCreator: results.orderCreator,
+        results: results.results,
+        breakdown: results.breakdown
+      }
+    }).then(response => {
+      if (response && response.success === false) {
+        console.warn('Failed to record order in the payment ledger:', response.error);
+        // A locked or unreadable ledger cannot take the order; tell the user instead of dropping it silently
+        if (response.code === ERROR_CODES.LOCKED) {
+          showResultsNotice(t('modalOrderNotRecordedLocked'));
+        } else if (response.code === ERROR_CODES.UNREADABLE) {
+          showResultsNotice(t('modalOrderNotRecordedUnreadable'));
         }
       }
+    }).catch(error => {
+      console.warn('Failed to record order in the payment ledger:', error);
     });
-
-    return total;
   }
 
   /**
-   * Parse order structure based on item prices when participant structure is unclear
+   * Show a notice at the top of the open results modal
+   * All messages share one notice and each is shown once, however often the order is calculated.
    */
-  function parseItemBasedStructure(itemPrices, people) {
-    console.log('Parsing item-based structure...');
-
-    // Group items by their position/context to infer participants
-    const itemGroups = [];
-    let currentGroup = [];
-
-    itemPrices.forEach((priceElement, index) => {
-      const priceText = priceElement.textContent || priceElement.innerText || '';
-      const priceMatch = priceText.match(/€\s*([\d.,-]+)/);
+  function showResultsNotice(message) {
+    const content = document.querySelector('#group-order-modal-backdrop[data-view="results"] .modal-content');
+    if (!content) {
+      return;
+    }
 
-      if (priceMatch) {
-        const numStr = priceMatch[1].replace(/\./g, '').replace(',', '.');
-        const price = parseFloat(numStr);
+    let notice = content.querySelector('.locked-notice[data-results-notice]');
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.className = 'locked-notice';
+      notice.dataset.resultsNotice = 'true';
+      content.prepend(notice);
+    }
+    if (Array.from(notice.children).some(line => line.textContent === message)) {
+      return;
+    }
 
-        if (!Number.isNaN(price) && price >= 0) {
-          // Look for participant name near this price element
-          const participantName = findNearestParticipantName(priceElement);
+    const line = document.createElement('div');
+    line.textContent = message;
+    notice.appendChild(line);
+  }
 
-          if (participantName) {
-            people[participantName] = (people[participantName] || 0) + price;
-            console.log(`Assigned €${price.toFixed(2)} to ${participantName}`);
-          } else {
-            // If no participant found, try to group items
-            currentGroup.push(price);
-          }
-        }
-      }
-    });
+  /**
+   * Short reference for the current order, used in transfer descriptions
+   */
+  function getOrderReference() {
+    const orderKey = getOrderKey();
+    const separator = orderKey.indexOf(':');
+    return separator >= 0 ? orderKey.substring(separator + 1) : '';
+  }
 
-    // If we have ungrouped items, try to assign them to a default participant
-    if (currentGroup.length > 0 && Object.keys(people).length === 0) {
-      const total = currentGroup.reduce((sum, price) => sum + price, 0);
-      people['Unknown Participant'] = total;
-      console.log(`Assigned €${total.toFixed(2)} to Unknown Participant`);
+  /**
+   * Load manual corrections remembered for the current order
+   */
+  async function loadOrderCorrections() {
+    try {
+      const response = await sendMessage({ type: 'GET_ORDER_CORRECTIONS', orderKey: getOrderKey() });
+      return response && response.success ? response.corrections : null;
+    } catch (error) {
+      console.warn('Failed to load order corrections:', error);
+      return null;
     }
   }
 
   /**
-   * Find the nearest participant name to a price element
+   * Remember corrections for the current order and recalculate with them
    */
-  function findNearestParticipantName(priceElement) {
-    // Search upward in the DOM tree for participant name
-    let element = priceElement;
-    while (element && element !== document.body) {
-      // Look for participant name in current element or siblings
-      const participantElement = element.querySelector('[data-qa="participant-name"]') ||
-                                element.closest('[data-qa*="participant"]')?.querySelector('[data-qa="participant-name"]');
-
-      if (participantElement) {
-        return participantElement.textContent.trim();
-      }
+  async function applyAndSaveCorrections(corrections) {
+    const hasCorrections = corrections &&
+      (corrections.operations.length > 0 || Object.keys(corrections.fees).length > 0 ||
+        Boolean(corrections.acknowledgedDiscrepancy));
+    orderCorrections = hasCorrections ? corrections : null;
 
-      // Also check previous siblings for participant names
-      let sibling = element.previousElementSibling;
-      while (sibling) {
-        const nameElement = sibling.querySelector('[data-qa="participant-name"]');
-        if (nameElement) {
-          return nameElement.textContent.trim();
-        }
-        sibling = sibling.previousElementSibling;
+    let saveFailure = null;
+    try {
+      const response = await sendMessage({
+        type: 'SAVE_ORDER_CORRECTIONS',
+        orderKey: getOrderKey(),
+        corrections: orderCorrections
+      });
+      if (!response || !response.success) {
+        saveFailure = (response && response.code) || ERROR_CODES.INTERNAL;
+        console.warn('Failed to save order corrections:', response && response.error);
       }
+    } catch (error) {
+      saveFailure = ERROR_CODES.INTERNAL;
+      console.warn('Failed to save order corrections:', error);
+    }
 
-      element = element.parentElement;
+    let results;
+    try {
+      results = calculateFromOrderData(parsedOrderData, false);
+    } catch (error) {
+      console.error('Recalculation with corrections failed:', error);
+      displayError(error.message);
+      return null;
     }
 
-    return null;
+    // The corrections apply to this calculation only; say so before they are lost on reload
+    if (saveFailure === ERROR_CODES.LOCKED) {
+      showResultsNotice(t('modalCorrectionsNotSavedLocked'));
+    } else if (saveFailure === ERROR_CODES.UNREADABLE) {
+      showResultsNotice(t('modalCorrectionsNotSavedUnreadable'));
+    } else if (saveFailure) {
+      showResultsNotice(t('modalCorrectionsNotSaved'));
+    }
+    return results;
   }
 
   /**
-   * Parse items from DOM elements (fallback method)
+   * Accept the current difference with the page total so payment requests can be made
+   * The acknowledgement is remembered with the order's corrections and lapses
+   * as soon as the parsed or page amounts change.
    */
-  function parseItemsFromElements(items, people) {
-    let currentPerson = null;
-
-    items.forEach(item => {
-      const text = item.innerText || item.textContent || '';
-      const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-
-      for (const line of lines) {
-        const priceMatch = line.match(/€\s*([\d.,-]+)/);
-        if (priceMatch) {
-          if (currentPerson) {
-            const numStr = priceMatch[1].replace(/\./g, '').replace(',', '.');
-            const price = parseFloat(numStr);
-            if (!Number.isNaN(price) && price >= 0) {
-              people[currentPerson] = (people[currentPerson] || 0) + price;
-            }
-          }
-        } else if (line.length > 1 && line.length < 50 && !/\d/.test(line)) {
-          currentPerson = line;
-          if (typeof people[currentPerson] === 'undefined') {
-            people[currentPerson] = 0;
-          }
-        }
-      }
+  async function acknowledgeDiscrepancy() {
+    const reconciliation = calculationResults && calculationResults.reconciliation;
+    if (!reconciliation || reconciliation.status !== 'mismatch') {
+      return calculationResults;
+    }
+
+    const result = await applyAndSaveCorrections({
+      operations: (orderCorrections && orderCorrections.operations) || [],
+      fees: (orderCorrections && orderCorrections.fees) || {},
+      acknowledgedDiscrepancy: GroupOrderCalculator.createDiscrepancyAcknowledgement(reconciliation)
     });
+    if (!result) {
+      throw new Error(t('errorAcknowledgeRecalculation'));
+    }
+    return result;
   }
 
   /**
-   * Parse fees from DOM elements - Enhanced for Thuisbezorgd.nl
+   * Enhanced order data parsing with comprehensive error handling and validation
    */
-  function parseFeesFromElements() {
-    let delivery = 0;
-    let service = 0;
-    let discount = 0;
-
-    console.log('Parsing fees from structured elements...');
-
-    // Strategy 1: Look for specific Thuisbezorgd.nl fee elements
-    const deliveryElements = document.querySelectorAll('[data-qa*="delivery"], [data-qa*="bezorg"]');
-    const serviceElements = document.querySelectorAll('[data-qa*="service"]');
-    const discountElements = document.querySelectorAll('[data-qa*="discount"], [data-qa*="thuisbezorgd-pay"]');
-
-    // Parse delivery fees
-    deliveryElements.forEach(element => {
-      const text = element.innerText || element.textContent || '';
-      if (text.toLowerCase().includes('delivery') || text.toLowerCase().includes('bezorg')) {
-        const priceMatch = text.match(/€\s*([\d.,-]+)/);
-        if (priceMatch) {
-          const value = parseFloat(priceMatch[1].replace(/\./g, '').replace(',', '.'));
-          if (!Number.isNaN(value) && value > 0) {
-            delivery += value;
-            console.log(`Found delivery fee: €${value.toFixed(2)}`);
-          }
-        }
-      }
-    });
+  function parseOrderData() {
+    try {
+      // Validate page context first
+      validatePageContext();
 
-    // Parse service fees
-    serviceElements.forEach(element => {
-      const text = element.innerText || element.textContent || '';
-      if (text.toLowerCase().includes('service')) {
-        const priceMatch = text.match(/€\s*([\d.,-]+)/);
-        if (priceMatch) {
-          const value = parseFloat(priceMatch[1].replace(/\./g, '').replace(',', '.'));
-          if (!Number.isNaN(value) && value > 0) {
-            service += value;
-            console.log(`Found service fee: €${value.toFixed(2)}`);
-          }
-        }
-      }
-    });
+      // Structured elements first, page text as fallback
+      const orderData = SiteAdapters.parseOrder(document, siteAdapter);
 
-    // Parse discounts (including Thuisbezorgd Pay)
-    discountElements.forEach(element => {
-      const text = element.innerText || element.textContent || '';
-      if (text.toLowerCase().includes('discount') ||
-          text.toLowerCase().includes('korting') ||
-          text.toLowerCase().includes('thuisbezorgd pay')) {
-
-        // Look for negative amounts or amounts that should be treated as discounts
-        const negativeMatch = text.match(/-€\s*([\d.,-]+)/);
-        const positiveMatch = text.match(/€\s*([\d.,-]+)/);
-
-        if (negativeMatch) {
-          const value = parseFloat(negativeMatch[1].replace(/\./g, '').replace(',', '.'));
-          if (!Number.isNaN(value)) {
-            discount -= value; // Make it negative
-            console.log(`Found discount (negative): -€${value.toFixed(2)}`);
-          }
-        } else if (positiveMatch) {
-          const value = parseFloat(positiveMatch[1].replace(/\./g, '').replace(',', '.'));
-          if (!Number.isNaN(value)) {
-            // For Thuisbezorgd Pay, treat as negative discount
-            if (text.toLowerCase().includes('thuisbezorgd pay')) {
-              discount -= value;
-              console.log(`Found Thuisbezorgd Pay discount: -€${value.toFixed(2)}`);
-            } else {
-              discount += value;
-              console.log(`Found discount: €${value.toFixed(2)}`);
-            }
-          }
-        }
+      // Validate parsed data
+      if (!orderData) {
+        throw createOrderError('errorUnparsable', siteAdapter.name);
       }
-    });
 
-    // Strategy 2: Fallback to text-based parsing if structured parsing found nothing
-    if (delivery === 0 && service === 0 && discount === 0) {
-      const textFees = parseFeesFromText(document.body.innerText.split('\n'));
-      delivery = textFees.delivery;
-      service = textFees.service;
-      discount = textFees.discount;
+      // Comprehensive data validation
+      validateOrderData(orderData);
+
+      return orderData;
+
+    } catch (error) {
+      // Enhanced error context
+      const errorContext = gatherErrorContext();
+      console.error('Order parsing failed:', error.message, errorContext);
+
+      // Provide specific error messages based on context
+      if (error.messageKey === 'errorOnlySupportedSites') {
+        throw createError(ERROR_CODES.NOT_ORDER_PAGE, error.message);
+      } else if (error.messageKey === 'errorNotOrderPage') {
+        throw createError(ERROR_CODES.NOT_ORDER_PAGE, t('errorNotSiteOrderPage', siteAdapter.name));
+      } else if (error.messageKey === 'errorNoParticipants') {
+        throw createError(ERROR_CODES.PARSE_FAILED, t('errorNoParticipantsDetected'));
+      } else if (['errorInvalidParticipantPrice', 'errorInvalidItemPrice'].includes(error.messageKey)) {
+        throw createError(ERROR_CODES.PARSE_FAILED, t('errorPricesUnparsable'));
+      } else {
+        throw createError(ERROR_CODES.PARSE_FAILED, t('errorParsingFailed', error.message));
+      }
     }
+  }
 
-    console.log(`Fee parsing results: delivery=€${delivery.toFixed(2)}, service=€${service.toFixed(2)}, discount=€${discount.toFixed(2)}`);
-    return { delivery, service, discount };
+  /**
+   * Create an order validation error, tagged with its message so it can be recognized in any language
+   */
+  function createOrderError(messageKey, ...substitutions) {
+    const error = new Error(t(messageKey, ...substitutions));
+    error.messageKey = messageKey;
+    return error;
   }
 
   /**
-   * Parse fees from text lines with improved multilingual support
+   * Validate that we're on a valid order page
    */
-  function parseFeesFromText(lines) {
-    let delivery = 0;
-    let service = 0;
-    let discount = 0;
-
-    for (const line of lines) {
-      // Delivery costs / Bezorgkosten
-      let m = line.match(/^(Delivery costs?|Bezorgkosten|Delivery fee|Leveringskosten)\s+€\s*([\d.,-]+)/i);
-      if (m) {
-        delivery = parseFloat(m[2].replace(/\./g, '').replace(',', '.'));
-        continue;
-      }
+  function validatePageContext() {
+    const url = window.location.href;
 
-      // Service fee / Servicekosten
-      m = line.match(/^(Service fee|Servicekosten|Service charge)\s+€\s*([\d.,-]+)/i);
-      if (m) {
-        service = parseFloat(m[2].replace(/\./g, '').replace(',', '.'));
-        continue;
-      }
+    if (!siteAdapter) {
+      const siteNames = SiteAdapters.listAdapters().map(adapter => adapter.name).join(', ');
+      throw createOrderError('errorOnlySupportedSites', siteNames);
+    }
 
-      // Discount / Thuisbezorgd Pay / Voucher etc.
-      m = line.match(/^(Thuisbezorgd\s+Pay|Discount|Voucher|Kortingsbon|Korting|Coupon)\s+[-]?€\s*([\d.,-]+)/i);
-      if (m) {
-        let value = parseFloat(m[2].replace(/\./g, '').replace(',', '.'));
+    // Check for order-specific indicators
+    const hasOrderIndicators = siteAdapter.isOrderUrl(url) || siteAdapter.hasOrderContent(document);
 
-        // Thuisbezorgd Pay is always a discount (negative)
-        if (m[1].toLowerCase().includes('thuisbezorgd')) {
-          discount -= value;
-          console.log(`Text parsing - Thuisbezorgd Pay discount: -€${value.toFixed(2)}`);
-        } else {
-          // Check if discount is marked as negative
-          if (line.includes('-€') || line.includes('- €')) {
-            discount -= value;
-            console.log(`Text parsing - Negative discount: -€${value.toFixed(2)}`);
-          } else {
-            discount += value;
-            console.log(`Text parsing - Positive discount: €${value.toFixed(2)}`);
-          }
-        }
-        continue;
-      }
+    if (!hasOrderIndicators) {
+      throw createOrderError('errorNotOrderPage');
     }
-
-    return { delivery, service, discount };
   }
+
   /**
-   * Calculate cost distribution with budget sharing logic
-   * People with unused budget can help those who exceed budget
+   * Validate parsed order data for completeness and correctness
    */
-  function calculateDistribution(orderData, settings) {
-    const { people, delivery, service, discount } = orderData;
-    // Use explicit check to handle zero values properly
-    const budget = (settings.dailyBudget !== undefined && settings.dailyBudget !== null) ? settings.dailyBudget : 14;
-
-    const participantNames = Object.keys(people);
-    const orderSubtotal = Object.values(people).reduce((a, b) => a + b, 0);
-    const grandTotal = orderSubtotal + delivery + service + discount;
-    const totalCompanyBudget = budget * participantNames.length;
-
-
+  function validateOrderData(orderData) {
+    if (!orderData || typeof orderData !== 'object') {
+      throw createOrderError('errorInvalidOrderData');
+    }
 
-    // Identify order creator
-    let orderCreator = null;
-    const orderCreatorPatterns = ['you', 'yu', 'me', 'myself'];
+    if (!orderData.people || typeof orderData.people !== 'object') {
+      throw createOrderError('errorNoParticipants');
+    }
 
-    for (const name of participantNames) {
-      if (orderCreatorPatterns.some(pattern => name.toLowerCase().includes(pattern))) {
-        orderCreator = name;
-        break;
-      }
+    const participantCount = Object.keys(orderData.people).length;
+    if (participantCount === 0) {
+      throw createOrderError('errorNoParticipants');
     }
 
-    console.log(`Order creator identified: ${orderCreator || 'Not found'}`);
-
-    // Calculate shared costs per person
-    const sharedCostsTotal = delivery + service + discount;
-    const sharedCostsPerPerson = sharedCostsTotal / participantNames.length;
-
-    console.log(`Shared costs total: €${sharedCostsTotal.toFixed(2)}`);
-    console.log(`Shared costs per person: €${sharedCostsPerPerson.toFixed(2)}`);
-
-    // Step 1: Calculate each person's total cost and budget usage
-    const participantDetails = {};
-    let totalExtraBudget = 0; // Budget available from people under budget
-    let totalOverBudget = 0;  // Amount needed by people over budget
-
-    participantNames.forEach((name) => {
-      const individualOrder = people[name];
-      const sharedCosts = sharedCostsPerPerson;
-      const totalCost = individualOrder + sharedCosts;
-      const budgetUsage = Math.min(totalCost, budget);
-      const extraBudget = Math.max(0, budget - totalCost);
-      const overBudget = Math.max(0, totalCost - budget);
-
-      participantDetails[name] = {
-        individualOrder: parseFloat(individualOrder.toFixed(2)),
-        sharedCosts: parseFloat(sharedCosts.toFixed(2)),
-        totalCost: parseFloat(totalCost.toFixed(2)),
-        budgetUsage: parseFloat(budgetUsage.toFixed(2)),
-        extraBudget: parseFloat(extraBudget.toFixed(2)),
-        overBudget: parseFloat(overBudget.toFixed(2)),
-        isOrderCreator: name === orderCreator
-      };
+    if (participantCount > 50) {
+      throw createOrderError('errorTooManyParticipants');
+    }
 
-      if (extraBudget > 0) {
-        totalExtraBudget += extraBudget;
-      }
-      if (overBudget > 0) {
-        totalOverBudget += overBudget;
+    // Validate participant data
+    for (const [name, amount] of Object.entries(orderData.people)) {
+      if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw createOrderError('errorInvalidParticipantName');
       }
 
-      console.log(`${name}: order=€${individualOrder.toFixed(2)}, shared=€${sharedCosts.toFixed(2)}, total=€${totalCost.toFixed(2)}, extra=€${extraBudget.toFixed(2)}, over=€${overBudget.toFixed(2)}`);
-    });
-
-    console.log(`Total extra budget available: €${totalExtraBudget.toFixed(2)}`);
-    console.log(`Total over budget needed: €${totalOverBudget.toFixed(2)}`);
-
-    // Step 2: Distribute extra budget to those who need it
-    const finalPayments = {};
-
-    participantNames.forEach((name) => {
-      const details = participantDetails[name];
+      if (!Number.isInteger(amount) || amount < 0) {
+        throw createOrderError('errorInvalidParticipantPrice', name, amount);
+      }
 
-      if (details.overBudget > 0) {
-        // This person needs to pay extra
-        const proportionOfOverBudget = totalOverBudget > 0 ? details.overBudget / totalOverBudget : 0;
-        const budgetHelpReceived = Math.min(details.overBudget, totalExtraBudget * proportionOfOverBudget);
-        const finalPayment = Math.max(0, details.overBudget - budgetHelpReceived);
+      if (amount > 100000) {
+        throw createOrderError('errorUnusualAmount', name, formatCents(amount));
+      }
+    }
 
-        finalPayments[name] = {
-          ...details,
-          budgetHelpReceived: parseFloat(budgetHelpReceived.toFixed(2)),
-          finalPayment: parseFloat(finalPayment.toFixed(2)),
-          status: finalPayment > 0 ? 'pays' : 'covered'
-        };
+    // Validate item data when the order model has items
+    (orderData.participants || []).forEach(participant => {
+      (participant.items || []).forEach(item => {
+        if (!Number.isInteger(item.quantity) || item.quantity < 1 || !Number.isInteger(item.linePrice)) {
+          throw createOrderError('errorInvalidItemPrice', item.name, participant.name);
+        }
+      });
+    });
 
-        console.log(`${name}: over=€${details.overBudget.toFixed(2)}, help=€${budgetHelpReceived.toFixed(2)}, pays=€${finalPayment.toFixed(2)}`);
-      } else {
-        // This person has extra budget to share
-        finalPayments[name] = {
-          ...details,
-          budgetHelpReceived: 0,
-          finalPayment: 0,
-          status: details.extraBudget > 0 ? 'helps_others' : 'exact'
-        };
-
-        console.log(`${name}: helps others with €${details.extraBudget.toFixed(2)}`);
+    // Validate fee data
+    const fees = ['delivery', 'service', 'discount'];
+    fees.forEach(fee => {
+      if (orderData[fee] !== undefined) {
+        if (!Number.isInteger(orderData[fee])) {
+          throw createOrderError('errorInvalidFee', fee, orderData[fee]);
+        }
       }
     });
 
-    // Check if order is within total budget
-    const withinBudget = grandTotal <= totalCompanyBudget;
-
-    return {
-      results: finalPayments,
-      withinBudget,
-      orderCreator,
-      breakdown: {
-        orderSubtotal,
-        delivery,
-        service,
-        discount,
-        grandTotal,
-        totalBudget: totalCompanyBudget,
-        sharedCostsTotal,
-        sharedCostsPerPerson,
-        totalExtraBudget,
-        totalOverBudget,
-        participantCount: participantNames.length
-      }
-    };
+    console.log(`✅ Order data validation passed: ${participantCount} participants`);
   }
 
   /**
-   * Alternative calculation method: Split all costs proportionally after budget
+   * Gather error context for debugging
    */
-  function calculateAlternativeDistribution(orderData, settings) {
-    const { people, delivery, service, discount } = orderData;
-    const budget = (settings.dailyBudget !== undefined && settings.dailyBudget !== null) ? settings.dailyBudget : 14;
-    const participantNames = Object.keys(people);
-    const orderSubtotal = Object.values(people).reduce((a, b) => a + b, 0);
-    const grandTotal = orderSubtotal + delivery + service + discount;
-    const totalBudget = budget * participantNames.length;
-
-    const results = {};
-
-    if (grandTotal <= totalBudget) {
-      // Order is within budget, no extra payments needed
-      participantNames.forEach(name => {
-        results[name] = 0;
-      });
-    } else {
-      // Order exceeds budget, split the excess
-      const excessAmount = grandTotal - totalBudget;
-      const extraFeesTotal = delivery + service;
-      const extraPerPerson = extraFeesTotal / participantNames.length;
-
-      participantNames.forEach((name) => {
-        const subtotal = people[name];
-        let total = subtotal + extraPerPerson;
-
-        // Apply proportional discount
-        if (discount !== 0 && orderSubtotal > 0) {
-          const ratio = subtotal / orderSubtotal;
-          total += ratio * discount;
-        }
-
-        const overage = Math.max(0, total - budget);
-        results[name] = parseFloat(overage.toFixed(2));
-      });
-
-      // Any remaining amount goes to order creator
-      const participantTotal = Object.values(results).reduce((a, b) => a + b, 0);
-      const remaining = excessAmount - participantTotal;
-      if (remaining > 0) {
-        results['You (Order Creator)'] = parseFloat(remaining.toFixed(2));
-      }
-    }
-
-    return results;
+  function gatherErrorContext() {
+    return {
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString(),
+      pageTitle: document.title,
+      site: siteAdapter ? siteAdapter.id : null,
+      participantElements: siteAdapter ? document.querySelectorAll(siteAdapter.selectors.participantName).length : 0,
+      priceElements: siteAdapter ? document.querySelectorAll(siteAdapter.selectors.itemPrice).length : 0,
+      hasOrderSummary: !!document.querySelector('.order-summary'),
+      documentReady: document.readyState
+    };
   }
 
   /**
@@ -937,7 +777,7 @@
 
     const title = document.createElement('h2');
     title.className = 'modal-title';
-    title.textContent = '⏳ Calculating...';
+    title.textContent = t('modalCalculating');
 
     header.appendChild(title);
     wrapper.appendChild(header);
@@ -948,10 +788,10 @@
     modalContent.style.textAlign = 'center';
     modalContent.style.padding = '40px';
 
-    modalContent.innerHTML = `
+    render(modalContent, html`
       <div style="display: inline-block; width: 40px; height: 40px; border: 3px solid #f3f3f3; border-top: 3px solid #667eea; border-radius: 50%; animation: spin 1s linear infinite;"></div>
-      <p style="margin-top: 20px; color: #666; font-size: 16px;">Analyzing order data...</p>
-    `;
+      <p style="margin-top: 20px; color: #666; font-size: 16px;">${t('modalAnalyzing')}</p>
+    `);
 
     wrapper.appendChild(modalContent);
     backdrop.appendChild(wrapper);
@@ -961,19 +801,30 @@
   /**
    * Enhanced display function showing detailed payment breakdowns in a modal
    */
-  function displayResults(results, breakdown, fromPopup = false, withinBudget = false, orderCreator = null, budget = 14) {
-    // Remove existing modal and backdrop
+  function displayResults(results, breakdown, fromPopup = false, withinBudget = false, orderCreator = null, budget = 14, inPlace = false, diagnostics = {}) {
+    const { parseReport = null, reconciliation = null, restaurant = null } = diagnostics;
+
+    // Remove existing modal and backdrop, unless an open results modal is updated in place
     const existingBackdrop = document.getElementById('group-order-modal-backdrop');
-    if (existingBackdrop) {
+    const updateInPlace = inPlace && isResultsModalOpen();
+    if (existingBackdrop && !updateInPlace) {
       existingBackdrop.remove();
     }
 
-    // Create modal backdrop
-    const backdrop = document.createElement('div');
-    backdrop.id = 'group-order-modal-backdrop';
+    // Create modal backdrop or reuse the open one
+    const backdrop = updateInPlace ? existingBackdrop : document.createElement('div');
+    if (updateInPlace) {
+      backdrop.replaceChildren();
+    } else {
+      backdrop.id = 'group-order-modal-backdrop';
+    }
+    backdrop.dataset.view = 'results';
 
     // Create modal wrapper
     const wrapper = createDisplayWrapper();
+    if (updateInPlace) {
+      wrapper.classList.add('live-update');
+    }
 
     // Create modal header
     const header = document.createElement('div');
@@ -983,15 +834,15 @@
     title.className = 'modal-title';
 
     if (withinBudget || Object.keys(results).length === 0) {
-      title.textContent = '✅ No Payments Required';
+      title.textContent = t('modalNoPaymentsTitle');
     } else {
-      title.textContent = '💰 Individual Payment Breakdown';
+      title.textContent = t('modalBreakdownTitle');
     }
 
     const closeButton = document.createElement('button');
     closeButton.className = 'modal-close';
-    closeButton.innerHTML = '×';
-    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', t('modalClose'));
     closeButton.addEventListener('click', () => {
       backdrop.remove();
     });
@@ -1004,6 +855,24 @@
     const modalContent = document.createElement('div');
     modalContent.className = 'modal-content';
 
+    // A difference with the page total must be resolved before anyone is asked to pay
+    if (reconciliation && reconciliation.status === 'mismatch') {
+      modalContent.appendChild(createReconciliationSection(reconciliation));
+    }
+
+    // Low-confidence parses must not look authoritative
+    if (parseReport && parseReport.confidence === 'low') {
+      modalContent.appendChild(createParseWarning(parseReport));
+    }
+
+    // A closed passphrase lock hides the roster, so everyone was given the daily budget
+    if (currentSettings.locked) {
+      const rosterNotice = document.createElement('div');
+      rosterNotice.className = 'locked-notice';
+      rosterNotice.textContent = t('modalRosterLocked');
+      modalContent.appendChild(rosterNotice);
+    }
+
     // Results list
     const list = document.createElement('div');
     const hasPaymentObligations = Object.keys(results).length > 0 && !withinBudget;
@@ -1015,12 +884,42 @@
       noBudgetRow.style.backgroundColor = '#d4edda';
       noBudgetRow.style.border = '1px solid #c3e6cb';
       noBudgetRow.style.color = '#155724';
-      noBudgetRow.innerHTML = `
-        <span class="person-name">🎉 All costs covered by company budget!</span>
-        <span class="person-amount">€0.00</span>
-      `;
+      render(noBudgetRow, html`
+        <span class="person-name">${t('modalAllCovered')}</span>
+        <span class="person-amount">${formatCents(0)}</span>
+      `);
       list.appendChild(noBudgetRow);
     } else {
+      // One payment request per payer, held back while the page total disagrees
+      const paymentRequests = new Map();
+      const requestOptions = {
+        orderCreator,
+        paymentLink: currentSettings.tikkieLink || '',
+        bankAccount: { iban: currentSettings.iban, accountHolder: currentSettings.accountHolder },
+        restaurant,
+        orderReference: getOrderReference()
+      };
+      if (!reconciliation || !reconciliation.blocksPayments) {
+        PaymentRequests.createPaymentRequests(results, { ...requestOptions, template: getTemplateText() })
+          .forEach(request => paymentRequests.set(request.name, request));
+      }
+
+      // A closed passphrase lock keeps the payment link and bank details out of the requests
+      if (paymentRequests.size > 0 && currentSettings.locked) {
+        const lockedNotice = document.createElement('div');
+        lockedNotice.className = 'locked-notice';
+        lockedNotice.textContent = t('modalPaymentDetailsLocked');
+        list.appendChild(lockedNotice);
+      }
+
+      // Rewording the requests updates the messages behind the copy buttons
+      if (paymentRequests.size > 0) {
+        list.appendChild(createTemplateSelector(() => {
+          PaymentRequests.createPaymentRequests(results, { ...requestOptions, template: getTemplateText() })
+            .forEach(request => { paymentRequests.get(request.name).message = request.message; });
+        }));
+      }
+
       // Show detailed breakdown for all participants
       Object.entries(results).forEach(([name, details]) => {
         const row = document.createElement('div');
@@ -1061,66 +960,76 @@
 
         if (details.isOrderCreator) {
           statusIcon = '👑';
-          statusText = 'Order Creator';
+          statusText = t('statusOrderCreator');
           statusBadgeClass = 'creator-badge';
         } else if (details.status === 'pays') {
           statusIcon = '💸';
-          statusText = 'Needs to Pay';
+          statusText = t('statusNeedsToPay');
           statusBadgeClass = 'pays-badge';
         } else if (details.status === 'helps_others') {
           statusIcon = '🤝';
-          statusText = 'Helps Others';
+          statusText = t('statusHelpsOthers');
           statusBadgeClass = 'helps-badge';
         } else {
           statusIcon = '✅';
-          statusText = 'Exact Budget';
+          statusText = t('statusExactBudget');
           statusBadgeClass = 'exact-badge';
         }
 
+        // Roster overrides give participants their own budget
+        const personBudget = details.budget !== undefined ? details.budget : GroupOrderCalculator.toCents(budget);
+
+        // List the dishes behind the individual order amount
+        const itemsHTML = (details.items || []).map(item => html`
+            <div class="cost-item order-item-line">
+              <span>${GroupOrderCalculator.describeItem(item)}</span>
+              <span>${formatCents(item.linePrice)}</span>
+            </div>`);
+
         // Build payment info section
         let paymentInfoHTML = '';
         if (details.isOrderCreator && details.extraBudget > 0) {
-          paymentInfoHTML = `
+          paymentInfoHTML = html`
             <div class="payment-info">
               <div style="color: #28a745; font-weight: 600;">
-                💰 Extra budget: <span class="payment-amount">€${details.extraBudget.toFixed(2)}</span>
+                ${t('modalExtraBudget')} <span class="payment-amount">${formatCents(details.extraBudget)}</span>
               </div>
             </div>
           `;
         } else if (details.status === 'pays') {
-          paymentInfoHTML = `
+          paymentInfoHTML = html`
             <div class="payment-info">
               <div style="margin-bottom: 4px;">
-                <div style="color: #dc3545; font-weight: 600;">Above budget: €${details.overBudget.toFixed(2)}</div>
+                <div style="color: #dc3545; font-weight: 600;">${t('modalAboveBudget', formatCents(details.overBudget))}</div>
                 ${details.budgetHelpReceived > 0 ?
-                  `<div style="color: #28a745;">Help received: €${details.budgetHelpReceived.toFixed(2)}</div>` :
+                  html`<div style="color: #28a745;">${t('modalHelpReceived', formatCents(details.budgetHelpReceived))}</div>` :
                   ''
                 }
               </div>
               <div style="background-color: #fff3cd; padding: 6px; border-radius: 3px; border-left: 3px solid #ffc107;">
-                <strong style="color: #856404;">Pay: <span class="payment-amount">€${details.finalPayment.toFixed(2)}</span></strong>
+                <strong style="color: #856404;">${t('modalPay')} <span class="payment-amount">${formatCents(details.finalPayment)}</span></strong>
               </div>
             </div>
           `;
         } else if (details.status === 'helps_others') {
-          paymentInfoHTML = `
+          paymentInfoHTML = html`
             <div class="payment-info">
               <div style="color: #28a745; font-weight: 600;">
-                🤝 Helping: <span class="payment-amount">€${details.extraBudget.toFixed(2)}</span>
+                ${t('modalHelping')} <span class="payment-amount">${formatCents(details.extraBudget)}</span>
               </div>
             </div>
           `;
         } else {
-          paymentInfoHTML = `
+          paymentInfoHTML = html`
             <div class="payment-info">
               <div style="color: #28a745; font-weight: 600;">
-                ✅ Exact budget match
+                ${t('modalExactMatch')}
               </div>
             </div>
           `;
         }
 
-        row.innerHTML = `
+        render(row, html`
           <div class="person-header">
             <div class="person-name-status">${statusIcon} ${name}</div>
             <div class="person-status-badge ${statusBadgeClass}">${statusText}</div>
@@ -1128,25 +1037,34 @@
 
           <div class="cost-breakdown">
             <div class="cost-item">
-              <span>🍽️ Individual order:</span>
-              <span>€${details.individualOrder.toFixed(2)}</span>
+              <span>${t('modalIndividualOrder')}</span>
+              <span>${formatCents(details.individualOrder)}</span>
             </div>
+            ${itemsHTML}
             <div class="cost-item">
-              <span>🚚 Share of delivery/service/discount:</span>
-              <span>€${details.sharedCosts.toFixed(2)}</span>
+              <span>${t('modalSharedCosts')}</span>
+              <span>${formatCents(details.sharedCosts)}</span>
             </div>
             <div class="cost-item total">
-              <span>💰 Total cost:</span>
-              <span>€${details.totalCost.toFixed(2)}</span>
+              <span>${t('modalTotalCost')}</span>
+              <span>${formatCents(details.totalCost)}</span>
             </div>
             <div class="cost-item">
-              <span>🏢 Company budget:</span>
-              <span>€${budget.toFixed(2)}</span>
+              <span>${t(details.reimbursed === false ? 'modalCompanyBudgetNotReimbursed' : 'modalCompanyBudget')}</span>
+              <span>${formatCents(personBudget)}</span>
             </div>
           </div>
 
           ${paymentInfoHTML}
-        `;
+        `);
+
+        if (paymentRequests.has(name)) {
+          const request = paymentRequests.get(name);
+          if (request.epcPayload) {
+            row.appendChild(createTransferQrCode(request));
+          }
+          row.appendChild(createCopyRequestButton(request));
+        }
 
         list.appendChild(row);
       });
@@ -1159,9 +1077,7 @@
       if (totalPayments > 0) {
         const summaryRow = document.createElement('div');
         summaryRow.className = 'summary-row';
-        summaryRow.innerHTML = `
-          💰 Total payments to ${orderCreator || 'order creator'}: €${totalPayments.toFixed(2)}
-        `;
+        summaryRow.textContent = t('modalTotalPayments', orderCreator || t('modalOrderCreatorFallback'), formatCents(totalPayments));
         list.appendChild(summaryRow);
       }
     }
@@ -1174,6 +1090,11 @@
       modalContent.appendChild(breakdownSection);
     }
 
+    // How the numbers were read from the page
+    if (parseReport) {
+      modalContent.appendChild(createParseReportSection(parseReport));
+    }
+
     // Summary
     const summary = document.createElement('div');
     summary.className = 'summary';
@@ -1184,10 +1105,19 @@
     summary.style.textAlign = 'center';
     summary.style.fontSize = '12px';
     summary.style.color = '#666';
-    const summaryBudget = (currentSettings.dailyBudget !== undefined && currentSettings.dailyBudget !== null) ? currentSettings.dailyBudget : 14;
-    summary.textContent = `Budget: €${summaryBudget}/person • ${breakdown?.participantCount || 0} people`;
+    const summaryBudget = GroupOrderCalculator.resolveBudget(currentSettings);
+    const summaryBudgetCents = GroupOrderCalculator.toCents(summaryBudget);
+    const customBudgetCount = Object.values(results).filter(details => details.budget !== undefined && details.budget !== summaryBudgetCents).length;
+    summary.textContent = t('modalSummary', formatCents(summaryBudgetCents), breakdown?.participantCount || 0) +
+      (customBudgetCount > 0 ? ` • ${t('modalSummaryRoster', customBudgetCount)}` : '') +
+      (breakdown?.manuallyCorrected ? ` • ${t('modalSummaryCorrected')}` : '');
     modalContent.appendChild(summary);
 
+    // Downloads for Splitwise and other tools, held back like the payment requests
+    if (!reconciliation || !reconciliation.blocksPayments) {
+      modalContent.appendChild(createExportActions(results, breakdown, { orderCreator, restaurant }));
+    }
+
     // Recalculate button
     const recalcButton = document.createElement('button');
     recalcButton.className = 'recalculate-button';
@@ -1201,19 +1131,37 @@
     recalcButton.style.fontSize = '13px';
     recalcButton.style.fontWeight = '500';
     recalcButton.style.cursor = 'pointer';
-    recalcButton.textContent = 'Recalculate';
+    recalcButton.textContent = t('modalRecalculate');
     recalcButton.addEventListener('click', () => {
       backdrop.remove();
       calculateAndDisplay(false);
     });
     modalContent.appendChild(recalcButton);
 
+    // Review & correct button
+    if (parsedOrderData) {
+      const correctButton = document.createElement('button');
+      correctButton.className = 'correct-button';
+      correctButton.textContent = breakdown && breakdown.manuallyCorrected
+        ? t('modalEditCorrections')
+        : t('modalReviewCorrect');
+      correctButton.addEventListener('click', () => {
+        displayCorrectionEditor();
+      });
+      modalContent.appendChild(correctButton);
+    }
+
     // Append modal content to wrapper
     wrapper.appendChild(modalContent);
 
     // Append wrapper to backdrop
     backdrop.appendChild(wrapper);
 
+    // A modal updated in place keeps its close handlers
+    if (updateInPlace) {
+      return;
+    }
+
     // Add backdrop click to close
     backdrop.addEventListener('click', (e) => {
       if (e.target === backdrop) {
@@ -1258,46 +1206,346 @@
     const isOverBudget = breakdown.grandTotal > breakdown.totalBudget;
     const budgetDifference = Math.abs(breakdown.grandTotal - breakdown.totalBudget);
 
-    section.innerHTML = `
-      <div style="font-weight: 600; margin-bottom: 6px;">Order Breakdown:</div>
+    // Explain cents moved by rounding so payments add up exactly
+    const roundingAdjustments = breakdown.roundingAdjustments || [];
+    const roundingHTML = roundingAdjustments.length > 0 ? html`
+      <div style="margin-top: 8px; padding-top: 4px; border-top: 1px solid #e9ecef;">
+        <div style="font-weight: 600;">${t('breakdownRounding')}</div>
+        ${roundingAdjustments.map(adjustment => html`
+          <div>${GroupOrderCalculator.describeRoundingAdjustment(adjustment)}</div>
+        `)}
+      </div>
+    ` : '';
+
+    render(section, html`
+      <div style="font-weight: 600; margin-bottom: 6px;">${t('breakdownTitle')}</div>
+      <div style="display: flex; justify-content: space-between;">
+        <span>${t('breakdownStrategy')}</span>
+        <span>${breakdown.strategyLabel}</span>
+      </div>
       <div style="display: flex; justify-content: space-between;">
-        <span>Food & Drinks:</span>
-        <span>€${breakdown.orderSubtotal.toFixed(2)}</span>
+        <span>${t('breakdownFood')}</span>
+        <span>${formatCents(breakdown.orderSubtotal)}</span>
       </div>
       <div style="display: flex; justify-content: space-between;">
-        <span>Delivery Fee:</span>
-        <span>€${breakdown.delivery.toFixed(2)}</span>
+        <span>${t('breakdownDelivery')}</span>
+        <span>${formatCents(breakdown.delivery)}</span>
       </div>
       <div style="display: flex; justify-content: space-between;">
-        <span>Service Fee:</span>
-        <span>€${breakdown.service.toFixed(2)}</span>
+        <span>${t('breakdownService')}</span>
+        <span>${formatCents(breakdown.service)}</span>
       </div>
       <div style="display: flex; justify-content: space-between;">
-        <span>Discount:</span>
-        <span>€${breakdown.discount.toFixed(2)}</span>
+        <span>${t('breakdownDiscount')}</span>
+        <span>${formatCents(breakdown.discount)}</span>
       </div>
       <div style="display: flex; justify-content: space-between; font-weight: 600; border-top: 1px solid #dee2e6; padding-top: 4px; margin-top: 4px;">
-        <span>Order Total:</span>
-        <span>€${breakdown.grandTotal.toFixed(2)}</span>
+        <span>${t('breakdownOrderTotal')}</span>
+        <span>${formatCents(breakdown.grandTotal)}</span>
       </div>
       <div style="display: flex; justify-content: space-between; margin-top: 8px; padding-top: 4px; border-top: 1px solid #e9ecef;">
-        <span>Company Budget (${breakdown.participantCount} people):</span>
-        <span>€${breakdown.totalBudget.toFixed(2)}</span>
+        <span>${t('breakdownCompanyBudget', breakdown.participantCount)}</span>
+        <span>${formatCents(breakdown.totalBudget)}</span>
       </div>
       <div style="display: flex; justify-content: space-between; font-weight: 600; color: ${isOverBudget ? '#dc3545' : '#28a745'};">
-        <span>${isOverBudget ? '💸 Amount Over Budget:' : '✅ Amount Under Budget:'}</span>
-        <span>€${budgetDifference.toFixed(2)}</span>
+        <span>${t(isOverBudget ? 'breakdownOverBudget' : 'breakdownUnderBudget')}</span>
+        <span>${formatCents(budgetDifference)}</span>
       </div>
-      ${isOverBudget ? `
+      ${roundingHTML}
+      ${isOverBudget ? html`
         <div style="margin-top: 8px; padding: 8px; background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 4px; font-size: 11px;">
-          <strong>Payment Logic:</strong> The €${budgetDifference.toFixed(2)} excess is split proportionally among participants based on their order amounts.
+          <strong>${t('breakdownPaymentLogicTitle')}</strong> ${t('breakdownPaymentLogic', formatCents(budgetDifference), breakdown.strategyLabel)} ${breakdown.strategyDescription}
         </div>
-      ` : `
+      ` : html`
         <div style="margin-top: 8px; padding: 8px; background-color: #d4edda; border: 1px solid #c3e6cb; border-radius: 4px; font-size: 11px;">
-          <strong>Great news!</strong> This order is fully covered by the company budget. No personal payments needed.
+          <strong>${t('breakdownGreatNewsTitle')}</strong> ${t('breakdownGreatNews')}
         </div>
       `}
-    `;
+    `);
+
+    return section;
+  }
+
+  /**
+   * Create the warning shown above low-confidence results
+   */
+  function createParseWarning(parseReport) {
+    const warning = document.createElement('div');
+    warning.className = 'parse-warning';
+
+    const title = document.createElement('strong');
+    title.textContent = t('parseWarningTitle');
+    warning.appendChild(title);
+
+    const list = document.createElement('ul');
+    parseReport.warnings.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    warning.appendChild(list);
+
+    const hint = document.createElement('div');
+    hint.textContent = t('parseWarningHint');
+    warning.appendChild(hint);
+
+    return warning;
+  }
+
+  /**
+   * Create a SEPA transfer QR code for a payer, rendered locally as SVG
+   */
+  function createTransferQrCode(request) {
+    const container = document.createElement('div');
+    container.className = 'transfer-qr';
+
+    try {
+      const qr = QrCode.encode(request.epcPayload, { errorCorrection: 'M' });
+      const margin = 4;
+      const viewSize = qr.size + margin * 2;
+
+      const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${viewSize} ${viewSize}`);
+      svg.setAttribute('width', '160');
+      svg.setAttribute('height', '160');
+      svg.setAttribute('shape-rendering', 'crispEdges');
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', t('transferQrLabel', request.name));
+
+      const background = document.createElementNS(SVG_NAMESPACE, 'rect');
+      background.setAttribute('width', String(viewSize));
+      background.setAttribute('height', String(viewSize));
+      background.setAttribute('fill', '#ffffff');
+
+      const modules = document.createElementNS(SVG_NAMESPACE, 'path');
+      modules.setAttribute('d', QrCode.toSvgPath(qr, margin));
+      modules.setAttribute('fill', '#000000');
+
+      svg.appendChild(background);
+      svg.appendChild(modules);
+      container.appendChild(svg);
+
+      const caption = document.createElement('div');
+      caption.className = 'transfer-qr-caption';
+      caption.textContent = t('transferQrCaption', formatCents(request.amount));
+      container.appendChild(caption);
+    } catch (error) {
+      console.warn('Failed to create transfer QR code:', error);
+      container.textContent = t('transferQrUnavailable', error.message);
+    }
+
+    return container;
+  }
+
+  /**
+   * Text of the message template picked in the modal, or of the default template from the settings
+   */
+  function getTemplateText() {
+    return MessageTemplates.getTemplate(currentSettings.messageTemplates,
+      selectedTemplateId || currentSettings.messageTemplate).text;
+  }
+
+  /**
+   * Create the dropdown choosing the message template of the payment requests
+   */
+  function createTemplateSelector(onChange) {
+    const container = document.createElement('label');
+    container.className = 'template-selector';
+    container.textContent = `${t('templateSelectorLabel')} `;
+
+    const select = document.createElement('select');
+    MessageTemplates.listTemplates(currentSettings.messageTemplates).forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      select.appendChild(option);
+    });
+    select.value = MessageTemplates.getTemplate(currentSettings.messageTemplates,
+      selectedTemplateId || currentSettings.messageTemplate).id;
+    select.addEventListener('change', () => {
+      selectedTemplateId = select.value;
+      onChange();
+    });
+
+    container.appendChild(select);
+    return container;
+  }
+
+  /**
+   * Create the button copying a payer's own payment request
+   */
+  function createCopyRequestButton(request) {
+    const button = document.createElement('button');
+    button.className = 'copy-request-button';
+    button.textContent = t('copyRequest');
+    button.addEventListener('click', async () => {
+      const copied = await copyToClipboard(request.message);
+      button.textContent = t(copied ? 'copyDone' : 'copyFailed');
+      button.classList.toggle('copied', copied);
+      setTimeout(() => {
+        button.textContent = t('copyRequest');
+        button.classList.remove('copied');
+      }, 2000);
+    });
+    return button;
+  }
+
+  /**
+   * Create the buttons downloading the split as Splitwise CSV or JSON and
+   * opening the expense report of the order
+   */
+  function createExportActions(results, breakdown, options) {
+    const actions = document.createElement('div');
+    actions.className = 'export-actions';
+    actions.title = t('exportTitle');
+
+    [['csv', t('exportCsv')], ['json', t('exportJson')]].forEach(([format, label]) => {
+      const button = document.createElement('button');
+      button.className = 'correct-button';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        try {
+          OrderExport.downloadFile(OrderExport.createExportFile(format, results, breakdown, options));
+        } catch (error) {
+          console.error('Export failed:', error);
+          button.textContent = t('exportFailed', error.message);
+        }
+      });
+      actions.appendChild(button);
+    });
+
+    // The report page reads the order from the payment ledger it was recorded in
+    const reportButton = document.createElement('button');
+    reportButton.className = 'correct-button';
+    reportButton.textContent = t('reportOpenOrder');
+    reportButton.addEventListener('click', async () => {
+      try {
+        const response = await sendMessage({ type: 'OPEN_EXPENSE_REPORT', orderKey: getOrderKey() });
+        if (!response || !response.success) {
+          throw new Error(response?.error || t('reportOpenFailed'));
+        }
+      } catch (error) {
+        console.error('Failed to open the expense report:', error);
+        reportButton.textContent = t('reportOpenFailed');
+      }
+    });
+    actions.appendChild(reportButton);
+
+    return actions;
+  }
+
+  /**
+   * Copy text to the clipboard, falling back to a selection copy on pages
+   * where the asynchronous clipboard API is unavailable
+   */
+  async function copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied;
+    }
+  }
+
+  /**
+   * Create the section explaining a difference between the calculation and the page total
+   */
+  function createReconciliationSection(reconciliation) {
+    const section = document.createElement('div');
+    section.className = `reconciliation${reconciliation.acknowledged ? ' acknowledged' : ''}`;
+
+    const title = document.createElement('strong');
+    title.textContent = reconciliation.acknowledged
+      ? t('reconciliationAcknowledged')
+      : t('reconciliationMismatch');
+    section.appendChild(title);
+
+    [
+      [t('reconciliationSubtotal'), reconciliation.parsedSubtotal, reconciliation.pageSubtotal, reconciliation.subtotalDifference],
+      [t('reconciliationTotal'), reconciliation.parsedTotal, reconciliation.pageTotal, reconciliation.totalDifference]
+    ].forEach(([label, parsed, page, difference]) => {
+      if (page === null) {
+        return;
+      }
+      const row = document.createElement('div');
+      row.className = 'reconciliation-row';
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = `${label}:`;
+      const valueSpan = document.createElement('span');
+      valueSpan.textContent = difference === 0
+        ? t('reconciliationMatches', formatCents(parsed))
+        : t('reconciliationDiffers', formatCents(parsed), formatCents(page));
+      row.appendChild(labelSpan);
+      row.appendChild(valueSpan);
+      section.appendChild(row);
+    });
+
+    const list = document.createElement('ul');
+    reconciliation.causes.forEach(cause => {
+      const item = document.createElement('li');
+      item.textContent = cause.message;
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    if (!reconciliation.acknowledged) {
+      const hint = document.createElement('div');
+      hint.textContent = t('reconciliationHint');
+      section.appendChild(hint);
+
+      const acknowledgeButton = document.createElement('button');
+      acknowledgeButton.className = 'acknowledge-button';
+      acknowledgeButton.textContent = t('reconciliationAcknowledge');
+      acknowledgeButton.addEventListener('click', () => {
+        acknowledgeDiscrepancy().catch(error => displayError(error.message));
+      });
+      section.appendChild(acknowledgeButton);
+    }
+
+    return section;
+  }
+
+  /**
+   * Create parse diagnostics section
+   */
+  function createParseReportSection(parseReport) {
+    const section = document.createElement('div');
+    section.className = `parse-report confidence-${parseReport.confidence}`;
+
+    const title = document.createElement('div');
+    title.className = 'parse-report-title';
+    title.textContent = t('parseReportTitle');
+    section.appendChild(title);
+
+    SiteAdapters.describeParseReport(parseReport).forEach(({ label, value }) => {
+      const row = document.createElement('div');
+      row.className = 'parse-report-row';
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = `${label}:`;
+      const valueSpan = document.createElement('span');
+      valueSpan.textContent = value;
+      row.appendChild(labelSpan);
+      row.appendChild(valueSpan);
+      section.appendChild(row);
+    });
+
+    // Low confidence warnings are already listed at the top
+    if (parseReport.confidence !== 'low') {
+      parseReport.warnings.forEach(message => {
+        const row = document.createElement('div');
+        row.className = 'parse-report-warning';
+        row.textContent = `⚠️ ${message}`;
+        section.appendChild(row);
+      });
+    }
 
     return section;
   }
@@ -1325,11 +1573,11 @@
 
     const title = document.createElement('h2');
     title.className = 'modal-title';
-    title.textContent = '❌ Calculation Error';
+    title.textContent = t('errorModalTitle');
 
     const closeButton = document.createElement('button');
     closeButton.className = 'modal-close';
-    closeButton.innerHTML = '×';
+    closeButton.textContent = '×';
     closeButton.addEventListener('click', () => {
       backdrop.remove();
     });
@@ -1344,14 +1592,17 @@
     modalContent.style.textAlign = 'center';
     modalContent.style.padding = '30px';
 
-    modalContent.innerHTML = `
+    render(modalContent, html`
       <div style="background: #f8d7da; color: #721c24; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #f5c6cb;">
         ${message}
       </div>
-      <button style="background: #dc3545; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;" onclick="this.closest('#group-order-modal-backdrop').remove()">
-        Close
+      <button style="background: #dc3545; color: white; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer; font-size: 14px;">
+        ${t('modalClose')}
       </button>
-    `;
+    `);
+    modalContent.querySelector('button').addEventListener('click', () => {
+      backdrop.remove();
+    });
 
     wrapper.appendChild(modalContent);
     backdrop.appendChild(wrapper);
@@ -1387,9 +1638,322 @@
 
 
 
+
+  /**
+   * Display the manual correction editor for the parsed order
+   * Every change is recorded as a correction operation and replayed on the
+   * parsed order, so the same corrections can be re-applied on later visits.
+   */
+  function displayCorrectionEditor() {
+    if (!parsedOrderData) {
+      return;
+    }
+
+    const draft = {
+      operations: [...((orderCorrections && orderCorrections.operations) || [])],
+      fees: { ...((orderCorrections && orderCorrections.fees) || {}) },
+      acknowledgedDiscrepancy: (orderCorrections && orderCorrections.acknowledgedDiscrepancy) || null
+    };
+    renderCorrectionEditor(draft);
+  }
+
+  /**
+   * Render the correction editor for a draft of corrections
+   */
+  function renderCorrectionEditor(draft) {
+    const order = GroupOrderCalculator.applyCorrections(parsedOrderData, draft);
+    const participantNames = order.participants.map(participant => participant.name);
+
+    // Record an operation and show its effect immediately
+    const addOperation = (operation) => {
+      draft.operations.push(operation);
+      renderCorrectionEditor(draft);
+    };
+
+    // Remove existing modal
+    const existingBackdrop = document.getElementById('group-order-modal-backdrop');
+    if (existingBackdrop) {
+      existingBackdrop.remove();
+    }
+
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.id = 'group-order-modal-backdrop';
+    backdrop.dataset.view = 'editor';
+
+    const wrapper = createDisplayWrapper();
+
+    // Create modal header
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const title = document.createElement('h2');
+    title.className = 'modal-title';
+    title.textContent = t('modalReviewCorrect');
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'modal-close';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', t('modalClose'));
+    closeButton.addEventListener('click', () => {
+      backdrop.remove();
+    });
+
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    wrapper.appendChild(header);
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content correction-editor';
+
+    const intro = document.createElement('p');
+    intro.className = 'correction-intro';
+    intro.textContent = t('editorIntro', draft.operations.length) +
+      (order.skippedCorrections > 0 ? ` • ${t('editorIntroSkipped', order.skippedCorrections)}` : '') +
+      `. ${t('editorIntroRemembered')}`;
+    modalContent.appendChild(intro);
+
+    // Participants with rename, merge, delete and item reassignment
+    order.participants.forEach(participant => {
+      const card = document.createElement('div');
+      card.className = 'correction-participant';
+
+      const controls = document.createElement('div');
+      controls.className = 'correction-controls';
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.maxLength = MAX_CORRECTION_NAME_LENGTH;
+      nameInput.value = participant.name;
+      nameInput.setAttribute('aria-label', t('editorParticipantName'));
+      nameInput.addEventListener('change', () => {
+        const newName = nameInput.value.trim();
+        if (newName && newName !== participant.name) {
+          addOperation({ type: 'rename', from: participant.name, to: newName });
+        } else {
+          nameInput.value = participant.name;
+        }
+      });
+
+      const mergeSelect = createParticipantSelect(
+        t('editorMergeInto'),
+        participantNames.filter(name => name !== participant.name)
+      );
+      mergeSelect.addEventListener('change', () => {
+        addOperation({ type: 'merge', from: participant.name, into: mergeSelect.value });
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'correction-delete';
+      deleteButton.textContent = '🗑';
+      deleteButton.title = t('editorRemoveParticipant');
+      deleteButton.addEventListener('click', () => {
+        addOperation({ type: 'delete', name: participant.name });
+      });
+
+      controls.appendChild(nameInput);
+      controls.appendChild(mergeSelect);
+      controls.appendChild(deleteButton);
+      card.appendChild(controls);
+
+      participant.items.forEach(item => {
+        const itemRow = document.createElement('div');
+        itemRow.className = 'correction-item';
+
+        const itemLabel = document.createElement('span');
+        itemLabel.textContent = `${GroupOrderCalculator.describeItem(item)} • ${formatCents(item.linePrice)}`;
+
+        const moveSelect = createParticipantSelect(
+          t('editorMoveTo'),
+          participantNames.filter(name => name !== participant.name)
+        );
+        moveSelect.addEventListener('change', () => {
+          addOperation({
+            type: 'reassign',
+            from: participant.name,
+            to: moveSelect.value,
+            item: { name: item.name, linePrice: item.linePrice }
+          });
+        });
+
+        itemRow.appendChild(itemLabel);
+        itemRow.appendChild(moveSelect);
+        card.appendChild(itemRow);
+      });
+
+      modalContent.appendChild(card);
+    });
+
+    // Add a missing item, optionally for a new participant
+    const addSection = document.createElement('div');
+    addSection.className = 'correction-section';
+
+    const addTitle = document.createElement('div');
+    addTitle.className = 'correction-section-title';
+    addTitle.textContent = t('editorAddItem');
+    addSection.appendChild(addTitle);
+
+    const addControls = document.createElement('div');
+    addControls.className = 'correction-controls';
+
+    const datalist = document.createElement('datalist');
+    datalist.id = 'group-order-participant-names';
+    participantNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      datalist.appendChild(option);
+    });
+
+    const personInput = createCorrectionInput('text', t('editorParticipant'));
+    personInput.setAttribute('list', datalist.id);
+    personInput.maxLength = MAX_CORRECTION_NAME_LENGTH;
+    const itemInput = createCorrectionInput('text', t('editorItem'));
+    itemInput.maxLength = MAX_CORRECTION_ITEM_LENGTH;
+    const quantityInput = createCorrectionInput('number', t('editorQuantity'));
+    quantityInput.min = '1';
+    quantityInput.max = String(MAX_CORRECTION_QUANTITY);
+    quantityInput.step = '1';
+    quantityInput.value = '1';
+    const priceInput = createCorrectionInput('number', t('editorPrice'));
+    priceInput.min = '0';
+    priceInput.step = '0.01';
+
+    const addButton = document.createElement('button');
+    addButton.className = 'correction-add';
+    addButton.textContent = t('editorAdd');
+    addButton.addEventListener('click', () => {
+      const linePrice = parsePriceToCents(priceInput.value);
+      // An empty quantity means one; anything else must be a whole number from 1
+      const quantity = quantityInput.value.trim() === '' ? 1 : Number(quantityInput.value);
+      if (!personInput.value.trim() || !itemInput.value.trim() || linePrice === null || linePrice < 0) {
+        addButton.textContent = t('editorFillInAll');
+        return;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CORRECTION_QUANTITY) {
+        addButton.textContent = t('editorInvalidQuantity', MAX_CORRECTION_QUANTITY);
+        return;
+      }
+      addOperation({
+        type: 'add_item',
+        participant: personInput.value.trim(),
+        item: { name: itemInput.value.trim(), quantity, linePrice }
+      });
+    });
+
+    addControls.appendChild(datalist);
+    addControls.appendChild(personInput);
+    addControls.appendChild(itemInput);
+    addControls.appendChild(quantityInput);
+    addControls.appendChild(priceInput);
+    addControls.appendChild(addButton);
+    addSection.appendChild(addControls);
+    modalContent.appendChild(addSection);
+
+    // Fee overrides, stored only when they differ from the parsed fees
+    const feeSection = document.createElement('div');
+    feeSection.className = 'correction-section';
+
+    const feeTitle = document.createElement('div');
+    feeTitle.className = 'correction-section-title';
+    feeTitle.textContent = t('editorFees');
+    feeSection.appendChild(feeTitle);
+
+    const feeControls = document.createElement('div');
+    feeControls.className = 'correction-controls';
+
+    [['delivery', t('feeDelivery')], ['service', t('feeService')], ['discount', t('feeDiscount')]].forEach(([key, label]) => {
+      const feeLabel = document.createElement('label');
+      feeLabel.textContent = label;
+
+      const feeInput = createCorrectionInput('number', label);
+      feeInput.step = '0.01';
+      feeInput.value = (order[key] / 100).toFixed(2);
+      feeInput.addEventListener('change', () => {
+        const cents = parsePriceToCents(feeInput.value);
+        if (cents === null || cents === parsedOrderData[key]) {
+          delete draft.fees[key];
+        } else {
+          draft.fees[key] = cents;
+        }
+      });
+
+      feeLabel.appendChild(feeInput);
+      feeControls.appendChild(feeLabel);
+    });
+
+    feeSection.appendChild(feeControls);
+    modalContent.appendChild(feeSection);
+
+    // Actions
+    const applyButton = document.createElement('button');
+    applyButton.className = 'recalculate-button';
+    applyButton.textContent = t('editorApply');
+    applyButton.addEventListener('click', () => {
+      applyAndSaveCorrections(draft);
+    });
+    modalContent.appendChild(applyButton);
+
+    if (orderCorrections || draft.operations.length > 0) {
+      const discardButton = document.createElement('button');
+      discardButton.className = 'correct-button';
+      discardButton.textContent = t('editorDiscard');
+      discardButton.addEventListener('click', () => {
+        applyAndSaveCorrections(null);
+      });
+      modalContent.appendChild(discardButton);
+    }
+
+    wrapper.appendChild(modalContent);
+    backdrop.appendChild(wrapper);
+
+    // Add backdrop click to close
+    backdrop.addEventListener('click', (e) => {
+      if (e.target === backdrop) {
+        backdrop.remove();
+      }
+    });
+
+    document.body.appendChild(backdrop);
+  }
+
+  /**
+   * Create a select listing participants with a placeholder option
+   */
+  function createParticipantSelect(placeholder, names) {
+    const select = document.createElement('select');
+    select.disabled = names.length === 0;
+
+    const placeholderOption = document.createElement('option');
+    placeholderOption.value = '';
+    placeholderOption.textContent = placeholder;
+    placeholderOption.disabled = true;
+    placeholderOption.selected = true;
+    select.appendChild(placeholderOption);
+
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+
+    return select;
+  }
+
+  /**
+   * Create an input for the correction editor
+   */
+  function createCorrectionInput(type, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    return input;
+  }
 
   /**
    * Send message to background script with timeout and retry logic
+   * Failed requests resolve with the error response, which carries a code from MessageProtocol.ERROR_CODES
    */
   function sendMessage(message, timeout = 5000, retries = 2) {
     return new Promise((resolve, reject) => {
@@ -1403,7 +1967,7 @@
         }, timeout);
 
         try {
-          chrome.runtime.sendMessage(message, (response) => {
+          chrome.runtime.sendMessage(MessageProtocol.createMessage(message), (response) => {
             clearTimeout(timeoutId);
 
             if (chrome.runtime.lastError) {
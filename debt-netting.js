@@ -0,0 +1,250 @@
+/**
+ * Debt netting for Group Order Splitter
+ *
+ * Different colleagues create the group order on different days, so debts
+ * run both ways. This module turns the open payments in the payment ledger
+ * into who-owes-whom records per order, nets them into one balance per pair
+ * of colleagues and proposes transfers that settle everyone, the fewest
+ * possible for the group sizes that order lunch together.
+ */
+(function (root) {
+  'use strict';
+
+  const GroupOrderCalculator = root.GroupOrderCalculator ||
+    (typeof require === 'function' ? require('./calculator.js') : null);
+  const PaymentLedger = root.PaymentLedger ||
+    (typeof require === 'function' ? require('./payment-ledger.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { formatCents } = GroupOrderCalculator;
+  const { t } = I18n;
+
+  // How order pages refer to the person viewing them
+  const SELF_NAMES = ['you', 'me', 'myself', 'jij', 'ik', 'du', 'ich', 'vous', 'moi'];
+
+  // Most colleagues with a balance for which the fewest transfers are searched exhaustively
+  const EXACT_SETTLEMENT_LIMIT = 12;
+
+  /**
+   * Key identifying a colleague across orders (case- and whitespace-insensitive)
+   */
+  function toPersonKey(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Resolve how a name appears on an order to the name used for netting
+   * "You" on the user's own orders is the same person as their name on colleagues' orders.
+   */
+  function resolvePerson(name, selfName) {
+    const trimmed = name.trim();
+    return selfName && SELF_NAMES.includes(toPersonKey(trimmed)) ? selfName.trim() : trimmed;
+  }
+
+  /**
+   * Who owes whom for one ledger order, based on what is still outstanding
+   *
+   * @param {Object} order - Payment ledger entry
+   * @param {Object} options - { selfName: the user's name as colleagues see it }
+   * @returns {Array} [{ from, to, amount }]; empty when the order creator is unknown
+   */
+  function getOrderDebts(order, options = {}) {
+    if (!order.orderCreator) {
+      return [];
+    }
+
+    const creditor = resolvePerson(order.orderCreator, options.selfName);
+    return PaymentLedger.getOpenPayers(order)
+      .map(payer => ({ from: resolvePerson(payer.name, options.selfName), to: creditor, amount: payer.outstanding }))
+      .filter(debt => toPersonKey(debt.from) !== toPersonKey(debt.to));
+  }
+
+  /**
+   * Net the open debts of all ledger orders
+   *
+   * @param {Object} ledger - Payment ledger entries by order key
+   * @param {Object} options - { selfName }
+   * @returns {Object} { debts: [{ from, to, amount }] netted per pair of colleagues,
+   *   balances: [{ name, balance }] positive for money to receive, orderCount, skippedOrders }
+   */
+  function computeNetBalances(ledger, options = {}) {
+    // Names are shown as first seen, the user's own name as configured
+    const names = new Map(options.selfName ? [[toPersonKey(options.selfName), options.selfName.trim()]] : []);
+    const owed = new Map(); // "from\u0000to" -> cents
+    let orderCount = 0;
+    let skippedOrders = 0;
+
+    PaymentLedger.listOrders(ledger).forEach(order => {
+      if (PaymentLedger.getOrderOutstanding(order) === 0) {
+        return;
+      }
+      if (!order.orderCreator) {
+        skippedOrders++;
+        return;
+      }
+
+      orderCount++;
+      getOrderDebts(order, options).forEach(({ from, to, amount }) => {
+        const fromKey = toPersonKey(from);
+        const toKey = toPersonKey(to);
+        names.set(fromKey, names.get(fromKey) || from);
+        names.set(toKey, names.get(toKey) || to);
+        const pair = `${fromKey}\u0000${toKey}`;
+        owed.set(pair, (owed.get(pair) || 0) + amount);
+      });
+    });
+
+    // Debts in opposite directions between the same two colleagues cancel out
+    const debts = [];
+    const balances = new Map(Array.from(names.keys(), key => [key, 0]));
+    owed.forEach((amount, pair) => {
+      const [fromKey, toKey] = pair.split('\u0000');
+      const net = amount - (owed.get(`${toKey}\u0000${fromKey}`) || 0);
+      if (net > 0) {
+        debts.push({ from: names.get(fromKey), to: names.get(toKey), amount: net });
+        balances.set(fromKey, balances.get(fromKey) - net);
+        balances.set(toKey, balances.get(toKey) + net);
+      }
+    });
+
+    return {
+      debts: debts.sort((a, b) => b.amount - a.amount),
+      balances: Array.from(balances, ([key, balance]) => ({ name: names.get(key), balance }))
+        .sort((a, b) => b.balance - a.balance || a.name.localeCompare(b.name)),
+      orderCount,
+      skippedOrders
+    };
+  }
+
+  /**
+   * Settle one group of balances, largest debt to largest credit
+   * Debtors and creditors with exactly matching amounts are paired first.
+   * Every transfer clears at least one balance, so this needs at most one
+   * transfer less than there are colleagues in the group.
+   */
+  function settleGreedily(entries) {
+    const debtors = entries.filter(entry => entry.balance < 0)
+      .map(entry => ({ name: entry.name, amount: -entry.balance }));
+    const creditors = entries.filter(entry => entry.balance > 0)
+      .map(entry => ({ name: entry.name, amount: entry.balance }));
+    const transfers = [];
+
+    debtors.forEach(debtor => {
+      const match = creditors.find(creditor => creditor.amount === debtor.amount);
+      if (match) {
+        transfers.push({ from: debtor.name, to: match.name, amount: debtor.amount });
+        debtor.amount = 0;
+        match.amount = 0;
+      }
+    });
+
+    const byAmount = (a, b) => b.amount - a.amount || a.name.localeCompare(b.name);
+    let debtor;
+    let creditor;
+    while ((debtor = debtors.filter(entry => entry.amount > 0).sort(byAmount)[0]) &&
+      (creditor = creditors.filter(entry => entry.amount > 0).sort(byAmount)[0])) {
+      const amount = Math.min(debtor.amount, creditor.amount);
+      transfers.push({ from: debtor.name, to: creditor.name, amount });
+      debtor.amount -= amount;
+      creditor.amount -= amount;
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Split balances into as many groups as possible that each add up to zero
+   * A group of n colleagues settles in n - 1 transfers, so the most groups
+   * means the fewest transfers overall. Tries every subset, which is why it
+   * is only used for up to EXACT_SETTLEMENT_LIMIT colleagues.
+   *
+   * @param {Array} entries - [{ name, balance }] with non-zero balances adding up to zero
+   * @returns {Array} Groups of entries
+   */
+  function splitIntoSettledGroups(entries) {
+    const full = (1 << entries.length) - 1;
+    const sums = new Array(full + 1).fill(0);
+    for (let mask = 1; mask <= full; mask++) {
+      const lowest = mask & -mask;
+      sums[mask] = sums[mask ^ lowest] + entries[Math.log2(lowest)].balance;
+    }
+
+    // groups[mask]: most zero-sum groups a zero-sum mask splits into; first[mask]: the group with its lowest member
+    const groups = new Array(full + 1).fill(0);
+    const first = new Array(full + 1).fill(0);
+    for (let mask = 1; mask <= full; mask++) {
+      if (sums[mask] !== 0) {
+        continue;
+      }
+      const lowest = mask & -mask;
+      const rest = mask ^ lowest;
+      groups[mask] = 1;
+      first[mask] = mask;
+      for (let others = rest; others > 0; others = (others - 1) & rest) {
+        const group = others | lowest;
+        if (group !== mask && sums[group] === 0 && groups[mask ^ group] + 1 > groups[mask]) {
+          groups[mask] = groups[mask ^ group] + 1;
+          first[mask] = group;
+        }
+      }
+    }
+
+    const result = [];
+    for (let mask = full; mask > 0; mask ^= first[mask]) {
+      result.push(entries.filter((entry, index) => first[mask] & (1 << index)));
+    }
+    return result;
+  }
+
+  /**
+   * Propose the transfers settling all balances
+   * Up to EXACT_SETTLEMENT_LIMIT colleagues with a balance get the fewest
+   * possible transfers; larger groups are settled greedily, which needs at
+   * most one transfer less than there are colleagues with a balance.
+   *
+   * @param {Array} balances - [{ name, balance }] from computeNetBalances
+   * @returns {Array} [{ from, to, amount }]
+   */
+  function proposeSettlement(balances) {
+    const entries = balances.filter(entry => entry.balance !== 0);
+    const settles = entries.reduce((sum, entry) => sum + entry.balance, 0) === 0;
+    const groups = settles && entries.length <= EXACT_SETTLEMENT_LIMIT ? splitIntoSettledGroups(entries) : [entries];
+    return groups.flatMap(settleGreedily);
+  }
+
+  /**
+   * Build a message listing the transfers that settle everyone
+   *
+   * @param {Array} transfers - From proposeSettlement
+   * @param {number} orderCount - Number of orders the transfers settle
+   * @returns {string} Message text
+   */
+  function createSettlementMessage(transfers, orderCount) {
+    if (transfers.length === 0) {
+      return t('settlementMessageSettled');
+    }
+
+    const lines = [
+      t('settlementMessageTitle'),
+      '',
+      I18n.plural('settlementMessageIntro', orderCount)
+    ];
+    transfers.forEach(transfer => {
+      lines.push(t('settlementMessageLine', transfer.from, transfer.to, formatCents(transfer.amount)));
+    });
+    lines.push('', t('settlementMessageThanks'));
+    return lines.join('\n');
+  }
+
+  const DebtNetting = {
+    getOrderDebts,
+    computeNetBalances,
+    proposeSettlement,
+    createSettlementMessage
+  };
+
+  root.DebtNetting = DebtNetting;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebtNetting;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,249 @@
+/**
+ * Expense reports for Group Order Splitter
+ *
+ * Finance wants proof of what the company paid for group orders. A report
+ * covers one recorded order or all orders of a month from the payment
+ * ledger: per order the restaurant, date and order number, each
+ * participant's reimbursed portion (the company budget they used), the
+ * unused budget of colleagues that covered them and what they paid
+ * privately, the company cost against the company budget and the VAT when
+ * the order page showed it. The report page prints it (or saves it
+ * as PDF) and this module also writes it as CSV.
+ */
+(function (root) {
+  'use strict';
+
+  const OrderExport = root.OrderExport ||
+    (typeof require === 'function' ? require('./order-export.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { toIsoDate, toDecimal, toCsvText } = OrderExport;
+  const { t } = I18n;
+
+  /**
+   * Month of a timestamp as YYYY-MM in local time
+   */
+  function toMonth(timestamp) {
+    return toIsoDate(timestamp).substring(0, 7);
+  }
+
+  /**
+   * Months with recorded orders, newest first
+   *
+   * @param {Object} ledger - Payment ledger entries by order key
+   * @returns {Array} Months as YYYY-MM
+   */
+  function listMonths(ledger) {
+    const months = new Set(Object.values(ledger || {}).map(order => toMonth(order.date)));
+    return Array.from(months).sort().reverse();
+  }
+
+  /**
+   * Add up VAT amounts per rate
+   *
+   * @param {Array} vatLists - Lists of [{ rate, amount }]
+   * @returns {Array} [{ rate, amount }] by ascending rate, unknown rates last
+   */
+  function sumVat(vatLists) {
+    const totals = new Map();
+    vatLists.forEach(vat => (vat || []).forEach(({ rate, amount }) => {
+      totals.set(rate, (totals.get(rate) || 0) + amount);
+    }));
+    return Array.from(totals, ([rate, amount]) => ({ rate, amount }))
+      .sort((a, b) => (a.rate === null) - (b.rate === null) || a.rate - b.rate);
+  }
+
+  /**
+   * Split what the company paid for a participant into their own budget and
+   * colleagues' unused budget
+   * Derived from the cost and the payment rather than the stored budget
+   * fields, so the report adds up under every split strategy and for orders
+   * recorded by earlier versions.
+   *
+   * @param {Object} details - Participant result from a ledger order
+   * @returns {Object} { reimbursed, budgetHelp, paidPrivately } in cents
+   */
+  function splitCompanyPaid(details) {
+    const paidPrivately = details.finalPayment || 0;
+    const companyPaid = (details.totalCost || 0) - paidPrivately;
+    const budgetHelp = Math.max(0, companyPaid - (details.budget || 0));
+    return { reimbursed: companyPaid - budgetHelp, budgetHelp, paidPrivately };
+  }
+
+  /**
+   * Expense figures of one recorded order
+   *
+   * @param {Object} order - Payment ledger entry
+   * @returns {Object} { orderKey, date, restaurant, orderNumber, siteName, orderCreator,
+   *   participants: [{ name, reimbursed, budgetHelp, paidPrivately }], total, totalBudget,
+   *   companyCost, reimbursed, budgetHelp, paidPrivately, vat }; amounts in cents
+   */
+  function createOrderReport(order) {
+    const breakdown = order.breakdown || {};
+    const participants = Object.entries(order.results || {}).map(([name, details]) => ({
+      name,
+      ...splitCompanyPaid(details)
+    }));
+    const sum = field => participants.reduce((total, participant) => total + participant[field], 0);
+
+    return {
+      orderKey: order.orderKey,
+      date: order.date,
+      restaurant: order.restaurant || null,
+      orderNumber: order.orderNumber || null,
+      siteName: order.siteName || null,
+      orderCreator: order.orderCreator || null,
+      participants,
+      total: breakdown.grandTotal || 0,
+      totalBudget: breakdown.totalBudget || 0,
+      companyCost: breakdown.companyCost || 0,
+      reimbursed: sum('reimbursed'),
+      budgetHelp: sum('budgetHelp'),
+      paidPrivately: sum('paidPrivately'),
+      vat: sumVat([order.vat])
+    };
+  }
+
+  /**
+   * Report of a list of ledger orders with the totals over all of them
+   */
+  function createReport(orders, period) {
+    const orderReports = orders
+      .slice()
+      .sort((a, b) => a.date - b.date)
+      .map(createOrderReport);
+    const sum = field => orderReports.reduce((total, order) => total + order[field], 0);
+
+    return {
+      period,
+      orders: orderReports,
+      totals: {
+        total: sum('total'),
+        totalBudget: sum('totalBudget'),
+        companyCost: sum('companyCost'),
+        reimbursed: sum('reimbursed'),
+        budgetHelp: sum('budgetHelp'),
+        paidPrivately: sum('paidPrivately'),
+        vat: sumVat(orderReports.map(order => order.vat))
+      }
+    };
+  }
+
+  /**
+   * Expense report of all recorded orders placed in a month
+   *
+   * @param {Object} ledger - Payment ledger entries by order key
+   * @param {string} month - YYYY-MM
+   * @returns {Object} { period: { month }, orders, totals }
+   */
+  function createMonthlyReport(ledger, month) {
+    const orders = Object.values(ledger || {}).filter(order => toMonth(order.date) === month);
+    return createReport(orders, { month, orderKey: null });
+  }
+
+  /**
+   * Expense report of one recorded order
+   *
+   * @param {Object} order - Payment ledger entry
+   * @returns {Object} { period: { orderKey }, orders, totals }
+   */
+  function createSingleOrderReport(order) {
+    return createReport([order], { month: null, orderKey: order.orderKey });
+  }
+
+  /**
+   * Describe VAT amounts as "9%: 1.23; 21%: 0.40"
+   */
+  function describeVat(vat) {
+    return vat
+      .map(({ rate, amount }) => `${rate === null ? t('reportColumnVat') : `${rate}%`}: ${toDecimal(amount)}`)
+      .join('; ');
+  }
+
+  /**
+   * CSV columns of an order or report total, from the participant column on
+   */
+  function createTotalColumns(label, totals) {
+    return [
+      toCsvText(label),
+      toDecimal(totals.reimbursed),
+      toDecimal(totals.budgetHelp),
+      toDecimal(totals.paidPrivately),
+      toDecimal(totals.total),
+      toDecimal(totals.totalBudget),
+      toDecimal(totals.companyCost),
+      toCsvText(describeVat(totals.vat))
+    ];
+  }
+
+  /**
+   * Write a report as CSV: a row per participant, a total row per order and
+   * a total row for the whole report
+   *
+   * @param {Object} report - From createMonthlyReport or createSingleOrderReport
+   * @returns {string} CSV text
+   */
+  function createReportCsv(report) {
+    const rows = [[
+      t('reportColumnDate'),
+      t('reportColumnOrderNumber'),
+      t('reportColumnRestaurant'),
+      t('reportColumnParticipant'),
+      t('reportColumnReimbursed'),
+      t('reportColumnBudgetHelp'),
+      t('reportColumnPaidPrivately'),
+      t('reportColumnOrderTotal'),
+      t('reportColumnBudget'),
+      t('reportColumnCompanyCost'),
+      t('reportColumnVat')
+    ].map(toCsvText)];
+
+    report.orders.forEach(order => {
+      const orderColumns = [toIsoDate(order.date), toCsvText(order.orderNumber), toCsvText(order.restaurant)];
+      order.participants.forEach(participant => {
+        rows.push(orderColumns.concat([
+          toCsvText(participant.name),
+          toDecimal(participant.reimbursed),
+          toDecimal(participant.budgetHelp),
+          toDecimal(participant.paidPrivately),
+          '', '', '', ''
+        ]));
+      });
+      rows.push(orderColumns.concat(createTotalColumns(t('reportOrderTotal'), order)));
+    });
+    rows.push(['', '', ''].concat(createTotalColumns(t('reportGrandTotal'), report.totals)));
+
+    return rows.map(row => `${row.join(',')}\r\n`).join('');
+  }
+
+  /**
+   * CSV file of a report, e.g. "expense-report-2024-05.csv"
+   *
+   * @returns {Object} { filename, mimeType, content } for OrderExport.downloadFile
+   */
+  function createReportFile(report) {
+    const period = report.period.month ||
+      (report.orders.length > 0 ? toIsoDate(report.orders[0].date) : toIsoDate(Date.now()));
+    return {
+      filename: `expense-report-${period}.csv`,
+      mimeType: 'text/csv;charset=utf-8',
+      content: createReportCsv(report)
+    };
+  }
+
+  const ExpenseReport = {
+    toMonth,
+    listMonths,
+    createOrderReport,
+    createMonthlyReport,
+    createSingleOrderReport,
+    createReportCsv,
+    createReportFile,
+    describeVat
+  };
+
+  root.ExpenseReport = ExpenseReport;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpenseReport;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
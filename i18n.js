@@ -0,0 +1,201 @@
+/**
+ * Localization for Group Order Splitter
+ *
+ * User-facing strings live in the _locales message catalogs. chrome.i18n
+ * always follows the browser language, so the catalogs are loaded here as
+ * well to honour the language picked in the settings. Amounts and dates are
+ * formatted the way the active language writes them: "€ 12,50" in Dutch,
+ * "€12.50" in English.
+ */
+(function (root) {
+  'use strict';
+
+  const SUPPORTED_LOCALES = ['en', 'nl'];
+  const DEFAULT_LOCALE = 'en';
+
+  // Intl locales used for amounts and dates
+  const FORMAT_LOCALES = { en: 'en-IE', nl: 'nl-NL' };
+
+  const catalogs = {};
+  const currencyFormats = {};
+  let activeLocale = DEFAULT_LOCALE;
+
+  /**
+   * Pick the language to show: the one chosen in the settings, otherwise the
+   * detected browser or page language when it is supported, otherwise English
+   *
+   * @param {string} preference - 'auto', 'en' or 'nl'
+   * @param {string} detectedLanguage - Language tag such as "nl-NL"
+   * @returns {string} Supported locale
+   */
+  function resolveLocale(preference, detectedLanguage) {
+    if (SUPPORTED_LOCALES.includes(preference)) {
+      return preference;
+    }
+    const language = String(detectedLanguage || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Read a message catalog bundled with the extension
+   */
+  async function readCatalog(locale) {
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+      const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`));
+      if (!response.ok) {
+        throw new Error(`Message catalog for ${locale} could not be loaded`);
+      }
+      return response.json();
+    }
+    return require(`./_locales/${locale}/messages.json`);
+  }
+
+  /**
+   * Make a locale active, loading its catalog and the English fallback first
+   *
+   * @param {string} locale - Supported locale
+   * @param {Function} loadCatalog - Returns a promise of a catalog for a locale;
+   *   content scripts pass one asking the background, as they cannot read extension files
+   * @returns {Promise<string>} The active locale
+   */
+  async function load(locale, loadCatalog = readCatalog) {
+    const target = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+    for (const needed of new Set([DEFAULT_LOCALE, target])) {
+      if (!catalogs[needed]) {
+        const catalog = await loadCatalog(needed);
+        if (!catalog || typeof catalog !== 'object') {
+          throw new Error(`Message catalog for ${needed} is empty`);
+        }
+        catalogs[needed] = catalog;
+      }
+    }
+    activeLocale = target;
+    return activeLocale;
+  }
+
+  /**
+   * Use a catalog that is already available, e.g. in tests
+   */
+  function setCatalog(locale, messages) {
+    catalogs[locale] = messages;
+  }
+
+  /**
+   * Currently active locale
+   */
+  function getLocale() {
+    return activeLocale;
+  }
+
+  /**
+   * Translate a message, filling in $1…$9 with the substitutions
+   * Before any catalog is loaded chrome.i18n answers in the browser language.
+   *
+   * @param {string} key - Message name in the catalogs
+   * @param {...*} substitutions - Values for $1, $2, …
+   * @returns {string} Translated text, or the key when the message is unknown
+   */
+  function t(key, ...substitutions) {
+    const entry = (catalogs[activeLocale] && catalogs[activeLocale][key]) ||
+      (catalogs[DEFAULT_LOCALE] && catalogs[DEFAULT_LOCALE][key]);
+
+    if (!entry) {
+      if (typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getMessage) {
+        return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+      }
+      return key;
+    }
+
+    return entry.message.replace(/\$(\d|\$)/g, (match, index) => {
+      if (index === '$') {
+        return '$';
+      }
+      const value = substitutions[Number(index) - 1];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Translate a message with a singular and a plural form, named keyOne and keyOther
+   * The count is the first substitution.
+   */
+  function plural(key, count, ...substitutions) {
+    return t(`${key}${count === 1 ? 'One' : 'Other'}`, count, ...substitutions);
+  }
+
+  /**
+   * Format integer cents as euros in the active language
+   */
+  function formatCents(cents) {
+    const value = typeof cents === 'number' && !isNaN(cents) ? cents : 0;
+    if (!currencyFormats[activeLocale]) {
+      currencyFormats[activeLocale] = new Intl.NumberFormat(FORMAT_LOCALES[activeLocale], {
+        style: 'currency',
+        currency: 'EUR'
+      });
+    }
+    return currencyFormats[activeLocale].format(value / 100);
+  }
+
+  /**
+   * Format a timestamp as a date in the active language
+   */
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(FORMAT_LOCALES[activeLocale]);
+  }
+
+  /**
+   * Format a timestamp as month and year in the active language, e.g. "May 2024"
+   */
+  function formatMonth(timestamp) {
+    return new Date(timestamp).toLocaleDateString(FORMAT_LOCALES[activeLocale], { month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Translate the static text of a page
+   * Elements name their message in data-i18n (text), data-i18n-placeholder,
+   * data-i18n-title or data-i18n-aria-label.
+   */
+  function localizeDocument(doc) {
+    doc.documentElement.lang = activeLocale;
+    doc.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    doc.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    doc.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = t(element.dataset.i18nTitle);
+    });
+    doc.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+  }
+
+  // Node (tests and tools) reads the English catalog straight away
+  if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+    catalogs[DEFAULT_LOCALE] = require(`./_locales/${DEFAULT_LOCALE}/messages.json`);
+  }
+
+  const I18n = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    load,
+    readCatalog,
+    setCatalog,
+    getLocale,
+    t,
+    plural,
+    formatCents,
+    formatDate,
+    formatMonth,
+    localizeDocument
+  };
+
+  root.I18n = I18n;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,572 @@
+/**
+ * Message protocol for Group Order Splitter
+ *
+ * Every message between the background script, the content scripts and the
+ * extension pages (popup and expense report) is described in MESSAGES: which
+ * context receives it, which contexts may send it and the fields it carries.
+ * Receivers check each incoming message with validateMessage before acting on
+ * it, and failed requests answer with one of the ERROR_CODES:
+ *
+ *   { success: false, code: 'LOCKED', error: 'Payment data is locked with a passphrase' }
+ *
+ * Messages carry PROTOCOL_VERSION. After an update, a content script injected
+ * by the previous version can still be running in an open order page; its
+ * messages, and the popup's messages to it, are then refused with
+ * PROTOCOL_MISMATCH, so the popup can ask for the page to be reloaded.
+ *
+ * The schema checks structure, types and ranges. Checks that need the other
+ * modules, such as IBAN check digits or known split strategies, stay with the
+ * background script.
+ */
+(function (root) {
+  'use strict';
+
+  // Raise when a message or one of its fields changes meaning
+  const PROTOCOL_VERSION = 1;
+
+  const ERROR_CODES = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE', // Malformed message or a field outside the schema
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE', // Type not handled by the receiving context
+    FORBIDDEN_SENDER: 'FORBIDDEN_SENDER', // Context not allowed to send the type
+    PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH', // Sent by another version of the extension
+    LOCKED: 'LOCKED', // Payment data is behind the closed passphrase lock
+    UNREADABLE: 'UNREADABLE', // Stored payment data cannot be decrypted and is kept as it is
+    WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_VALUE: 'INVALID_VALUE', // Well-formed value the receiver cannot accept
+    NOT_FOUND: 'NOT_FOUND',
+    STORAGE_FAILED: 'STORAGE_FAILED',
+    NOT_ORDER_PAGE: 'NOT_ORDER_PAGE',
+    PARSE_FAILED: 'PARSE_FAILED',
+    CALCULATION_FAILED: 'CALCULATION_FAILED',
+    INTERNAL: 'INTERNAL'
+  };
+
+  // Extension contexts, told apart by the page a message comes from
+  const CONTEXTS = {
+    background: 'background',
+    popup: 'popup',
+    report: 'report',
+    content: 'content'
+  };
+
+  const EXTENSION_PAGES = {
+    '/background.js': CONTEXTS.background,
+    '/popup.html': CONTEXTS.popup,
+    '/report.html': CONTEXTS.report
+  };
+
+  const ORDER_KEY = { type: 'string', required: true, minLength: 1, maxLength: 500 };
+  const PASSPHRASE = { type: 'string', maxLength: 1000 };
+  const PARTICIPANT_NAME = { type: 'string', minLength: 1, maxLength: 200 };
+  const ITEM_NAME = { type: 'string', required: true, minLength: 1, maxLength: 500 };
+  const CENTS = { type: 'integer', min: -10000000, max: 10000000 };
+
+  // Parsed order as calculateDistribution takes it
+  const ORDER_DATA_FIELDS = {
+    participants: {
+      type: 'array',
+      maxItems: 100,
+      items: {
+        type: 'object',
+        fields: {
+          name: { ...PARTICIPANT_NAME, required: true },
+          items: {
+            type: 'array',
+            maxItems: 200,
+            items: {
+              type: 'object',
+              fields: {
+                name: ITEM_NAME,
+                quantity: { type: 'integer', min: 1, max: 1000 },
+                options: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } },
+                unitPrice: CENTS,
+                linePrice: { ...CENTS, required: true },
+                addedManually: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }
+    },
+    // Subtotal in cents by participant name
+    people: { type: 'object', maxEntries: 100, entries: CENTS },
+    delivery: CENTS,
+    service: CENTS,
+    discount: CENTS
+  };
+
+  // Manual corrections of an order, see GroupOrderCalculator.applyCorrections
+  const CORRECTIONS_FIELDS = {
+    operations: {
+      type: 'array',
+      required: true,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        fields: {
+          type: { type: 'string', required: true, values: ['rename', 'merge', 'delete', 'reassign', 'add_item'] },
+          from: PARTICIPANT_NAME,
+          to: PARTICIPANT_NAME,
+          into: PARTICIPANT_NAME,
+          name: PARTICIPANT_NAME,
+          participant: PARTICIPANT_NAME,
+          item: {
+            type: 'object',
+            fields: {
+              name: ITEM_NAME,
+              quantity: { type: 'integer', min: 1, max: 1000 },
+              linePrice: { ...CENTS, required: true }
+            }
+          }
+        }
+      }
+    },
+    // Fee overrides in cents; fees without an override are left out
+    fees: {
+      type: 'object',
+      required: true,
+      fields: { delivery: CENTS, service: CENTS, discount: CENTS }
+    },
+    acknowledgedDiscrepancy: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        parsedSubtotal: { ...CENTS, nullable: true },
+        parsedTotal: { ...CENTS, nullable: true },
+        pageSubtotal: { ...CENTS, nullable: true },
+        pageTotal: { ...CENTS, nullable: true }
+      }
+    }
+  };
+
+  // Fields the popup may store with UPDATE_SETTINGS; any other key is refused
+  const SETTINGS_FIELDS = {
+    dailyBudget: { type: 'number', min: 0, max: 10000 },
+    splitStrategy: { type: 'string', maxLength: 40 },
+    roster: {
+      type: 'array',
+      maxItems: 200,
+      items: {
+        type: 'object',
+        fields: {
+          name: { type: 'string', required: true, maxLength: 200 },
+          budget: { type: 'number', min: 0, max: 10000, nullable: true },
+          reimbursed: { type: 'boolean' }
+        }
+      }
+    },
+    currency: { type: 'string', values: ['EUR'] },
+    tikkieLink: { type: 'string', maxLength: 2000 },
+    iban: { type: 'string', maxLength: 42 },
+    accountHolder: { type: 'string', maxLength: 70 },
+    // Empty number inputs are sent as null and stored as the default
+    reminderDays: { type: 'integer', min: 0, max: 30, nullable: true },
+    selfName: { type: 'string', maxLength: 70 },
+    messageTemplates: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: 'string', required: true, maxLength: 100 },
+          name: { type: 'string', maxLength: 200 },
+          text: { type: 'string', maxLength: 5000 }
+        }
+      }
+    },
+    messageTemplate: { type: 'string', maxLength: 100 },
+    language: { type: 'string', maxLength: 10 },
+    autoLockMinutes: { type: 'integer', min: 1, max: 480, nullable: true }
+  };
+
+  // Contexts only used by hand, so every message from them is activity for the passphrase auto-lock
+  const USER_CONTEXTS = [CONTEXTS.popup, CONTEXTS.report];
+
+  // Every message type: receiving context, allowed senders and fields besides type and protocol
+  // userAction marks types order pages only send when the user does something there
+  const MESSAGES = {
+    GET_SETTINGS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup, CONTEXTS.report, CONTEXTS.content]
+    },
+    UPDATE_SETTINGS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: { settings: { type: 'object', required: true, fields: SETTINGS_FIELDS } }
+    },
+    CALCULATE_ORDER: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup, CONTEXTS.content],
+      fields: { data: { type: 'object', required: true, fields: ORDER_DATA_FIELDS } }
+    },
+    GET_ORDER_CORRECTIONS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.content],
+      fields: { orderKey: ORDER_KEY }
+    },
+    SAVE_ORDER_CORRECTIONS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.content],
+      userAction: true,
+      fields: {
+        orderKey: ORDER_KEY,
+        // null forgets the corrections of the order
+        corrections: { type: 'object', nullable: true, fields: CORRECTIONS_FIELDS }
+      }
+    },
+    RECORD_ORDER: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.content],
+      fields: {
+        order: {
+          type: 'object',
+          required: true,
+          open: true,
+          fields: {
+            orderKey: ORDER_KEY,
+            results: { type: 'object', required: true, open: true }
+          }
+        }
+      }
+    },
+    GET_LEDGER: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup, CONTEXTS.report]
+    },
+    UPDATE_PAYMENT_STATUS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: {
+        orderKey: ORDER_KEY,
+        name: { type: 'string', required: true, maxLength: 200 },
+        status: { type: 'string', required: true, values: ['unpaid', 'partial', 'paid', 'forgiven'] },
+        paidAmount: { type: 'integer', min: 0 } // Cents, for partial payments
+      }
+    },
+    DELETE_LEDGER_ORDER: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: { orderKey: ORDER_KEY }
+    },
+    OPEN_EXPENSE_REPORT: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup, CONTEXTS.content],
+      userAction: true,
+      fields: {
+        orderKey: { type: 'string', maxLength: 500 },
+        month: { type: 'string', pattern: /^\d{4}-\d{2}$/ }
+      }
+    },
+    GET_LOCK_STATUS: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup]
+    },
+    UNLOCK: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: { passphrase: { ...PASSPHRASE, required: true } }
+    },
+    LOCK: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup]
+    },
+    SET_PASSPHRASE: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: {
+        passphrase: { ...PASSPHRASE, required: true },
+        currentPassphrase: PASSPHRASE
+      }
+    },
+    REMOVE_PASSPHRASE: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.popup],
+      fields: { currentPassphrase: PASSPHRASE }
+    },
+    GET_LOCALE_MESSAGES: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.content],
+      fields: { locale: { type: 'string', required: true, maxLength: 10 } }
+    },
+    LOG_ERROR: {
+      to: CONTEXTS.background,
+      from: [CONTEXTS.content],
+      fields: { error: { type: 'string', maxLength: 2000 } }
+    },
+    TRIGGER_CALCULATION: {
+      to: CONTEXTS.content,
+      from: [CONTEXTS.popup]
+    },
+    OPEN_CORRECTION_EDITOR: {
+      to: CONTEXTS.content,
+      from: [CONTEXTS.popup]
+    },
+    ACKNOWLEDGE_DISCREPANCY: {
+      to: CONTEXTS.content,
+      from: [CONTEXTS.popup]
+    },
+    SETTINGS_UPDATED: {
+      to: CONTEXTS.content,
+      from: [CONTEXTS.background],
+      fields: { settings: { type: 'object', required: true, open: true } }
+    }
+  };
+
+  /**
+   * Create an error carrying one of the ERROR_CODES
+   */
+  function createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Error code of a failed request: its own code, or one derived from the
+   * flags the SecurityManager and SecureStorage set on their errors
+   */
+  function getErrorCode(error, fallbackCode = ERROR_CODES.INTERNAL) {
+    if (error && ERROR_CODES[error.code]) {
+      return error.code;
+    }
+    if (error && error.locked) {
+      return ERROR_CODES.LOCKED;
+    }
+    if (error && error.unreadable) {
+      return ERROR_CODES.UNREADABLE;
+    }
+    if (error && error.rateLimited) {
+      return ERROR_CODES.RATE_LIMITED;
+    }
+    return fallbackCode;
+  }
+
+  /**
+   * Response of a failed request
+   *
+   * @param {Error} error - Failure, preferably with a code from createError
+   * @param {string} fallbackCode - Code for errors without one
+   * @param {string} fallbackMessage - Text for errors without a message
+   * @returns {Object} { success: false, code, error }
+   */
+  function errorResponse(error, fallbackCode = ERROR_CODES.INTERNAL, fallbackMessage = 'Request failed') {
+    return {
+      success: false,
+      code: getErrorCode(error, fallbackCode),
+      error: (error && error.message) || fallbackMessage
+    };
+  }
+
+  /**
+   * Add the protocol version to an outgoing message
+   */
+  function createMessage(message) {
+    return { ...message, protocol: PROTOCOL_VERSION };
+  }
+
+  /**
+   * Context a message comes from, or null for senders outside this extension
+   *
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @param {Object} runtime - chrome.runtime of the receiving context
+   * @returns {string|null} One of CONTEXTS
+   */
+  function getSenderContext(sender, runtime) {
+    if (!sender || sender.id !== runtime.id) {
+      return null;
+    }
+
+    const extensionUrl = runtime.getURL('');
+    if (sender.url && sender.url.startsWith(extensionUrl)) {
+      const page = '/' + sender.url.substring(extensionUrl.length).split(/[?#]/)[0];
+      return EXTENSION_PAGES[page] || null;
+    }
+    if (sender.tab) {
+      return CONTEXTS.content;
+    }
+    // Only the service worker sends without a page
+    return sender.url ? null : CONTEXTS.background;
+  }
+
+  /**
+   * Check a value against a field schema
+   *
+   * @returns {string|null} What is wrong with the value, or null when it fits
+   */
+  function checkValue(value, schema, path) {
+    if (value === null) {
+      return schema.nullable ? null : `${path} must not be null`;
+    }
+
+    switch (schema.type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          return `${path} must be a string`;
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          return `${path} must be at least ${schema.minLength} characters`;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+          return `${path} must be at most ${schema.maxLength} characters`;
+        }
+        if (schema.values && !schema.values.includes(value)) {
+          return `${path} must be one of ${schema.values.join(', ')}`;
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+          return `${path} has an invalid format`;
+        }
+        return null;
+
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return `${path} must be a number`;
+        }
+        if (schema.type === 'integer' && !Number.isInteger(value)) {
+          return `${path} must be a whole number`;
+        }
+        if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+          return `${path} must be between ${schema.min} and ${schema.max}`;
+        }
+        return null;
+
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          return `${path} must be a list`;
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          return `${path} must have at most ${schema.maxItems} entries`;
+        }
+        for (let index = 0; index < value.length; index++) {
+          const problem = checkValue(value[index], schema.items, `${path}[${index}]`);
+          if (problem) {
+            return problem;
+          }
+        }
+        return null;
+
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return `${path} must be an object`;
+        }
+        return schema.entries
+          ? checkEntries(value, schema, path)
+          : checkFields(value, schema.fields || {}, Boolean(schema.open), `${path}.`);
+
+      default:
+        return `${path} has no known type`;
+    }
+  }
+
+  /**
+   * Check an object used as a map, whose keys are names and whose values all fit schema.entries
+   */
+  function checkEntries(object, schema, path) {
+    const entries = Object.entries(object);
+    if (schema.maxEntries !== undefined && entries.length > schema.maxEntries) {
+      return `${path} must have at most ${schema.maxEntries} entries`;
+    }
+    for (const [key, value] of entries) {
+      const problem = checkValue(value, schema.entries, `${path}[${JSON.stringify(key)}]`);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the fields of an object, refusing unknown ones unless it is open
+   */
+  function checkFields(object, fields, open, prefix) {
+    if (!open) {
+      const unknown = Object.keys(object).find(key => !Object.prototype.hasOwnProperty.call(fields, key));
+      if (unknown !== undefined) {
+        return `${prefix}${unknown} is not allowed`;
+      }
+    }
+
+    for (const [key, schema] of Object.entries(fields)) {
+      if (object[key] === undefined) {
+        if (schema.required) {
+          return `${prefix}${key} is required`;
+        }
+        continue;
+      }
+      const problem = checkValue(object[key], schema, `${prefix}${key}`);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check an incoming message against the protocol
+   *
+   * @param {*} message - Message as received
+   * @param {string} receiver - Receiving context, one of CONTEXTS
+   * @param {string|null} sender - Sending context, from getSenderContext
+   * @returns {Error|null} Error with one of the ERROR_CODES, or null when the message may be handled
+   */
+  function validateMessage(message, receiver, sender) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      return createError(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a type');
+    }
+    // Checked first: another version may also use other types and fields
+    if (message.protocol !== PROTOCOL_VERSION) {
+      return createError(ERROR_CODES.PROTOCOL_MISMATCH,
+        `Message protocol ${message.protocol} does not match ${PROTOCOL_VERSION}`);
+    }
+
+    const definition = Object.prototype.hasOwnProperty.call(MESSAGES, message.type) ? MESSAGES[message.type] : null;
+    if (!definition || definition.to !== receiver) {
+      return createError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+    }
+    if (!definition.from.includes(sender)) {
+      return createError(ERROR_CODES.FORBIDDEN_SENDER, `${message.type} may not be sent from ${sender || 'outside the extension'}`);
+    }
+
+    const { type, protocol, ...fields } = message;
+    const problem = checkFields(fields, definition.fields || {}, false, '');
+    return problem ? createError(ERROR_CODES.INVALID_MESSAGE, `${type}: ${problem}`) : null;
+  }
+
+  /**
+   * Whether a valid message shows that someone is using the extension
+   * Order pages also message the background on their own while they are
+   * open, which must not keep the passphrase lock from closing.
+   *
+   * @param {Object} message - Message that passed validateMessage
+   * @param {string} sender - Sending context, from getSenderContext
+   * @returns {boolean}
+   */
+  function isUserActivity(message, sender) {
+    return USER_CONTEXTS.includes(sender) || Boolean(MESSAGES[message.type].userAction);
+  }
+
+  const MessageProtocol = {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    CONTEXTS,
+    MESSAGES,
+    SETTINGS_FIELDS,
+    createError,
+    getErrorCode,
+    errorResponse,
+    createMessage,
+    getSenderContext,
+    validateMessage,
+    isUserActivity
+  };
+
+  root.MessageProtocol = MessageProtocol;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageProtocol;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,326 @@
+/**
+ * Message templates for Group Order Splitter
+ *
+ * Payment requests are rendered from templates so every team can word them
+ * their own way. Templates use {placeholder} values and conditional
+ * sections: {#link}...{/link} is only kept when the link has a value and
+ * {^link}...{/link} only when it is empty. Sections can be nested.
+ */
+(function (root) {
+  'use strict';
+
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { t } = I18n;
+
+  // Values available to templates, with the message explaining them in the editor
+  const PLACEHOLDERS = {
+    name: 'placeholderName',
+    amount: 'placeholderAmount',
+    items: 'placeholderItems',
+    total: 'placeholderTotal',
+    budget: 'placeholderBudget',
+    help: 'placeholderHelp',
+    link: 'placeholderLink',
+    iban: 'placeholderIban',
+    holder: 'placeholderHolder',
+    restaurant: 'placeholderRestaurant',
+    date: 'placeholderDate',
+    creator: 'placeholderCreator'
+  };
+
+  const DEFAULT_TEMPLATE_ID = 'standard';
+
+  // Built-in template used when none is picked, per language
+  const LANGUAGE_TEMPLATES = { en: 'standard', nl: 'dutch' };
+  const MAX_TEMPLATE_LENGTH = 800;
+  const MAX_TEMPLATE_NAME_LENGTH = 40;
+  const MAX_SAVED_TEMPLATES = 8;
+
+  // Built-in templates; their names are shown in the active language
+  const BUILT_IN_TEMPLATES = [
+    {
+      id: 'standard',
+      nameKey: 'templateNameStandard',
+      text: [
+        '💳 Payment request for our group order',
+        '',
+        'Hi {name}, your share comes to {amount}.',
+        '{#items}',
+        'Your order:',
+        '{items}',
+        '{/items}',
+        'Including fees your order came to {total}, of which {budget} is covered by the company budget' +
+          '{#help} and {help} by colleagues\' unused budget{/help}.',
+        '',
+        '{#link}Please pay {amount} via: {link}{/link}' +
+          '{^link}{#iban}Please transfer {amount} to {holder}, IBAN {iban}.{/iban}' +
+          '{^iban}Please transfer {amount}{#creator} to {creator}{/creator}.{/iban}{/link}',
+        '',
+        'Thank you!'
+      ].join('\n')
+    },
+    {
+      id: 'formal',
+      nameKey: 'templateNameFormal',
+      text: [
+        'Dear {name},',
+        '',
+        'For our group order{#restaurant} from {restaurant}{/restaurant} on {date}, ' +
+          'your share above the company budget amounts to {amount}.',
+        '{#items}',
+        'Your items:',
+        '{items}',
+        '{/items}',
+        '{#link}Kindly settle this amount via the following link: {link}{/link}' +
+          '{^link}{#iban}Kindly transfer this amount to {holder}, IBAN {iban}.{/iban}' +
+          '{^iban}Kindly transfer this amount{#creator} to {creator}{/creator}.{/iban}{/link}',
+        '',
+        'Kind regards'
+      ].join('\n')
+    },
+    {
+      id: 'casual',
+      nameKey: 'templateNameCasual',
+      text: [
+        'Hey {name}! 🍕 Your part of {#restaurant}the {restaurant} order{/restaurant}{^restaurant}lunch{/restaurant} is {amount}.',
+        '{#link}Tikkie: {link}{/link}{^link}{#iban}IBAN {iban} ({holder}){/iban}{/link}',
+        'Cheers! 🙌'
+      ].join('\n')
+    },
+    {
+      id: 'dutch',
+      nameKey: 'templateNameDutch',
+      text: [
+        'Hoi {name},',
+        '',
+        'Jouw deel van de groepsbestelling{#restaurant} bij {restaurant}{/restaurant} van {date} is {amount}.',
+        '{#items}',
+        'Je bestelling:',
+        '{items}',
+        '{/items}',
+        '{#link}Betalen kan via: {link}{/link}' +
+          '{^link}{#iban}Graag overmaken naar {holder}, IBAN {iban}.{/iban}' +
+          '{^iban}Graag overmaken{#creator} naar {creator}{/creator}.{/iban}{/link}',
+        '',
+        'Bedankt!'
+      ].join('\n')
+    }
+  ];
+
+  const TAG_PATTERN = /\{([#^/]?)([a-z]+)\}/g;
+
+  /**
+   * Parse a template into text, placeholder and section nodes
+   *
+   * @param {string} text - Template text
+   * @returns {Object} { nodes, errors: descriptions of unknown placeholders and unbalanced sections }
+   */
+  function parseTemplate(text) {
+    const rootSection = { nodes: [] };
+    const stack = [rootSection];
+    const errors = [];
+    let position = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+      const [tag, sigil, key] = match;
+      const current = stack[stack.length - 1];
+      if (match.index > position) {
+        current.nodes.push({ type: 'text', value: text.substring(position, match.index) });
+      }
+      position = match.index + tag.length;
+
+      if (!PLACEHOLDERS[key]) {
+        errors.push(t('templateErrorUnknown', tag));
+        current.nodes.push({ type: 'text', value: tag });
+      } else if (sigil === '/') {
+        if (stack.length === 1 || current.key !== key) {
+          errors.push(t('templateErrorUnopened', tag));
+        } else {
+          stack.pop();
+        }
+      } else if (sigil) {
+        const section = { type: 'section', key, inverted: sigil === '^', nodes: [] };
+        current.nodes.push(section);
+        stack.push(section);
+      } else {
+        current.nodes.push({ type: 'value', key });
+      }
+    }
+
+    if (position < text.length) {
+      stack[stack.length - 1].nodes.push({ type: 'text', value: text.substring(position) });
+    }
+    stack.slice(1).forEach(section => {
+      errors.push(t('templateErrorUnclosed', `{${section.inverted ? '^' : '#'}${section.key}}`));
+    });
+
+    return { nodes: rootSection.nodes, errors };
+  }
+
+  /**
+   * Problems that keep a template from being saved
+   */
+  function validateTemplate(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return [t('templateErrorEmpty')];
+    }
+    if (text.length > MAX_TEMPLATE_LENGTH) {
+      return [t('templateErrorTooLong', MAX_TEMPLATE_LENGTH)];
+    }
+    return parseTemplate(text).errors;
+  }
+
+  /**
+   * Render parsed nodes with the given values
+   */
+  function renderNodes(nodes, values) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      const value = values[node.key] === undefined || values[node.key] === null ? '' : String(values[node.key]);
+      if (node.type === 'value') {
+        return value;
+      }
+      return (value !== '') !== node.inverted ? renderNodes(node.nodes, values) : '';
+    }).join('');
+  }
+
+  /**
+   * Render a template
+   * Blank lines left behind by empty sections are collapsed.
+   *
+   * @param {string} text - Template text
+   * @param {Object} values - Placeholder values; empty values hide {#key} sections
+   * @returns {string} Message text
+   */
+  function renderTemplate(text, values) {
+    const { nodes, errors } = parseTemplate(text);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    return renderNodes(nodes, values)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * A built-in template as shown to the user, or undefined for other ids
+   *
+   * @param {string} id - Template id
+   * @returns {Object} { id, name, text } with the name in the active language
+   */
+  function getBuiltInTemplate(id) {
+    const builtIn = BUILT_IN_TEMPLATES.find(entry => entry.id === id);
+    return builtIn && { id: builtIn.id, name: t(builtIn.nameKey), text: builtIn.text };
+  }
+
+  /**
+   * Built-in templates with saved changes applied, followed by the user's own templates
+   * Built-in templates saved without a name of their own keep the translated name.
+   *
+   * @param {Array} savedTemplates - [{ id, name, text }] from the settings
+   * @returns {Array} [{ id, name, text, builtIn }]
+   */
+  function listTemplates(savedTemplates = []) {
+    const saved = new Map((savedTemplates || []).map(template => [template.id, template]));
+    const builtIn = BUILT_IN_TEMPLATES.map(({ id }) => {
+      const template = getBuiltInTemplate(id);
+      const changes = saved.get(id) || {};
+      return { ...template, ...changes, name: changes.name || template.name, builtIn: true };
+    });
+    const custom = (savedTemplates || []).filter(template => !getBuiltInTemplate(template.id))
+      .map(template => ({ ...template, builtIn: false }));
+    return builtIn.concat(custom);
+  }
+
+  /**
+   * Built-in template matching the active language
+   */
+  function getLanguageTemplateId() {
+    return LANGUAGE_TEMPLATES[I18n.getLocale()] || DEFAULT_TEMPLATE_ID;
+  }
+
+  /**
+   * Find a template by id, falling back to the template of the active language
+   */
+  function getTemplate(savedTemplates, id) {
+    const templates = listTemplates(savedTemplates);
+    return templates.find(template => template.id === id) ||
+      templates.find(template => template.id === getLanguageTemplateId());
+  }
+
+  /**
+   * Whether a template differs from the built-in template with the same id
+   */
+  function isModified(template) {
+    const builtIn = getBuiltInTemplate(template.id);
+    return !builtIn || isRenamed(template, builtIn) || builtIn.text !== template.text;
+  }
+
+  /**
+   * Whether a built-in template was given a name other than its translated one
+   */
+  function isRenamed(template, builtIn) {
+    return Boolean(template.name) && template.name !== builtIn.name;
+  }
+
+  /**
+   * Keep the valid templates worth saving: the user's own and changed built-in ones
+   *
+   * @param {Array} templates - [{ id, name, text }]
+   * @returns {Array} [{ id, name, text }]
+   */
+  function sanitizeTemplates(templates) {
+    if (!Array.isArray(templates)) {
+      return [];
+    }
+
+    const seen = new Set();
+    return templates
+      .filter(template => {
+        if (!template || typeof template.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(template.id) || seen.has(template.id)) {
+          return false;
+        }
+        seen.add(template.id);
+        return true;
+      })
+      .map(template => {
+        const builtIn = getBuiltInTemplate(template.id);
+        const name = String(template.name || '').trim().substring(0, MAX_TEMPLATE_NAME_LENGTH);
+        const text = typeof template.text === 'string' ? template.text : '';
+        // A built-in template keeps following the language until it is renamed
+        if (builtIn) {
+          return isRenamed({ name }, builtIn) ? { id: template.id, name, text } : { id: template.id, text };
+        }
+        return { id: template.id, name: name || t('templateUntitled'), text };
+      })
+      .filter(template => validateTemplate(template.text).length === 0 && isModified(template))
+      .slice(0, MAX_SAVED_TEMPLATES);
+  }
+
+  const MessageTemplates = {
+    PLACEHOLDERS,
+    BUILT_IN_TEMPLATES,
+    DEFAULT_TEMPLATE_ID,
+    MAX_TEMPLATE_LENGTH,
+    getLanguageTemplateId,
+    getBuiltInTemplate,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    listTemplates,
+    getTemplate,
+    isModified,
+    sanitizeTemplates
+  };
+
+  root.MessageTemplates = MessageTemplates;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageTemplates;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,234 @@
+/**
+ * Order export for Group Order Splitter
+ *
+ * Teams that settle lunch in Splitwise or Tricount instead of Tikkie can
+ * download a calculated order: a CSV in the layout Splitwise exports and
+ * imports (one expense row with a net amount per person) and a documented
+ * JSON file with participants, items, fees, budgets and final payments.
+ * Files are built locally; nothing is sent anywhere.
+ *
+ * JSON format (version 2), all amounts in integer euro cents:
+ *   format        "group-order-splitter/order"
+ *   version       2
+ *   exportedAt    ISO 8601 timestamp of the export
+ *   currency      "EUR"
+ *   order         { date, restaurant, orderCreator, splitStrategy, manuallyCorrected }
+ *   fees          { delivery, service, discount }
+ *   totals        { subtotal, total, budget, companyCost, payments }
+ *   participants  [{ name, isOrderCreator, items: [{ name, quantity, options, linePrice }],
+ *                    subtotal, sharedCosts, totalCost, budget, companyReimbursed,
+ *                    budgetHelpReceived, payment, status }]
+ * status is one of "pays", "covered", "helps_others" or "exact"; payment is
+ * what the participant owes the order creator. companyReimbursed is a flag,
+ * false for participants the company does not reimburse (budget 0); version 1
+ * held the reimbursed amount there instead.
+ */
+(function (root) {
+  'use strict';
+
+  const PaymentRequests = root.PaymentRequests ||
+    (typeof require === 'function' ? require('./payment-requests.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { t } = I18n;
+
+  const EXPORT_FORMAT = 'group-order-splitter/order';
+  const EXPORT_VERSION = 2;
+  const CURRENCY = 'EUR';
+
+  // Splitwise category of lunch orders
+  const SPLITWISE_CATEGORY = 'Dining out';
+
+  /**
+   * Date of a timestamp as YYYY-MM-DD in local time
+   */
+  function toIsoDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Cents as a plain decimal amount, e.g. -320 -> "-3.20"
+   */
+  function toDecimal(cents) {
+    const sign = cents < 0 ? '-' : '';
+    const absolute = Math.abs(cents);
+    return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Quote a CSV text field
+   * Names come from order pages, so text that spreadsheets would run as a
+   * formula is prefixed with an apostrophe.
+   */
+  function toCsvText(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Describe a calculated order in the documented JSON format
+   *
+   * @param {Object} results - Per-participant results from calculateDistribution
+   * @param {Object} breakdown - Order breakdown from calculateDistribution
+   * @param {Object} options - { orderCreator, restaurant, date: timestamp of the order }
+   * @returns {Object} Export data, see the format at the top of this file
+   */
+  function createExportData(results, breakdown, options = {}) {
+    const { orderCreator = null, restaurant = null, date = Date.now() } = options;
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      currency: CURRENCY,
+      order: {
+        date: new Date(date).toISOString(),
+        restaurant,
+        orderCreator,
+        splitStrategy: breakdown.strategy,
+        manuallyCorrected: Boolean(breakdown.manuallyCorrected)
+      },
+      fees: {
+        delivery: breakdown.delivery,
+        service: breakdown.service,
+        discount: breakdown.discount
+      },
+      totals: {
+        subtotal: breakdown.orderSubtotal,
+        total: breakdown.grandTotal,
+        budget: breakdown.totalBudget,
+        companyCost: breakdown.companyCost,
+        payments: breakdown.totalPayments
+      },
+      participants: Object.entries(results || {}).map(([name, details]) => ({
+        name,
+        isOrderCreator: Boolean(details.isOrderCreator),
+        items: (details.items || []).map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          options: item.options || [],
+          linePrice: item.linePrice
+        })),
+        subtotal: details.individualOrder,
+        sharedCosts: details.sharedCosts,
+        totalCost: details.totalCost,
+        budget: details.budget,
+        companyReimbursed: details.reimbursed !== false,
+        budgetHelpReceived: details.budgetHelpReceived || 0,
+        payment: details.finalPayment,
+        status: details.status
+      }))
+    };
+  }
+
+  /**
+   * Create a CSV in the layout of Splitwise exports
+   * The order is one expense: the order creator paid what the others owe
+   * above the company budget. Person columns hold each net amount, positive
+   * for money to receive, so every row adds up to zero.
+   *
+   * @param {Object} results - Per-participant results from calculateDistribution
+   * @param {Object} options - { orderCreator, restaurant, date }
+   * @returns {string} CSV text
+   */
+  function createSplitwiseCsv(results, options = {}) {
+    const { orderCreator = null, restaurant = null, date = Date.now() } = options;
+    const payers = PaymentRequests.listPayers(results);
+    const creditor = orderCreator || t('exportUnknownCreator');
+    const cost = payers.reduce((sum, payer) => sum + payer.amount, 0);
+
+    // Everyone in the order gets a column, the order creator first
+    const names = [creditor].concat(Object.keys(results || {}).filter(name => name !== creditor));
+    const netAmounts = new Map(names.map(name => [name, 0]));
+    payers.forEach(payer => netAmounts.set(payer.name, -payer.amount));
+    netAmounts.set(creditor, cost);
+
+    const header = ['Date', 'Description', 'Category', 'Cost', 'Currency'].concat(names).map(toCsvText);
+    const row = [
+      toIsoDate(date),
+      toCsvText(restaurant ? t('exportDescriptionRestaurant', restaurant) : t('exportDescription')),
+      toCsvText(SPLITWISE_CATEGORY),
+      toDecimal(cost),
+      CURRENCY
+    ].concat(names.map(name => toDecimal(netAmounts.get(name))));
+
+    return `${header.join(',')}\r\n${row.join(',')}\r\n`;
+  }
+
+  /**
+   * File name for an exported order, e.g. "group-order-2024-05-14-pizzeria-roma.csv"
+   */
+  function createFileName(extension, options = {}) {
+    const slug = String(options.restaurant || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40);
+    return `group-order-${toIsoDate(options.date || Date.now())}${slug ? `-${slug}` : ''}.${extension}`;
+  }
+
+  /**
+   * Create an export file of a calculated order
+   *
+   * @param {string} format - 'csv' (Splitwise) or 'json'
+   * @param {Object} results - Per-participant results from calculateDistribution
+   * @param {Object} breakdown - Order breakdown from calculateDistribution
+   * @param {Object} options - { orderCreator, restaurant, date }
+   * @returns {Object} { filename, mimeType, content }
+   */
+  function createExportFile(format, results, breakdown, options = {}) {
+    if (format === 'csv') {
+      return {
+        filename: createFileName('csv', options),
+        mimeType: 'text/csv;charset=utf-8',
+        content: createSplitwiseCsv(results, options)
+      };
+    }
+    if (format === 'json') {
+      return {
+        filename: createFileName('json', options),
+        mimeType: 'application/json',
+        content: `${JSON.stringify(createExportData(results, breakdown, options), null, 2)}\n`
+      };
+    }
+    throw new Error(t('exportErrorFormat', format));
+  }
+
+  /**
+   * Offer an export file as a download without leaving the page
+   * The file is handed to the browser as a Blob; nothing goes over the network.
+   *
+   * @param {Object} file - { filename, mimeType, content } from createExportFile
+   * @param {Document} doc - Document of the page offering the download
+   */
+  function downloadFile(file, doc = document) {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    link.style.display = 'none';
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  const OrderExport = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    toIsoDate,
+    toDecimal,
+    toCsvText,
+    createExportData,
+    createSplitwiseCsv,
+    createExportFile,
+    downloadFile
+  };
+
+  root.OrderExport = OrderExport;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderExport;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
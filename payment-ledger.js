@@ -0,0 +1,286 @@
+/**
+ * Payment ledger for Group Order Splitter
+ *
+ * Keeps calculated orders with the payment status of every payer, so the
+ * order creator can track who paid across orders instead of in a
+ * spreadsheet. The functions here are pure: the background script stores
+ * the ledger and the popup displays it.
+ */
+(function (root) {
+  'use strict';
+
+  const GroupOrderCalculator = root.GroupOrderCalculator ||
+    (typeof require === 'function' ? require('./calculator.js') : null);
+  const PaymentRequests = root.PaymentRequests ||
+    (typeof require === 'function' ? require('./payment-requests.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { formatCents } = GroupOrderCalculator;
+  const { t } = I18n;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Payment statuses a payer can be marked with, with the message naming them
+  const PAYMENT_STATUSES = {
+    unpaid: { id: 'unpaid', messageKey: 'paymentStatusUnpaid' },
+    partial: { id: 'partial', messageKey: 'paymentStatusPartial' },
+    paid: { id: 'paid', messageKey: 'paymentStatusPaid' },
+    forgiven: { id: 'forgiven', messageKey: 'paymentStatusForgiven' }
+  };
+
+  /**
+   * Derive a status from the amount paid, keeping forgiven debts forgiven
+   */
+  function resolveStatus(amount, paid, currentStatus) {
+    if (currentStatus === 'forgiven') {
+      return 'forgiven';
+    }
+    if (paid >= amount) {
+      return 'paid';
+    }
+    return paid > 0 ? 'partial' : 'unpaid';
+  }
+
+  /**
+   * Create the ledger entry for a calculated order
+   * Payment progress of an earlier entry for the same order is kept when the
+   * order is recalculated, also if a payer's amount changed.
+   *
+   * @param {Object} calculation - { orderKey, site, siteName, restaurant, orderNumber, vat, orderCreator,
+   *   results, breakdown }
+   * @param {Object} previous - Existing ledger entry for the order, if any
+   * @param {number} now - Timestamp of the calculation
+   * @returns {Object} Ledger entry with payers: { name: { amount, paid, status, updatedAt } }
+   */
+  function createLedgerOrder(calculation, previous = null, now = Date.now()) {
+    const payers = {};
+    PaymentRequests.listPayers(calculation.results).forEach(payer => {
+      const earlier = previous && previous.payers[payer.name];
+      const paid = earlier ? Math.min(earlier.paid, payer.amount) : 0;
+      payers[payer.name] = {
+        amount: payer.amount,
+        paid,
+        status: resolveStatus(payer.amount, paid, earlier && earlier.status),
+        updatedAt: earlier ? earlier.updatedAt : now
+      };
+    });
+
+    return {
+      orderKey: calculation.orderKey,
+      site: calculation.site || null,
+      siteName: calculation.siteName || null,
+      restaurant: calculation.restaurant || null,
+      orderNumber: calculation.orderNumber || null,
+      vat: calculation.vat || [],
+      orderCreator: calculation.orderCreator || null,
+      date: previous ? previous.date : now,
+      updatedAt: now,
+      remindedAt: previous ? previous.remindedAt || null : null,
+      results: calculation.results,
+      breakdown: calculation.breakdown,
+      payers
+    };
+  }
+
+  /**
+   * Mark a payer of an order as paid, partially paid, unpaid or forgiven
+   *
+   * @param {Object} order - Ledger entry
+   * @param {string} name - Payer name
+   * @param {string} status - One of PAYMENT_STATUSES
+   * @param {number} paidAmount - Amount paid in cents, only used for partial payments
+   * @param {number} now - Timestamp of the change
+   * @returns {Object} Updated ledger entry
+   */
+  function setPaymentStatus(order, name, status, paidAmount = 0, now = Date.now()) {
+    const payer = order.payers[name];
+    if (!payer) {
+      throw new Error(t('ledgerErrorNothingToPay', name));
+    }
+    if (!PAYMENT_STATUSES[status]) {
+      throw new Error(t('ledgerErrorUnknownStatus', status));
+    }
+
+    let paid;
+    if (status === 'paid') {
+      paid = payer.amount;
+    } else if (status === 'unpaid') {
+      paid = 0;
+    } else if (status === 'partial') {
+      if (!Number.isInteger(paidAmount) || paidAmount <= 0 || paidAmount >= payer.amount) {
+        throw new Error(t('ledgerErrorPartialAmount', formatCents(0)));
+      }
+      paid = paidAmount;
+    } else {
+      paid = payer.paid; // Forgiving keeps what was already paid
+    }
+
+    return {
+      ...order,
+      payers: {
+        ...order.payers,
+        [name]: { ...payer, paid, status, updatedAt: now }
+      }
+    };
+  }
+
+  /**
+   * Amount a payer still owes for an order
+   */
+  function getOutstanding(payer) {
+    if (payer.status === 'paid' || payer.status === 'forgiven') {
+      return 0;
+    }
+    return Math.max(0, payer.amount - payer.paid);
+  }
+
+  /**
+   * Outstanding amount of a whole order
+   */
+  function getOrderOutstanding(order) {
+    return Object.values(order.payers).reduce((sum, payer) => sum + getOutstanding(payer), 0);
+  }
+
+  /**
+   * Payers of an order who still owe something
+   *
+   * @returns {Array} [{ name, amount, paid, outstanding }]
+   */
+  function getOpenPayers(order) {
+    return Object.entries(order.payers)
+      .map(([name, payer]) => ({ name, amount: payer.amount, paid: payer.paid, outstanding: getOutstanding(payer) }))
+      .filter(payer => payer.outstanding > 0);
+  }
+
+  /**
+   * Orders with open payers whose last reminder, or the order itself, is at least reminderDays old
+   *
+   * @param {Object} ledger - Ledger entries by order key
+   * @param {number} reminderDays - Days between reminders; 0 disables reminders
+   * @param {number} now - Current timestamp
+   * @returns {Array} Ledger entries to remind about
+   */
+  function findDueReminders(ledger, reminderDays, now = Date.now()) {
+    if (!reminderDays || reminderDays <= 0) {
+      return [];
+    }
+    return listOrders(ledger).filter(order => getOpenPayers(order).length > 0 &&
+      now - (order.remindedAt || order.date) >= reminderDays * DAY_MS);
+  }
+
+  /**
+   * Remember that a reminder was raised for an order
+   */
+  function markReminded(order, now = Date.now()) {
+    return { ...order, remindedAt: now };
+  }
+
+  /**
+   * Short description of an order for reminders, e.g. "12/10/2026 · Pizzeria Roma"
+   */
+  function describeOrder(order) {
+    return `${I18n.formatDate(order.date)} · ${order.restaurant || order.siteName || t('ledgerGroupOrder')}`;
+  }
+
+  /**
+   * Build a reminder message listing the remaining amounts of an order
+   *
+   * @param {Object} order - Ledger entry
+   * @param {Object} options - { paymentLink, bankAccount: { iban, accountHolder } }
+   * @returns {string} Message text
+   */
+  function createReminderMessage(order, options = {}) {
+    const { paymentLink = '', bankAccount = null } = options;
+    const lines = [
+      t('reminderMessageTitle', describeOrder(order)),
+      '',
+      t('reminderMessageOpen')
+    ];
+
+    getOpenPayers(order).forEach(payer => {
+      lines.push(payer.paid > 0
+        ? t('reminderMessagePartialLine', payer.name, formatCents(payer.outstanding), formatCents(payer.paid),
+          formatCents(payer.amount))
+        : t('reminderMessageLine', payer.name, formatCents(payer.outstanding)));
+    });
+
+    if (paymentLink) {
+      lines.push('', t('reminderMessageLink', paymentLink));
+    } else if (PaymentRequests.hasBankAccount(bankAccount)) {
+      lines.push('', t('reminderMessageBank', bankAccount.accountHolder.trim(),
+        PaymentRequests.formatIban(bankAccount.iban)));
+    } else if (order.orderCreator) {
+      lines.push('', t('reminderMessageCreator', order.orderCreator));
+    }
+
+    lines.push('', t('messageThanks'));
+    return lines.join('\n');
+  }
+
+  /**
+   * List ledger orders, most recent first
+   */
+  function listOrders(ledger) {
+    return Object.values(ledger || {}).sort((a, b) => b.date - a.date);
+  }
+
+  /**
+   * Outstanding balance per colleague across all orders
+   * Names are matched case- and whitespace-insensitively, like the roster.
+   *
+   * @param {Object} ledger - Ledger entries by order key
+   * @returns {Array} [{ name, outstanding, paid, openOrders }] with the largest balance first
+   */
+  function summarizeBalances(ledger) {
+    const balances = new Map();
+
+    listOrders(ledger).forEach(order => {
+      Object.entries(order.payers).forEach(([name, payer]) => {
+        const key = name.trim().toLowerCase();
+        if (!balances.has(key)) {
+          balances.set(key, { name: name.trim(), outstanding: 0, paid: 0, openOrders: 0 });
+        }
+        const balance = balances.get(key);
+        const outstanding = getOutstanding(payer);
+        balance.outstanding += outstanding;
+        balance.paid += payer.paid;
+        balance.openOrders += outstanding > 0 ? 1 : 0;
+      });
+    });
+
+    return Array.from(balances.values())
+      .sort((a, b) => b.outstanding - a.outstanding || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Keep only the most recent orders
+   */
+  function pruneLedger(ledger, maxOrders) {
+    const pruned = {};
+    listOrders(ledger).slice(0, maxOrders).forEach(order => {
+      pruned[order.orderKey] = order;
+    });
+    return pruned;
+  }
+
+  const PaymentLedger = {
+    PAYMENT_STATUSES,
+    createLedgerOrder,
+    setPaymentStatus,
+    getOutstanding,
+    getOrderOutstanding,
+    getOpenPayers,
+    listOrders,
+    summarizeBalances,
+    pruneLedger,
+    findDueReminders,
+    markReminded,
+    describeOrder,
+    createReminderMessage
+  };
+
+  root.PaymentLedger = PaymentLedger;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentLedger;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
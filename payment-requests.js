@@ -0,0 +1,239 @@
+/**
+ * Payment requests for Group Order Splitter
+ *
+ * Turns calculation results into one ready-to-send message per payer with
+ * their exact amount, their items and the payment link, so nobody has to
+ * look up their own line in a group message. With a bank account configured
+ * every request also carries an EPC069-12 (SEPA credit transfer) QR payload
+ * that banking apps can scan. Shared by the on-page modal, the popup and the
+ * background script.
+ */
+(function (root) {
+  'use strict';
+
+  const GroupOrderCalculator = root.GroupOrderCalculator ||
+    (typeof require === 'function' ? require('./calculator.js') : null);
+  const MessageTemplates = root.MessageTemplates ||
+    (typeof require === 'function' ? require('./message-templates.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { formatCents, describeItem } = GroupOrderCalculator;
+  const { t } = I18n;
+
+  // EPC069-12 field limits
+  const EPC_MAX_NAME_LENGTH = 70;
+  const EPC_MAX_REMITTANCE_LENGTH = 140;
+  const EPC_MAX_PAYLOAD_BYTES = 331;
+  const EPC_MAX_AMOUNT_CENTS = 99999999999;
+
+  /**
+   * Normalize an IBAN to upper case without spaces
+   */
+  function normalizeIban(iban) {
+    return typeof iban === 'string' ? iban.replace(/\s+/g, '').toUpperCase() : '';
+  }
+
+  /**
+   * Check an IBAN's format and its ISO 13616 mod-97 check digits
+   */
+  function isValidIban(iban) {
+    const normalized = normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized)) {
+      return false;
+    }
+
+    // Move the country code and check digits to the end and turn letters into numbers
+    const digits = (normalized.slice(4) + normalized.slice(0, 4))
+      .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+    let remainder = 0;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * Format an IBAN in groups of four for display
+   */
+  function formatIban(iban) {
+    return normalizeIban(iban).replace(/(.{4})(?=.)/g, '$1 ');
+  }
+
+  /**
+   * Whether a bank account is complete enough for transfer QR codes
+   */
+  function hasBankAccount(bankAccount) {
+    return Boolean(bankAccount && bankAccount.accountHolder && bankAccount.accountHolder.trim() &&
+      isValidIban(bankAccount.iban));
+  }
+
+  /**
+   * Length of text in UTF-8 bytes
+   */
+  function getUtf8Length(text) {
+    return encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '_').length;
+  }
+
+  /**
+   * Build an EPC069-12 payload for a SEPA credit transfer QR code
+   *
+   * @param {Object} transfer - { iban, accountHolder, amount in cents, remittance }
+   * @returns {string} Payload text, to be encoded with error correction level M
+   */
+  function createEpcPayload(transfer) {
+    const iban = normalizeIban(transfer.iban);
+    if (!isValidIban(iban)) {
+      throw new Error(t('transferErrorIban'));
+    }
+
+    const accountHolder = (transfer.accountHolder || '').trim().substring(0, EPC_MAX_NAME_LENGTH);
+    if (!accountHolder) {
+      throw new Error(t('transferErrorHolder'));
+    }
+
+    if (!Number.isInteger(transfer.amount) || transfer.amount <= 0 || transfer.amount > EPC_MAX_AMOUNT_CENTS) {
+      throw new Error(t('transferErrorAmount', formatCents(1), formatCents(EPC_MAX_AMOUNT_CENTS)));
+    }
+
+    const payload = [
+      'BCD', // Service tag
+      '002', // Version; the BIC is optional within the EEA
+      '1', // UTF-8
+      'SCT', // SEPA credit transfer
+      '', // BIC
+      accountHolder,
+      iban,
+      `EUR${(transfer.amount / 100).toFixed(2)}`,
+      '', // Purpose
+      '', // Structured creditor reference
+      (transfer.remittance || '').replace(/\s+/g, ' ').trim().substring(0, EPC_MAX_REMITTANCE_LENGTH)
+    ].join('\n');
+
+    if (getUtf8Length(payload) > EPC_MAX_PAYLOAD_BYTES) {
+      throw new Error(t('transferErrorTooLong'));
+    }
+    return payload;
+  }
+
+  /**
+   * Remittance text identifying the order and the payer
+   */
+  function createRemittance(payerName, orderReference) {
+    return [t('transferRemittance'), orderReference, payerName].filter(Boolean).join(' ');
+  }
+
+  /**
+   * List the participants who have to pay, in result order
+   * The order creator paid the restaurant and is never asked to pay themselves.
+   *
+   * @param {Object} results - Per-participant results from calculateDistribution
+   * @returns {Array} [{ name, amount, items, totalCost, budget, budgetHelpReceived }]
+   */
+  function listPayers(results) {
+    return Object.entries(results || {})
+      .filter(([, details]) => details.status === 'pays' && details.finalPayment > 0 && !details.isOrderCreator)
+      .map(([name, details]) => ({
+        name,
+        amount: details.finalPayment,
+        items: details.items || [],
+        totalCost: details.totalCost,
+        budget: details.budget,
+        budgetHelpReceived: details.budgetHelpReceived || 0
+      }));
+  }
+
+  /**
+   * Placeholder values describing a payer's share for message templates
+   *
+   * @param {Object} payer - Payer from listPayers
+   * @param {Object} options - { orderCreator, paymentLink, bankAccount, restaurant, date: timestamp of the order }
+   * @returns {Object} Values by placeholder name; empty strings hide conditional sections
+   */
+  function createTemplateValues(payer, options = {}) {
+    const { orderCreator = null, paymentLink = '', bankAccount = null, restaurant = null, date = Date.now() } = options;
+    const withBankAccount = hasBankAccount(bankAccount);
+
+    return {
+      name: payer.name,
+      amount: formatCents(payer.amount),
+      items: payer.items.map(item => `• ${describeItem(item)}: ${formatCents(item.linePrice)}`).join('\n'),
+      total: formatCents(payer.totalCost),
+      budget: formatCents(payer.budget),
+      help: payer.budgetHelpReceived > 0 ? formatCents(payer.budgetHelpReceived) : '',
+      link: paymentLink || '',
+      iban: withBankAccount ? formatIban(bankAccount.iban) : '',
+      holder: withBankAccount ? bankAccount.accountHolder.trim() : '',
+      restaurant: restaurant || '',
+      date: I18n.formatDate(date),
+      creator: orderCreator || ''
+    };
+  }
+
+  /**
+   * Build the message asking one payer for their share
+   *
+   * @param {Object} payer - Payer from listPayers
+   * @param {Object} options - Values for createTemplateValues and
+   *   template: template text, the standard template when omitted
+   * @returns {string} Message text
+   */
+  function createPaymentMessage(payer, options = {}) {
+    const template = options.template || MessageTemplates.getTemplate([], MessageTemplates.getLanguageTemplateId()).text;
+    return MessageTemplates.renderTemplate(template, createTemplateValues(payer, options));
+  }
+
+  /**
+   * Create one payment request per payer
+   *
+   * @param {Object} results - Per-participant results from calculateDistribution
+   * @param {Object} options - { orderCreator, paymentLink, bankAccount: { iban, accountHolder },
+   *   restaurant, date, template: message template text,
+   *   orderReference: identifies the order in transfer descriptions }
+   * @returns {Array} [{ name, amount, items, message, epcPayload: null without a bank account }]
+   */
+  function createPaymentRequests(results, options = {}) {
+    const withTransfer = hasBankAccount(options.bankAccount);
+
+    return listPayers(results).map(payer => ({
+      name: payer.name,
+      amount: payer.amount,
+      items: payer.items,
+      message: createPaymentMessage(payer, options),
+      epcPayload: withTransfer ? createTransferPayload(payer, options) : null
+    }));
+  }
+
+  /**
+   * EPC payload for a payer, or null when the transfer cannot be expressed
+   */
+  function createTransferPayload(payer, options) {
+    try {
+      return createEpcPayload({
+        ...options.bankAccount,
+        amount: payer.amount,
+        remittance: createRemittance(payer.name, options.orderReference)
+      });
+    } catch (error) {
+      console.warn(`No transfer QR code for ${payer.name}:`, error.message);
+      return null;
+    }
+  }
+
+  const PaymentRequests = {
+    normalizeIban,
+    isValidIban,
+    formatIban,
+    hasBankAccount,
+    createEpcPayload,
+    listPayers,
+    createTemplateValues,
+    createPaymentMessage,
+    createPaymentRequests
+  };
+
+  root.PaymentRequests = PaymentRequests;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentRequests;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -8,16 +8,105 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners();
   await loadSettings();
   await checkCurrentTab();
+
+  // Payment reminder notifications open the payment ledger directly
+  if (window.location.hash === '#payments') {
+    switchTab('payments');
+  }
 });
 
+// Translated user-facing text
+const { t, plural } = I18n;
+
+// Participant and dish names come from order pages, so markup is only built with escaping templates
+const { html, render } = SafeHtml;
+
+// Failed requests carry an error code from the message protocol
+const { ERROR_CODES } = MessageProtocol;
+
+// How failures of the order page are explained; other codes are calculation errors
+const PAGE_ERROR_CATEGORIES = {
+  [ERROR_CODES.NOT_ORDER_PAGE]: 'parsing',
+  [ERROR_CODES.PARSE_FAILED]: 'parsing',
+  [ERROR_CODES.PROTOCOL_MISMATCH]: 'connection'
+};
+
+// Settings failures shown as they are instead of as a failed save
+const SETTINGS_SECURITY_ERRORS = [ERROR_CODES.LOCKED, ERROR_CODES.UNREADABLE, ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.STORAGE_FAILED];
+
+// Labels of the sensitive settings, to name the ones that cannot be decrypted
+const SENSITIVE_SETTING_LABELS = {
+  tikkieLink: 'settingsTikkieLink',
+  iban: 'settingsIban',
+  accountHolder: 'settingsAccountHolder',
+  selfName: 'settingsSelfName',
+  roster: 'settingsRoster'
+};
+
+// Sensitive settings that cannot be decrypted; they show their defaults and are not saved
+let unreadableSettings = [];
+
+// Order whose reminder message was requested from a notification
+const requestedReminder = new URLSearchParams(window.location.search).get('remind');
+
+// Payment details and the user's own name for ledger messages, loaded with the ledger
+let ledgerOptions = {};
+
+// Message templates as edited in the settings, saved together with the other settings
+let editedTemplates = MessageTemplates.listTemplates();
+
+// Whether payment requests use the built-in template of the active language until another one is picked
+let followLanguageTemplate = true;
+
+// Payer and order the template preview is rendered with
+let templatePreview = null;
+
+// Payment requests shown in the Splitter tab, rendered again when another template is picked
+let paymentRequestContext = null;
+
+// Calculated order the export buttons download
+let exportContext = null;
+
+// Passphrase lock: whether it is on, whether it is closed and its auto-lock minutes
+let lockStatus = { enabled: false, locked: false, autoLockMinutes: 15 };
+
+// Settings inputs holding sensitive settings, which cannot be read or changed while locked
+const LOCKED_INPUTS = ['tikkie-link', 'iban', 'account-holder', 'self-name', 'add-roster-entry'];
+
+// Example payer for the template preview before any order was calculated
+const SAMPLE_PAYER = {
+  name: 'Anna',
+  amount: 320,
+  items: [{ name: 'Pizza Margherita', quantity: 1, options: [], linePrice: 1350 }, { name: 'Cola', quantity: 1, options: [], linePrice: 270 }],
+  totalCost: 1720,
+  budget: 1400,
+  budgetHelpReceived: 0
+};
+
 // Initialize popup interface
 async function initializePopup() {
   console.log('Initializing popup...');
-  updateStatus('Ready', 'success');
+  await loadLanguage();
+  await loadLockStatus();
+  updateStatus(t('statusReady'), 'success');
+}
+
+// Show the popup in the language picked in the settings, or the browser language
+async function loadLanguage() {
+  try {
+    const settings = await getSettings();
+    await I18n.load(I18n.resolveLocale(settings.language, chrome.i18n.getUILanguage()));
+  } catch (error) {
+    console.warn('Failed to load messages, using English:', error);
+  }
+  I18n.localizeDocument(document);
 }
 
 // Setup event listeners
 function setupEventListeners() {
+  populateStrategyOptions();
+
   // Tab switching
   document.querySelectorAll('.tab-button').forEach(button => {
     button.addEventListener('click', (e) => {
@@ -32,12 +121,245 @@ function setupEventListeners() {
   // Breakdown toggle
   document.getElementById('breakdown-toggle').addEventListener('click', toggleBreakdown);
 
-  // Tikkie copy button
-  document.getElementById('copy-tikkie-button').addEventListener('click', copyTikkieMessage);
+  // Manual corrections happen in the on-page editor
+  document.getElementById('correct-order-button').addEventListener('click', openCorrectionEditor);
+
+  // Expense report of a month of recorded orders
+  document.getElementById('open-report').addEventListener('click', openExpenseReport);
+
+  // Downloads of the calculated order
+  document.getElementById('export-csv').addEventListener('click', () => exportOrder('csv'));
+  document.getElementById('export-json').addEventListener('click', () => exportOrder('json'));
+
+  // Accept a difference with the page total to unblock the payment message
+  document.getElementById('acknowledge-discrepancy-button').addEventListener('click', acknowledgeDiscrepancy);
+
+  // Split strategy description
+  document.getElementById('split-strategy').addEventListener('change', updateStrategyDescription);
+
+  // Team roster
+  document.getElementById('add-roster-entry').addEventListener('click', () => addRosterRow());
+
+  // Message templates
+  renderTemplatePlaceholders();
+  document.getElementById('template-select').addEventListener('change', () => {
+    followLanguageTemplate = false;
+    renderTemplateEditor();
+  });
+  document.getElementById('template-name').addEventListener('input', updateEditedTemplate);
+  document.getElementById('template-text').addEventListener('input', updateEditedTemplate);
+  document.getElementById('new-template').addEventListener('click', addTemplate);
+  document.getElementById('delete-template').addEventListener('click', deleteTemplate);
+  document.getElementById('request-template').addEventListener('change', renderPaymentRequests);
+  ['tikkie-link', 'iban', 'account-holder'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateTemplatePreview);
+  });
 
   // Settings actions
   document.getElementById('save-settings').addEventListener('click', saveSettings);
   document.getElementById('reset-settings').addEventListener('click', resetSettings);
+
+  // Passphrase lock
+  document.getElementById('unlock-form').addEventListener('submit', unlock);
+  document.getElementById('lock-now').addEventListener('click', lockNow);
+  document.getElementById('set-passphrase').addEventListener('click', setPassphrase);
+  document.getElementById('remove-passphrase').addEventListener('click', removePassphrase);
+}
+
+// Load whether the passphrase lock is on and open
+async function loadLockStatus() {
+  try {
+    const response = await sendMessage({ type: 'GET_LOCK_STATUS' });
+    lockStatus = response.lock;
+  } catch (error) {
+    console.error('Error loading lock status:', error);
+  }
+  renderLockState();
+}
+
+// Show the unlock form while locked and the lock controls in the settings
+function renderLockState() {
+  const { enabled, locked } = lockStatus;
+  document.getElementById('lock-banner').style.display = locked ? 'block' : 'none';
+  document.getElementById('lock-now').style.display = enabled && !locked ? 'block' : 'none';
+  document.getElementById('settings-locked-note').style.display = locked ? 'block' : 'none';
+  LOCKED_INPUTS.forEach(id => {
+    document.getElementById(id).disabled = locked;
+  });
+
+  document.getElementById('lock-status-text').textContent = t(enabled ? 'settingsLockStatusOn' : 'settingsLockStatusOff');
+  document.getElementById('lock-current').style.display = enabled ? 'block' : 'none';
+  document.getElementById('set-passphrase').textContent = t(enabled ? 'settingsLockChange' : 'settingsLockEnable');
+  document.getElementById('remove-passphrase').style.display = enabled ? 'inline' : 'none';
+}
+
+// Open the passphrase lock and show the popup again with the payment details
+async function unlock(event) {
+  event.preventDefault();
+  const errorElement = document.getElementById('unlock-error');
+  try {
+    await sendMessage({ type: 'UNLOCK', passphrase: document.getElementById('unlock-passphrase').value });
+    window.location.reload();
+  } catch (error) {
+    errorElement.textContent = error.message;
+    errorElement.style.display = 'block';
+    document.getElementById('unlock-passphrase').select();
+  }
+}
+
+// Close the passphrase lock right away
+async function lockNow() {
+  try {
+    await sendMessage({ type: 'LOCK' });
+    window.location.reload();
+  } catch (error) {
+    showError(error.message, 'security');
+  }
+}
+
+// Turn the passphrase lock on or change the passphrase
+async function setPassphrase() {
+  const passphrase = document.getElementById('lock-new').value;
+  if (passphrase !== document.getElementById('lock-confirm').value) {
+    showError(t('lockPassphraseMismatch'), 'security');
+    document.getElementById('lock-confirm').focus();
+    return;
+  }
+
+  try {
+    await sendMessage({
+      type: 'SET_PASSPHRASE',
+      passphrase,
+      currentPassphrase: document.getElementById('lock-current').value
+    });
+    await showLockChanged(t(lockStatus.enabled ? 'lockChanged' : 'lockEnabled'));
+  } catch (error) {
+    showError(error.message, 'security');
+  }
+}
+
+// Turn the passphrase lock off
+async function removePassphrase() {
+  try {
+    await sendMessage({ type: 'REMOVE_PASSPHRASE', currentPassphrase: document.getElementById('lock-current').value });
+    await showLockChanged(t('lockDisabled'));
+  } catch (error) {
+    showError(error.message, 'security');
+  }
+}
+
+// Confirm a lock change; a popup opened while locked is shown again with the payment details
+async function showLockChanged(message) {
+  if (lockStatus.locked) {
+    window.location.reload();
+    return;
+  }
+
+  ['lock-current', 'lock-new', 'lock-confirm'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  await loadLockStatus();
+  updateStatus(message, 'success');
+  setTimeout(() => updateStatus(t('statusReady'), 'success'), 2000);
+}
+
+// Fill the split strategy dropdown from the calculation engine
+function populateStrategyOptions() {
+  const select = document.getElementById('split-strategy');
+  GroupOrderCalculator.listStrategies().forEach(strategy => {
+    const option = document.createElement('option');
+    option.value = strategy.id;
+    option.textContent = strategy.label;
+    select.appendChild(option);
+  });
+  select.value = GroupOrderCalculator.DEFAULT_STRATEGY;
+  updateStrategyDescription();
+}
+
+// Show the description of the selected split strategy
+function updateStrategyDescription() {
+  const strategy = GroupOrderCalculator.resolveStrategy({
+    splitStrategy: document.getElementById('split-strategy').value
+  });
+  document.getElementById('split-strategy-description').textContent = strategy.description;
+}
+
+// Render the team roster editor
+function renderRoster(roster) {
+  document.getElementById('roster-list').replaceChildren();
+  (Array.isArray(roster) ? roster : []).forEach(entry => addRosterRow(entry));
+}
+
+// Add a roster row for one participant
+function addRosterRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'roster-row';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'roster-name';
+  nameInput.placeholder = t('rosterParticipantName');
+  nameInput.maxLength = 50;
+  nameInput.value = entry.name || '';
+
+  const budgetInput = document.createElement('input');
+  budgetInput.type = 'number';
+  budgetInput.className = 'roster-budget';
+  budgetInput.min = '0';
+  budgetInput.step = '0.01';
+  budgetInput.placeholder = t('rosterDefaultBudget');
+  budgetInput.value = typeof entry.budget === 'number' ? entry.budget : '';
+
+  const notReimbursedLabel = document.createElement('label');
+  const notReimbursedInput = document.createElement('input');
+  notReimbursedInput.type = 'checkbox';
+  notReimbursedInput.className = 'roster-not-reimbursed';
+  notReimbursedInput.checked = entry.reimbursed === false;
+  notReimbursedLabel.appendChild(notReimbursedInput);
+  notReimbursedLabel.appendChild(document.createTextNode(t('rosterNotReimbursed')));
+
+  // A participant without reimbursement has no budget to edit
+  const syncBudgetState = () => {
+    budgetInput.disabled = notReimbursedInput.checked;
+  };
+  notReimbursedInput.addEventListener('change', syncBudgetState);
+  syncBudgetState();
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'roster-remove';
+  removeButton.textContent = '×';
+  removeButton.title = t('rosterRemove');
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.appendChild(nameInput);
+  row.appendChild(budgetInput);
+  row.appendChild(notReimbursedLabel);
+  row.appendChild(removeButton);
+  document.getElementById('roster-list').appendChild(row);
+}
+
+// Collect roster entries from the editor, skipping rows without a name
+function collectRoster() {
+  const roster = [];
+
+  document.querySelectorAll('#roster-list .roster-row').forEach(row => {
+    const name = row.querySelector('.roster-name').value.trim();
+    if (!name) {
+      return;
+    }
+
+    const budgetValue = row.querySelector('.roster-budget').value;
+    const budget = budgetValue === '' ? null : parseFloat(budgetValue);
+    const reimbursed = !row.querySelector('.roster-not-reimbursed').checked;
+
+    roster.push({
+      name,
+      budget: (budget === null || isNaN(budget) || budget < 0) ? null : budget,
+      reimbursed
+    });
+  });
+
+  return roster;
 }
 
 // Switch between tabs
@@ -53,6 +375,449 @@ function switchTab(tabName) {
     content.classList.remove('active');
   });
   document.getElementById(tabName).classList.add('active');
+
+  if (tabName === 'payments') {
+    loadLedger();
+  }
+}
+
+// Load the payment ledger and show it in the Payments tab
+async function loadLedger() {
+  if (lockStatus.locked) {
+    showLedgerMessage(t('lockLedgerLocked'));
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    ledgerOptions = {
+      paymentLink: settings.tikkieLink || '',
+      bankAccount: { iban: settings.iban, accountHolder: settings.accountHolder },
+      selfName: settings.selfName || ''
+    };
+
+    const response = await sendMessage({ type: 'GET_LEDGER' });
+    if (!response || !response.success) {
+      throw createResponseError(response, t('ledgerLoadFailed'));
+    }
+    renderLedger(response.ledger);
+  } catch (error) {
+    console.error('Error loading payment ledger:', error);
+    showLedgerMessage(error.message);
+  }
+}
+
+// Show an error above the payment ledger, or hide it
+function showLedgerMessage(message) {
+  const element = document.getElementById('ledger-message');
+  element.textContent = message || '';
+  element.style.display = message ? 'block' : 'none';
+}
+
+// Render outstanding balances and recorded orders
+function renderLedger(ledger) {
+  const formatCents = GroupOrderCalculator.formatCents;
+  const balancesElement = document.getElementById('ledger-balances');
+  const ordersElement = document.getElementById('ledger-orders');
+
+  const balances = PaymentLedger.summarizeBalances(ledger).filter(balance => balance.outstanding > 0);
+  balancesElement.replaceChildren();
+  if (balances.length === 0) {
+    balancesElement.appendChild(createLedgerEmpty(t('ledgerNobodyOwes')));
+  }
+  balances.forEach(balance => {
+    // Names come from order pages, so they are only ever set as text
+    const row = document.createElement('div');
+    row.className = 'ledger-balance';
+    const name = document.createElement('span');
+    name.textContent = plural('ledgerOpenOrders', balance.openOrders, balance.name);
+    const amount = document.createElement('span');
+    amount.className = 'ledger-amount';
+    amount.textContent = formatCents(balance.outstanding);
+    row.appendChild(name);
+    row.appendChild(amount);
+    balancesElement.appendChild(row);
+  });
+
+  renderSettlement(ledger);
+
+  const orders = PaymentLedger.listOrders(ledger);
+  ordersElement.replaceChildren();
+  if (orders.length === 0) {
+    ordersElement.appendChild(createLedgerEmpty(t('ledgerNoOrders')));
+  }
+  orders.forEach(order => ordersElement.appendChild(createLedgerOrderCard(order)));
+
+  renderReportMonths(ledger);
+}
+
+// Offer an expense report for every month with recorded orders
+function renderReportMonths(ledger) {
+  const months = ExpenseReport.listMonths(ledger);
+  const monthSelect = document.getElementById('report-month');
+  const picked = monthSelect.value;
+
+  monthSelect.replaceChildren(...months.map(month => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const option = document.createElement('option');
+    option.value = month;
+    option.textContent = I18n.formatMonth(new Date(year, monthNumber - 1, 1).getTime());
+    return option;
+  }));
+  if (months.includes(picked)) {
+    monthSelect.value = picked;
+  }
+
+  document.getElementById('report-no-months').style.display = months.length === 0 ? 'block' : 'none';
+  document.getElementById('report-month-picker').style.display = months.length > 0 ? 'flex' : 'none';
+  document.getElementById('open-report').style.display = months.length > 0 ? 'flex' : 'none';
+}
+
+// Open the printable expense report of the picked month in a tab
+async function openExpenseReport() {
+  try {
+    const response = await sendMessage({ type: 'OPEN_EXPENSE_REPORT', month: document.getElementById('report-month').value });
+    if (!response || !response.success) {
+      throw createResponseError(response, t('reportOpenFailed'));
+    }
+  } catch (error) {
+    console.error('Error opening expense report:', error);
+    showLedgerMessage(t('reportOpenFailed'));
+  }
+}
+
+// Render debts netted across orders and the transfers that settle them
+function renderSettlement(ledger) {
+  const formatCents = GroupOrderCalculator.formatCents;
+  const settlementElement = document.getElementById('ledger-settlement');
+  const netting = DebtNetting.computeNetBalances(ledger, ledgerOptions);
+  const transfers = DebtNetting.proposeSettlement(netting.balances);
+
+  settlementElement.replaceChildren();
+  if (transfers.length === 0) {
+    settlementElement.appendChild(createLedgerEmpty(t('ledgerNoDebts')));
+  }
+
+  transfers.forEach(transfer => {
+    const row = document.createElement('div');
+    row.className = 'ledger-balance';
+    const names = document.createElement('span');
+    names.textContent = `${transfer.from} → ${transfer.to}`;
+    const amount = document.createElement('span');
+    amount.className = 'ledger-amount';
+    amount.textContent = formatCents(transfer.amount);
+    row.appendChild(names);
+    row.appendChild(amount);
+    settlementElement.appendChild(row);
+  });
+
+  if (transfers.length > 0) {
+    const summary = document.createElement('div');
+    summary.className = 'ledger-empty';
+    summary.textContent = `${plural('ledgerSettlementDebts', netting.debts.length)} ` +
+      `${plural('ledgerSettlementOrders', netting.orderCount)}, ` +
+      plural('ledgerSettlementTransfers', transfers.length);
+    settlementElement.appendChild(summary);
+
+    const message = document.createElement('textarea');
+    message.className = 'tikkie-message';
+    message.readOnly = true;
+    message.value = DebtNetting.createSettlementMessage(transfers, netting.orderCount);
+
+    const copyButton = document.createElement('button');
+    copyButton.className = 'copy-button';
+    render(copyButton, html`<span class="button-icon">📋</span> ${t('ledgerCopySettlement')}`);
+    copyButton.addEventListener('click', () => copyPaymentRequest(message, copyButton));
+
+    settlementElement.appendChild(message);
+    settlementElement.appendChild(copyButton);
+  }
+
+  if (netting.skippedOrders > 0) {
+    settlementElement.appendChild(createLedgerEmpty(plural('ledgerSkippedOrders', netting.skippedOrders)));
+  }
+}
+
+// Placeholder text for an empty ledger list
+function createLedgerEmpty(text) {
+  const empty = document.createElement('div');
+  empty.className = 'ledger-empty';
+  empty.textContent = text;
+  return empty;
+}
+
+// Create a recorded order with the payment status of each payer
+function createLedgerOrderCard(order) {
+  const formatCents = GroupOrderCalculator.formatCents;
+  const card = document.createElement('div');
+  card.className = 'ledger-order';
+
+  const header = document.createElement('div');
+  header.className = 'ledger-order-header';
+  const title = document.createElement('span');
+  title.textContent = PaymentLedger.describeOrder(order);
+  const outstanding = document.createElement('span');
+  outstanding.className = 'ledger-amount';
+  const orderOutstanding = PaymentLedger.getOrderOutstanding(order);
+  outstanding.textContent = orderOutstanding > 0 ? t('ledgerOrderOpen', formatCents(orderOutstanding)) : t('ledgerOrderSettled');
+  header.appendChild(title);
+  header.appendChild(outstanding);
+  card.appendChild(header);
+
+  const payers = Object.entries(order.payers);
+  if (payers.length === 0) {
+    card.appendChild(createLedgerEmpty(t('ledgerNoPayments')));
+  }
+  payers.forEach(([name, payer]) => card.appendChild(createLedgerPayerRow(order, name, payer)));
+
+  if (orderOutstanding > 0) {
+    card.appendChild(createReminderSection(order));
+  }
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'link-button ledger-delete';
+  deleteButton.textContent = t('ledgerRemoveOrder');
+  deleteButton.addEventListener('click', () => deleteLedgerOrder(order.orderKey));
+  card.appendChild(deleteButton);
+
+  return card;
+}
+
+// Create a collapsible reminder message for the payers still open in an order
+function createReminderSection(order) {
+  const section = document.createElement('div');
+  section.className = 'ledger-reminder';
+
+  const toggle = document.createElement('button');
+  toggle.className = 'link-button';
+  toggle.textContent = t('ledgerReminderMessage');
+
+  const content = document.createElement('div');
+  const message = document.createElement('textarea');
+  message.className = 'tikkie-message';
+  message.readOnly = true;
+  message.value = PaymentLedger.createReminderMessage(order, ledgerOptions);
+
+  const copyButton = document.createElement('button');
+  copyButton.className = 'copy-button';
+  render(copyButton, html`<span class="button-icon">📋</span> ${t('ledgerCopyReminder')}`);
+  copyButton.addEventListener('click', () => copyPaymentRequest(message, copyButton));
+
+  content.appendChild(message);
+  content.appendChild(copyButton);
+
+  const expanded = order.orderKey === requestedReminder;
+  content.style.display = expanded ? 'block' : 'none';
+  toggle.addEventListener('click', () => {
+    content.style.display = content.style.display === 'none' ? 'block' : 'none';
+  });
+
+  section.appendChild(toggle);
+  section.appendChild(content);
+
+  if (expanded) {
+    setTimeout(() => section.scrollIntoView({ block: 'center' }), 0);
+  }
+  return section;
+}
+
+// Create a payer row with a status selector and, for partial payments, the amount paid
+function createLedgerPayerRow(order, name, payer) {
+  const row = document.createElement('div');
+  row.className = `ledger-payer status-${payer.status}`;
+
+  const label = document.createElement('span');
+  label.className = 'ledger-payer-name';
+  label.textContent = `${name} · ${GroupOrderCalculator.formatCents(payer.amount)}`;
+
+  const statusSelect = document.createElement('select');
+  Object.values(PaymentLedger.PAYMENT_STATUSES).forEach(status => {
+    const option = document.createElement('option');
+    option.value = status.id;
+    option.textContent = t(status.messageKey);
+    statusSelect.appendChild(option);
+  });
+  statusSelect.value = payer.status;
+
+  const paidInput = document.createElement('input');
+  paidInput.type = 'number';
+  paidInput.className = 'ledger-paid';
+  paidInput.min = '0.01';
+  paidInput.step = '0.01';
+  paidInput.placeholder = t('ledgerPaidPlaceholder');
+  paidInput.value = payer.status === 'partial' ? (payer.paid / 100).toFixed(2) : '';
+  paidInput.style.display = payer.status === 'partial' ? 'block' : 'none';
+
+  // A partial payment is only saved once its amount is entered
+  statusSelect.addEventListener('change', () => {
+    if (statusSelect.value === 'partial') {
+      paidInput.style.display = 'block';
+      paidInput.focus();
+      return;
+    }
+    updatePaymentStatus(order.orderKey, name, statusSelect.value);
+  });
+  paidInput.addEventListener('change', () => {
+    const paid = parseFloat(paidInput.value);
+    updatePaymentStatus(order.orderKey, name, 'partial', isNaN(paid) ? 0 : GroupOrderCalculator.toCents(paid));
+  });
+
+  row.appendChild(label);
+  row.appendChild(statusSelect);
+  row.appendChild(paidInput);
+  return row;
+}
+
+// Save a payer's payment status and show the updated ledger
+async function updatePaymentStatus(orderKey, name, status, paidAmount = 0) {
+  try {
+    const response = await sendMessage({ type: 'UPDATE_PAYMENT_STATUS', orderKey, name, status, paidAmount });
+    if (!response || !response.success) {
+      throw createResponseError(response, t('ledgerUpdateFailed'));
+    }
+    showLedgerMessage('');
+    renderLedger(response.ledger);
+  } catch (error) {
+    console.error('Error updating payment status:', error);
+    showLedgerMessage(error.message);
+    loadLedger();
+  }
+}
+
+// Remove an order from the payment ledger
+async function deleteLedgerOrder(orderKey) {
+  try {
+    const response = await sendMessage({ type: 'DELETE_LEDGER_ORDER', orderKey });
+    if (!response || !response.success) {
+      throw createResponseError(response, t('ledgerRemoveFailed'));
+    }
+    renderLedger(response.ledger);
+  } catch (error) {
+    console.error('Error removing ledger order:', error);
+    showLedgerMessage(error.message);
+  }
+}
+
+// List the placeholders templates can use, with their meaning as tooltip
+function renderTemplatePlaceholders() {
+  const element = document.getElementById('template-placeholders');
+  Object.entries(MessageTemplates.PLACEHOLDERS).forEach(([key, messageKey], index) => {
+    if (index > 0) {
+      element.appendChild(document.createTextNode(' '));
+    }
+    const code = document.createElement('code');
+    code.textContent = `{${key}}`;
+    code.title = t(messageKey);
+    element.appendChild(code);
+  });
+}
+
+// Fill a dropdown with the names of the message templates
+function populateTemplateOptions(select, templates) {
+  select.replaceChildren();
+  templates.forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name;
+    select.appendChild(option);
+  });
+}
+
+// Show the selected template, or the template with the given id, in the editor
+function renderTemplateEditor(templateId = null) {
+  const select = document.getElementById('template-select');
+  const selectedId = templateId || select.value;
+  populateTemplateOptions(select, editedTemplates);
+  select.value = (editedTemplates.find(template => template.id === selectedId) || editedTemplates[0]).id;
+
+  const template = getEditedTemplate();
+  document.getElementById('template-name').value = template.name;
+  document.getElementById('template-text').value = template.text;
+  document.getElementById('delete-template').textContent = t(template.builtIn ? 'templateRestore' : 'settingsTemplateDelete');
+  updateTemplatePreview();
+}
+
+// Template currently selected in the editor
+function getEditedTemplate() {
+  const selectedId = document.getElementById('template-select').value;
+  return editedTemplates.find(template => template.id === selectedId);
+}
+
+// Keep edits to the name and text of the selected template
+function updateEditedTemplate() {
+  const template = getEditedTemplate();
+  template.name = document.getElementById('template-name').value;
+  template.text = document.getElementById('template-text').value;
+  document.getElementById('template-select').selectedOptions[0].textContent = template.name.trim() || t('templateUntitled');
+  updateTemplatePreview();
+}
+
+// Start a new template from the selected one
+function addTemplate() {
+  const template = getEditedTemplate();
+  const id = `custom-${Date.now().toString(36)}`;
+  editedTemplates.push({ id, name: t('templateCopyName', template.name.trim() || t('templateUntitled')), text: template.text, builtIn: false });
+  followLanguageTemplate = false;
+  renderTemplateEditor(id);
+  document.getElementById('template-name').focus();
+}
+
+// Delete the selected template, or undo the changes to a built-in one
+function deleteTemplate() {
+  const template = getEditedTemplate();
+  if (template.builtIn) {
+    Object.assign(template, MessageTemplates.getBuiltInTemplate(template.id));
+    renderTemplateEditor(template.id);
+  } else {
+    editedTemplates = editedTemplates.filter(entry => entry !== template);
+    renderTemplateEditor(MessageTemplates.getLanguageTemplateId());
+  }
+}
+
+// Render the selected template for the last calculated order, or explain why it cannot be used
+function updateTemplatePreview() {
+  const preview = document.getElementById('template-preview');
+  const template = getEditedTemplate();
+  const errors = MessageTemplates.validateTemplate(template.text);
+  preview.classList.toggle('invalid', errors.length > 0);
+
+  if (errors.length > 0) {
+    preview.textContent = errors.join('\n');
+    return;
+  }
+
+  const { payer, options } = templatePreview || { payer: SAMPLE_PAYER, options: {} };
+  preview.textContent = PaymentRequests.createPaymentMessage(payer, {
+    ...options,
+    paymentLink: (document.getElementById('tikkie-link').value.match(/https:\/\/\S+/) || [''])[0],
+    bankAccount: {
+      iban: document.getElementById('iban').value,
+      accountHolder: document.getElementById('account-holder').value
+    },
+    template: template.text
+  });
+}
+
+// Preview templates with the first payer of the last calculated order
+async function loadTemplatePreview() {
+  try {
+    const response = await sendMessage({ type: 'GET_LEDGER' });
+    const order = response && response.success &&
+      PaymentLedger.listOrders(response.ledger).find(entry => PaymentRequests.listPayers(entry.results).length > 0);
+    if (order) {
+      templatePreview = {
+        payer: PaymentRequests.listPayers(order.results)[0],
+        options: { orderCreator: order.orderCreator, restaurant: order.restaurant, date: order.date }
+      };
+    }
+  } catch (error) {
+    console.warn('No calculated order to preview templates with:', error);
+  }
+
+  document.getElementById('template-preview-source').textContent = templatePreview
+    ? `(${PaymentLedger.describeOrder({ date: templatePreview.options.date, restaurant: templatePreview.options.restaurant })})`
+    : t('templatePreviewExample');
+  updateTemplatePreview();
 }
 
 // Load settings from storage
@@ -61,14 +826,40 @@ async function loadSettings() {
     const response = await sendMessage({ type: 'GET_SETTINGS' });
     if (response.success) {
       const settings = response.settings;
+      document.getElementById('language').value = settings.language || 'auto';
       document.getElementById('daily-budget').value = settings.dailyBudget;
+      document.getElementById('split-strategy').value = GroupOrderCalculator.resolveStrategy(settings).id;
+      updateStrategyDescription();
+      renderRoster(settings.roster);
       document.getElementById('tikkie-link').value = settings.tikkieLink || '';
+      document.getElementById('iban').value = settings.iban ? PaymentRequests.formatIban(settings.iban) : '';
+      document.getElementById('account-holder').value = settings.accountHolder || '';
+      document.getElementById('reminder-days').value = settings.reminderDays;
+      document.getElementById('self-name').value = settings.selfName || '';
+      document.getElementById('auto-lock-minutes').value = settings.autoLockMinutes;
+      editedTemplates = MessageTemplates.listTemplates(settings.messageTemplates);
+      followLanguageTemplate = !settings.messageTemplate;
+      renderTemplateEditor(settings.messageTemplate || MessageTemplates.getLanguageTemplateId());
+      loadTemplatePreview();
+
+      unreadableSettings = settings.unreadable || [];
+      if (unreadableSettings.length > 0) {
+        showError(t('settingsUnreadable', unreadableSettings.map(key => t(SENSITIVE_SETTING_LABELS[key])).join(', ')),
+          'security');
+      }
     }
   } catch (error) {
     console.error('Error loading settings:', error);
   }
 }
 
+// Whole number of a number input within its min and max, or null when empty for the default
+function readWholeNumber(id) {
+  const input = document.getElementById(id);
+  const value = parseInt(input.value, 10);
+  return isNaN(value) ? null : Math.min(Math.max(value, Number(input.min)), Number(input.max));
+}
+
 // Save settings to storage with security validation
 async function saveSettings() {
   try {
@@ -79,13 +870,13 @@ async function saveSettings() {
     if (tikkieValue) {
       // Basic validation
       if (!tikkieValue.startsWith('https://')) {
-        showError('Tikkie URL must use HTTPS for security', 'security');
+        showError(t('settingsTikkieHttps'), 'security');
         tikkieInput.focus();
         return;
       }
 
       if (!tikkieValue.includes('tikkie.me')) {
-        showError('Only official Tikkie URLs (tikkie.me) are allowed', 'security');
+        showError(t('settingsTikkieOfficial'), 'security');
         tikkieInput.focus();
         return;
       }
@@ -100,58 +891,117 @@ async function saveSettings() {
       ];
 
       if (suspiciousPatterns.some(pattern => pattern.test(tikkieValue))) {
-        showError('URL contains suspicious content and cannot be saved', 'security');
+        showError(t('settingsTikkieSuspicious'), 'security');
         tikkieInput.focus();
         return;
       }
     }
 
+    // Bank transfer details are optional, but must be complete and valid when given
+    const ibanInput = document.getElementById('iban');
+    const iban = PaymentRequests.normalizeIban(ibanInput.value);
+    const accountHolder = document.getElementById('account-holder').value.trim();
+
+    if (iban && !PaymentRequests.isValidIban(iban)) {
+      showError(t('settingsIbanInvalid'), 'general');
+      ibanInput.focus();
+      return;
+    }
+
+    if (iban && !accountHolder) {
+      showError(t('settingsHolderMissing'), 'general');
+      document.getElementById('account-holder').focus();
+      return;
+    }
+
+    const invalidTemplate = editedTemplates.find(template => MessageTemplates.validateTemplate(template.text).length > 0);
+    if (invalidTemplate) {
+      showError(t('settingsTemplateInvalid', invalidTemplate.name,
+        MessageTemplates.validateTemplate(invalidTemplate.text)[0]), 'general');
+      renderTemplateEditor(invalidTemplate.id);
+      document.getElementById('template-text').focus();
+      return;
+    }
+
     const dailyBudgetInput = document.getElementById('daily-budget').value;
     let dailyBudget;
 
     if (dailyBudgetInput === '' || dailyBudgetInput === null || dailyBudgetInput === undefined) {
-      dailyBudget = 14; // Use default only for truly empty values
+      dailyBudget = GroupOrderCalculator.DEFAULT_BUDGET; // Use default only for truly empty values
     } else {
       dailyBudget = parseFloat(dailyBudgetInput);
       // Validate that it's a valid number
       if (isNaN(dailyBudget) || dailyBudget < 0) {
-        dailyBudget = 14; // Use default for invalid values
+        dailyBudget = GroupOrderCalculator.DEFAULT_BUDGET; // Use default for invalid values
       }
     }
 
+    const language = document.getElementById('language').value;
     const settings = {
+      language,
       dailyBudget: dailyBudget,
-      tikkieLink: tikkieValue
+      splitStrategy: document.getElementById('split-strategy').value,
+      roster: collectRoster(),
+      tikkieLink: tikkieValue,
+      iban,
+      accountHolder,
+      reminderDays: readWholeNumber('reminder-days'),
+      selfName: document.getElementById('self-name').value.trim(),
+      messageTemplates: editedTemplates.map(({ id, name, text }) => ({ id, name, text })), // Unchanged built-in templates are dropped by the background
+      messageTemplate: followLanguageTemplate ? '' : document.getElementById('template-select').value,
+      autoLockMinutes: readWholeNumber('auto-lock-minutes')
     };
 
+    // Sensitive settings were not loaded while locked and must not be overwritten
+    if (lockStatus.locked) {
+      Object.keys(SecureStorage.SENSITIVE_FIELDS.sync).forEach(key => delete settings[key]);
+    }
+    // Neither were those that cannot be decrypted, which must be kept as they are
+    unreadableSettings.forEach(key => delete settings[key]);
+
     const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings });
 
     if (response && response.success) {
-      updateStatus('Settings saved successfully', 'success');
-      setTimeout(() => updateStatus('Ready', 'success'), 2000);
+      // Show the popup again in the newly picked language
+      if (I18n.resolveLocale(language, chrome.i18n.getUILanguage()) !== I18n.getLocale()) {
+        window.location.reload();
+        return;
+      }
+      updateStatus(t('settingsSaved'), 'success');
+      setTimeout(() => updateStatus(t('statusReady'), 'success'), 2000);
     } else {
-      throw new Error(response?.error || 'Unknown error from background script');
+      throw createResponseError(response, t('errorUnknownBackground'));
     }
   } catch (error) {
     console.error('Error saving settings:', error);
 
     // Show specific error message if it's a security-related error
-    if (error.message.includes('Invalid Tikkie URL') ||
-        error.message.includes('Rate limit') ||
-        error.message.includes('securely store')) {
+    if (SETTINGS_SECURITY_ERRORS.includes(error.code)) {
       showError(error.message, 'security');
     } else {
-      showError('Failed to save settings: ' + error.message, 'general');
+      showError(t('settingsSaveFailedReason', error.message), 'general');
     }
 
-    updateStatus('Failed to save settings', 'error');
+    updateStatus(t('settingsSaveFailed'), 'error');
   }
 }
 
 // Reset settings to defaults
 async function resetSettings() {
-  document.getElementById('daily-budget').value = 14;
+  document.getElementById('language').value = 'auto';
+  document.getElementById('daily-budget').value = GroupOrderCalculator.DEFAULT_BUDGET;
+  document.getElementById('split-strategy').value = GroupOrderCalculator.DEFAULT_STRATEGY;
+  updateStrategyDescription();
+  renderRoster([]);
   document.getElementById('tikkie-link').value = '';
+  document.getElementById('iban').value = '';
+  document.getElementById('account-holder').value = '';
+  document.getElementById('reminder-days').value = 3;
+  document.getElementById('self-name').value = '';
+  document.getElementById('auto-lock-minutes').value = 15;
+  editedTemplates = MessageTemplates.listTemplates();
+  followLanguageTemplate = true;
+  renderTemplateEditor(MessageTemplates.getLanguageTemplateId());
   await saveSettings();
 }
 
@@ -159,34 +1009,41 @@ async function resetSettings() {
 async function checkCurrentTab() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab && tab.url && tab.url.includes('thuisbezorgd.nl')) {
-      if (tab.url.includes('foodtracker') || tab.url.includes('order-confirmation')) {
-        updateStatus('Order page detected', 'success');
+    const adapter = tab && tab.url ? SiteAdapters.findAdapter(tab.url) : null;
+    if (adapter) {
+      if (adapter.isOrderUrl(tab.url)) {
+        updateStatus(t('statusOrderPage'), 'success');
         document.getElementById('calculate-button').disabled = false;
         document.getElementById('refresh-button').disabled = false;
       } else {
-        updateStatus('Navigate to an order page to use splitter', 'warning');
+        updateStatus(t('statusNavigateToOrder'), 'warning');
         document.getElementById('calculate-button').disabled = true;
         document.getElementById('refresh-button').disabled = true;
       }
     } else {
-      updateStatus('Please visit Thuisbezorgd.nl order page', 'warning');
+      updateStatus(t('statusVisitSite', getSupportedSiteNames()), 'warning');
       document.getElementById('calculate-button').disabled = true;
       document.getElementById('refresh-button').disabled = true;
     }
   } catch (error) {
     console.error('Error checking current tab:', error);
-    updateStatus('Unable to detect page', 'error');
+    updateStatus(t('statusDetectFailed'), 'error');
   }
 }
 
+// Names of the supported ordering sites, e.g. "Thuisbezorgd.nl, Lieferando.de or Takeaway.com"
+function getSupportedSiteNames() {
+  const names = SiteAdapters.listAdapters().map(adapter => adapter.name);
+  return names.length > 1 ? t('siteNamesOr', names.slice(0, -1).join(', '), names[names.length - 1]) : names.join('');
+}
+
 // Trigger calculation on current tab
 async function triggerCalculation() {
   try {
     // Validate extension environment first
     validateExtensionEnvironment();
 
-    updateStatus('Calculating...', 'loading');
+    updateStatus(t('statusCalculating'), 'loading');
     hideResults();
     hideError();
 
@@ -194,34 +1051,26 @@ async function triggerCalculation() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      throw new Error('No active tab found');
+      throw new Error(t('errorNoActiveTab'));
     }
 
-    if (!tab.url || !tab.url.includes('thuisbezorgd.nl')) {
-      showError('Please navigate to a Thuisbezorgd.nl order page first', 'parsing');
-      updateStatus('Wrong page', 'error');
+    if (!tab.url || !SiteAdapters.findAdapter(tab.url)) {
+      showError(t('errorWrongSite', getSupportedSiteNames()), 'parsing');
+      updateStatus(t('statusWrongPage'), 'error');
       return;
     }
 
     // Send message to content script with enhanced error handling
-    const response = await chrome.tabs.sendMessage(tab.id, { type: 'TRIGGER_CALCULATION' });
+    const response = await sendTabMessage(tab.id, { type: 'TRIGGER_CALCULATION' });
 
     if (response && response.success) {
-      displayResults(response.results, response.breakdown, response.withinBudget, response.orderCreator);
-      updateStatus('Calculation complete', 'success');
+      displayResponse(response);
+      updateStatus(t('statusCalculationComplete'), 'success');
     } else {
-      const errorMsg = response?.error || 'Calculation failed';
-
       // Categorize error for better user guidance
-      let category = 'calculation';
-      if (errorMsg.includes('parse') || errorMsg.includes('not a valid order page')) {
-        category = 'parsing';
-      } else if (errorMsg.includes('connection') || errorMsg.includes('network')) {
-        category = 'network';
-      }
-
-      showError(errorMsg, category);
-      updateStatus('Calculation failed', 'error');
+      showError(describePageError(response, t('statusCalculationFailed')),
+        PAGE_ERROR_CATEGORIES[response?.code] || 'calculation');
+      updateStatus(t('statusCalculationFailed'), 'error');
     }
 
   } catch (error) {
@@ -229,7 +1078,7 @@ async function triggerCalculation() {
 
     // Enhanced error categorization
     let category = 'general';
-    let message = error.message || 'Failed to calculate order distribution';
+    let message = error.message || t('errorCalculateFailed');
 
     if (error.message && (
       error.message.includes('Could not establish connection') ||
@@ -238,153 +1087,363 @@ async function triggerCalculation() {
       error.message.includes('connection lost')
     )) {
       category = 'connection';
-      message = 'Connection to page lost. Please refresh the page and try again.';
+      message = t('errorConnectionLost');
     } else if (error.message && error.message.includes('timeout')) {
       category = 'network';
-      message = 'Request timed out. Please check your connection and try again.';
-    } else if (error.message && error.message.includes('No active tab')) {
+      message = t('errorTimedOut');
+    } else if (error.message && error.message === t('errorNoActiveTab')) {
       category = 'general';
-      message = 'No active browser tab found. Please ensure you have a tab open.';
+      message = t('errorNoBrowserTab');
     }
 
     showError(message, category);
-    updateStatus('Calculation failed', 'error');
+    updateStatus(t('statusCalculationFailed'), 'error');
+  }
+}
+
+// Open the correction editor on the current order page
+async function openCorrectionEditor() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await sendTabMessage(tab.id, { type: 'OPEN_CORRECTION_EDITOR' });
+
+    if (response && response.success) {
+      updateStatus(t('statusCorrectOnPage'), 'success');
+    } else {
+      showError(describePageError(response, t('errorOpenEditor')), PAGE_ERROR_CATEGORIES[response?.code] || 'calculation');
+    }
+  } catch (error) {
+    console.error('Error opening correction editor:', error);
+    showError(t('errorConnectionLost'), 'connection');
+  }
+}
+
+// Acknowledge the difference with the page total on the current order page
+async function acknowledgeDiscrepancy() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await sendTabMessage(tab.id, { type: 'ACKNOWLEDGE_DISCREPANCY' });
+
+    if (response && response.success) {
+      displayResponse(response);
+      updateStatus(t('statusAcknowledged'), 'warning');
+    } else {
+      showError(describePageError(response, t('errorAcknowledge')), PAGE_ERROR_CATEGORIES[response?.code] || 'calculation');
+    }
+  } catch (error) {
+    console.error('Error acknowledging discrepancy:', error);
+    showError(t('errorConnectionLost'), 'connection');
   }
 }
 
 // Refresh page data
 async function refreshPageData() {
   try {
-    updateStatus('Refreshing page...', 'loading');
+    updateStatus(t('statusRefreshing'), 'loading');
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     await chrome.tabs.reload(tab.id);
-    updateStatus('Page refreshed', 'success');
-    setTimeout(() => updateStatus('Ready', 'success'), 2000);
+    updateStatus(t('statusRefreshed'), 'success');
+    setTimeout(() => updateStatus(t('statusReady'), 'success'), 2000);
   } catch (error) {
     console.error('Error refreshing page:', error);
-    updateStatus('Failed to refresh page', 'error');
+    updateStatus(t('statusRefreshFailed'), 'error');
   }
 }
 
+// Display a calculation response from the content script
+function displayResponse(response) {
+  displayResults(response.results, response.breakdown, response.withinBudget, response.orderCreator, {
+    parseReport: response.parseReport,
+    reconciliation: response.reconciliation,
+    restaurant: response.restaurant
+  });
+}
+
 // Display calculation results
-function displayResults(results, breakdown, withinBudget = false, orderCreator = null) {
+function displayResults(results, breakdown, withinBudget = false, orderCreator = null, diagnostics = {}) {
+  const { parseReport = null, reconciliation = null, restaurant = null } = diagnostics;
   const resultsSection = document.getElementById('results-section');
 
   // Store breakdown data for toggle
   if (breakdown) {
-    document.getElementById('breakdown-content').innerHTML = createBreakdownHTML(breakdown);
+    render(document.getElementById('breakdown-content'),
+      html`${createBreakdownHTML(breakdown)}${createParseReportHTML(parseReport)}${createParticipantsHTML(results)}`);
   }
 
+  showParseWarning(parseReport);
+
   // Show Tikkie payment section if there are payments to collect
   const hasPaymentObligations = Object.keys(results).length > 0 && !withinBudget;
   if (hasPaymentObligations) {
-    showTikkieSection(results, orderCreator);
+    showTikkieSection(results, orderCreator, reconciliation, restaurant);
   } else {
     hideTikkieSection();
   }
 
+  // Exports follow the payment requests: held back while the total is disputed
+  const exportable = Object.keys(results).length > 0 && breakdown &&
+    !(reconciliation && reconciliation.blocksPayments);
+  exportContext = exportable ? { results, breakdown, orderCreator, restaurant } : null;
+  document.getElementById('export-actions').style.display = exportable ? 'flex' : 'none';
+
   resultsSection.style.display = 'block';
 }
 
+// Download the calculated order as a Splitwise CSV or JSON file
+function exportOrder(format) {
+  if (!exportContext) {
+    return;
+  }
+
+  const { results, breakdown, orderCreator, restaurant } = exportContext;
+  try {
+    OrderExport.downloadFile(OrderExport.createExportFile(format, results, breakdown, { orderCreator, restaurant }));
+  } catch (error) {
+    console.error('Export failed:', error);
+    showError(t('exportFailed', error.message));
+  }
+}
+
 // Create breakdown HTML
 function createBreakdownHTML(breakdown) {
-  return `
+  const strategy = GroupOrderCalculator.resolveStrategy({ splitStrategy: breakdown.strategy });
+
+  return html`
     <div class="breakdown-row">
-      <span>Order Subtotal:</span>
-      <span>€${breakdown.orderSubtotal.toFixed(2)}</span>
+      <span>${t('breakdownStrategy')}</span>
+      <span>${strategy.label}</span>
     </div>
+    ${breakdown.manuallyCorrected ? html`
+    <div class="breakdown-row">
+      <span>${t('breakdownOrderData')}</span>
+      <span>${t('breakdownCorrectedManually')}</span>
+    </div>` : ''}
     <div class="breakdown-row">
-      <span>Delivery Fee:</span>
-      <span>€${breakdown.delivery.toFixed(2)}</span>
+      <span>${t('breakdownOrderSubtotal')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.orderSubtotal)}</span>
     </div>
     <div class="breakdown-row">
-      <span>Service Fee:</span>
-      <span>€${breakdown.service.toFixed(2)}</span>
+      <span>${t('breakdownDelivery')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.delivery)}</span>
     </div>
     <div class="breakdown-row">
-      <span>Discount:</span>
-      <span>€${breakdown.discount.toFixed(2)}</span>
+      <span>${t('breakdownService')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.service)}</span>
+    </div>
+    <div class="breakdown-row">
+      <span>${t('breakdownDiscount')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.discount)}</span>
     </div>
     <div class="breakdown-row total">
-      <span>Grand Total:</span>
-      <span>€${breakdown.grandTotal.toFixed(2)}</span>
+      <span>${t('breakdownGrandTotal')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.grandTotal)}</span>
+    </div>
+    <div class="breakdown-row">
+      <span>${t('breakdownTotalBudget', breakdown.participantCount)}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.totalBudget)}</span>
     </div>
     <div class="breakdown-row">
-      <span>Total Budget (${breakdown.participantCount} people):</span>
-      <span>€${breakdown.totalBudget.toFixed(2)}</span>
+      <span>${t('breakdownCompanyPays')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.companyCost)}</span>
     </div>
     <div class="breakdown-row total">
-      <span>Extra Amount:</span>
-      <span>€${Math.max(0, breakdown.grandTotal - breakdown.totalBudget).toFixed(2)}</span>
+      <span>${t('breakdownExtraAmount')}</span>
+      <span>${GroupOrderCalculator.formatCents(breakdown.totalPayments)}</span>
     </div>
+    ${(breakdown.roundingAdjustments || []).map(adjustment => html`
+    <div class="breakdown-row rounding">
+      <span>${GroupOrderCalculator.describeRoundingAdjustment(adjustment)}</span>
+    </div>`)}
   `;
 }
 
-// Show Tikkie payment section
-async function showTikkieSection(results, orderCreator) {
-  const tikkieSection = document.getElementById('tikkie-section');
-  const tikkieMessage = document.getElementById('tikkie-message');
+// Create parse diagnostics HTML: strategy, matched prices and page total checks
+function createParseReportHTML(parseReport) {
+  if (!parseReport) {
+    return null;
+  }
 
-  // Get Tikkie link from settings
-  const settings = await getSettings();
-  const tikkieLink = settings.tikkieLink || '';
+  return html`
+    <div class="parse-report confidence-${parseReport.confidence}">
+      ${SiteAdapters.describeParseReport(parseReport).map(({ label, value }) => html`
+      <div class="breakdown-row">
+        <span>${label}:</span>
+        <span>${value}</span>
+      </div>`)}
+    </div>
+  `;
+}
 
-  // Generate payment message
-  const message = generateTikkieMessage(results, orderCreator, tikkieLink);
-  tikkieMessage.value = message;
+// Warn that low-confidence results should be checked before collecting payments
+function showParseWarning(parseReport) {
+  const warning = document.getElementById('parse-warning');
+  if (!parseReport || parseReport.confidence !== 'low') {
+    warning.style.display = 'none';
+    return;
+  }
 
-  tikkieSection.style.display = 'block';
+  // Warnings quote participant names from the page, so build them as text
+  const title = document.createElement('strong');
+  title.textContent = t('parseWarningTitle');
+  const list = document.createElement('ul');
+  parseReport.warnings.forEach(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    list.appendChild(item);
+  });
+  const hint = document.createElement('div');
+  hint.textContent = t('parseWarningHintPopup');
+
+  warning.replaceChildren(title, list, hint);
+  warning.style.display = 'block';
 }
 
-// Hide Tikkie payment section
-function hideTikkieSection() {
+// Create per-person order HTML listing each participant's items
+function createParticipantsHTML(results) {
+  const formatCents = GroupOrderCalculator.formatCents;
+
+  return Object.entries(results).map(([name, details]) => html`
+    <div class="participant-order">
+      <div class="breakdown-row total">
+        <span>${name}</span>
+        <span>${formatCents(details.individualOrder)}</span>
+      </div>
+      ${(details.items || []).map(item => html`
+      <div class="breakdown-row item">
+        <span>${GroupOrderCalculator.describeItem(item)}</span>
+        <span>${formatCents(item.linePrice)}</span>
+      </div>`)}
+      <div class="breakdown-row">
+        <span>${t('breakdownPays')}</span>
+        <span>${formatCents(details.finalPayment)}</span>
+      </div>
+    </div>
+  `);
+}
+
+// Show Tikkie payment section with one payment request per payer
+async function showTikkieSection(results, orderCreator, reconciliation = null, restaurant = null) {
   const tikkieSection = document.getElementById('tikkie-section');
-  tikkieSection.style.display = 'none';
+  const templatePicker = document.getElementById('request-template-picker');
+
+  // No payment requests while the calculation disagrees with the page total
+  const blocked = Boolean(reconciliation && reconciliation.blocksPayments);
+  showReconciliationBlock(blocked ? reconciliation : null);
+  document.getElementById('payment-requests').replaceChildren();
+  templatePicker.style.display = 'none';
+  tikkieSection.style.display = 'block';
+  if (blocked) {
+    return;
+  }
+
+  // Payment details and templates come from the settings
+  const settings = await getSettings();
+  const templateSelect = document.getElementById('request-template');
+  const pickedTemplate = paymentRequestContext ? templateSelect.value : settings.messageTemplate;
+  populateTemplateOptions(templateSelect, MessageTemplates.listTemplates(settings.messageTemplates));
+  templateSelect.value = MessageTemplates.getTemplate(settings.messageTemplates, pickedTemplate).id;
+
+  paymentRequestContext = { results, orderCreator, restaurant, settings };
+  renderPaymentRequests();
 }
 
-// Generate Tikkie payment message
-function generateTikkieMessage(results, orderCreator, tikkieLink) {
-  const paymentList = [];
-  let totalAmount = 0;
+// Render the payment requests with the template picked in the Splitter tab
+function renderPaymentRequests() {
+  if (!paymentRequestContext) {
+    return;
+  }
 
-  // Collect payment information
-  Object.entries(results).forEach(([name, details]) => {
-    if (details.status === 'pays' && details.finalPayment > 0) {
-      paymentList.push({
-        name: name,
-        amount: details.finalPayment
-      });
-      totalAmount += details.finalPayment;
-    }
+  const { results, orderCreator, restaurant, settings } = paymentRequestContext;
+  const requestList = document.getElementById('payment-requests');
+  const requests = PaymentRequests.createPaymentRequests(results, {
+    orderCreator,
+    paymentLink: settings.tikkieLink || '',
+    bankAccount: { iban: settings.iban, accountHolder: settings.accountHolder },
+    restaurant,
+    template: MessageTemplates.getTemplate(settings.messageTemplates, document.getElementById('request-template').value).text
   });
 
-  if (paymentList.length === 0) {
-    return 'No payments required for this order.';
+  requestList.replaceChildren();
+  document.getElementById('request-template-picker').style.display = requests.length > 0 ? 'flex' : 'none';
+  if (requests.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'payment-request-empty';
+    empty.textContent = t('requestsNone');
+    requestList.appendChild(empty);
+    return;
   }
 
-  // Build message
-  let message = '💳 Payment Request for Group Order\n\n';
+  requests.forEach(request => requestList.appendChild(createPaymentRequestCard(request)));
+}
 
-  if (tikkieLink) {
-    message += `Please transfer your share to: ${tikkieLink}\n\n`;
-  } else {
-    message += 'Please transfer your share using the payment details below:\n\n';
+// Create a payer's payment request with its own copy button
+function createPaymentRequestCard(request) {
+  const card = document.createElement('div');
+  card.className = 'payment-request';
+
+  // Names come from the order page, so they are only ever set as text
+  const header = document.createElement('div');
+  header.className = 'payment-request-header';
+  const name = document.createElement('span');
+  name.textContent = request.name;
+  const amount = document.createElement('span');
+  amount.className = 'payment-request-amount';
+  amount.textContent = GroupOrderCalculator.formatCents(request.amount);
+  header.appendChild(name);
+  header.appendChild(amount);
+
+  const message = document.createElement('textarea');
+  message.className = 'tikkie-message';
+  message.readOnly = true;
+  message.value = request.message;
+
+  const copyButton = document.createElement('button');
+  copyButton.className = 'copy-button';
+  render(copyButton, html`<span class="button-icon">📋</span> ${t('copyMessage')}`);
+  copyButton.addEventListener('click', () => copyPaymentRequest(message, copyButton));
+
+  card.appendChild(header);
+  card.appendChild(message);
+  card.appendChild(copyButton);
+  return card;
+}
+
+// Explain why the payment message is blocked and how to resolve it
+function showReconciliationBlock(reconciliation) {
+  const block = document.getElementById('reconciliation-block');
+  if (!reconciliation) {
+    block.style.display = 'none';
+    return;
   }
 
-  message += 'Payment breakdown:\n';
-  paymentList.forEach(payment => {
-    message += `• ${payment.name}: €${payment.amount.toFixed(2)}\n`;
+  const formatCents = GroupOrderCalculator.formatCents;
+  const title = document.createElement('strong');
+  title.textContent = t('reconciliationMismatch');
+
+  const amounts = document.createElement('div');
+  amounts.textContent = reconciliation.pageTotal !== null
+    ? t('reconciliationTotals', formatCents(reconciliation.parsedTotal), formatCents(reconciliation.pageTotal))
+    : t('reconciliationSubtotals', formatCents(reconciliation.parsedSubtotal), formatCents(reconciliation.pageSubtotal));
+
+  // Causes may quote item and participant names from the page, so build them as text
+  const list = document.createElement('ul');
+  reconciliation.causes.forEach(cause => {
+    const item = document.createElement('li');
+    item.textContent = cause.message;
+    list.appendChild(item);
   });
 
-  message += `\nTotal to collect: €${totalAmount.toFixed(2)}`;
+  const hint = document.createElement('div');
+  hint.textContent = t('reconciliationHintPopup');
 
-  if (orderCreator) {
-    message += `\nPayments to: ${orderCreator}`;
-  }
-
-  message += '\n\nThank you!';
+  document.getElementById('reconciliation-details').replaceChildren(title, amounts, list, hint);
+  block.style.display = 'block';
+}
 
-  return message;
+// Hide Tikkie payment section
+function hideTikkieSection() {
+  const tikkieSection = document.getElementById('tikkie-section');
+  tikkieSection.style.display = 'none';
 }
 
 // Toggle breakdown visibility
@@ -403,10 +1462,10 @@ function toggleBreakdown() {
 
   if (isHidden) {
     breakdownSection.style.display = 'block';
-    toggleButton.textContent = 'Hide Calculation Details';
+    toggleButton.textContent = t('hideDetails');
   } else {
     breakdownSection.style.display = 'none';
-    toggleButton.textContent = 'Show Calculation Details';
+    toggleButton.textContent = t('showDetails');
   }
 }
 
@@ -459,21 +1518,18 @@ async function getSettings() {
   }
 }
 
-// Copy Tikkie message to clipboard
-async function copyTikkieMessage() {
-  const tikkieMessage = document.getElementById('tikkie-message');
-  const copyButton = document.getElementById('copy-tikkie-button');
-
+// Copy a payment request to the clipboard
+async function copyPaymentRequest(message, copyButton) {
   try {
-    await navigator.clipboard.writeText(tikkieMessage.value);
+    await navigator.clipboard.writeText(message.value);
 
     // Update button to show success
-    const originalHTML = copyButton.innerHTML;
-    copyButton.innerHTML = '<span class="button-icon">✅</span> Copied!';
+    const originalContent = Array.from(copyButton.childNodes);
+    render(copyButton, html`<span class="button-icon">✅</span> ${t('copyCopied')}`);
     copyButton.classList.add('copied');
 
     setTimeout(() => {
-      copyButton.innerHTML = originalHTML;
+      copyButton.replaceChildren(...originalContent);
       copyButton.classList.remove('copied');
     }, 2000);
 
@@ -481,29 +1537,62 @@ async function copyTikkieMessage() {
     console.error('Failed to copy message:', error);
 
     // Fallback: select text for manual copy
-    tikkieMessage.select();
-    tikkieMessage.setSelectionRange(0, 99999); // For mobile devices
+    message.select();
+    message.setSelectionRange(0, 99999); // For mobile devices
 
     // Update button to show fallback
-    const originalHTML = copyButton.innerHTML;
-    copyButton.innerHTML = '<span class="button-icon">📋</span> Text Selected';
+    const originalContent = Array.from(copyButton.childNodes);
+    render(copyButton, html`<span class="button-icon">📋</span> ${t('copyTextSelected')}`);
 
     setTimeout(() => {
-      copyButton.innerHTML = originalHTML;
+      copyButton.replaceChildren(...originalContent);
     }, 2000);
   }
 }
 
+// Send a message to the content script of an order page tab; its response is returned as it is
+function sendTabMessage(tabId, message) {
+  return chrome.tabs.sendMessage(tabId, MessageProtocol.createMessage(message));
+}
+
+// Error text of a failed order page response, asking for a reload when the page runs another version
+function describePageError(response, fallback) {
+  if (response?.code === ERROR_CODES.PROTOCOL_MISMATCH) {
+    return t('errorProtocolMismatch');
+  }
+  return response?.error || fallback;
+}
+
+// Error of a failed background response, keeping its code from the message protocol
+function createResponseError(response, fallback = t('errorUnknown')) {
+  const error = new Error(response?.code === ERROR_CODES.PROTOCOL_MISMATCH
+    ? t('errorProtocolMismatch')
+    : response?.error || fallback);
+  error.code = response?.code || ERROR_CODES.INTERNAL;
+  return error;
+}
+
 // Send message to background script with enhanced error handling
+// Failed requests reject with an error carrying the code from the message protocol
 function sendMessage(message, timeout = 5000) {
   return new Promise((resolve, reject) => {
+    // Requests the background would refuse are not sent at all
+    const request = MessageProtocol.createMessage(message);
+    const rejection = MessageProtocol.validateMessage(request, MessageProtocol.CONTEXTS.background,
+      MessageProtocol.CONTEXTS.popup);
+    if (rejection) {
+      console.error('Invalid message:', rejection.message);
+      reject(rejection);
+      return;
+    }
+
     // Set up timeout
     const timeoutId = setTimeout(() => {
-      reject(new Error('Request timeout - extension may need to be reloaded'));
+      reject(new Error(t('errorRequestTimeout')));
     }, timeout);
 
     try {
-      chrome.runtime.sendMessage(message, (response) => {
+      chrome.runtime.sendMessage(request, (response) => {
         clearTimeout(timeoutId);
 
         if (chrome.runtime.lastError) {
@@ -512,23 +1601,23 @@ function sendMessage(message, timeout = 5000) {
           // Provide user-friendly error messages
           if (error.includes('Could not establish connection') ||
               error.includes('Receiving end does not exist')) {
-            reject(new Error('Extension connection lost. Please refresh the page and try again.'));
+            reject(new Error(t('errorExtensionConnectionLost')));
           } else if (error.includes('Extension context invalidated')) {
-            reject(new Error('Extension was reloaded. Please refresh the page.'));
+            reject(new Error(t('errorExtensionReloaded')));
           } else {
-            reject(new Error(`Extension error: ${error}`));
+            reject(new Error(t('errorExtension', error)));
           }
         } else if (!response) {
-          reject(new Error('No response from extension background script'));
+          reject(new Error(t('errorNoBackgroundResponse')));
         } else if (response.success === false) {
-          reject(new Error(response.error || 'Unknown error occurred'));
+          reject(createResponseError(response));
         } else {
           resolve(response);
         }
       });
     } catch (error) {
       clearTimeout(timeoutId);
-      reject(new Error(`Failed to send message: ${error.message}`));
+      reject(new Error(t('errorSendFailed', error.message)));
     }
   });
 }
@@ -536,11 +1625,11 @@ function sendMessage(message, timeout = 5000) {
 // Validate extension environment
 function validateExtensionEnvironment() {
   if (!chrome || !chrome.runtime) {
-    throw new Error('Chrome extension APIs not available');
+    throw new Error(t('errorNoChromeApis'));
   }
 
   if (!chrome.runtime.id) {
-    throw new Error('Extension context is invalid - please reload the extension');
+    throw new Error(t('errorExtensionContextInvalid'));
   }
 }
 
@@ -555,23 +1644,23 @@ function showError(message, category = 'general') {
 
   switch (category) {
     case 'connection':
-      helpText = ' Try refreshing the page or reloading the extension.';
+      helpText = t('errorHelpConnection');
       break;
     case 'parsing':
-      helpText = ' Make sure you are on a valid Thuisbezorgd order page.';
+      helpText = t('errorHelpParsing', getSupportedSiteNames());
       break;
     case 'calculation':
-      helpText = ' Check that all order data is loaded correctly.';
+      helpText = t('errorHelpCalculation');
       break;
     case 'network':
-      helpText = ' Check your internet connection and try again.';
+      helpText = t('errorHelpNetwork');
       break;
   }
 
-  errorMessage.innerHTML = `
+  render(errorMessage, html`
     <div style="margin-bottom: 8px;">${displayMessage}</div>
-    ${helpText ? `<div style="font-size: 12px; color: #666;">${helpText}</div>` : ''}
-  `;
+    ${helpText ? html`<div style="font-size: 12px; color: #666;">${helpText}</div>` : ''}
+  `);
 
   errorSection.style.display = 'block';
 
@@ -0,0 +1,493 @@
+/**
+ * QR code encoder for Group Order Splitter
+ *
+ * A small, dependency-free QR code (ISO/IEC 18004) encoder so payment QR
+ * codes are rendered entirely on the device. It supports byte mode, which
+ * covers the UTF-8 payloads of EPC069-12 transfers, with every version and
+ * error correction level, and picks the smallest version that fits.
+ */
+(function (root) {
+  'use strict';
+
+  // Error correction levels with their format bits
+  const ERROR_CORRECTION = {
+    L: { formatBits: 1, index: 0 },
+    M: { formatBits: 0, index: 1 },
+    Q: { formatBits: 3, index: 2 },
+    H: { formatBits: 2, index: 3 }
+  };
+
+  // Error correction codewords per block, indexed by level and version (1-40)
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  // Error correction blocks, indexed by level and version (1-40)
+  const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  const MIN_VERSION = 1;
+  const MAX_VERSION = 40;
+
+  // Penalty weights used to choose the mask pattern
+  const PENALTY_N1 = 3;
+  const PENALTY_N2 = 3;
+  const PENALTY_N3 = 40;
+  const PENALTY_N4 = 10;
+
+  // Mask patterns by mask number
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  /**
+   * Encode text as UTF-8 bytes
+   */
+  function toUtf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') {
+      return Array.from(new TextEncoder().encode(text));
+    }
+    return Array.from(unescape(encodeURIComponent(text)), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Number of modules available for data and error correction in a version
+   */
+  function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) {
+        result -= 36;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Number of data codewords a version holds at an error correction level
+   */
+  function getNumDataCodewords(version, level) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[level.index][version] * NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+  }
+
+  /**
+   * Bits needed for a byte-mode segment in a version
+   */
+  function getSegmentBits(byteCount, version) {
+    const countBits = version < 10 ? 8 : 16;
+    return 4 + countBits + byteCount * 8;
+  }
+
+  /**
+   * Reed-Solomon multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  function multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Reed-Solomon generator polynomial of a degree, highest coefficient dropped
+   */
+  function computeDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let rootValue = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = multiply(result[j], rootValue);
+        if (j + 1 < result.length) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      rootValue = multiply(rootValue, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Reed-Solomon error correction codewords for a block of data
+   */
+  function computeRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, index) => {
+        result[index] ^= multiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Build the data codewords: mode, length, bytes, terminator and padding
+   */
+  function createDataCodewords(bytes, version, level) {
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+      }
+    };
+
+    appendBits(0x4, 4); // Byte mode
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version, level) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+      appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, add error correction and interleave the result
+   */
+  function addErrorCorrection(data, version, level) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = computeDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+      const blockData = data.slice(offset, offset + dataLength);
+      offset += dataLength;
+
+      const ecc = computeRemainder(blockData, divisor);
+      // Short blocks get a placeholder so all blocks interleave by index
+      if (i < numShortBlocks) {
+        blockData.push(null);
+      }
+      blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach(block => {
+        if (block[i] !== null) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Centre positions of the alignment patterns of a version
+   */
+  function getAlignmentPositions(version) {
+    if (version === 1) {
+      return [];
+    }
+
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < numAlign; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  /**
+   * Module grid with the function patterns drawn and marked as reserved
+   */
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunctionModule = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      setFunctionModule(6, i, i % 2 === 0);
+      setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = centerX + dx;
+          const y = centerY + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            setFunctionModule(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap the finder patterns
+    const alignment = getAlignmentPositions(version);
+    alignment.forEach((centerY, row) => {
+      alignment.forEach((centerX, column) => {
+        const isFinderCorner = (row === 0 && column === 0) ||
+          (row === 0 && column === alignment.length - 1) ||
+          (row === alignment.length - 1 && column === 0);
+        if (isFinderCorner) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; they are filled once the mask is known
+    drawFormatBits(modules, reserved, 0);
+
+    // Version information from version 7 up
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      }
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunctionModule(a, b, dark);
+        setFunctionModule(b, a, dark);
+      }
+    }
+
+    return { size, modules, reserved };
+  }
+
+  /**
+   * Draw the format information (error correction level and mask) twice
+   */
+  function drawFormatBits(modules, reserved, formatData) {
+    const size = modules.length;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((formatData << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Around the top-left finder pattern
+    for (let i = 0; i <= 5; i++) {
+      set(8, i, bit(i));
+    }
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      set(14 - i, 8, bit(i));
+    }
+
+    // Next to the other two finder patterns
+    for (let i = 0; i < 8; i++) {
+      set(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      set(8, size - 15 + i, bit(i));
+    }
+    set(8, size - 8, true); // Always-dark module
+  }
+
+  /**
+   * Place codewords in the zigzag order from the bottom-right corner
+   */
+  function drawCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!reserved[y][x] && bitIndex < totalBits) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy of the grid with a mask applied to the data modules
+   */
+  function applyMask(grid, mask) {
+    const pattern = MASKS[mask];
+    return grid.modules.map((row, y) => row.map((dark, x) =>
+      (!grid.reserved[y][x] && pattern(x, y)) ? !dark : dark));
+  }
+
+  /**
+   * Penalty score of a masked symbol; the lowest scoring mask is used
+   */
+  function getPenaltyScore(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    const scoreLine = (line) => {
+      let lineScore = 0;
+      let runLength = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) {
+          lineScore += PENALTY_N1 + runLength - 5;
+        }
+        runLength = 1;
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules on either side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      const finderLike = /(?=(00001011101|10111010000))/g;
+      lineScore += (text.match(finderLike) || []).length * PENALTY_N3;
+      return lineScore;
+    };
+
+    for (let i = 0; i < size; i++) {
+      penalty += scoreLine(modules[i]);
+      penalty += scoreLine(modules.map(row => row[i]));
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+          penalty += PENALTY_N2;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    const deviation = Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1;
+    penalty += Math.max(0, deviation) * PENALTY_N4;
+
+    return penalty;
+  }
+
+  /**
+   * Encode text as a QR code
+   *
+   * @param {string} text - Text to encode, as UTF-8 bytes
+   * @param {Object} options - { errorCorrection: 'L'|'M'|'Q'|'H' (default 'M') }
+   * @returns {Object} { version, size, modules: boolean[][] indexed [y][x], true for dark }
+   */
+  function encode(text, options = {}) {
+    const level = ERROR_CORRECTION[options.errorCorrection || 'M'];
+    if (!level) {
+      throw new Error(`Unknown error correction level: ${options.errorCorrection}`);
+    }
+
+    const bytes = toUtf8Bytes(String(text));
+    let version = MIN_VERSION;
+    while (getSegmentBits(bytes.length, version) > getNumDataCodewords(version, level) * 8) {
+      version++;
+      if (version > MAX_VERSION) {
+        throw new Error('Text is too long for a QR code');
+      }
+    }
+
+    const codewords = addErrorCorrection(createDataCodewords(bytes, version, level), version, level);
+    const grid = createGrid(version);
+    drawCodewords(grid, codewords);
+
+    let best = null;
+    MASKS.forEach((pattern, mask) => {
+      const modules = applyMask(grid, mask);
+      drawFormatBits(modules, grid.reserved.map(row => row.slice()), (level.formatBits << 3) | mask);
+      const penalty = getPenaltyScore(modules);
+      if (!best || penalty < best.penalty) {
+        best = { modules, penalty };
+      }
+    });
+
+    return { version, size: grid.size, modules: best.modules };
+  }
+
+  /**
+   * SVG path data drawing the dark modules, one unit per module
+   *
+   * @param {Object} qr - Result of encode
+   * @param {number} margin - Quiet zone in modules (the standard asks for 4)
+   * @returns {string} Path data for a viewBox of size + 2 * margin units
+   */
+  function toSvgPath(qr, margin = 4) {
+    const parts = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }
+      });
+    });
+    return parts.join('');
+  }
+
+  const QrCode = {
+    encode,
+    toSvgPath
+  };
+
+  root.QrCode = QrCode;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,200 @@
+/**
+ * Expense report page for Group Order Splitter
+ * Shows one recorded order (?order=<order key>) or all orders of a month
+ * (?month=YYYY-MM) from the payment ledger, ready to print or save as PDF
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadLanguage();
+  await showReport();
+});
+
+// Translated user-facing text
+const { t, formatCents } = I18n;
+
+// Report shown on the page, downloaded as CSV on request
+let currentReport = null;
+
+// Show the report in the language picked in the settings, or the browser language
+async function loadLanguage() {
+  try {
+    const response = await sendMessage({ type: 'GET_SETTINGS' });
+    const settings = response && response.success ? response.settings : {};
+    await I18n.load(I18n.resolveLocale(settings.language, chrome.i18n.getUILanguage()));
+  } catch (error) {
+    console.warn('Failed to load messages, using English:', error);
+  }
+  I18n.localizeDocument(document);
+}
+
+// Build the requested report from the payment ledger and render it
+async function showReport() {
+  const params = new URLSearchParams(window.location.search);
+  const orderKey = params.get('order');
+  const month = params.get('month');
+
+  document.getElementById('print-report').addEventListener('click', () => window.print());
+  document.getElementById('download-report-csv').addEventListener('click', downloadReportCsv);
+
+  try {
+    const response = await sendMessage({ type: 'GET_LEDGER' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || t('reportErrorLedger'));
+    }
+
+    if (orderKey) {
+      const order = response.ledger[orderKey];
+      if (!order) {
+        showMessage(t('reportOrderNotFound'));
+        return;
+      }
+      currentReport = ExpenseReport.createSingleOrderReport(order);
+    } else {
+      const reportMonth = /^\d{4}-\d{2}$/.test(month || '') ? month : ExpenseReport.toMonth(Date.now());
+      currentReport = ExpenseReport.createMonthlyReport(response.ledger, reportMonth);
+    }
+  } catch (error) {
+    console.error('Error loading expense report:', error);
+    showMessage(t('reportErrorLedger'));
+    return;
+  }
+
+  renderReport(currentReport);
+}
+
+// Render the period, one table per order and the summary
+function renderReport(report) {
+  const { period, orders, totals } = report;
+  const [year, month] = (period.month || '').split('-').map(Number);
+  document.getElementById('report-period').textContent = period.month
+    ? I18n.formatMonth(new Date(year, month - 1, 1).getTime())
+    : I18n.formatDate(orders[0].date);
+  document.getElementById('report-generated').textContent = t('reportGenerated', I18n.formatDate(Date.now()));
+  document.title = `${t('reportTitle')} – ${document.getElementById('report-period').textContent}`;
+
+  if (orders.length === 0) {
+    showMessage(t('reportNoOrders'));
+    return;
+  }
+
+  document.getElementById('report-orders').replaceChildren(...orders.map(createOrderSection));
+
+  const summaryRows = [
+    [t('reportOrderCount'), String(orders.length)],
+    [t('reportColumnOrderTotal'), formatCents(totals.total)],
+    [t('reportColumnBudget'), formatCents(totals.totalBudget)],
+    [t('reportColumnCompanyCost'), formatCents(totals.companyCost)],
+    [t('reportColumnPaidPrivately'), formatCents(totals.paidPrivately)]
+  ].concat(createVatRows(totals.vat));
+  document.getElementById('report-summary-rows').replaceChildren(...summaryRows.map(cells => createRow(cells)));
+  document.getElementById('report-summary').style.display = 'block';
+}
+
+// Section with the participants and totals of one order
+function createOrderSection(order) {
+  const section = document.createElement('section');
+  section.className = 'report-order';
+
+  const title = document.createElement('h2');
+  title.textContent = `${I18n.formatDate(order.date)} – ${order.restaurant || t('reportUnknownRestaurant')}`;
+
+  const meta = document.createElement('p');
+  meta.className = 'report-order-meta';
+  meta.textContent = [
+    order.orderNumber ? t('reportOrderNumber', order.orderNumber) : null,
+    order.siteName,
+    order.orderCreator ? t('reportOrderedBy', order.orderCreator) : null
+  ].filter(Boolean).join(' · ');
+
+  const table = document.createElement('table');
+  const head = table.createTHead();
+  head.appendChild(createRow([
+    t('reportColumnParticipant'),
+    t('reportColumnReimbursed'),
+    t('reportColumnBudgetHelp'),
+    t('reportColumnPaidPrivately')
+  ], 'th'));
+
+  const body = table.createTBody();
+  order.participants.forEach(participant => {
+    body.appendChild(createRow([
+      participant.name,
+      formatCents(participant.reimbursed),
+      formatCents(participant.budgetHelp),
+      formatCents(participant.paidPrivately)
+    ]));
+  });
+
+  // Totals, then the order amount and what the company paid against its budget
+  const foot = table.createTFoot();
+  const totalRow = createRow([
+    t('reportOrderTotal'),
+    formatCents(order.reimbursed),
+    formatCents(order.budgetHelp),
+    formatCents(order.paidPrivately)
+  ]);
+  totalRow.className = 'report-total';
+  foot.appendChild(totalRow);
+  [
+    [t('reportColumnOrderTotal'), formatCents(order.total)],
+    [t('reportColumnBudget'), formatCents(order.totalBudget)],
+    [t('reportColumnCompanyCost'), formatCents(order.companyCost)]
+  ].concat(createVatRows(order.vat)).forEach(([label, amount]) => {
+    foot.appendChild(createRow([label, '', '', amount]));
+  });
+
+  section.append(title, meta, table);
+  return section;
+}
+
+// Label and amount of each VAT rate, or a note that the page showed no VAT
+function createVatRows(vat) {
+  if (vat.length === 0) {
+    return [[t('reportColumnVat'), t('reportVatNotShown')]];
+  }
+  return vat.map(({ rate, amount }) => [
+    rate === null ? t('reportColumnVat') : t('reportVatRate', rate),
+    formatCents(amount)
+  ]);
+}
+
+// Table row with text cells; amounts after the first cell are right-aligned
+function createRow(cells, cellTag = 'td') {
+  const row = document.createElement('tr');
+  cells.forEach((text, index) => {
+    const cell = document.createElement(cellTag);
+    cell.textContent = text;
+    if (index > 0) {
+      cell.className = 'amount';
+    }
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+// Download the report as CSV
+function downloadReportCsv() {
+  if (currentReport) {
+    OrderExport.downloadFile(ExpenseReport.createReportFile(currentReport));
+  }
+}
+
+// Show a note instead of the report
+function showMessage(text) {
+  const message = document.getElementById('report-message');
+  message.textContent = text;
+  message.style.display = 'block';
+}
+
+// Send message to background script
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(MessageProtocol.createMessage(message), response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
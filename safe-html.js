@@ -0,0 +1,116 @@
+/**
+ * Safe HTML rendering for Group Order Splitter
+ *
+ * Participant names, dish names and restaurant names come from the order
+ * page, where anyone in the group order can type them; messages and error
+ * texts can quote them. Markup is therefore written with the html tagged
+ * template, which escapes every interpolated value, and put on the page with
+ * render, which only accepts markup built that way:
+ *
+ *   SafeHtml.render(row, SafeHtml.html`<span class="person-name">${name}</span>`);
+ *
+ * Nested html templates and arrays of them are inserted as markup; null,
+ * undefined and false render nothing.
+ */
+(function (root) {
+  'use strict';
+
+  const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+  };
+
+  /**
+   * Markup built by the html template, safe to render
+   */
+  class Markup {
+    constructor(text) {
+      this.text = text;
+    }
+
+    toString() {
+      return this.text;
+    }
+  }
+
+  /**
+   * Escape text for use in HTML content and quoted attribute values
+   */
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Markup of an interpolated value
+   */
+  function renderValue(value) {
+    if (value instanceof Markup) {
+      return value.text;
+    }
+    if (Array.isArray(value)) {
+      return value.map(renderValue).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+      return '';
+    }
+    return escapeHtml(value);
+  }
+
+  /**
+   * Tagged template building markup with every interpolated value escaped
+   *
+   * @returns {Markup} Markup for render, or to nest in another html template
+   */
+  function html(strings, ...values) {
+    return new Markup(strings.reduce((markup, string, index) =>
+      markup + string + (index < values.length ? renderValue(values[index]) : ''), ''));
+  }
+
+  /**
+   * Check whether a value is markup built by the html template
+   */
+  function isMarkup(value) {
+    return value instanceof Markup;
+  }
+
+  /**
+   * Parse markup into nodes of a document, without running anything in it
+   *
+   * @param {Document} doc - Document the nodes are for
+   * @param {Markup} markup - Built by the html template
+   * @returns {DocumentFragment}
+   */
+  function toFragment(doc, markup) {
+    if (!isMarkup(markup)) {
+      throw new TypeError('Only markup built by SafeHtml.html can be rendered');
+    }
+    const template = doc.createElement('template');
+    template.innerHTML = markup.text;
+    return template.content;
+  }
+
+  /**
+   * Replace the content of an element with markup built by the html template
+   */
+  function render(element, markup) {
+    element.replaceChildren(toFragment(element.ownerDocument, markup));
+  }
+
+  const SafeHtml = {
+    html,
+    escapeHtml,
+    isMarkup,
+    toFragment,
+    render
+  };
+
+  root.SafeHtml = SafeHtml;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHtml;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,247 @@
+/**
+ * Encrypted settings and records for Group Order Splitter
+ *
+ * SENSITIVE_FIELDS marks which settings and stored records hold personal or
+ * payment data. The background script reads and writes storage through a
+ * secure area, a stand-in for chrome.storage.sync or chrome.storage.local
+ * that encrypts those fields with the SecurityManager and leaves all other
+ * keys as they are. Values stored in plain text by older versions, or under
+ * a replaced key, are encrypted again with the current key when first read.
+ * While the passphrase lock is closed, reading or writing a sensitive field
+ * fails with the SecurityManager's locked error; getPublic still reads the
+ * other fields. A stored value that cannot be decrypted is never written
+ * over: reading or writing it fails with an error marked unreadable.
+ *
+ * The encryption keys never leave the browser, so other browsers signed in
+ * to the same profile cannot decrypt synced values. Sensitive settings are
+ * therefore kept in chrome.storage.local while the other settings sync.
+ * Sensitive values that earlier versions synced are moved to local storage
+ * once read, and left alone when they were encrypted by another browser.
+ */
+(function (root) {
+  'use strict';
+
+  // Sensitive fields of the settings (sync) and the stored records (local):
+  // 'text' for strings, 'json' for arrays and objects
+  const SENSITIVE_FIELDS = {
+    sync: {
+      tikkieLink: 'text',
+      iban: 'text',
+      accountHolder: 'text',
+      selfName: 'text',
+      roster: 'json'
+    },
+    local: {
+      paymentLedger: 'json',
+      orderCorrections: 'json'
+    }
+  };
+
+  /**
+   * Empty values have nothing to protect and are stored as they are
+   */
+  function isEmpty(value) {
+    if (value === undefined || value === null || value === '') {
+      return true;
+    }
+    return typeof value === 'object' && Object.keys(value).length === 0;
+  }
+
+  /**
+   * Error for a stored value that cannot be decrypted, marked with unreadable
+   */
+  function createUnreadableError(key) {
+    const error = new Error(`Stored payment data (${key}) cannot be decrypted and is kept as it is`);
+    error.unreadable = true;
+    error.field = key;
+    return error;
+  }
+
+  /**
+   * Wrap a chrome.storage area so the sensitive fields are only stored encrypted
+   *
+   * @param {Object} area - chrome.storage.sync or chrome.storage.local
+   * @param {Object} fields - Sensitive fields of the area, e.g. SENSITIVE_FIELDS.sync
+   * @param {Object} securityManager - SecurityManager encrypting the values
+   * @param {Object} sensitiveArea - Area the sensitive fields are kept in; the
+   *   area itself unless its values leave the browser
+   * @returns {Object} { get, getPublic, set, listEncryptedValues }; get, getPublic
+   *   and set take the same arguments as the chrome.storage methods
+   */
+  function createSecureArea(area, fields, securityManager, sensitiveArea = area) {
+    const keptElsewhere = sensitiveArea !== area;
+
+    /**
+     * Encrypt a field value, serializing arrays and objects first
+     */
+    async function encodeValue(key, value) {
+      if (isEmpty(value)) {
+        return value;
+      }
+      return securityManager.encrypt(fields[key] === 'json' ? JSON.stringify(value) : String(value));
+    }
+
+    /**
+     * Decrypt a stored field value, noting in rewrites when it should be stored again
+     * Values read from another area than sensitiveArea are always stored
+     * again, which moves them. Unreadable values fail with the unreadable
+     * error, except values from before the keyring, which can never be
+     * decrypted and are removed, and values another browser encrypted, which
+     * are never written over from here; both read as the fallback.
+     */
+    async function decodeValue(key, stored, fallback, rewrites, source = sensitiveArea) {
+      if (!securityManager.isEncrypted(stored)) {
+        if (!isEmpty(stored)) {
+          rewrites[key] = stored;
+        }
+        return stored;
+      }
+
+      try {
+        const plaintext = await securityManager.decrypt(stored);
+        const value = fields[key] === 'json' ? JSON.parse(plaintext) : plaintext;
+        if (source !== sensitiveArea || await securityManager.needsReencryption(stored)) {
+          rewrites[key] = value;
+        }
+        return value;
+      } catch (error) {
+        // Locked values are not lost, so they must not read as their default
+        if (error.locked) {
+          throw error;
+        }
+        console.error(`Failed to decrypt ${key}:`, error);
+        securityManager.logSecurityEvent('sensitive_field_unreadable', {
+          field: key,
+          legacy: Boolean(error.legacy)
+        });
+        if (error.legacy) {
+          await source.remove(key);
+          return fallback;
+        }
+        if (source !== sensitiveArea) {
+          return fallback;
+        }
+        throw createUnreadableError(key);
+      }
+    }
+
+    /**
+     * Fail with the unreadable error when a stored value would be written over
+     */
+    async function assertReadable(keys) {
+      const stored = await sensitiveArea.get(keys);
+      for (const key of keys) {
+        if (securityManager.isEncrypted(stored[key])) {
+          await decodeValue(key, stored[key], undefined, {});
+        }
+      }
+    }
+
+    /**
+     * Store values, encrypting the sensitive fields
+     */
+    async function set(values) {
+      const sensitiveKeys = Object.keys(values).filter(key => fields[key]);
+      // Even empty values would overwrite what is stored under the lock
+      if (sensitiveKeys.length > 0) {
+        await securityManager.assertUnlocked();
+        await assertReadable(sensitiveKeys);
+      }
+
+      const encoded = {};
+      for (const key of sensitiveKeys) {
+        encoded[key] = await encodeValue(key, values[key]);
+      }
+      const others = Object.fromEntries(Object.entries(values).filter(([key]) => !fields[key]));
+
+      if (!keptElsewhere) {
+        await area.set({ ...others, ...encoded });
+        return;
+      }
+      if (Object.keys(others).length > 0) {
+        await area.set(others);
+      }
+      if (sensitiveKeys.length > 0) {
+        await sensitiveArea.set(encoded);
+      }
+    }
+
+    /**
+     * Read values with the sensitive fields decrypted
+     *
+     * @param {Object|Array} keys - Keys to read, or defaults by key
+     */
+    async function get(keys) {
+      const defaults = keys && typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const sensitiveKeys = (Array.isArray(keys) ? keys : Object.keys(defaults)).filter(key => fields[key]);
+      const values = await area.get(keys);
+      const kept = keptElsewhere ? await sensitiveArea.get(sensitiveKeys) : values;
+      // Stored in the area itself by an earlier version
+      const earlier = keptElsewhere ? await area.get(sensitiveKeys) : {};
+      const rewrites = {};
+      const moved = [];
+
+      for (const key of sensitiveKeys) {
+        if (key in kept) {
+          values[key] = await decodeValue(key, kept[key], defaults[key], rewrites);
+        } else if (key in earlier) {
+          values[key] = await decodeValue(key, earlier[key], defaults[key], rewrites, area);
+          // Values another browser encrypted stay where that browser can read them
+          if (key in rewrites || isEmpty(earlier[key])) {
+            moved.push(key);
+          }
+        }
+      }
+
+      // Reading succeeds even when storing the migrated values fails
+      try {
+        if (Object.keys(rewrites).length > 0) {
+          await set(rewrites);
+        }
+        if (moved.length > 0) {
+          await area.remove(moved);
+        }
+      } catch (error) {
+        console.error('Failed to encrypt stored values again:', error);
+      }
+      return values;
+    }
+
+    /**
+     * Read only the fields that are not sensitive, which works while locked
+     *
+     * @param {Object|Array} keys - Keys to read, or defaults by key
+     */
+    async function getPublic(keys) {
+      const publicKeys = Array.isArray(keys)
+        ? keys.filter(key => !fields[key])
+        : Object.fromEntries(Object.entries(keys).filter(([key]) => !fields[key]));
+      return area.get(publicKeys);
+    }
+
+    /**
+     * Stored encrypted values, to tell which keys are still in use
+     */
+    async function listEncryptedValues() {
+      const stored = Object.values(await sensitiveArea.get(Object.keys(fields)));
+      // Values earlier versions synced, until they are moved
+      if (keptElsewhere) {
+        stored.push(...Object.values(await area.get(Object.keys(fields))));
+      }
+      return stored.filter(value => securityManager.isEncrypted(value));
+    }
+
+    return { get, getPublic, set, listEncryptedValues };
+  }
+
+  const SecureStorage = {
+    SENSITIVE_FIELDS,
+    createSecureArea
+  };
+
+  root.SecureStorage = SecureStorage;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SecureStorage;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
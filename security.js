@@ -1,67 +1,517 @@
 /**
  * Security utilities for protecting sensitive data in the Chrome extension
  * Implements encryption, validation, and secure storage practices
+ *
+ * Encrypted values look like "encrypted:v1:<key id>:<base64 of IV and ciphertext>".
+ * The data keys are random AES-GCM keys kept in a keyring in
+ * chrome.storage.local, so they survive browser and service worker restarts
+ * but never leave the browser profile; synced encrypted settings cannot be
+ * read on other devices. Each key is stored wrapped with a key derived from
+ * the extension ID: that keeps raw keys out of storage dumps, but does not
+ * stop code running in the same profile. Older keys stay in the keyring
+ * until no stored value uses them.
+ *
+ * With the optional passphrase lock the data keys are wrapped with a key
+ * derived from the passphrase instead. That key is only kept in
+ * chrome.storage.session, which lives in memory until the browser closes,
+ * and is dropped after a period without activity; until the passphrase is
+ * entered again every use of the keys fails with a locked error.
  */
 
+// Storage key of the keyring in chrome.storage.local
+const KEYRING_STORAGE_KEY = 'encryptionKeyring';
+
+// Prefix of every encrypted value; values without a version are from before the keyring
+const ENCRYPTED_PREFIX = 'encrypted:';
+const PAYLOAD_VERSION = 'v1';
+
+// Data keys are replaced after this many days; values move to the new key when read
+const KEY_MAX_AGE_DAYS = 90;
+
+// Storage key of the unlocked passphrase key in chrome.storage.session
+const UNLOCK_SESSION_KEY = 'passphraseUnlock';
+
+// Passphrases shorter than this are refused
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Default minutes without activity before the passphrase lock closes again
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
 class SecurityManager {
-  constructor() {
+  constructor(storage = null, sessionStorage = null) {
     this.keyDerivationIterations = 100000;
     this.algorithm = 'AES-GCM';
     this.keyLength = 256;
     this.ivLength = 12; // 96 bits for GCM
+    this.saltLength = 16;
+    this.storage = storage;
+    this.sessionStorage = sessionStorage;
+
+    // Keyring and unwrapped keys, loaded once per service worker start
+    this.keyringPromise = null;
+    this.keyCache = new Map();
+    this.rateLimits = new Map();
+
+    // Changes to the unlocked session run one at a time, so a lock is never undone
+    this.sessionQueue = Promise.resolve();
+  }
+
+  /**
+   * Storage area holding the keyring
+   */
+  getStorage() {
+    return this.storage || chrome.storage.local;
+  }
+
+  /**
+   * Storage area holding the unlocked passphrase key for the browser session
+   */
+  getSessionStorage() {
+    return this.sessionStorage || chrome.storage.session;
+  }
+
+  /**
+   * Encode bytes as base64, in chunks so large records stay within argument limits
+   */
+  toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = '';
+    for (let offset = 0; offset < view.length; offset += 0x8000) {
+      binary += String.fromCharCode(...view.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Derive the key that wraps the data keys from the extension ID and the keyring salt
+   */
+  async deriveWrappingKey(salt) {
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(chrome.runtime.id),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt,
+        iterations: this.keyDerivationIterations,
+        hash: 'SHA-256'
+      },
+      baseKey,
+      {
+        name: this.algorithm,
+        length: this.keyLength
+      },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Derive the raw key bytes that wrap the data keys from a passphrase
+   * The bytes are kept in session storage while unlocked, so they are derived
+   * as bits rather than as a non-extractable key.
+   */
+  async derivePassphraseBits(passphrase, salt) {
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+
+    return crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        salt,
+        iterations: this.keyDerivationIterations,
+        hash: 'SHA-256'
+      },
+      baseKey,
+      this.keyLength
+    );
+  }
+
+  /**
+   * Import raw key bytes as a key wrapping the data keys
+   */
+  importWrappingKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, { name: this.algorithm }, false, ['wrapKey', 'unwrapKey']);
+  }
+
+  /**
+   * Key wrapping the data keys of a keyring: derived from the extension ID,
+   * or the unlocked passphrase key when the lock is on
+   */
+  async getWrappingKey(keyring) {
+    if (!keyring.passphrase) {
+      return this.deriveWrappingKey(this.fromBase64(keyring.salt));
+    }
+
+    const session = await this.getUnlockSession();
+    if (!session) {
+      throw this.createLockedError();
+    }
+    return this.importWrappingKey(this.fromBase64(session.wrappingKey));
+  }
+
+  /**
+   * Unwrap a data key entry of the keyring
+   */
+  unwrapDataKey(entry, wrappingKey, extractable = false) {
+    return crypto.subtle.unwrapKey(
+      'raw',
+      this.fromBase64(entry.wrappedKey),
+      wrappingKey,
+      { name: this.algorithm, iv: this.fromBase64(entry.iv) },
+      { name: this.algorithm, length: this.keyLength },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Create a random data key and add it to the keyring as the current key
+   */
+  async addKey(keyring, now = Date.now()) {
+    const dataKey = await crypto.subtle.generateKey(
+      { name: this.algorithm, length: this.keyLength },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const wrappingKey = await this.getWrappingKey(keyring);
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: this.algorithm, iv });
+
+    const keyId = Math.max(0, ...Object.keys(keyring.keys).map(Number)) + 1;
+    keyring.keys[keyId] = {
+      iv: this.toBase64(iv),
+      wrappedKey: this.toBase64(wrapped),
+      createdAt: now
+    };
+    keyring.currentKeyId = keyId;
+    return keyId;
+  }
+
+  /**
+   * Load the keyring, creating it with a first key when there is none
+   */
+  getKeyring() {
+    if (!this.keyringPromise) {
+      this.keyringPromise = (async () => {
+        const stored = await this.getStorage().get([KEYRING_STORAGE_KEY]);
+        if (stored[KEYRING_STORAGE_KEY]) {
+          return stored[KEYRING_STORAGE_KEY];
+        }
+
+        const keyring = {
+          salt: this.toBase64(crypto.getRandomValues(new Uint8Array(this.saltLength))),
+          currentKeyId: null,
+          keys: {}
+        };
+        await this.addKey(keyring);
+        await this.saveKeyring(keyring);
+        return keyring;
+      })();
+
+      // A failed load is retried on the next use
+      this.keyringPromise.catch(() => {
+        this.keyringPromise = null;
+      });
+    }
+    return this.keyringPromise;
+  }
+
+  /**
+   * Store the keyring
+   */
+  async saveKeyring(keyring) {
+    await this.getStorage().set({ [KEYRING_STORAGE_KEY]: keyring });
+    this.keyringPromise = Promise.resolve(keyring);
+  }
+
+  /**
+   * Unwrap a data key of the keyring
+   */
+  async getKey(keyId) {
+    const keyring = await this.getKeyring();
+    // Unwrapped keys are only used while the passphrase lock is open
+    if (keyring.passphrase) {
+      await this.assertUnlocked();
+    }
+
+    if (!this.keyCache.has(keyId)) {
+      const entry = keyring.keys[keyId];
+      if (!entry) {
+        throw new Error(`Encryption key ${keyId} is not available in this browser`);
+      }
+
+      const key = await this.unwrapDataKey(entry, await this.getWrappingKey(keyring));
+      this.keyCache.set(keyId, key);
+    }
+    return this.keyCache.get(keyId);
+  }
+
+  /**
+   * Error thrown while the passphrase lock is closed, marked with locked
+   */
+  createLockedError() {
+    const error = new Error('Payment data is locked with a passphrase');
+    error.locked = true;
+    return error;
+  }
+
+  /**
+   * Unlocked passphrase key of this browser session, or null when locked
+   * A session past its inactivity limit is closed here.
+   *
+   * @returns {Object|null} { wrappingKey, lastActivityAt, autoLockMinutes }
+   */
+  async getUnlockSession(now = Date.now()) {
+    const stored = await this.getSessionStorage().get([UNLOCK_SESSION_KEY]);
+    const session = stored[UNLOCK_SESSION_KEY];
+    if (!session) {
+      return null;
+    }
+    if (now - session.lastActivityAt > session.autoLockMinutes * 60 * 1000) {
+      await this.endUnlockSession();
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Run a change to the unlocked session after the changes before it
+   */
+  updateSession(change) {
+    const run = this.sessionQueue.then(change);
+    this.sessionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Check whether a passphrase protects the keys
+   */
+  async isPassphraseEnabled() {
+    const keyring = await this.getKeyring();
+    return Boolean(keyring.passphrase);
+  }
+
+  /**
+   * Check whether the keys are protected by a passphrase that was not entered
+   * in this browser session, or not recently enough
+   */
+  async isLocked(now = Date.now()) {
+    if (!await this.isPassphraseEnabled()) {
+      return false;
+    }
+    return !await this.getUnlockSession(now);
+  }
+
+  /**
+   * Throw the locked error while the passphrase lock is closed
+   */
+  async assertUnlocked() {
+    if (await this.isLocked()) {
+      throw this.createLockedError();
+    }
   }
 
   /**
-   * Generate a cryptographic key from extension ID and user context
+   * Keep an unlocked session open: the inactivity limit counts from now
    */
-  async generateKey() {
+  async recordActivity(now = Date.now()) {
     try {
-      const extensionId = chrome.runtime.id;
-      const userAgent = navigator.userAgent;
-      const timestamp = Date.now().toString();
-      
-      // Create a unique seed from extension context
-      const seed = `${extensionId}-${userAgent}-${timestamp}`;
-      const encoder = new TextEncoder();
-      const seedBuffer = encoder.encode(seed);
-      
-      // Derive key using PBKDF2
-      const baseKey = await crypto.subtle.importKey(
-        'raw',
-        seedBuffer,
-        'PBKDF2',
-        false,
-        ['deriveKey']
-      );
-      
-      // Use extension ID as salt for consistency
-      const salt = encoder.encode(extensionId);
-      
-      const derivedKey = await crypto.subtle.deriveKey(
-        {
-          name: 'PBKDF2',
-          salt: salt,
-          iterations: this.keyDerivationIterations,
-          hash: 'SHA-256'
-        },
-        baseKey,
-        {
-          name: this.algorithm,
-          length: this.keyLength
-        },
-        false,
-        ['encrypt', 'decrypt']
-      );
-      
-      return derivedKey;
+      await this.updateSession(async () => {
+        const session = await this.getUnlockSession(now);
+        if (session) {
+          await this.getSessionStorage().set({ [UNLOCK_SESSION_KEY]: { ...session, lastActivityAt: now } });
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record activity:', error);
+    }
+  }
+
+  /**
+   * Change the minutes without activity after which an unlocked session closes
+   */
+  setAutoLockMinutes(autoLockMinutes) {
+    return this.updateSession(async () => {
+      const session = await this.getUnlockSession();
+      if (session) {
+        await this.getSessionStorage().set({ [UNLOCK_SESSION_KEY]: { ...session, autoLockMinutes } });
+      }
+    });
+  }
+
+  /**
+   * Open the passphrase lock for this browser session
+   *
+   * @param {string} passphrase - Passphrase the lock was turned on with
+   * @param {number} autoLockMinutes - Minutes without activity before it locks again
+   * @returns {boolean} Whether the passphrase was right; true when there is no lock
+   */
+  async unlock(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+    const keyring = await this.getKeyring();
+    if (!keyring.passphrase) {
+      return true;
+    }
+
+    this.checkRateLimit('unlock', 5, 60000);
+    const rawKey = await this.derivePassphraseBits(String(passphrase || ''), this.fromBase64(keyring.passphrase.salt));
+    try {
+      // Wrapped keys only unwrap with the right passphrase
+      await this.unwrapDataKey(keyring.keys[keyring.currentKeyId], await this.importWrappingKey(rawKey));
     } catch (error) {
-      console.error('Key generation failed:', error);
-      throw new Error('Failed to generate encryption key');
+      this.logSecurityEvent('unlock_failed');
+      return false;
     }
+
+    await this.startUnlockSession(rawKey, autoLockMinutes);
+    return true;
+  }
+
+  /**
+   * Keep the unlocked passphrase key in session storage
+   */
+  startUnlockSession(rawKey, autoLockMinutes) {
+    return this.updateSession(() => this.getSessionStorage().set({
+      [UNLOCK_SESSION_KEY]: {
+        wrappingKey: this.toBase64(rawKey),
+        lastActivityAt: Date.now(),
+        autoLockMinutes
+      }
+    }));
   }
 
   /**
-   * Encrypt sensitive data
+   * Drop the passphrase key and the unwrapped keys
+   */
+  async endUnlockSession() {
+    this.keyCache.clear();
+    await this.getSessionStorage().remove(UNLOCK_SESSION_KEY);
+  }
+
+  /**
+   * Close the passphrase lock
+   */
+  lock() {
+    return this.updateSession(() => this.endUnlockSession());
+  }
+
+  /**
+   * Wrap every data key of the keyring again with another wrapping key
+   */
+  async rewrapKeys(keyring, currentWrappingKey, newWrappingKey) {
+    const keys = {};
+    for (const [keyId, entry] of Object.entries(keyring.keys)) {
+      const dataKey = await this.unwrapDataKey(entry, currentWrappingKey, true);
+      const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+      const wrapped = await crypto.subtle.wrapKey('raw', dataKey, newWrappingKey, { name: this.algorithm, iv });
+      keys[keyId] = { ...entry, iv: this.toBase64(iv), wrappedKey: this.toBase64(wrapped) };
+    }
+    return keys;
+  }
+
+  /**
+   * Protect the keys with a new passphrase, turning the lock on or changing it
+   * The lock must be open; it stays open for this session.
+   */
+  async setPassphrase(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const keyring = await this.getKeyring();
+    const currentWrappingKey = await this.getWrappingKey(keyring);
+    const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+    const rawKey = await this.derivePassphraseBits(passphrase, salt);
+
+    const keys = await this.rewrapKeys(keyring, currentWrappingKey, await this.importWrappingKey(rawKey));
+    await this.saveKeyring({ ...keyring, passphrase: { salt: this.toBase64(salt) }, keys });
+    await this.startUnlockSession(rawKey, autoLockMinutes);
+    this.logSecurityEvent('passphrase_set');
+  }
+
+  /**
+   * Turn the passphrase lock off, wrapping the keys with the extension key again
+   * The lock must be open.
+   */
+  async removePassphrase() {
+    const keyring = await this.getKeyring();
+    if (!keyring.passphrase) {
+      return;
+    }
+
+    const currentWrappingKey = await this.getWrappingKey(keyring);
+    const keys = await this.rewrapKeys(keyring, currentWrappingKey,
+      await this.deriveWrappingKey(this.fromBase64(keyring.salt)));
+    const { passphrase, ...unprotected } = keyring;
+    await this.saveKeyring({ ...unprotected, keys });
+    await this.lock();
+    this.logSecurityEvent('passphrase_removed');
+  }
+
+  /**
+   * Split an encrypted value into its parts
+   *
+   * @returns {Object|null} { version, keyId, data }; version is null for values
+   *   from before the keyring. Null when the value is not encrypted.
+   */
+  parsePayload(value) {
+    if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) {
+      return null;
+    }
+
+    const match = value.substring(ENCRYPTED_PREFIX.length).match(/^(v\d+):(\d+):(.+)$/);
+    if (!match) {
+      return { version: null, keyId: null, data: value.substring(ENCRYPTED_PREFIX.length) };
+    }
+    return { version: match[1], keyId: Number(match[2]), data: match[3] };
+  }
+
+  /**
+   * Check whether a stored value is encrypted
+   */
+  isEncrypted(value) {
+    return this.parsePayload(value) !== null;
+  }
+
+  /**
+   * Check whether a stored value should be written again: plain text, or
+   * encrypted with a key that is no longer the current one
+   */
+  async needsReencryption(value) {
+    if (!value) {
+      return false;
+    }
+    const payload = this.parsePayload(value);
+    if (!payload) {
+      return true;
+    }
+    const keyring = await this.getKeyring();
+    return payload.version === PAYLOAD_VERSION && payload.keyId !== keyring.currentKeyId;
+  }
+
+  /**
+   * Encrypt sensitive data with the current key
+   *
+   * @returns {string} Encrypted value, "encrypted:v1:<key id>:<data>"
    */
   async encrypt(plaintext) {
     try {
@@ -69,7 +519,8 @@ class SecurityManager {
         throw new Error('Invalid plaintext data');
       }
 
-      const key = await this.generateKey();
+      const keyring = await this.getKeyring();
+      const key = await this.getKey(keyring.currentKeyId);
       const encoder = new TextEncoder();
       const data = encoder.encode(plaintext);
       
@@ -90,29 +541,35 @@ class SecurityManager {
       combined.set(iv);
       combined.set(new Uint8Array(encrypted), iv.length);
       
-      // Convert to base64 for storage
-      return btoa(String.fromCharCode(...combined));
+      return `${ENCRYPTED_PREFIX}${PAYLOAD_VERSION}:${keyring.currentKeyId}:${this.toBase64(combined)}`;
     } catch (error) {
+      if (error.locked) {
+        throw error;
+      }
       console.error('Encryption failed:', error);
       throw new Error('Failed to encrypt data');
     }
   }
 
   /**
-   * Decrypt sensitive data
+   * Decrypt a value produced by encrypt
+   * Values from before the keyring were encrypted with a key that was never
+   * stored and cannot be decrypted; they are reported as legacy values.
    */
   async decrypt(encryptedData) {
-    try {
-      if (!encryptedData || typeof encryptedData !== 'string') {
-        throw new Error('Invalid encrypted data');
-      }
+    const payload = this.parsePayload(encryptedData);
+    if (!payload) {
+      throw new Error('Invalid encrypted data');
+    }
+    if (payload.version !== PAYLOAD_VERSION) {
+      const error = new Error('Value was encrypted by an older version and cannot be recovered');
+      error.legacy = true;
+      throw error;
+    }
 
-      const key = await this.generateKey();
-      
-      // Convert from base64
-      const combined = new Uint8Array(
-        atob(encryptedData).split('').map(char => char.charCodeAt(0))
-      );
+    try {
+      const key = await this.getKey(payload.keyId);
+      const combined = this.fromBase64(payload.data);
       
       // Extract IV and encrypted data
       const iv = combined.slice(0, this.ivLength);
@@ -130,11 +587,60 @@ class SecurityManager {
       const decoder = new TextDecoder();
       return decoder.decode(decrypted);
     } catch (error) {
+      if (error.locked) {
+        throw error;
+      }
       console.error('Decryption failed:', error);
       throw new Error('Failed to decrypt data');
     }
   }
 
+  /**
+   * Replace the current key when it is older than KEY_MAX_AGE_DAYS, or when forced
+   * Values encrypted with the previous key stay readable and move to the new
+   * key when they are read.
+   *
+   * @returns {boolean} Whether a new key was created
+   */
+  async rotateKey(force = false, now = Date.now()) {
+    const keyring = await this.getKeyring();
+    const current = keyring.keys[keyring.currentKeyId];
+    if (!force && current && now - current.createdAt < KEY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      return false;
+    }
+
+    const updated = { ...keyring, keys: { ...keyring.keys } };
+    await this.addKey(updated, now);
+    await this.saveKeyring(updated);
+    return true;
+  }
+
+  /**
+   * Remove keys no stored value uses any more
+   *
+   * @param {Array} storedValues - Every stored value that may be encrypted
+   */
+  async retireUnusedKeys(storedValues) {
+    const keyring = await this.getKeyring();
+    const usedKeyIds = new Set([keyring.currentKeyId]);
+    storedValues.forEach(value => {
+      const payload = this.parsePayload(value);
+      if (payload && payload.keyId !== null) {
+        usedKeyIds.add(payload.keyId);
+      }
+    });
+
+    const keys = {};
+    Object.keys(keyring.keys).map(Number).filter(keyId => usedKeyIds.has(keyId)).forEach(keyId => {
+      keys[keyId] = keyring.keys[keyId];
+    });
+    if (Object.keys(keys).length !== Object.keys(keyring.keys).length) {
+      Object.keys(keyring.keys).map(Number).filter(keyId => !usedKeyIds.has(keyId))
+        .forEach(keyId => this.keyCache.delete(keyId));
+      await this.saveKeyring({ ...keyring, keys });
+    }
+  }
+
   /**
    * Validate Tikkie URL format and security
    */
@@ -261,14 +767,14 @@ class SecurityManager {
 
   /**
    * Rate limiting for sensitive operations
+   * Attempts past the limit throw an error marked rateLimited
    */
   checkRateLimit(operation, maxAttempts = 5, windowMs = 60000) {
     const key = `rateLimit_${operation}`;
     const now = Date.now();
     
-    // Get stored attempts
-    const stored = localStorage.getItem(key);
-    let attempts = stored ? JSON.parse(stored) : [];
+    // Attempts are kept in memory: service workers have no localStorage
+    let attempts = this.rateLimits.get(key) || [];
     
     // Remove old attempts outside the window
     attempts = attempts.filter(timestamp => now - timestamp < windowMs);
@@ -277,12 +783,14 @@ class SecurityManager {
     if (attempts.length >= maxAttempts) {
       const oldestAttempt = Math.min(...attempts);
       const waitTime = windowMs - (now - oldestAttempt);
-      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(waitTime / 1000)} seconds.`);
+      const error = new Error(`Rate limit exceeded. Try again in ${Math.ceil(waitTime / 1000)} seconds.`);
+      error.rateLimited = true;
+      throw error;
     }
     
     // Add current attempt
     attempts.push(now);
-    localStorage.setItem(key, JSON.stringify(attempts));
+    this.rateLimits.set(key, attempts);
     
     return true;
   }
@@ -326,8 +834,8 @@ class SecurityManager {
       throw new Error('Invalid extension ID format');
     }
 
-    // Verify we're not in an iframe or malicious context
-    if (window.top !== window.self) {
+    // Verify we're not in an iframe or malicious context (service workers have no window)
+    if (typeof window !== 'undefined' && window.top !== window.self) {
       throw new Error('Extension running in unsafe iframe context');
     }
 
@@ -342,7 +850,7 @@ class SecurityManager {
       timestamp: new Date().toISOString(),
       event: event,
       extensionId: chrome.runtime.id,
-      url: window.location.href,
+      url: typeof location !== 'undefined' ? location.href : null,
       userAgent: navigator.userAgent,
       details: details
     };
@@ -380,15 +888,10 @@ class SecurityManager {
   }
 }
 
-// Export singleton instance
-const securityManager = new SecurityManager();
-
-// Make available globally for extension use
-if (typeof window !== 'undefined') {
-  window.securityManager = securityManager;
-}
+SecurityManager.MIN_PASSPHRASE_LENGTH = MIN_PASSPHRASE_LENGTH;
+SecurityManager.DEFAULT_AUTO_LOCK_MINUTES = DEFAULT_AUTO_LOCK_MINUTES;
 
-// Export for module use
+// Export for module use; extension scripts create their own instance of the class
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = securityManager;
+  module.exports = SecurityManager;
 }
@@ -0,0 +1,979 @@
+/**
+ * Site adapters for Group Order Splitter
+ *
+ * Every supported ordering site gets an adapter describing how to recognise
+ * its order pages and how to read participants, items and fees from them.
+ * The Just Eat Takeaway sites share one page structure, so their adapters
+ * are built from a common factory and only differ in hosts, label
+ * vocabulary, selectors and currency format.
+ */
+(function (root) {
+  'use strict';
+
+  const GroupOrderCalculator = root.GroupOrderCalculator ||
+    (typeof require === 'function' ? require('./calculator.js') : null);
+  const I18n = root.I18n || (typeof require === 'function' ? require('./i18n.js') : null);
+  const { parsePriceToCents, formatCents } = GroupOrderCalculator;
+  const { t } = I18n;
+
+  // Matches a leading quantity such as "2x", "2 x" or "2×"
+  const QUANTITY_PREFIX_PATTERN = /^(\d+)\s*[x×]\s+/i;
+
+  // Selectors shared by all Just Eat Takeaway order pages
+  const JUST_EAT_SELECTORS = {
+    participantName: '[data-qa="participant-name"]',
+    itemPrice: '[data-qa="item-details-product-price"]',
+    itemName: '[data-qa="item-details-product-name"]',
+    itemQuantity: '[data-qa="item-details-product-quantity"]',
+    itemOption: '[data-qa*="item-details-product-option"]',
+    // Containers that hold a single ordered item around its price element
+    itemContainer: '[data-qa="item-details"], [data-qa="order-item"], [data-qa*="basket-item"], li',
+    fallbackItems: ['[data-qa*="order-item"]', '[data-qa*="basket-item"]', '.order-item', '.basket-item', '.menu-item'],
+    orderSummary: '.order-summary, .participant-order',
+    delivery: '[data-qa*="delivery"]',
+    service: '[data-qa*="service"]',
+    discount: '[data-qa*="discount"]',
+    restaurantName: '[data-qa*="restaurant-name"]'
+  };
+
+  // Restaurant names are kept with stored orders, so they are capped
+  const MAX_RESTAURANT_NAME_LENGTH = 100;
+
+  // URL paths of the order confirmation and tracking pages
+  const JUST_EAT_ORDER_PATHS = [/foodtracker/, /order-confirmation/];
+
+  // Parsing strategies, from most to least reliable
+  const PARSE_STRATEGIES = {
+    participants: 'parseStrategyParticipants',
+    item_based: 'parseStrategyItemBased',
+    generic_elements: 'parseStrategyGenericElements',
+    text: 'parseStrategyText'
+  };
+
+  const CONFIDENCE_LABELS = {
+    high: 'confidenceHigh',
+    medium: 'confidenceMedium',
+    low: 'confidenceLow'
+  };
+
+  // Name given to items that could not be assigned to anyone
+  const UNKNOWN_PARTICIPANT = 'Unknown Participant';
+
+  /**
+   * Escape text for use inside a regular expression
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Visible text of an element; jsdom and detached nodes have no innerText
+   */
+  function getText(element) {
+    return (element && (element.innerText || element.textContent)) || '';
+  }
+
+  /**
+   * Check whether text starts with or contains one of the given labels
+   */
+  function matchesLabel(text, labels, anywhere = false) {
+    const lower = text.toLowerCase();
+    return labels.some(label => (anywhere ? lower.includes(label) : lower.startsWith(label)));
+  }
+
+  /**
+   * Build the price pattern for a currency format; the optional leading
+   * minus marks discounts such as "-€ 2,50" or "-2,50 €"
+   */
+  function buildPricePattern(currency) {
+    const symbol = escapeRegExp(currency.symbol);
+    return currency.symbolPosition === 'after'
+      ? new RegExp(`(-\\s*)?(\\d[\\d.,]*)\\s*${symbol}`)
+      : new RegExp(`(-\\s*)?${symbol}\\s*(-?[\\d.,]+)`);
+  }
+
+  /**
+   * Create an order item; prices are line totals in cents
+   */
+  function createItem(name, linePrice, quantity = 1, options = []) {
+    const safeQuantity = Number.isInteger(quantity) && quantity > 0 ? quantity : 1;
+    return {
+      name: name || 'Item',
+      quantity: safeQuantity,
+      options,
+      unitPrice: Math.round(linePrice / safeQuantity),
+      linePrice
+    };
+  }
+
+  /**
+   * Create an order item from a label such as "2x Pizza Margherita"
+   */
+  function createItemFromLabel(label, linePrice, options = []) {
+    const text = (label || '').trim();
+    const quantityMatch = text.match(QUANTITY_PREFIX_PATTERN);
+    const quantity = quantityMatch ? parseInt(quantityMatch[1], 10) : 1;
+    const name = quantityMatch ? text.substring(quantityMatch[0].length).trim() : text;
+    return createItem(name, linePrice, quantity, options);
+  }
+
+  /**
+   * Total of an item list in cents
+   */
+  function sumItems(items) {
+    return items.reduce((sum, item) => sum + item.linePrice, 0);
+  }
+
+  /**
+   * Empty parse report; strategies fill it while parsing
+   */
+  function createParseReport() {
+    return {
+      strategy: null,
+      priceElements: { total: 0, matched: 0, ignored: 0 },
+      warnings: []
+    };
+  }
+
+  /**
+   * Record how many price elements a strategy found and turned into items
+   */
+  function countPriceElements(report, total, itemsByPerson) {
+    const matched = Object.values(itemsByPerson).reduce((count, items) => count + items.length, 0);
+    report.priceElements = { total, matched, ignored: Math.max(0, total - matched) };
+  }
+
+  /**
+   * Build the order model from items per person and fees
+   */
+  function buildOrderModel(itemsByPerson, fees) {
+    const participants = Object.keys(itemsByPerson).map(name => ({
+      name,
+      items: itemsByPerson[name]
+    }));
+
+    return {
+      participants,
+      people: GroupOrderCalculator.summarizeParticipants(participants),
+      delivery: fees.delivery,
+      service: fees.service,
+      discount: fees.discount
+    };
+  }
+
+  /**
+   * Read name, quantity and options of the item that a price element belongs to
+   */
+  function parseItemFromPriceElement(adapter, priceElement, linePrice) {
+    const { selectors } = adapter;
+    const container = priceElement.parentElement && priceElement.parentElement.closest(selectors.itemContainer);
+    if (!container) {
+      return createItem(null, linePrice);
+    }
+
+    const nameElement = container.querySelector(selectors.itemName);
+    const quantityElement = container.querySelector(selectors.itemQuantity);
+    const optionElements = container.querySelectorAll(selectors.itemOption);
+
+    if (nameElement) {
+      const quantity = quantityElement ? parseInt(quantityElement.textContent.replace(/\D/g, ''), 10) : NaN;
+      const label = nameElement.textContent.trim();
+      const options = Array.from(optionElements)
+        .map(element => element.textContent.trim())
+        .filter(option => option.length > 0);
+
+      if (!isNaN(quantity)) {
+        return createItem(label.replace(QUANTITY_PREFIX_PATTERN, ''), linePrice, quantity, options);
+      }
+      return createItemFromLabel(label, linePrice, options);
+    }
+
+    // No dedicated elements: first non-price line is the name, the rest are options
+    const lines = getText(container)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && !adapter.matchPrice(line));
+
+    return createItemFromLabel(lines[0], linePrice, lines.slice(1));
+  }
+
+  /**
+   * Check whether a container holds exactly one participant; containers shared
+   * with others would attribute their items to every participant
+   */
+  function isSingleParticipantContainer(adapter, container) {
+    return Boolean(container) && container.querySelectorAll(adapter.selectors.participantName).length === 1;
+  }
+
+  /**
+   * Find container that holds items for a specific participant
+   */
+  function findParticipantItemsContainer(adapter, doc, nameElement) {
+    // Look for a container that follows the participant name
+    let container = nameElement.parentElement;
+    while (container && container !== doc.body && isSingleParticipantContainer(adapter, container)) {
+      // Check if this container has item price elements
+      const priceElements = container.querySelectorAll(adapter.selectors.itemPrice);
+      if (priceElements.length > 0) {
+        return container;
+      }
+      container = container.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Parse items for a specific participant from their container
+   */
+  function parseParticipantItems(adapter, container, participantName) {
+    const items = [];
+
+    // Look for price elements within this participant's container
+    const priceElements = container.querySelectorAll(adapter.selectors.itemPrice);
+    console.log(`Found ${priceElements.length} price elements for ${participantName}`);
+
+    priceElements.forEach(priceElement => {
+      const price = adapter.matchPrice(priceElement.textContent || '');
+      if (price && price.cents >= 0) {
+        const item = parseItemFromPriceElement(adapter, priceElement, price.cents);
+        items.push(item);
+        console.log(`  Item: ${item.quantity}x ${item.name} ${formatCents(price.cents)}`);
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Find the nearest participant name to a price element
+   */
+  function findNearestParticipantName(adapter, doc, priceElement) {
+    const { participantName } = adapter.selectors;
+
+    // Search upward in the DOM tree for participant name
+    let element = priceElement;
+    while (element && element !== doc.body) {
+      // Look for participant name in current element or its participant container;
+      // lists of all participants also match, so only single-participant ones count
+      const container = element.closest('[data-qa*="participant"]');
+      const participantElement =
+        (isSingleParticipantContainer(adapter, element) && element.querySelector(participantName)) ||
+        (isSingleParticipantContainer(adapter, container) && container.querySelector(participantName));
+
+      if (participantElement) {
+        return participantElement.textContent.trim();
+      }
+
+      // Also check previous siblings for participant names
+      let sibling = element.previousElementSibling;
+      while (sibling) {
+        const nameElement = sibling.querySelector(participantName);
+        if (nameElement) {
+          return nameElement.textContent.trim();
+        }
+        sibling = sibling.previousElementSibling;
+      }
+
+      element = element.parentElement;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse order structure based on item prices when participant structure is unclear
+   */
+  function parseItemBasedStructure(adapter, doc, itemPrices, itemsByPerson, report) {
+    console.log('Parsing item-based structure...');
+
+    // Group items by their position/context to infer participants
+    const currentGroup = [];
+
+    itemPrices.forEach((priceElement) => {
+      const price = adapter.matchPrice(priceElement.textContent || '');
+
+      if (price && price.cents >= 0) {
+        const item = parseItemFromPriceElement(adapter, priceElement, price.cents);
+
+        // Look for participant name near this price element
+        const participantName = findNearestParticipantName(adapter, doc, priceElement);
+
+        if (participantName) {
+          itemsByPerson[participantName] = itemsByPerson[participantName] || [];
+          itemsByPerson[participantName].push(item);
+          console.log(`Assigned ${formatCents(price.cents)} to ${participantName}`);
+        } else {
+          // If no participant found, try to group items
+          currentGroup.push(item);
+        }
+      }
+    });
+
+    // If we have ungrouped items, try to assign them to a default participant
+    if (currentGroup.length > 0 && Object.keys(itemsByPerson).length === 0) {
+      itemsByPerson[UNKNOWN_PARTICIPANT] = currentGroup;
+      console.log(`Assigned ${formatCents(sumItems(currentGroup))} to ${UNKNOWN_PARTICIPANT}`);
+      report.warnings.push(t('warningNoParticipantNames', UNKNOWN_PARTICIPANT));
+    } else if (currentGroup.length > 0) {
+      report.warnings.push(t('warningUnassignedItems', currentGroup.length, formatCents(sumItems(currentGroup))));
+    }
+  }
+
+  /**
+   * Assign priced lines to the person named on the line before them; shared by
+   * the text strategy and the generic element fallback
+   */
+  function collectItemsFromLines(adapter, lines, itemsByPerson, state, isPersonLine) {
+    for (const line of lines) {
+      const price = adapter.matchPrice(line);
+      if (price) {
+        // This line contains a price – assign it to the current person
+        if (state.currentPerson && price.cents >= 0) {
+          const label = line.substring(0, price.index).trim();
+          itemsByPerson[state.currentPerson].push(createItemFromLabel(label || state.pendingItem, price.cents));
+        } else {
+          state.ignoredPrices++;
+        }
+        state.pendingItem = null;
+      } else if (QUANTITY_PREFIX_PATTERN.test(line)) {
+        // "2x Pizza" lines name the item whose price follows
+        state.pendingItem = line;
+      } else if (isPersonLine(line)) {
+        state.currentPerson = line;
+        state.pendingItem = null;
+        if (typeof itemsByPerson[state.currentPerson] === 'undefined') {
+          itemsByPerson[state.currentPerson] = [];
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse items from DOM elements (fallback method)
+   */
+  function parseItemsFromElements(adapter, items, itemsByPerson, report) {
+    const state = { currentPerson: null, pendingItem: null, ignoredPrices: 0 };
+
+    items.forEach(item => {
+      const lines = getText(item).split('\n').map(l => l.trim()).filter(l => l.length > 0);
+      collectItemsFromLines(adapter, lines, itemsByPerson, state,
+        line => line.length > 1 && line.length < 50 && !/\d/.test(line));
+    });
+
+    const matched = Object.values(itemsByPerson).reduce((count, personItems) => count + personItems.length, 0);
+    countPriceElements(report, matched + state.ignoredPrices, itemsByPerson);
+  }
+
+  /**
+   * Read participants and their items from structured DOM elements
+   *
+   * @param {Object} report - Parse report receiving the strategy used and its diagnostics
+   * @returns {Object} Items per participant name; empty when nothing was found
+   */
+  function extractParticipants(adapter, doc, report = createParseReport()) {
+    const { selectors } = adapter;
+    const itemsByPerson = {};
+    const namesWithoutItems = [];
+
+    console.log(`Attempting structured parsing for ${adapter.name}...`);
+
+    // Strategy 1: Look for participant-based structure
+    const participantNames = doc.querySelectorAll(selectors.participantName);
+    console.log(`Found ${participantNames.length} participants with ${selectors.participantName}`);
+
+    participantNames.forEach(nameElement => {
+      const participantName = nameElement.textContent.trim();
+      console.log(`Processing participant: ${participantName}`);
+
+      // Find the participant's container; the name element itself matches
+      // [data-qa*="participant"], so the search starts at its parent
+      const parent = nameElement.parentElement;
+      let participantContainer = parent &&
+        (parent.closest('[data-qa*="participant"]') || parent.closest('.participant'));
+
+      // If no container of its own, look for items following this participant
+      if (!isSingleParticipantContainer(adapter, participantContainer)) {
+        participantContainer = findParticipantItemsContainer(adapter, doc, nameElement);
+      }
+
+      if (participantContainer) {
+        const items = parseParticipantItems(adapter, participantContainer, participantName);
+        const participantTotal = sumItems(items);
+        if (participantTotal > 0) {
+          itemsByPerson[participantName] = items;
+          console.log(`${participantName}: ${formatCents(participantTotal)}`);
+          return;
+        }
+      }
+      namesWithoutItems.push(participantName);
+    });
+
+    if (Object.keys(itemsByPerson).length > 0) {
+      report.strategy = 'participants';
+      countPriceElements(report, doc.querySelectorAll(selectors.itemPrice).length, itemsByPerson);
+      namesWithoutItems.forEach(name => {
+        report.warnings.push(t('warningNoPricedItems', name));
+      });
+      return itemsByPerson;
+    }
+
+    // Strategy 2: Look for order items with prices if participant parsing failed
+    if (Object.keys(itemsByPerson).length === 0) {
+      console.log('Participant parsing failed, trying item-based parsing...');
+      const itemPrices = doc.querySelectorAll(selectors.itemPrice);
+      console.log(`Found ${itemPrices.length} items with ${selectors.itemPrice}`);
+
+      if (itemPrices.length > 0) {
+        parseItemBasedStructure(adapter, doc, itemPrices, itemsByPerson, report);
+      }
+
+      if (Object.keys(itemsByPerson).length > 0) {
+        report.strategy = 'item_based';
+        countPriceElements(report, itemPrices.length, itemsByPerson);
+        return itemsByPerson;
+      }
+    }
+
+    // Strategy 3: Fallback to generic selectors
+    if (Object.keys(itemsByPerson).length === 0) {
+      console.log('Trying fallback selectors...');
+      for (const selector of selectors.fallbackItems) {
+        const items = doc.querySelectorAll(selector);
+        if (items.length > 0) {
+          console.log(`Found ${items.length} items with selector: ${selector}`);
+          parseItemsFromElements(adapter, items, itemsByPerson, report);
+          break;
+        }
+      }
+
+      if (Object.keys(itemsByPerson).length > 0) {
+        report.strategy = 'generic_elements';
+        report.warnings.push(t('warningGenericElements'));
+      }
+    }
+
+    return itemsByPerson;
+  }
+
+  /**
+   * Add up fee elements whose text carries one of the given labels; wallet
+   * rows are discounts even when their label contains a fee word, as
+   * "Thuisbezorgd Pay" contains "bezorg"
+   */
+  function sumFeeElements(adapter, doc, selector, labels) {
+    let total = 0;
+    doc.querySelectorAll(selector).forEach(element => {
+      const text = getText(element);
+      if (matchesLabel(text, labels, true) && !matchesLabel(text, adapter.labels.wallet, true)) {
+        const price = adapter.matchPrice(text);
+        if (price && price.cents > 0) {
+          total += price.cents;
+        }
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Parse fees from DOM elements
+   *
+   * @returns {Object} { delivery, service, discount } in cents; discounts are negative
+   */
+  function extractFees(adapter, doc) {
+    const { selectors, labels } = adapter;
+    let discount = 0;
+
+    console.log('Parsing fees from structured elements...');
+
+    // Strategy 1: Look for the site's fee elements
+    const delivery = sumFeeElements(adapter, doc, selectors.delivery, labels.delivery);
+    const service = sumFeeElements(adapter, doc, selectors.service, labels.service);
+
+    // Parse discounts (including the site's own wallet, e.g. Thuisbezorgd Pay)
+    doc.querySelectorAll(selectors.discount).forEach(element => {
+      const text = getText(element);
+      const isWallet = matchesLabel(text, labels.wallet, true);
+      if (!isWallet && !matchesLabel(text, labels.discount, true)) {
+        return;
+      }
+
+      const price = adapter.matchPrice(text);
+      if (price) {
+        // Wallet payments and amounts marked negative reduce the order total
+        const value = Math.abs(price.cents);
+        discount += (price.negative || isWallet) ? -value : value;
+        console.log(`Found discount: ${formatCents((price.negative || isWallet) ? -value : value)}`);
+      }
+    });
+
+    // Strategy 2: Fallback to text-based parsing if structured parsing found nothing
+    if (delivery === 0 && service === 0 && discount === 0) {
+      return extractFeesFromLines(adapter, getText(doc.body).split('\n'));
+    }
+
+    console.log(`Fee parsing results: delivery=${formatCents(delivery)}, service=${formatCents(service)}, discount=${formatCents(discount)}`);
+    return { delivery, service, discount };
+  }
+
+  /**
+   * Parse fees from text lines using the site's label vocabulary
+   */
+  function extractFeesFromLines(adapter, lines) {
+    const { labels } = adapter;
+    let delivery = 0;
+    let service = 0;
+    let discount = 0;
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      const price = adapter.matchPrice(line);
+      if (!price) {
+        continue;
+      }
+
+      if (matchesLabel(line, labels.wallet)) {
+        // Paying with the site's wallet is always a discount
+        discount -= Math.abs(price.cents);
+        console.log(`Text parsing - wallet discount: -${formatCents(Math.abs(price.cents))}`);
+      } else if (matchesLabel(line, labels.delivery)) {
+        delivery = Math.abs(price.cents);
+      } else if (matchesLabel(line, labels.service)) {
+        service = Math.abs(price.cents);
+      } else if (matchesLabel(line, labels.discount)) {
+        discount += price.negative ? -Math.abs(price.cents) : Math.abs(price.cents);
+        console.log(`Text parsing - discount: ${formatCents(price.negative ? -Math.abs(price.cents) : Math.abs(price.cents))}`);
+      }
+    }
+
+    return { delivery, service, discount };
+  }
+
+  /**
+   * Fallback text-based parsing of the whole page
+   *
+   * @param {Object} report - Parse report receiving the strategy used and its diagnostics
+   * @returns {Object} { itemsByPerson, fees }
+   */
+  function extractFromText(adapter, doc, report = createParseReport()) {
+    const { labels } = adapter;
+    const lines = getText(doc.body)
+      .split(/\n+/)
+      .map((l) => l.trim())
+      .filter((l) => l.length > 0);
+
+    // Item lists end where the totals or priced fee lines start
+    const totalLabels = [...labels.subtotal, ...labels.total];
+    const feeLabels = [...labels.delivery, ...labels.service];
+    const itemLines = [];
+    for (const line of lines) {
+      if (matchesLabel(line, totalLabels) || (matchesLabel(line, feeLabels) && adapter.matchPrice(line))) {
+        break;
+      }
+      itemLines.push(line);
+    }
+
+    // Lines that are never a person name
+    const labelPrefixes = [...totalLabels, ...feeLabels, ...labels.discount, ...labels.order];
+    const isPersonLine = line => !/\d/.test(line) &&
+      !adapter.matchPrice(line) &&
+      !line.includes(adapter.currency.symbol) &&
+      !matchesLabel(line, labelPrefixes) &&
+      !matchesLabel(line, labels.contact, true) &&
+      line.length > 1 && line.length < 50;
+
+    const collected = {};
+    const state = { currentPerson: null, pendingItem: null, ignoredPrices: 0 };
+    collectItemsFromLines(adapter, itemLines, collected, state, isPersonLine);
+
+    // Headings and other text lines without items are not participants
+    const itemsByPerson = {};
+    Object.keys(collected)
+      .filter(name => collected[name].length > 0)
+      .forEach(name => {
+        itemsByPerson[name] = collected[name];
+      });
+
+    // Replace whatever the structured strategies reported before falling back
+    Object.assign(report, createParseReport(), { strategy: 'text' });
+    const matched = Object.values(itemsByPerson).reduce((count, items) => count + items.length, 0);
+    countPriceElements(report, matched + state.ignoredPrices, itemsByPerson);
+    report.warnings.push(t('warningTextFallback'));
+
+    return { itemsByPerson, fees: extractFeesFromLines(adapter, lines) };
+  }
+
+  /**
+   * Find the amount on a line starting with one of the labels, or on the line
+   * after it when label and amount are laid out as separate blocks
+   *
+   * @returns {number|null} Cents of the last labelled amount on the page
+   */
+  function findLabelledAmount(adapter, lines, labels) {
+    let amount = null;
+    lines.forEach((line, index) => {
+      if (!matchesLabel(line, labels)) {
+        return;
+      }
+      const next = lines[index + 1] || '';
+      const price = adapter.matchPrice(line) || (matchesLabel(next, labels) ? null : adapter.matchPrice(next));
+      if (price) {
+        amount = price.cents;
+      }
+    });
+    return amount;
+  }
+
+  /**
+   * Read the name of the restaurant the order was placed at
+   *
+   * @returns {string|null} Restaurant name, null when the page does not show it
+   */
+  function extractRestaurant(adapter, doc) {
+    const element = doc.querySelector(adapter.selectors.restaurantName);
+    const name = element ? getText(element).replace(/\s+/g, ' ').trim() : '';
+    return name ? name.substring(0, MAX_RESTAURANT_NAME_LENGTH) : null;
+  }
+
+  /**
+   * Read the subtotal and grand total the page prints itself
+   *
+   * @returns {Object} { subtotal, total } in cents, null when not found
+   */
+  function extractTotals(adapter, doc) {
+    const lines = getText(doc.body)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    return {
+      subtotal: findLabelledAmount(adapter, lines, adapter.labels.subtotal),
+      total: findLabelledAmount(adapter, lines, adapter.labels.total)
+    };
+  }
+
+  /**
+   * Read the VAT the page shows, e.g. "Incl. 9% btw € 1,23"
+   * The same rate and amount printed twice (summary and receipt) is counted once.
+   *
+   * @returns {Array} [{ rate, amount }] with the rate in percent (null when not
+   *   shown) and the amount in cents; empty when the page shows no VAT
+   */
+  function extractVat(adapter, doc) {
+    const vatPattern = new RegExp(`(^|[^\\p{L}])(${adapter.labels.vat.map(escapeRegExp).join('|')})([^\\p{L}]|$)`, 'iu');
+    const lines = getText(doc.body)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    const vat = new Map();
+    lines.forEach((line, index) => {
+      if (!vatPattern.test(line)) {
+        return;
+      }
+      const next = lines[index + 1] || '';
+      const price = adapter.matchPrice(line) || (vatPattern.test(next) ? null : adapter.matchPrice(next));
+      if (!price || price.cents <= 0) {
+        return;
+      }
+      const rateMatch = line.match(/(\d+(?:[.,]\d+)?)\s*%/);
+      const rate = rateMatch ? Number(rateMatch[1].replace(',', '.')) : null;
+      vat.set(`${rate}:${price.cents}`, { rate, amount: price.cents });
+    });
+    return Array.from(vat.values());
+  }
+
+  /**
+   * Compare the parsed order with the page's own totals and rate the result
+   *
+   * @param {Object} report - Parse report filled by the strategy
+   * @param {Object} orderData - Parsed order model
+   * @param {Object} totals - { subtotal, total } printed on the page
+   * @returns {Object} Completed report with confidence 'high', 'medium' or 'low'
+   */
+  function assessParse(report, orderData, totals) {
+    const parsedSubtotal = Object.values(orderData.people).reduce((sum, amount) => sum + amount, 0);
+    const parsedTotal = parsedSubtotal + orderData.delivery + orderData.service + orderData.discount;
+    const warnings = [...report.warnings];
+
+    const subtotalMatches = totals.subtotal === null ? null : parsedSubtotal === totals.subtotal;
+    const totalMatches = totals.total === null ? null : parsedTotal === totals.total;
+
+    if (subtotalMatches === false) {
+      warnings.push(t('warningSubtotalMismatch', formatCents(parsedSubtotal), formatCents(totals.subtotal)));
+    }
+    if (totalMatches === false) {
+      warnings.push(t('warningTotalMismatch', formatCents(parsedTotal), formatCents(totals.total)));
+    }
+    if (subtotalMatches === null && totalMatches === null) {
+      warnings.push(t('warningNoPageTotals'));
+    }
+
+    // Mismatches, fallback strategies and unassigned items make the numbers unreliable
+    let confidence = 'high';
+    if (subtotalMatches === false || totalMatches === false ||
+        report.strategy === 'generic_elements' || report.strategy === 'text' ||
+        orderData.people[UNKNOWN_PARTICIPANT] !== undefined) {
+      confidence = 'low';
+    } else if (warnings.length > 0 || report.priceElements.ignored > 0) {
+      confidence = 'medium';
+    }
+
+    return {
+      ...report,
+      strategyLabel: t(PARSE_STRATEGIES[report.strategy] || 'parseStrategyUnknown'),
+      parsedSubtotal,
+      pageSubtotal: totals.subtotal,
+      pageTotal: totals.total,
+      subtotalMatches,
+      totalMatches,
+      warnings,
+      confidence
+    };
+  }
+
+  /**
+   * Rows describing a parse report for display in the modal and popup
+   *
+   * @returns {Array} [{ label, value }]
+   */
+  function describeParseReport(report) {
+    const describeCheck = (amount, matches) => {
+      if (amount === null) {
+        return t('parseReportNotFound');
+      }
+      return t(matches ? 'parseReportMatches' : 'parseReportDiffers', formatCents(amount));
+    };
+
+    return [
+      { label: t('parseReportStrategy'), value: t(PARSE_STRATEGIES[report.strategy] || 'parseStrategyUnknown') },
+      {
+        label: t('parseReportPriceElements'),
+        value: t('parseReportPriceElementsValue', report.priceElements.matched, report.priceElements.ignored)
+      },
+      { label: t('parseReportPageSubtotal'), value: describeCheck(report.pageSubtotal, report.subtotalMatches) },
+      { label: t('parseReportPageTotal'), value: describeCheck(report.pageTotal, report.totalMatches) },
+      { label: t('parseReportConfidence'), value: t(CONFIDENCE_LABELS[report.confidence]) }
+    ];
+  }
+
+  /**
+   * Create an adapter for a Just Eat Takeaway site
+   *
+   * @param {Object} config - { id, name, hosts, currency: { code, symbol, symbolPosition, locale },
+   *   labels, selectors } where labels and selectors extend the shared defaults
+   * @returns {Object} Site adapter
+   */
+  function createJustEatAdapter(config) {
+    const selectors = { ...JUST_EAT_SELECTORS, ...config.selectors };
+    const pricePattern = buildPricePattern(config.currency);
+
+    const adapter = {
+      id: config.id,
+      name: config.name,
+      hosts: config.hosts,
+      matchPatterns: config.hosts.map(host => `https://${host}/*`),
+      currency: config.currency,
+      labels: config.labels,
+      selectors,
+
+      // Participant and fee elements; their text changes when prices change
+      orderContentSelector: [selectors.participantName, selectors.itemPrice,
+        selectors.delivery, selectors.service, selectors.discount].join(', '),
+
+      matchesUrl(url) {
+        try {
+          return config.hosts.includes(new URL(url).hostname);
+        } catch (error) {
+          return false;
+        }
+      },
+
+      isOrderUrl(url) {
+        return adapter.matchesUrl(url) && JUST_EAT_ORDER_PATHS.some(pattern => pattern.test(url));
+      },
+
+      hasOrderContent(doc) {
+        return Boolean(doc.querySelector(selectors.participantName) ||
+          doc.querySelector(selectors.itemPrice) ||
+          doc.querySelector(selectors.orderSummary));
+      },
+
+      /**
+       * Find the first price in a text in this site's currency format
+       *
+       * @returns {Object|null} { cents, index, negative } or null without a price
+       */
+      matchPrice(text) {
+        const match = pricePattern.exec(text);
+        if (!match) {
+          return null;
+        }
+        const cents = parsePriceToCents(match[2]);
+        if (cents === null) {
+          return null;
+        }
+        const negative = Boolean(match[1]) || cents < 0;
+        return { cents: negative ? -Math.abs(cents) : cents, index: match.index, negative };
+      },
+
+      extractParticipants: (doc, report) => extractParticipants(adapter, doc, report),
+      extractFees: doc => extractFees(adapter, doc),
+      extractFromText: (doc, report) => extractFromText(adapter, doc, report),
+      extractTotals: doc => extractTotals(adapter, doc),
+      extractRestaurant: doc => extractRestaurant(adapter, doc),
+      extractVat: doc => extractVat(adapter, doc)
+    };
+
+    return adapter;
+  }
+
+  // Registered adapters, in the order they are tried
+  const ADAPTERS = [
+    createJustEatAdapter({
+      id: 'thuisbezorgd',
+      name: 'Thuisbezorgd.nl',
+      hosts: ['www.thuisbezorgd.nl'],
+      currency: { code: 'EUR', symbol: '€', symbolPosition: 'before', locale: 'nl-NL' },
+      labels: {
+        subtotal: ['subtotal', 'subtotaal'],
+        total: ['total', 'totaal'],
+        delivery: ['delivery', 'bezorg', 'levering'],
+        service: ['service'],
+        discount: ['discount', 'voucher', 'korting', 'coupon'],
+        wallet: ['thuisbezorgd pay'],
+        vat: ['btw', 'vat'],
+        order: ['order', 'bestelling'],
+        contact: ['payment', 'betaling', 'address', 'adres', 'phone', 'telefoon', 'email']
+      },
+      selectors: {
+        delivery: '[data-qa*="delivery"], [data-qa*="bezorg"]',
+        discount: '[data-qa*="discount"], [data-qa*="thuisbezorgd-pay"]'
+      }
+    }),
+    createJustEatAdapter({
+      id: 'lieferando',
+      name: 'Lieferando.de',
+      hosts: ['www.lieferando.de'],
+      currency: { code: 'EUR', symbol: '€', symbolPosition: 'after', locale: 'de-DE' },
+      labels: {
+        subtotal: ['zwischensumme', 'subtotal'],
+        total: ['gesamt', 'total'],
+        delivery: ['lieferkosten', 'liefergebühr', 'delivery'],
+        service: ['servicegebühr', 'service'],
+        discount: ['rabatt', 'gutschein', 'discount', 'voucher', 'coupon'],
+        wallet: ['lieferando pay'],
+        vat: ['mwst', 'mehrwertsteuer', 'ust', 'vat'],
+        order: ['bestellung', 'order'],
+        contact: ['zahlung', 'payment', 'adresse', 'address', 'telefon', 'phone', 'email']
+      },
+      selectors: {
+        delivery: '[data-qa*="delivery"], [data-qa*="liefer"]',
+        discount: '[data-qa*="discount"], [data-qa*="lieferando-pay"]'
+      }
+    }),
+    createJustEatAdapter({
+      id: 'takeaway',
+      name: 'Takeaway.com',
+      hosts: ['www.takeaway.com'],
+      currency: { code: 'EUR', symbol: '€', symbolPosition: 'before', locale: 'nl-BE' },
+      labels: {
+        subtotal: ['subtotal', 'subtotaal', 'sous-total'],
+        total: ['total', 'totaal'],
+        delivery: ['delivery', 'bezorg', 'levering', 'frais de livraison'],
+        service: ['service', 'frais de service'],
+        discount: ['discount', 'voucher', 'korting', 'coupon', 'réduction', 'remise'],
+        wallet: ['takeaway pay'],
+        vat: ['btw', 'tva', 'vat'],
+        order: ['order', 'bestelling', 'commande'],
+        contact: ['payment', 'betaling', 'paiement', 'address', 'adres', 'adresse', 'phone', 'telefoon', 'téléphone', 'email']
+      },
+      selectors: {
+        delivery: '[data-qa*="delivery"], [data-qa*="bezorg"]',
+        discount: '[data-qa*="discount"], [data-qa*="takeaway-pay"]'
+      }
+    })
+  ];
+
+  /**
+   * Find the adapter for a page URL
+   *
+   * @returns {Object|null} Adapter whose hosts include the URL's host
+   */
+  function findAdapter(url) {
+    return ADAPTERS.find(adapter => adapter.matchesUrl(url)) || null;
+  }
+
+  /**
+   * Look up an adapter by id
+   */
+  function getAdapter(id) {
+    return ADAPTERS.find(adapter => adapter.id === id) || null;
+  }
+
+  /**
+   * Adapters as { id, name } for display
+   */
+  function listAdapters() {
+    return ADAPTERS.map(adapter => ({ id: adapter.id, name: adapter.name }));
+  }
+
+  /**
+   * URL match patterns of all supported sites, e.g. for chrome.tabs.query
+   */
+  function getMatchPatterns() {
+    return ADAPTERS.flatMap(adapter => adapter.matchPatterns);
+  }
+
+  /**
+   * Parse the order on a page with the given adapter
+   * Structured elements are preferred; page text is the fallback.
+   *
+   * @param {Document} doc - Page document
+   * @param {Object} adapter - Site adapter for the page
+   * @returns {Object} Order model { participants, people, delivery, service, discount, restaurant, vat, parseReport }
+   */
+  function parseOrder(doc, adapter) {
+    const report = createParseReport();
+    let orderData = null;
+
+    try {
+      const itemsByPerson = adapter.extractParticipants(doc, report);
+      if (Object.keys(itemsByPerson).length > 0) {
+        orderData = buildOrderModel(itemsByPerson, adapter.extractFees(doc));
+      } else {
+        console.log('No participants found in structured parsing, falling back to text parsing');
+      }
+    } catch (error) {
+      console.warn('Structured parsing failed:', error);
+    }
+
+    if (!orderData) {
+      const textOrder = adapter.extractFromText(doc, report);
+      orderData = buildOrderModel(textOrder.itemsByPerson, textOrder.fees);
+    }
+
+    orderData.restaurant = adapter.extractRestaurant(doc);
+    orderData.vat = adapter.extractVat(doc);
+    orderData.parseReport = assessParse(report, orderData, adapter.extractTotals(doc));
+    return orderData;
+  }
+
+  const SiteAdapters = {
+    ADAPTERS,
+    createJustEatAdapter,
+    findAdapter,
+    getAdapter,
+    listAdapters,
+    getMatchPatterns,
+    parseOrder,
+    describeParseReport
+  };
+
+  // Make available to content script, service worker and popup
+  root.SiteAdapters = SiteAdapters;
+
+  // Export for module use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteAdapters;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
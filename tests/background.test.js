@@ -0,0 +1,66 @@
+/**
+ * Background message handlers, run against in-memory storage
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./harness.js');
+
+function createOrder(orderKey, payments) {
+  const results = { You: { status: 'exact', finalPayment: 0, isOrderCreator: true, items: [] } };
+  Object.entries(payments).forEach(([name, finalPayment]) => {
+    results[name] = { status: 'pays', finalPayment, items: [], totalCost: 1400 + finalPayment, budget: 1400 };
+  });
+  return { orderKey, site: 'thuisbezorgd', siteName: 'Thuisbezorgd.nl', orderCreator: 'You', results, breakdown: {} };
+}
+
+test('keeps every ledger change when handlers run at the same time', async () => {
+  const background = loadBackground();
+  const recorded = await background.send({ type: 'RECORD_ORDER', order: createOrder('order-1', { Anna: 250 }) },
+    'content');
+  assert.equal(recorded.success, true);
+
+  const responses = await Promise.all([
+    background.send({ type: 'RECORD_ORDER', order: createOrder('order-2', { Ben: 100 }) }, 'content'),
+    background.send({ type: 'UPDATE_PAYMENT_STATUS', orderKey: 'order-1', name: 'Anna', status: 'paid' }),
+    background.send({ type: 'RECORD_ORDER', order: createOrder('order-3', { Cas: 80 }) }, 'content')
+  ]);
+  assert.ok(responses.every(response => response.success));
+
+  const { ledger } = await background.send({ type: 'GET_LEDGER' });
+  assert.deepEqual(Object.keys(ledger).sort(), ['order-1', 'order-2', 'order-3']);
+  assert.equal(ledger['order-1'].payers.Anna.status, 'paid');
+});
+
+test('keeps a payment ledger that cannot be decrypted when recording an order', async () => {
+  const background = loadBackground();
+  await background.send({ type: 'RECORD_ORDER', order: createOrder('order-1', { Anna: 250 }) }, 'content');
+  // Damage the ciphertext so the stored ledger no longer decrypts
+  const stored = background.storage.local.paymentLedger;
+  const corrupted = stored.slice(0, -8) + (stored.endsWith('AAAAAAAA') ? 'BBBBBBBB' : 'AAAAAAAA');
+  background.storage.local.paymentLedger = corrupted;
+
+  const response = await background.send({ type: 'RECORD_ORDER', order: createOrder('order-2', { Ben: 100 }) },
+    'content');
+
+  assert.equal(response.success, false);
+  assert.equal(response.code, 'UNREADABLE');
+  assert.equal(background.storage.local.paymentLedger, corrupted);
+  assert.equal((await background.send({ type: 'GET_LEDGER' })).code, 'UNREADABLE');
+});
+
+test('lists sensitive settings that cannot be decrypted and keeps them', async () => {
+  const background = loadBackground();
+  await background.send({ type: 'UPDATE_SETTINGS', settings: { selfName: 'Yu', roster: [{ name: 'Anna', budget: 10 }] } });
+  const stored = background.storage.local.roster;
+  const corrupted = stored.slice(0, -8) + (stored.endsWith('AAAAAAAA') ? 'BBBBBBBB' : 'AAAAAAAA');
+  background.storage.local.roster = corrupted;
+
+  const { settings } = await background.send({ type: 'GET_SETTINGS' });
+  assert.deepEqual(settings.unreadable, ['roster']);
+  assert.equal(settings.selfName, 'Yu');
+  assert.deepEqual(settings.roster, []);
+
+  const response = await background.send({ type: 'UPDATE_SETTINGS', settings: { roster: [] } });
+  assert.equal(response.code, 'UNREADABLE');
+  assert.equal(background.storage.local.roster, corrupted);
+});
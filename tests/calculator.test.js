@@ -0,0 +1,247 @@
+/**
+ * Split calculation: cent allocation, split strategies, budgets and corrections
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GroupOrderCalculator = require('../calculator.js');
+const { inspectFixture } = require('./harness');
+const en = require('../_locales/en/messages.json');
+
+const { calculateDistribution } = GroupOrderCalculator;
+
+// Over the 3 × €14 budget by €4.00 after €3.00 delivery
+const OVER_BUDGET_ORDER = { people: { You: 1500, Anna: 2600, Bram: 200 }, delivery: 300, service: 0, discount: 0 };
+
+function sumResults(results, field) {
+  return Object.values(results).reduce((sum, details) => sum + details[field], 0);
+}
+
+test('budget usage and help add up to what the company paid under every strategy', () => {
+  GroupOrderCalculator.listStrategies().forEach(({ id }) => {
+    const { results, breakdown } = calculateDistribution(OVER_BUDGET_ORDER, { dailyBudget: 14, splitStrategy: id });
+
+    Object.entries(results).forEach(([name, details]) => {
+      assert.equal(details.budgetUsage + details.budgetHelpReceived, details.totalCost - details.finalPayment,
+        `${id}: ${name}`);
+    });
+    assert.equal(sumResults(results, 'budgetUsage') + sumResults(results, 'budgetHelpReceived'), breakdown.companyCost, id);
+  });
+});
+
+test('people under budget who pay a pooled_equal share used less of their own budget', () => {
+  const { results } = calculateDistribution(OVER_BUDGET_ORDER, { dailyBudget: 14, splitStrategy: 'pooled_equal' });
+
+  assert.equal(results.Bram.finalPayment, 133);
+  assert.equal(results.Bram.budgetUsage, 300 - 133);
+  assert.equal(results.Bram.budgetHelpReceived, 0);
+  assert.equal(results.Anna.budgetUsage, 1400);
+  assert.equal(results.Anna.budgetHelpReceived, 2700 - 133 - 1400);
+});
+
+test('allocates cents that always add up to the total', () => {
+  const { allocateCents } = GroupOrderCalculator;
+  const weightSets = [[1], [1, 1, 1], [1500, 2600, 200], [0, 0, 0, 0], [3, 0, 7], [1, 1, 1, 1, 1, 1, 1]];
+
+  weightSets.forEach(weights => {
+    [0, 1, 2, 99, 100, 301, -1, -250, -1001].forEach(total => {
+      const { allocations } = allocateCents(total, weights);
+      assert.equal(allocations.length, weights.length);
+      assert.equal(allocations.reduce((sum, cents) => sum + cents, 0), total, `${total} over ${weights}`);
+      allocations.forEach(cents => assert.ok(Number.isInteger(cents) && !Object.is(cents, -0)));
+    });
+  });
+  assert.deepEqual(allocateCents(7, []), { allocations: [], adjustments: [] });
+});
+
+test('hands leftover cents to the largest remainders, earliest first on ties', () => {
+  const { allocateCents } = GroupOrderCalculator;
+
+  // 100 / 3 leaves one cent; all remainders tie, so the first participant absorbs it
+  assert.deepEqual(allocateCents(100, [1, 1, 1]), { allocations: [34, 33, 33], adjustments: [1, 0, 0] });
+  assert.deepEqual(allocateCents(2, [1, 1, 1]).allocations, [1, 1, 0]);
+  // 10 × 2/3 = 6.67 has the larger remainder
+  assert.deepEqual(allocateCents(10, [1, 2]).allocations, [3, 7]);
+  // Negative totals mirror positive ones
+  assert.deepEqual(allocateCents(-100, [1, 1, 1]), { allocations: [-34, -33, -33], adjustments: [-1, 0, 0] });
+  // All-zero weights split equally
+  assert.deepEqual(allocateCents(5, [0, 0]).allocations, [3, 2]);
+});
+
+test('splits fees and overages as each strategy describes', () => {
+  // Costs after fees, then payments of the €4.00 over the total budget
+  const expected = {
+    // €1.00 delivery each; overages 200 and 1300 share the excess: 400 × 200/1500 = 53.33
+    equal_fees: { totalCost: [1600, 2700, 300], finalPayment: [53, 347, 0] },
+    // Delivery by subtotal: 300 × 1500/4300 = 104.65, 181.40, 13.95; overages 205 and 1381
+    proportional_fees: { totalCost: [1605, 2781, 214], finalPayment: [52, 348, 0] },
+    // The order creator pays all delivery; overages 400 and 1200
+    creator_absorbs_fees: { totalCost: [1800, 2600, 200], finalPayment: [100, 300, 0] },
+    // Everyone pays their own overage and Bram's unused budget is not shared
+    no_pooling: { totalCost: [1600, 2700, 300], finalPayment: [200, 1300, 0] },
+    // 400 / 3 = 133.33 for everyone, the tied cent to the first
+    pooled_equal: { totalCost: [1600, 2700, 300], finalPayment: [134, 133, 133] }
+  };
+
+  Object.entries(expected).forEach(([strategy, amounts]) => {
+    const { results, breakdown } = calculateDistribution(OVER_BUDGET_ORDER, { dailyBudget: 14, splitStrategy: strategy });
+    const names = ['You', 'Anna', 'Bram'];
+
+    assert.equal(breakdown.strategy, strategy);
+    assert.deepEqual(names.map(name => results[name].totalCost), amounts.totalCost, strategy);
+    assert.deepEqual(names.map(name => results[name].finalPayment), amounts.finalPayment, strategy);
+    assert.equal(breakdown.companyCost + breakdown.totalPayments, breakdown.grandTotal, strategy);
+  });
+});
+
+test('falls back to the default strategy and to equal fees without an order creator', () => {
+  const unknown = calculateDistribution(OVER_BUDGET_ORDER, { dailyBudget: 14, splitStrategy: 'nonsense' });
+  assert.equal(unknown.breakdown.strategy, GroupOrderCalculator.DEFAULT_STRATEGY);
+
+  const noCreator = calculateDistribution({ people: { Anna: 1000, Bram: 1000 }, delivery: 300, service: 0, discount: 0 },
+    { splitStrategy: 'creator_absorbs_fees' });
+  assert.equal(noCreator.orderCreator, null);
+  assert.equal(noCreator.breakdown.feeAllocation, 'equal');
+  assert.equal(noCreator.results.Anna.sharedCosts, 150);
+});
+
+test('handles empty orders, zero budgets and discounts larger than the fees', () => {
+  const empty = calculateDistribution({ people: {}, delivery: 0, service: 0, discount: 0 }, {});
+  assert.deepEqual(empty.results, {});
+  assert.equal(empty.breakdown.companyCost, 0);
+  assert.equal(empty.withinBudget, true);
+
+  // €3.00 delivery and a €7.00 discount leave €2.00 off for each of two people
+  const discounted = calculateDistribution({ people: { You: 1000, Anna: 1000 }, delivery: 300, service: 0, discount: -700 },
+    { dailyBudget: 0 });
+  assert.equal(discounted.results.You.sharedCosts, -200);
+  assert.equal(discounted.results.You.finalPayment, 800);
+  assert.equal(discounted.results.Anna.budgetUsage, 0);
+  assert.equal(discounted.breakdown.companyCost, 0);
+  assert.equal(discounted.withinBudget, false);
+
+  // A zero budget is kept, not replaced by the default
+  assert.equal(GroupOrderCalculator.resolveBudget({ dailyBudget: 0 }), 0);
+});
+
+test('matches roster entries by name regardless of case and surrounding spaces', () => {
+  const roster = [{ name: ' anna ', budget: 20, reimbursed: true }, { name: 'Bram', budget: null, reimbursed: true }];
+
+  assert.equal(GroupOrderCalculator.findRosterEntry('Anna', roster), roster[0]);
+  assert.equal(GroupOrderCalculator.findRosterEntry('ANNA ', roster), roster[0]);
+  assert.equal(GroupOrderCalculator.findRosterEntry('Ann', roster), null);
+  assert.equal(GroupOrderCalculator.findRosterEntry('Anna', undefined), null);
+});
+
+test('uses roster budgets per person and the daily budget for everyone else', () => {
+  const settings = {
+    dailyBudget: 14,
+    roster: [
+      { name: 'anna', budget: 20, reimbursed: true },
+      { name: 'Bram', budget: null, reimbursed: true }, // No override: daily budget
+      { name: 'Cas', budget: 0, reimbursed: true }, // Explicit zero is kept
+      { name: 'Dirk', budget: 30, reimbursed: false } // Not reimbursed: no company budget at all
+    ]
+  };
+
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Anna', settings), 20);
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Bram', settings), 14);
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Cas', settings), 0);
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Dirk', settings), 0);
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Eva', settings), 14);
+  assert.equal(GroupOrderCalculator.resolveParticipantBudget('Eva', {}), GroupOrderCalculator.DEFAULT_BUDGET);
+
+  const { results, breakdown } = calculateDistribution({
+    people: { Anna: 1800, Bram: 1000, Dirk: 1000, Eva: 1000 },
+    delivery: 0,
+    service: 0,
+    discount: 0
+  }, { ...settings, splitStrategy: 'no_pooling' });
+
+  assert.deepEqual(['Anna', 'Bram', 'Dirk', 'Eva'].map(name => results[name].budget), [2000, 1400, 0, 1400]);
+  assert.equal(results.Anna.finalPayment, 0);
+  assert.equal(results.Dirk.finalPayment, 1000);
+  assert.equal(results.Dirk.reimbursed, false);
+  assert.equal(results.Eva.reimbursed, true);
+  assert.equal(breakdown.totalBudget, 4800);
+});
+
+test('says roster budgets are not used while the passphrase lock is closed', async () => {
+  const showsRosterNotice = window => window.document.getElementById('group-order-modal-backdrop').textContent
+    .includes(en.modalRosterLocked.message);
+
+  // Locked settings come without the roster, so the split can only use the daily budget
+  await inspectFixture('thuisbezorgd-foodtracker', page => page, window => {
+    assert.equal(showsRosterNotice(window), true);
+  }, { dailyBudget: 14, roster: [], locked: true });
+  await inspectFixture('thuisbezorgd-foodtracker', page => page, window => {
+    assert.equal(showsRosterNotice(window), false);
+  }, { dailyBudget: 14, roster: [], locked: false });
+});
+
+test('replays corrections on a copy of the parsed order and skips ones that no longer match', () => {
+  const parsed = {
+    participants: [
+      { name: 'Anna', items: [{ name: 'Pizza', quantity: 1, options: [], unitPrice: 1200, linePrice: 1200 }] },
+      { name: 'anna b', items: [{ name: 'Cola', quantity: 2, options: [], unitPrice: 250, linePrice: 500 }] },
+      { name: 'Bram', items: [{ name: 'Salad', quantity: 1, options: [], unitPrice: 900, linePrice: 900 }] },
+      { name: 'Test', items: [] }
+    ],
+    delivery: 300,
+    service: 50,
+    discount: 0
+  };
+
+  const corrected = GroupOrderCalculator.applyCorrections(parsed, {
+    operations: [
+      { type: 'merge', from: 'anna b', into: 'Anna' },
+      { type: 'delete', name: 'Test' },
+      { type: 'reassign', from: 'Anna', to: 'Bram', item: { name: 'Cola', linePrice: 500 } },
+      { type: 'rename', from: 'Bram', to: 'Bram V' },
+      { type: 'add_item', participant: 'Cas', item: { name: 'Soup', quantity: 2, linePrice: 701 } },
+      // Neither participant exists any more
+      { type: 'rename', from: 'anna b', to: 'Anna B' }
+    ],
+    fees: { delivery: 0 }
+  });
+
+  assert.deepEqual(corrected.people, { Anna: 1200, 'Bram V': 1400, Cas: 701 });
+  assert.equal(corrected.participants[2].items[0].unitPrice, 351);
+  assert.equal(corrected.participants[2].items[0].addedManually, true);
+  assert.equal(corrected.delivery, 0);
+  assert.equal(corrected.service, 50);
+  assert.equal(corrected.corrected, true);
+  assert.equal(corrected.skippedCorrections, 1);
+  // The parsed order is left as it was
+  assert.equal(parsed.participants.length, 4);
+  assert.equal(parsed.participants[0].items.length, 1);
+});
+
+test('rejects malformed corrections before they are stored', () => {
+  const { validateCorrections } = GroupOrderCalculator;
+
+  assert.deepEqual(validateCorrections({
+    operations: [
+      { type: 'rename', from: 'Anna', to: 'Anna B' },
+      { type: 'reassign', from: 'Anna', to: 'Bram', item: { name: 'Cola', linePrice: 500 } },
+      { type: 'add_item', participant: 'Cas', item: { name: 'Soup', linePrice: 700 } }
+    ],
+    fees: { delivery: 0, discount: -250 }
+  }), []);
+  assert.deepEqual(validateCorrections({}), []);
+
+  const problems = corrections => validateCorrections(corrections).join('\n');
+  assert.match(problems(null), /must be an object/);
+  assert.match(problems({ operations: {} }), /operations must be a list/);
+  assert.match(problems({ operations: [{ type: 'drop_table' }] }), /"drop_table" is not a known correction/);
+  assert.match(problems({ operations: [{ type: 'delete' }] }), /\.name must name a participant/);
+  assert.match(problems({ operations: [{ type: 'merge', from: 'Anna', into: '  ' }] }), /\.into must name a participant/);
+  assert.match(problems({ operations: [{ type: 'rename', from: 'Anna', to: { name: 'Bram' } }] }), /\.to must name a participant/);
+  assert.match(problems({ operations: [{ type: 'reassign', from: 'Anna', to: 'Bram' }] }), /\.item must be an object/);
+  assert.match(problems({ operations: [{ type: 'add_item', participant: 'Cas', item: { name: 'Soup', linePrice: 7.5 } }] }),
+    /linePrice must be whole cents/);
+  assert.match(problems({ operations: [{ type: 'add_item', participant: 'Cas', item: { name: 'Soup', quantity: 0, linePrice: 700 } }] }),
+    /quantity must be a positive whole number/);
+  assert.match(problems({ fees: { delivery: '3.00' } }), /fees\.delivery must be whole cents/);
+  assert.match(problems({ fees: { tip: 100 } }), /fees\.tip is not a fee/);
+  assert.match(problems({ fees: [] }), /fees must be an object/);
+});
@@ -0,0 +1,114 @@
+/**
+ * Debt netting: who owes whom across orders and the transfers settling everyone
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentLedger = require('../payment-ledger.js');
+const DebtNetting = require('../debt-netting.js');
+
+function createOrder(orderKey, orderCreator, payments, date) {
+  const results = { [orderCreator]: { status: 'exact', finalPayment: 0, isOrderCreator: true, items: [] } };
+  Object.entries(payments).forEach(([name, finalPayment]) => {
+    results[name] = { status: 'pays', finalPayment, items: [], totalCost: 1400 + finalPayment, budget: 1400 };
+  });
+  return PaymentLedger.createLedgerOrder({ orderKey, orderCreator, results, breakdown: {} }, null, date);
+}
+
+function createLedger(...orders) {
+  return Object.fromEntries(orders.map(order => [order.orderKey, order]));
+}
+
+test('nets debts in both directions between two colleagues', () => {
+  const ledger = createLedger(
+    createOrder('monday', 'You', { Anna: 320 }, 1000),
+    createOrder('tuesday', 'Anna', { yu: 210 }, 2000)
+  );
+
+  const netting = DebtNetting.computeNetBalances(ledger, { selfName: 'Yu' });
+
+  assert.deepEqual(netting.debts, [{ from: 'Anna', to: 'Yu', amount: 110 }]);
+  assert.equal(netting.orderCount, 2);
+  assert.deepEqual(DebtNetting.proposeSettlement(netting.balances), [{ from: 'Anna', to: 'Yu', amount: 110 }]);
+});
+
+test('keeps "You" apart from colleagues without a name configured', () => {
+  const ledger = createLedger(
+    createOrder('monday', 'You', { Anna: 320 }, 1000),
+    createOrder('tuesday', 'Anna', { Yu: 210 }, 2000)
+  );
+
+  const netting = DebtNetting.computeNetBalances(ledger);
+
+  assert.equal(netting.debts.length, 2);
+  assert.equal(DebtNetting.proposeSettlement(netting.balances).length, 2);
+});
+
+test('settles a chain of debts with a single transfer', () => {
+  const ledger = createLedger(
+    createOrder('monday', 'Ben', { Anna: 500 }, 1000),
+    createOrder('tuesday', 'Cas', { Ben: 500 }, 2000)
+  );
+
+  const { balances } = DebtNetting.computeNetBalances(ledger);
+
+  assert.deepEqual(DebtNetting.proposeSettlement(balances), [{ from: 'Anna', to: 'Cas', amount: 500 }]);
+});
+
+test('settles every balance with fewer transfers than colleagues', () => {
+  const ledger = createLedger(
+    createOrder('monday', 'You', { Anna: 400, Ben: 300, Cas: 250 }, 1000),
+    createOrder('tuesday', 'Anna', { Yu: 150, Ben: 120 }, 2000),
+    createOrder('wednesday', 'Ben', { Anna: 90, Cas: 300 }, 3000)
+  );
+
+  const { balances } = DebtNetting.computeNetBalances(ledger, { selfName: 'Yu' });
+  const transfers = DebtNetting.proposeSettlement(balances);
+
+  assert.ok(transfers.length < balances.length);
+  const settled = new Map(balances.map(({ name, balance }) => [name, balance]));
+  transfers.forEach(({ from, to, amount }) => {
+    assert.ok(amount > 0);
+    settled.set(from, settled.get(from) + amount);
+    settled.set(to, settled.get(to) - amount);
+  });
+  assert.ok(Array.from(settled.values()).every(balance => balance === 0));
+});
+
+test('finds the fewest transfers where settling largest to largest needs more', () => {
+  // Largest to largest takes five transfers; Ben settles with Anna and Eva, Fenna with Cas and Dirk
+  const balances = [
+    { name: 'Anna', balance: 200 },
+    { name: 'Ben', balance: -400 },
+    { name: 'Cas', balance: 300 },
+    { name: 'Dirk', balance: 300 },
+    { name: 'Eva', balance: 200 },
+    { name: 'Fenna', balance: -600 }
+  ];
+
+  const transfers = DebtNetting.proposeSettlement(balances);
+
+  assert.deepEqual(transfers, [
+    { from: 'Ben', to: 'Anna', amount: 200 },
+    { from: 'Ben', to: 'Eva', amount: 200 },
+    { from: 'Fenna', to: 'Cas', amount: 300 },
+    { from: 'Fenna', to: 'Dirk', amount: 300 }
+  ]);
+});
+
+test('leaves out paid debts and orders without a known creator', () => {
+  const paidOrder = PaymentLedger.setPaymentStatus(createOrder('monday', 'You', { Anna: 320 }, 1000), 'Anna', 'paid');
+  const unknownCreator = { ...createOrder('tuesday', 'Ben', { Anna: 100 }, 2000), orderCreator: null };
+
+  const netting = DebtNetting.computeNetBalances(createLedger(paidOrder, unknownCreator));
+
+  assert.deepEqual(netting.debts, []);
+  assert.equal(netting.skippedOrders, 1);
+  assert.equal(DebtNetting.createSettlementMessage([], 0), 'Everyone is settled up. 🎉');
+});
+
+test('lists the transfers in the settlement message', () => {
+  const message = DebtNetting.createSettlementMessage([{ from: 'Anna', to: 'Yu', amount: 110 }], 2);
+
+  assert.match(message, /Netted over 2 orders/);
+  assert.match(message, /• Anna → Yu: €1\.10/);
+});
@@ -0,0 +1,121 @@
+/**
+ * Expense reports: reimbursed portions, VAT and monthly totals of recorded orders
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const GroupOrderCalculator = require('../calculator.js');
+const SiteAdapters = require('../site-adapters.js');
+const PaymentLedger = require('../payment-ledger.js');
+const ExpenseReport = require('../expense-report.js');
+
+function recordOrder(orderKey, people, date, vat = [], settings = {}) {
+  const calculation = GroupOrderCalculator.calculateDistribution({
+    people,
+    delivery: 250,
+    service: 0,
+    discount: 0
+  }, { dailyBudget: 14, ...settings });
+
+  return PaymentLedger.createLedgerOrder({
+    orderKey,
+    restaurant: `Restaurant ${orderKey}`,
+    orderNumber: orderKey.toUpperCase(),
+    orderCreator: 'You',
+    vat,
+    results: calculation.results,
+    breakdown: calculation.breakdown
+  }, null, date);
+}
+
+const ledger = {
+  may1: recordOrder('may1', { You: 900, Anna: 1800 }, new Date(2024, 4, 2, 12).getTime(), [{ rate: 9, amount: 240 }]),
+  may2: recordOrder('may2', { You: 1200, Bram: 2000 }, new Date(2024, 4, 20, 12).getTime(), [{ rate: 9, amount: 300 }, { rate: 21, amount: 43 }]),
+  june: recordOrder('june', { You: 1000 }, new Date(2024, 5, 3, 12).getTime())
+};
+
+test('reports what the company reimbursed and what everyone paid privately', () => {
+  const report = ExpenseReport.createSingleOrderReport(ledger.may1);
+  const [order] = report.orders;
+
+  assert.deepEqual(order.participants.map(participant => participant.name), ['You', 'Anna']);
+  assert.equal(order.participants[1].reimbursed, 1400);
+  assert.equal(order.participants[1].paidPrivately, ledger.may1.results.Anna.finalPayment);
+  assert.equal(order.orderNumber, 'MAY1');
+
+  // Own budget and colleagues' unused budget together are what the company paid
+  assert.equal(order.reimbursed + order.budgetHelp, order.companyCost);
+  assert.equal(order.companyCost + order.paidPrivately, order.total);
+  assert.equal(order.totalBudget, 2800);
+});
+
+test('adds up to what the company paid under every split strategy', () => {
+  GroupOrderCalculator.listStrategies().forEach(({ id }) => {
+    const order = recordOrder('pooled', { You: 1500, Anna: 2600, Bram: 200 }, new Date(2024, 4, 2, 12).getTime(), [],
+      { splitStrategy: id });
+    const [report] = ExpenseReport.createSingleOrderReport(order).orders;
+
+    assert.equal(report.reimbursed + report.budgetHelp, report.companyCost, id);
+    assert.equal(report.companyCost + report.paidPrivately, report.total, id);
+  });
+
+  // Everyone pays a third of the €3.50 excess; Bram's share comes out of his own cost
+  const pooled = recordOrder('pooled', { You: 1500, Anna: 2600, Bram: 200 }, new Date(2024, 4, 2, 12).getTime(), [],
+    { splitStrategy: 'pooled_equal' });
+  const [report] = ExpenseReport.createSingleOrderReport(pooled).orders;
+  const bram = report.participants.find(participant => participant.name === 'Bram');
+
+  assert.deepEqual(bram, { name: 'Bram', reimbursed: 283 - 116, budgetHelp: 0, paidPrivately: 116 });
+  assert.equal(report.reimbursed + report.budgetHelp, 4200);
+});
+
+test('derives the company-paid amounts of orders recorded with the old budget fields', () => {
+  const order = recordOrder('old', { You: 1500, Anna: 2600, Bram: 200 }, new Date(2024, 4, 2, 12).getTime(), [],
+    { splitStrategy: 'pooled_equal' });
+  // Earlier versions stored each person's own budget use whatever they paid
+  order.results.Bram = { ...order.results.Bram, budgetUsage: 283, budgetHelpReceived: 0 };
+  order.results.Anna = { ...order.results.Anna, budgetUsage: 1400, budgetHelpReceived: 0 };
+
+  const [report] = ExpenseReport.createSingleOrderReport(order).orders;
+
+  assert.equal(report.reimbursed + report.budgetHelp, report.companyCost);
+});
+
+test('adds up the orders and VAT of a month', () => {
+  assert.deepEqual(ExpenseReport.listMonths(ledger), ['2024-06', '2024-05']);
+
+  const report = ExpenseReport.createMonthlyReport(ledger, '2024-05');
+
+  assert.deepEqual(report.orders.map(order => order.orderKey), ['may1', 'may2']);
+  assert.equal(report.totals.total, 900 + 1800 + 1200 + 2000 + 2 * 250);
+  assert.equal(report.totals.companyCost, ledger.may1.breakdown.companyCost + ledger.may2.breakdown.companyCost);
+  assert.deepEqual(report.totals.vat, [{ rate: 9, amount: 540 }, { rate: 21, amount: 43 }]);
+});
+
+test('writes a CSV with participant, order and grand total rows', () => {
+  const report = ExpenseReport.createMonthlyReport(ledger, '2024-05');
+  const rows = ExpenseReport.createReportCsv(report).trim().split('\r\n');
+
+  assert.equal(rows[0], 'Date,Order number,Restaurant,Participant,Reimbursed,Covered by colleagues\' budget,' +
+    'Paid privately,Order amount,Company budget,Paid by the company,VAT');
+  assert.ok(rows[2].startsWith('2024-05-02,MAY1,Restaurant may1,Anna,14.00,'));
+  assert.ok(rows[2].endsWith(',,,,'));
+  assert.ok(rows[3].startsWith('2024-05-02,MAY1,Restaurant may1,Total,'));
+  assert.ok(rows[3].endsWith(',29.50,28.00,28.00,9%: 2.40'));
+  assert.ok(rows[rows.length - 1].startsWith(',,,Total of all orders,'));
+  assert.ok(rows[rows.length - 1].endsWith(',9%: 5.40; 21%: 0.43'));
+  assert.equal(ExpenseReport.createReportFile(report).filename, 'expense-report-2024-05.csv');
+});
+
+test('reads the VAT shown on an order page once per rate and amount', () => {
+  const { document } = new JSDOM(`<body>
+<div>Totaal</div>
+<div>€ 27,00</div>
+<div>Incl. 9% btw € 2,23</div>
+<div>Incl. 9% btw € 2,23</div>
+<div>Privacy statement</div>
+</body>`).window;
+
+  assert.deepEqual(SiteAdapters.getAdapter('thuisbezorgd').extractVat(document), [{ rate: 9, amount: 223 }]);
+  assert.deepEqual(SiteAdapters.getAdapter('lieferando').extractVat(document), []);
+});
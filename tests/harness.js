@@ -0,0 +1,389 @@
+/**
+ * Headless harness for parser regression tests
+ *
+ * Loads a saved order page into jsdom, injects the content scripts exactly
+ * as the manifest does and runs a calculation the way the popup triggers it.
+ * The background script can be loaded on its own to send it messages.
+ * Everything runs offline; chrome APIs are replaced by a minimal stub.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const MessageProtocol = require('../message-protocol.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Extension URL of the stub, with an ID in the format Chrome assigns; messages from the popup come from its page
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const EXTENSION_URL = `chrome-extension://${EXTENSION_ID}/`;
+const POPUP_SENDER = { id: EXTENSION_ID, url: `${EXTENSION_URL}popup.html` };
+
+// Senders the background tells apart, by context name
+const SENDERS = {
+  popup: POPUP_SENDER,
+  content: { id: EXTENSION_ID, url: 'https://www.thuisbezorgd.nl/order', tab: { id: 1 } }
+};
+
+// Content scripts in manifest order
+const CONTENT_SCRIPTS = ['i18n.js', 'safe-html.js', 'message-protocol.js', 'calculator.js', 'site-adapters.js', 'qr-code.js', 'message-templates.js', 'payment-requests.js', 'order-export.js', 'content.js'];
+
+// Elements that start a new line in rendered text
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FOOTER', 'FORM', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+/**
+ * jsdom has no layout and therefore no innerText; approximate it with line
+ * breaks around block elements so the text parsing strategy can be tested
+ */
+function installInnerText(window) {
+  function collectText(node, parts) {
+    if (node.nodeType === window.Node.TEXT_NODE) {
+      parts.push(node.textContent.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== window.Node.ELEMENT_NODE || ['SCRIPT', 'STYLE', 'TEMPLATE'].includes(node.tagName)) {
+      return;
+    }
+    const isBlock = BLOCK_ELEMENTS.has(node.tagName);
+    if (isBlock) {
+      parts.push('\n');
+    }
+    node.childNodes.forEach(child => collectText(child, parts));
+    if (isBlock) {
+      parts.push('\n');
+    }
+  }
+
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      const parts = [];
+      collectText(this, parts);
+      return parts.join('')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+    }
+  });
+}
+
+/**
+ * Read a message catalog the way the background serves it to content scripts
+ */
+function readCatalog(locale) {
+  const file = path.join(ROOT_DIR, '_locales', String(locale), 'messages.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Minimal chrome API stub answering the background messages content.js sends
+ * Messages the background would refuse are answered with the protocol error and kept in rejected.
+ */
+function createChromeStub(settings) {
+  const listeners = [];
+  const rejected = [];
+  return {
+    listeners,
+    rejected,
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: null,
+      getURL: file => `${EXTENSION_URL}${file}`,
+      onMessage: { addListener: listener => listeners.push(listener) },
+      sendMessage(message, callback) {
+        const rejection = MessageProtocol.validateMessage(message, MessageProtocol.CONTEXTS.background,
+          MessageProtocol.CONTEXTS.content);
+        if (rejection) {
+          rejected.push(rejection.message);
+          if (callback) {
+            callback(MessageProtocol.errorResponse(rejection));
+          }
+          return;
+        }
+
+        const responses = {
+          GET_SETTINGS: { success: true, settings },
+          GET_ORDER_CORRECTIONS: { success: true, corrections: null },
+          GET_LOCALE_MESSAGES: { success: true, messages: readCatalog(message.locale) }
+        };
+        if (callback) {
+          callback(responses[message.type] || { success: true });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for a chrome.storage area, copying values like chrome does
+ */
+function createStorageArea(values) {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    values,
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return copy(values);
+      }
+      const defaults = Array.isArray(keys) || typeof keys === 'string' ? {} : keys;
+      const result = { ...defaults };
+      [].concat(Array.isArray(keys) || typeof keys === 'string' ? keys : Object.keys(keys)).forEach(key => {
+        if (key in values) {
+          result[key] = copy(values[key]);
+        }
+      });
+      return result;
+    },
+    async set(items) {
+      Object.assign(values, copy(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete values[key]);
+    }
+  };
+}
+
+/**
+ * Load the background script with in-memory storage and send it messages
+ * the way the popup or a content script does
+ *
+ * @param {Object} storage - Initial { sync, local, session } storage values, changed in place
+ * @returns {Object} { storage, send(message, from = 'popup') } where send resolves to the response
+ */
+function loadBackground(storage = {}) {
+  const areas = { sync: {}, local: {}, session: {}, ...storage };
+  Object.assign(storage, areas);
+  const listeners = {};
+  const listen = name => ({ addListener: listener => { listeners[name] = listener; } });
+
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      getURL: file => `${EXTENSION_URL}${file}`,
+      onInstalled: listen('installed'),
+      onStartup: listen('startup'),
+      onMessage: listen('message')
+    },
+    i18n: { getUILanguage: () => 'en' },
+    storage: {
+      sync: createStorageArea(areas.sync),
+      local: createStorageArea(areas.local),
+      session: createStorageArea(areas.session)
+    },
+    alarms: {
+      get: async () => null,
+      create: async () => {},
+      clear: async () => true,
+      onAlarm: listen('alarm')
+    },
+    notifications: { create: async () => '', clear() {}, onClicked: listen('notificationClicked') },
+    tabs: { query: async () => [], create: async () => ({}), sendMessage: async () => {} }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console: { ...console, log() {}, warn() {}, error() {} },
+    crypto: globalThis.crypto,
+    navigator: { userAgent: 'node' },
+    TextEncoder,
+    TextDecoder,
+    URL,
+    btoa,
+    atob,
+    setTimeout,
+    clearTimeout,
+    // Message catalogs are read from the extension files
+    fetch: async url => ({
+      ok: true,
+      json: async () => JSON.parse(fs.readFileSync(path.join(ROOT_DIR, url.replace(EXTENSION_URL, '')), 'utf8'))
+    }),
+    importScripts: file => vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file })
+  });
+  context.self = context;
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  return {
+    storage,
+    send(message, from = 'popup') {
+      return new Promise(resolve => {
+        listeners.message(MessageProtocol.createMessage(message), SENDERS[from],
+          reply => resolve(JSON.parse(JSON.stringify(reply))));
+      });
+    }
+  };
+}
+
+/**
+ * Read the page URL recorded in a fixture by the capture tool
+ */
+function readFixtureUrl(html) {
+  const match = html.match(/<meta name="fixture-url" content="([^"]+)"/);
+  if (!match) {
+    throw new Error('Fixture has no <meta name="fixture-url"> tag');
+  }
+  return match[1];
+}
+
+/**
+ * List fixture names (HTML files without extension)
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.replace(/\.html$/, ''))
+    .sort();
+}
+
+/**
+ * Load the expected results of a fixture, or null when none are recorded yet
+ */
+function readExpected(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.expected.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Load a fixture page with the content scripts injected
+ *
+ * @param {string} name - Fixture name in tests/fixtures
+ * @param {Object} settings - Extension settings for the calculation
+ * @param {Function} transformHtml - Changes the page HTML before it is loaded
+ * @returns {Object} { window, chrome }
+ */
+function loadFixture(name, settings, transformHtml = html => html) {
+  const html = transformHtml(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'));
+  const dom = new JSDOM(html, { url: readFixtureUrl(html), runScripts: 'outside-only' });
+  const { window } = dom;
+
+  installInnerText(window);
+  // Fixtures expect English messages unless a test picks the language
+  const chrome = createChromeStub({ language: 'en', ...settings });
+  window.chrome = chrome;
+  window.console = { ...console, log() {} };
+
+  // The page watcher reacts to live pages; fixtures are calculated on demand
+  window.MutationObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+
+  CONTENT_SCRIPTS.forEach(script => {
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, script), 'utf8'));
+  });
+
+  return { window, chrome };
+}
+
+/**
+ * Calculate the loaded page the way the popup triggers it
+ */
+async function triggerCalculation(name, chrome) {
+  // Let content.js apply the settings before triggering the calculation
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Serialize like chrome messaging does, which also leaves jsdom's realm
+  const response = await new Promise(resolve => {
+    chrome.listeners.forEach(listener => listener(MessageProtocol.createMessage({ type: 'TRIGGER_CALCULATION' }),
+      POPUP_SENDER, reply => resolve(JSON.parse(JSON.stringify(reply)))));
+  });
+
+  if (!response.success) {
+    throw new Error(`Calculation failed for fixture "${name}": ${response.error}`);
+  }
+  if (chrome.rejected.length > 0) {
+    throw new Error(`Fixture "${name}" sent messages outside the protocol: ${chrome.rejected.join('; ')}`);
+  }
+  return response;
+}
+
+/**
+ * Run a fixture through the content scripts and summarize what they produce
+ *
+ * @param {string} name - Fixture name in tests/fixtures
+ * @param {Object} settings - Extension settings for the calculation
+ * @returns {Promise<Object>} { site, strategy, confidence, warnings, reconciliation, participants, fees,
+ *   payments } in the same shape as the expected JSON files
+ */
+async function runFixture(name, settings = {}) {
+  const { window, chrome } = loadFixture(name, settings);
+
+  try {
+    const adapter = window.SiteAdapters.findAdapter(window.location.href);
+    return summarizeResponse(adapter, await triggerCalculation(name, chrome));
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Calculate a fixture with changed page HTML and hand the page with the
+ * results modal to a check, e.g. for participant names that contain markup
+ *
+ * @param {string} name - Fixture name in tests/fixtures
+ * @param {Function} transformHtml - Changes the page HTML before it is loaded
+ * @param {Function} inspect - Called with the jsdom window and the calculation response
+ * @param {Object} settings - Extension settings for the calculation
+ */
+async function inspectFixture(name, transformHtml, inspect, settings = {}) {
+  const { window, chrome } = loadFixture(name, settings, transformHtml);
+
+  try {
+    const response = await triggerCalculation(name, chrome);
+    await inspect(window, response);
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Reduce a calculation response to the values fixtures assert on
+ */
+function summarizeResponse(adapter, response) {
+  const participants = {};
+  const payments = {};
+
+  Object.entries(response.results).forEach(([name, result]) => {
+    participants[name] = {
+      subtotal: result.individualOrder,
+      items: result.items.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        options: item.options,
+        linePrice: item.linePrice
+      }))
+    };
+    payments[name] = result.finalPayment;
+  });
+
+  return {
+    site: adapter.id,
+    strategy: response.parseReport.strategy,
+    confidence: response.parseReport.confidence,
+    warnings: response.parseReport.warnings,
+    reconciliation: {
+      status: response.reconciliation.status,
+      causes: response.reconciliation.causes.map(cause => cause.code)
+    },
+    participants,
+    fees: {
+      delivery: response.breakdown.delivery,
+      service: response.breakdown.service,
+      discount: response.breakdown.discount
+    },
+    payments
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  listFixtures,
+  readExpected,
+  runFixture,
+  inspectFixture,
+  loadBackground
+};
@@ -0,0 +1,47 @@
+/**
+ * Localization: language choice, message catalogs and number formatting
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../i18n.js');
+const { runFixture } = require('./harness');
+
+const en = require('../_locales/en/messages.json');
+const nl = require('../_locales/nl/messages.json');
+
+test('follows the detected language unless one is picked in the settings', () => {
+  assert.equal(I18n.resolveLocale('auto', 'nl-NL'), 'nl');
+  assert.equal(I18n.resolveLocale('auto', 'de-DE'), 'en');
+  assert.equal(I18n.resolveLocale('en', 'nl'), 'en');
+  assert.equal(I18n.resolveLocale(undefined, ''), 'en');
+});
+
+test('translates every message in both catalogs with the same substitutions', () => {
+  assert.deepEqual(Object.keys(nl).sort(), Object.keys(en).sort());
+
+  const substitutions = message => (message.match(/\$\d/g) || []).sort().join();
+  Object.keys(en).forEach(key => {
+    assert.ok(nl[key].message.trim(), key);
+    assert.equal(substitutions(nl[key].message), substitutions(en[key].message), key);
+  });
+});
+
+test('formats amounts and messages in the active language', async () => {
+  try {
+    assert.equal(I18n.formatCents(1250), '€12.50');
+    assert.equal(I18n.t('modalAboveBudget', I18n.formatCents(-300)), 'Above budget: -€3.00');
+
+    await I18n.load('nl');
+    assert.equal(I18n.formatCents(1250), '€\u00a012,50');
+    assert.equal(I18n.plural('settlementMessageIntro', 1), nl.settlementMessageIntroOne.message.replace('$1', '1'));
+    assert.equal(I18n.t('unknownMessageKey'), 'unknownMessageKey');
+  } finally {
+    await I18n.load('en');
+  }
+});
+
+test('shows the modal in the language of a Dutch order page', async () => {
+  const actual = await runFixture('thuisbezorgd-order-confirmation', { language: 'auto' });
+
+  assert.deepEqual(actual.warnings, [nl.warningTextFallback.message]);
+});
@@ -0,0 +1,175 @@
+/**
+ * Message protocol: types, senders, field schemas and error codes
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MessageProtocol = require('../message-protocol.js');
+
+const { ERROR_CODES, CONTEXTS, createMessage, validateMessage } = MessageProtocol;
+
+// chrome.runtime stand-in
+const runtime = {
+  id: 'abcdefghijklmnopabcdefghijklmnop',
+  getURL: file => `chrome-extension://abcdefghijklmnopabcdefghijklmnop/${file}`
+};
+
+function rejectionCode(message, receiver = CONTEXTS.background, sender = CONTEXTS.popup) {
+  const rejection = validateMessage(message, receiver, sender);
+  return rejection && rejection.code;
+}
+
+test('accepts the messages each context sends', () => {
+  assert.equal(validateMessage(createMessage({ type: 'GET_SETTINGS' }), CONTEXTS.background, CONTEXTS.report), null);
+  assert.equal(validateMessage(createMessage({
+    type: 'UPDATE_SETTINGS',
+    settings: {
+      language: 'auto',
+      dailyBudget: 14,
+      splitStrategy: 'equal_fees',
+      roster: [{ name: 'Anna', budget: null, reimbursed: true }],
+      tikkieLink: '',
+      iban: '',
+      accountHolder: '',
+      reminderDays: null,
+      selfName: 'Yu',
+      messageTemplates: [{ id: 'custom-1', name: 'Short', text: 'Pay {amount}' }],
+      messageTemplate: '',
+      autoLockMinutes: 15
+    }
+  }), CONTEXTS.background, CONTEXTS.popup), null);
+  assert.equal(validateMessage(createMessage({ type: 'SAVE_ORDER_CORRECTIONS', orderKey: 'site:1', corrections: null }),
+    CONTEXTS.background, CONTEXTS.content), null);
+  assert.equal(validateMessage(createMessage({ type: 'TRIGGER_CALCULATION' }), CONTEXTS.content, CONTEXTS.popup), null);
+});
+
+test('refuses unknown types, other protocol versions and senders that may not send a type', () => {
+  assert.equal(rejectionCode(null), ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(createMessage({ type: 'DROP_TABLES' })), ERROR_CODES.UNKNOWN_TYPE);
+  // Types are only known to the context that handles them
+  assert.equal(rejectionCode(createMessage({ type: 'TRIGGER_CALCULATION' })), ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal(rejectionCode({ type: 'GET_SETTINGS' }), ERROR_CODES.PROTOCOL_MISMATCH);
+  assert.equal(rejectionCode({ type: 'GET_SETTINGS', protocol: MessageProtocol.PROTOCOL_VERSION + 1 }),
+    ERROR_CODES.PROTOCOL_MISMATCH);
+  assert.equal(rejectionCode(createMessage({ type: 'UPDATE_SETTINGS', settings: {} }), CONTEXTS.background, CONTEXTS.content),
+    ERROR_CODES.FORBIDDEN_SENDER);
+  assert.equal(rejectionCode(createMessage({ type: 'GET_LEDGER' }), CONTEXTS.background, null), ERROR_CODES.FORBIDDEN_SENDER);
+  assert.equal(rejectionCode(createMessage({ type: 'SETTINGS_UPDATED', settings: {} }), CONTEXTS.content, CONTEXTS.popup),
+    ERROR_CODES.FORBIDDEN_SENDER);
+});
+
+test('refuses unknown settings, missing fields and values outside their range', () => {
+  const updateSettings = settings => createMessage({ type: 'UPDATE_SETTINGS', settings });
+
+  const unknownKey = validateMessage(updateSettings({ isAdmin: true }), CONTEXTS.background, CONTEXTS.popup);
+  assert.equal(unknownKey.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.match(unknownKey.message, /settings\.isAdmin is not allowed/);
+
+  assert.equal(rejectionCode(updateSettings({ dailyBudget: -1 })), ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(updateSettings({ reminderDays: 2.5 })), ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(updateSettings({ autoLockMinutes: '15' })), ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(updateSettings({ roster: [{ name: 'Anna', budget: 10, role: 'admin' }] })),
+    ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(createMessage({ type: 'UPDATE_SETTINGS' })), ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(createMessage({ type: 'UNLOCK', passphrase: 'secret', remember: true })),
+    ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(createMessage({ type: 'UPDATE_PAYMENT_STATUS', orderKey: 'a', name: 'Anna', status: 'stolen' })),
+    ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(rejectionCode(createMessage({ type: 'OPEN_EXPENSE_REPORT', month: '2026-1' })), ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('tells senders apart by the page they run in', () => {
+  const { getSenderContext } = MessageProtocol;
+
+  assert.equal(getSenderContext({ id: runtime.id, url: runtime.getURL('popup.html?remind=a#payments') }, runtime),
+    CONTEXTS.popup);
+  assert.equal(getSenderContext({ id: runtime.id, url: runtime.getURL('report.html?month=2026-10') }, runtime),
+    CONTEXTS.report);
+  assert.equal(getSenderContext({ id: runtime.id, url: runtime.getURL('background.js') }, runtime), CONTEXTS.background);
+  assert.equal(getSenderContext({ id: runtime.id, url: 'https://www.thuisbezorgd.nl/foodtracker/1', tab: { id: 4 } }, runtime),
+    CONTEXTS.content);
+  // A popup opened in a tab is still the popup
+  assert.equal(getSenderContext({ id: runtime.id, url: runtime.getURL('popup.html'), tab: { id: 5 } }, runtime),
+    CONTEXTS.popup);
+  assert.equal(getSenderContext({ id: runtime.id, url: runtime.getURL('other.html') }, runtime), null);
+  assert.equal(getSenderContext({ id: 'someotherextensionid', url: runtime.getURL('popup.html') }, runtime), null);
+});
+
+test('answers failures with structured error codes', () => {
+  const { errorResponse, createError } = MessageProtocol;
+  const locked = new Error('Payment data is locked with a passphrase');
+  locked.locked = true;
+  const rateLimited = new Error('Rate limit exceeded. Try again in 30 seconds.');
+  rateLimited.rateLimited = true;
+
+  assert.deepEqual(errorResponse(locked), { success: false, code: ERROR_CODES.LOCKED, error: locked.message });
+  assert.equal(errorResponse(rateLimited).code, ERROR_CODES.RATE_LIMITED);
+  assert.equal(errorResponse(createError(ERROR_CODES.NOT_FOUND, 'Order not found')).code, ERROR_CODES.NOT_FOUND);
+  assert.deepEqual(errorResponse(new Error(''), ERROR_CODES.CALCULATION_FAILED, 'Calculation failed'),
+    { success: false, code: ERROR_CODES.CALCULATION_FAILED, error: 'Calculation failed' });
+  assert.equal(errorResponse(new Error('Unexpected')).code, ERROR_CODES.INTERNAL);
+});
+
+test('checks the order data to calculate and the corrections to save field by field', () => {
+  const calculateOrder = data => createMessage({ type: 'CALCULATE_ORDER', data });
+  const saveCorrections = corrections => createMessage({ type: 'SAVE_ORDER_CORRECTIONS', orderKey: 'site:1', corrections });
+  const order = {
+    participants: [{ name: 'Anna', items: [{ name: 'Pizza', quantity: 2, options: ['Extra cheese'], unitPrice: 600, linePrice: 1200 }] }],
+    people: { Anna: 1200 },
+    delivery: 250,
+    service: 0,
+    discount: -100
+  };
+  const corrections = {
+    operations: [
+      { type: 'rename', from: 'Anna', to: 'Anna B' },
+      { type: 'reassign', from: 'Anna', to: 'Bram', item: { name: 'Pizza', linePrice: 1200 } },
+      { type: 'add_item', participant: 'Cas', item: { name: 'Soup', quantity: 1, linePrice: 700 } }
+    ],
+    fees: { delivery: 0 },
+    acknowledgedDiscrepancy: { parsedSubtotal: 1200, parsedTotal: 1350, pageSubtotal: null, pageTotal: 1400 }
+  };
+
+  assert.equal(rejectionCode(calculateOrder(order), CONTEXTS.background, CONTEXTS.content), null);
+  assert.equal(rejectionCode(saveCorrections(corrections), CONTEXTS.background, CONTEXTS.content), null);
+
+  const orderProblem = data => {
+    const rejection = validateMessage(calculateOrder({ ...order, ...data }), CONTEXTS.background, CONTEXTS.content);
+    return rejection && rejection.message;
+  };
+  assert.match(orderProblem({ people: { Anna: '12.00' } }), /data\.people\["Anna"\] must be a number/);
+  assert.match(orderProblem({ people: { Anna: 12.5 } }), /must be a whole number/);
+  assert.match(orderProblem({ delivery: '2.50' }), /data\.delivery must be a number/);
+  assert.match(orderProblem({ participants: [{ name: 'Anna', items: [{ name: 'Pizza' }] }] }),
+    /data\.participants\[0\]\.items\[0\]\.linePrice is required/);
+  assert.match(orderProblem({ participants: [{ name: '', items: [] }] }), /name must be at least 1 characters/);
+  assert.match(orderProblem({ settings: { dailyBudget: 1000 } }), /data\.settings is not allowed/);
+
+  const correctionsProblem = changes => {
+    const rejection = validateMessage(saveCorrections({ ...corrections, ...changes }), CONTEXTS.background, CONTEXTS.content);
+    return rejection && rejection.code === ERROR_CODES.INVALID_MESSAGE && rejection.message;
+  };
+  assert.match(correctionsProblem({ operations: [{ type: 'drop_table' }] }), /operations\[0\]\.type must be one of/);
+  assert.match(correctionsProblem({ operations: [{ type: 'delete', name: 42 }] }), /operations\[0\]\.name must be a string/);
+  assert.match(correctionsProblem({ operations: [{ type: 'delete', name: 'Anna', evil: true }] }), /operations\[0\]\.evil is not allowed/);
+  assert.match(correctionsProblem({ operations: [{ type: 'add_item', participant: 'Cas', item: { name: 'Soup', linePrice: 7.5 } }] }),
+    /item\.linePrice must be a whole number/);
+  assert.match(correctionsProblem({ operations: 'rename' }), /operations must be a list/);
+  assert.match(correctionsProblem({ fees: { tip: 100 } }), /fees\.tip is not allowed/);
+  assert.match(correctionsProblem({ fees: { delivery: '0' } }), /fees\.delivery must be a number/);
+  assert.match(correctionsProblem({ acknowledgedDiscrepancy: { pageTotal: 'all' } }), /pageTotal must be a number/);
+  assert.match(correctionsProblem({ operations: undefined }), /operations is required/);
+});
+
+test('refuses fields named after properties every object inherits', () => {
+  const order = { people: { Anna: 1200 }, delivery: 0, service: 0, discount: 0 };
+  const orderProblem = data => {
+    const rejection = validateMessage(createMessage({ type: 'CALCULATE_ORDER', data: { ...order, ...data } }),
+      CONTEXTS.background, CONTEXTS.content);
+    return rejection && rejection.code === ERROR_CODES.INVALID_MESSAGE && rejection.message;
+  };
+
+  assert.match(orderProblem({ constructor: 1 }), /data\.constructor is not allowed/);
+  assert.match(orderProblem({ toString: 'x' }), /data\.toString is not allowed/);
+  // As it arrives in a serialized message, an own property rather than the prototype
+  assert.match(orderProblem(JSON.parse('{"__proto__": {}}')), /data\.__proto__ is not allowed/);
+});
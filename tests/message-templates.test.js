@@ -0,0 +1,116 @@
+/**
+ * Message templates: placeholders, conditional sections and saved templates
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../i18n.js');
+const MessageTemplates = require('../message-templates.js');
+const PaymentRequests = require('../payment-requests.js');
+
+const payer = {
+  name: 'Anna',
+  amount: 320,
+  items: [{ name: 'Pizza', quantity: 1, options: [], linePrice: 1500 }],
+  totalCost: 1720,
+  budget: 1400,
+  budgetHelpReceived: 0
+};
+
+test('fills in placeholders and keeps sections with a value', () => {
+  const message = MessageTemplates.renderTemplate('{name} pays {amount}{#link} via {link}{/link}{^link} by transfer{/link}.',
+    { name: 'Anna', amount: '€3.20', link: 'https://tikkie.me/pay/abc' });
+
+  assert.equal(message, 'Anna pays €3.20 via https://tikkie.me/pay/abc.');
+});
+
+test('shows inverted sections when a value is empty, also when nested', () => {
+  const template = '{#link}Pay via {link}{/link}{^link}{#iban}IBAN {iban}{/iban}{^iban}Pay {creator}{/iban}{/link}';
+
+  assert.equal(MessageTemplates.renderTemplate(template, { iban: 'NL91 ABNA 0417 1643 00' }), 'IBAN NL91 ABNA 0417 1643 00');
+  assert.equal(MessageTemplates.renderTemplate(template, { creator: 'Yu' }), 'Pay Yu');
+});
+
+test('collapses blank lines left by empty sections', () => {
+  const message = MessageTemplates.renderTemplate('Hi {name}\n\n{#items}\n{items}\n{/items}\n\nThanks', { name: 'Anna', items: '' });
+
+  assert.equal(message, 'Hi Anna\n\nThanks');
+});
+
+test('reports unknown placeholders and unbalanced sections', () => {
+  assert.deepEqual(MessageTemplates.validateTemplate('{naam} {#link}x'), [
+    'Unknown placeholder {naam}',
+    'Section {#link} is not closed'
+  ]);
+  assert.deepEqual(MessageTemplates.validateTemplate('{#link}x{/iban}{/link}'), ['{/iban} does not close an open section']);
+  assert.deepEqual(MessageTemplates.validateTemplate('   '), ['Template is empty']);
+  assert.throws(() => MessageTemplates.renderTemplate('{naam}', {}), /Unknown placeholder/);
+});
+
+test('renders every built-in template for a payer', () => {
+  MessageTemplates.BUILT_IN_TEMPLATES.forEach(template => {
+    assert.deepEqual(MessageTemplates.validateTemplate(template.text), [], template.id);
+    const message = PaymentRequests.createPaymentMessage(payer, {
+      template: template.text,
+      paymentLink: 'https://tikkie.me/pay/abc',
+      restaurant: 'Pizzeria Roma'
+    });
+    assert.match(message, /Anna/, template.id);
+    assert.match(message, /€3\.20/, template.id);
+    assert.match(message, /https:\/\/tikkie\.me\/pay\/abc/, template.id);
+  });
+
+  const dutch = MessageTemplates.getTemplate([], 'dutch').text;
+  assert.match(PaymentRequests.createPaymentMessage(payer, { template: dutch, orderCreator: 'Yu' }), /Graag overmaken naar Yu\./);
+});
+
+test('applies saved changes to built-in templates and lists own templates after them', () => {
+  const saved = [
+    { id: 'casual', name: 'Casual', text: 'Yo {name}, {amount} please' },
+    { id: 'custom-1', name: 'Short', text: '{name}: {amount}' }
+  ];
+  const templates = MessageTemplates.listTemplates(saved);
+
+  assert.deepEqual(templates.map(template => template.id), ['standard', 'formal', 'casual', 'dutch', 'custom-1']);
+  assert.equal(MessageTemplates.getTemplate(saved, 'casual').text, 'Yo {name}, {amount} please');
+  assert.equal(MessageTemplates.getTemplate(saved, 'removed').id, 'standard');
+});
+
+test('saves only valid own templates and changed built-in ones', () => {
+  const sanitized = MessageTemplates.sanitizeTemplates([
+    ...MessageTemplates.listTemplates(),
+    { id: 'custom-1', name: '  Short  ', text: '{name}: {amount}' },
+    { id: 'custom-1', name: 'Duplicate', text: '{name}' },
+    { id: 'custom-2', name: 'Broken', text: '{#link}' },
+    { id: '<script>', name: 'Bad id', text: '{name}' },
+    { id: 'custom-3', name: '   ', text: '{amount}' }
+  ]);
+
+  assert.deepEqual(sanitized, [
+    { id: 'custom-1', name: 'Short', text: '{name}: {amount}' },
+    { id: 'custom-3', name: 'Untitled', text: '{amount}' }
+  ]);
+  assert.deepEqual(MessageTemplates.sanitizeTemplates('not a list'), []);
+});
+
+test('names built-in and untitled templates in the active language', async () => {
+  const saved = MessageTemplates.sanitizeTemplates([
+    { id: 'casual', name: 'Casual', text: 'Yo {name}, {amount} please' },
+    { id: 'formal', name: 'Business', text: 'Dear {name}, {amount} please' }
+  ]);
+  assert.deepEqual(saved, [
+    { id: 'casual', text: 'Yo {name}, {amount} please' },
+    { id: 'formal', name: 'Business', text: 'Dear {name}, {amount} please' }
+  ]);
+
+  try {
+    await I18n.load('nl');
+    const names = MessageTemplates.listTemplates(saved).map(template => template.name);
+    assert.deepEqual(names, ['Standaard', 'Business', 'Informeel', 'Nederlands']);
+    assert.equal(MessageTemplates.getBuiltInTemplate('casual').name, 'Informeel');
+    assert.equal(MessageTemplates.sanitizeTemplates([{ id: 'custom-1', name: '', text: '{amount}' }])[0].name, 'Naamloos');
+    assert.equal(MessageTemplates.isModified({ id: 'standard', name: 'Standaard', text: MessageTemplates.getBuiltInTemplate('standard').text }),
+      false);
+  } finally {
+    await I18n.load('en');
+  }
+});
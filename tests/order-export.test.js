@@ -0,0 +1,80 @@
+/**
+ * Order export: Splitwise CSV and the documented JSON format
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GroupOrderCalculator = require('../calculator.js');
+const OrderExport = require('../order-export.js');
+
+const ORDER_DATE = new Date(2024, 4, 14, 12, 30).getTime();
+
+function calculateOrder(people, settings = {}) {
+  return GroupOrderCalculator.calculateDistribution({
+    people,
+    delivery: 250,
+    service: 99,
+    discount: 0
+  }, { dailyBudget: 14, ...settings });
+}
+
+test('creates one Splitwise expense row that adds up to zero', () => {
+  const { results } = calculateOrder({ You: 900, Anna: 1800, Bram: 2100 });
+
+  const csv = OrderExport.createSplitwiseCsv(results, { orderCreator: 'You', restaurant: 'Pizzeria Roma', date: ORDER_DATE });
+  const [header, row, trailing] = csv.split('\r\n');
+  const columns = row.split(',');
+
+  assert.equal(header, 'Date,Description,Category,Cost,Currency,You,Anna,Bram');
+  assert.deepEqual(columns.slice(0, 3), ['2024-05-14', 'Group order at Pizzeria Roma', 'Dining out']);
+  assert.equal(columns[4], 'EUR');
+  assert.equal(trailing, '');
+
+  const net = columns.slice(5).map(amount => Math.round(Number(amount) * 100));
+  assert.equal(net.reduce((sum, amount) => sum + amount, 0), 0);
+  assert.equal(net[0], Math.round(Number(columns[3]) * 100));
+  assert.equal(net[1], -results.Anna.finalPayment);
+});
+
+test('keeps participant names from turning into spreadsheet formulas', () => {
+  const results = {
+    You: { status: 'exact', finalPayment: 0, isOrderCreator: true },
+    '=HYPERLINK("x")': { status: 'pays', finalPayment: 320 },
+    'Smith, Jo': { status: 'pays', finalPayment: 105 }
+  };
+
+  const [header, row] = OrderExport.createSplitwiseCsv(results, { orderCreator: 'You', date: ORDER_DATE }).split('\r\n');
+
+  assert.equal(header, 'Date,Description,Category,Cost,Currency,You,"\'=HYPERLINK(""x"")","Smith, Jo"');
+  assert.ok(row.endsWith(',4.25,-3.20,-1.05'));
+});
+
+test('describes the order in the versioned JSON format', () => {
+  const { results, breakdown } = calculateOrder({ You: 900, Anna: 1800 },
+    { roster: [{ name: 'Anna', budget: null, reimbursed: false }] });
+
+  const file = OrderExport.createExportFile('json', results, breakdown, {
+    orderCreator: 'You',
+    restaurant: 'Café Zoë',
+    date: ORDER_DATE
+  });
+  const data = JSON.parse(file.content);
+
+  assert.equal(file.filename, 'group-order-2024-05-14-cafe-zoe.json');
+  assert.equal(file.mimeType, 'application/json');
+  assert.equal(data.format, OrderExport.EXPORT_FORMAT);
+  assert.equal(data.version, 2);
+  assert.deepEqual(data.fees, { delivery: 250, service: 99, discount: 0 });
+  assert.equal(data.totals.total, breakdown.grandTotal);
+  assert.deepEqual(data.participants.map(participant => participant.name), ['You', 'Anna']);
+  assert.equal(data.participants[1].payment, results.Anna.finalPayment);
+  assert.equal(data.participants[1].status, 'pays');
+  // A flag, unlike the reimbursed amounts in the expense report
+  assert.equal(data.participants[0].companyReimbursed, true);
+  assert.equal(data.participants[1].companyReimbursed, false);
+  assert.equal(data.participants[1].budget, 0);
+  assert.equal('reimbursed' in data.participants[1], false);
+});
+
+test('rejects unknown export formats', () => {
+  assert.throws(() => OrderExport.createExportFile('xlsx', {}, {}), /xlsx/);
+});
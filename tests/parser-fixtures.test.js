@@ -0,0 +1,22 @@
+/**
+ * Parser regression tests against saved order pages in tests/fixtures
+ *
+ * Each <name>.html fixture has a <name>.expected.json with the settings to
+ * calculate with and the exact participants, fees and payments to expect.
+ * Record expectations for a new fixture with `npm run fixture:record -- <name>`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listFixtures, readExpected, runFixture } = require('./harness');
+
+for (const name of listFixtures()) {
+  test(`fixture ${name}`, async () => {
+    const expected = readExpected(name);
+    assert.ok(expected, `No expectations recorded; run: npm run fixture:record -- ${name}`);
+
+    const { settings, description, ...expectedResults } = expected;
+    const actual = await runFixture(name, settings);
+
+    assert.deepEqual(actual, expectedResults);
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Payment ledger: recording orders, payment statuses and outstanding balances
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentLedger = require('../payment-ledger.js');
+
+function createCalculation(orderKey, payments) {
+  const results = { You: { status: 'exact', finalPayment: 0, isOrderCreator: true, items: [] } };
+  Object.entries(payments).forEach(([name, finalPayment]) => {
+    results[name] = { status: 'pays', finalPayment, items: [], totalCost: 1400 + finalPayment, budget: 1400 };
+  });
+  return { orderKey, site: 'thuisbezorgd', siteName: 'Thuisbezorgd.nl', orderCreator: 'You', results, breakdown: {} };
+}
+
+test('records every payer of an order as unpaid', () => {
+  const order = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 250, Ben: 100 }), null, 1000);
+
+  assert.deepEqual(Object.keys(order.payers), ['Anna', 'Ben']);
+  assert.deepEqual(order.payers.Anna, { amount: 250, paid: 0, status: 'unpaid', updatedAt: 1000 });
+  assert.equal(PaymentLedger.getOrderOutstanding(order), 350);
+});
+
+test('marks payers as paid, partially paid and forgiven', () => {
+  let order = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 250, Ben: 100, Cas: 80 }));
+  order = PaymentLedger.setPaymentStatus(order, 'Anna', 'partial', 100);
+  order = PaymentLedger.setPaymentStatus(order, 'Ben', 'paid');
+  order = PaymentLedger.setPaymentStatus(order, 'Cas', 'forgiven');
+
+  assert.equal(PaymentLedger.getOutstanding(order.payers.Anna), 150);
+  assert.equal(PaymentLedger.getOutstanding(order.payers.Ben), 0);
+  assert.equal(PaymentLedger.getOutstanding(order.payers.Cas), 0);
+  assert.throws(() => PaymentLedger.setPaymentStatus(order, 'Anna', 'partial', 250), /partial payment/);
+  assert.throws(() => PaymentLedger.setPaymentStatus(order, 'You', 'paid'), /nothing to pay/);
+});
+
+test('keeps payment progress when an order is recalculated', () => {
+  let order = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 250, Ben: 100 }), null, 1000);
+  order = PaymentLedger.setPaymentStatus(order, 'Anna', 'paid');
+
+  const recalculated = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 300, Ben: 100 }), order, 2000);
+  assert.equal(recalculated.date, 1000);
+  assert.deepEqual({ ...recalculated.payers.Anna, updatedAt: 0 }, { amount: 300, paid: 250, status: 'partial', updatedAt: 0 });
+});
+
+test('sums outstanding balances per colleague across orders', () => {
+  const first = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 250, Ben: 100 }), null, 1000);
+  const second = PaymentLedger.setPaymentStatus(
+    PaymentLedger.createLedgerOrder(createCalculation('order-2', { 'anna ': 120, Ben: 90 }), null, 2000),
+    'Ben', 'paid');
+
+  assert.deepEqual(PaymentLedger.summarizeBalances({ 'order-1': first, 'order-2': second }), [
+    { name: 'anna', outstanding: 370, paid: 0, openOrders: 2 },
+    { name: 'Ben', outstanding: 100, paid: 90, openOrders: 1 }
+  ]);
+});
+
+test('reminds about open orders every reminder interval', () => {
+  const day = 24 * 60 * 60 * 1000;
+  let order = PaymentLedger.createLedgerOrder(createCalculation('order-1', { Anna: 250, Ben: 100 }), null, 0);
+  order = PaymentLedger.setPaymentStatus(order, 'Anna', 'partial', 100);
+  const settled = PaymentLedger.setPaymentStatus(
+    PaymentLedger.createLedgerOrder(createCalculation('order-2', { Cas: 80 }), null, 0), 'Cas', 'paid');
+
+  assert.deepEqual(PaymentLedger.findDueReminders({ 'order-1': order, 'order-2': settled }, 3, 2 * day), []);
+  assert.deepEqual(PaymentLedger.findDueReminders({ 'order-1': order, 'order-2': settled }, 3, 3 * day)
+    .map(due => due.orderKey), ['order-1']);
+  assert.deepEqual(PaymentLedger.findDueReminders({ 'order-1': order }, 0, 30 * day), []);
+
+  const reminded = PaymentLedger.markReminded(order, 3 * day);
+  assert.deepEqual(PaymentLedger.findDueReminders({ 'order-1': reminded }, 3, 5 * day), []);
+  assert.equal(PaymentLedger.findDueReminders({ 'order-1': reminded }, 3, 6 * day).length, 1);
+
+  const message = PaymentLedger.createReminderMessage(order, { paymentLink: 'https://tikkie.me/pay/abc123' });
+  assert.match(message, /• Anna: €1\.50 \(€1\.00 of €2\.50 received\)/);
+  assert.match(message, /• Ben: €1\.00/);
+  assert.match(message, /Please pay via: https:\/\/tikkie\.me\/pay\/abc123/);
+});
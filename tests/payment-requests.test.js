@@ -0,0 +1,72 @@
+/**
+ * Per-person payment requests, IBAN validation and EPC transfer QR payloads
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentRequests = require('../payment-requests.js');
+const QrCode = require('../qr-code.js');
+
+const bankAccount = { iban: 'NL91 ABNA 0417 1643 00', accountHolder: 'Order Creator' };
+
+const results = {
+  You: { status: 'pays', finalPayment: 120, isOrderCreator: true, items: [], totalCost: 1520, budget: 1400 },
+  'Participant A': {
+    status: 'pays',
+    finalPayment: 165,
+    items: [{ name: 'Pizza', quantity: 1, options: [], linePrice: 1500 }],
+    totalCost: 1565,
+    budget: 1400,
+    budgetHelpReceived: 0
+  },
+  'Participant B': { status: 'helps_others', finalPayment: 0, items: [], totalCost: 900, budget: 1400 }
+};
+
+test('validates IBAN check digits', () => {
+  assert.equal(PaymentRequests.isValidIban('NL91 ABNA 0417 1643 00'), true);
+  assert.equal(PaymentRequests.isValidIban('de89 3704 0044 0532 0130 00'), true);
+  assert.equal(PaymentRequests.isValidIban('NL91ABNA0417164301'), false);
+  assert.equal(PaymentRequests.isValidIban('not an iban'), false);
+});
+
+test('creates one request per payer, never for the order creator', () => {
+  const requests = PaymentRequests.createPaymentRequests(results, {
+    orderCreator: 'You',
+    paymentLink: 'https://tikkie.me/pay/abc123'
+  });
+
+  assert.deepEqual(requests.map(request => request.name), ['Participant A']);
+  assert.match(requests[0].message, /Hi Participant A, your share comes to €1\.65/);
+  assert.match(requests[0].message, /• Pizza: €15\.00/);
+  assert.match(requests[0].message, /via: https:\/\/tikkie\.me\/pay\/abc123/);
+  assert.equal(requests[0].epcPayload, null);
+});
+
+test('builds EPC069-12 payloads with the exact amount and order reference', () => {
+  const [request] = PaymentRequests.createPaymentRequests(results, { bankAccount, orderReference: '12345678' });
+
+  assert.equal(request.epcPayload, [
+    'BCD', '002', '1', 'SCT', '', 'Order Creator', 'NL91ABNA0417164300', 'EUR1.65', '', '',
+    'Group order 12345678 Participant A'
+  ].join('\n'));
+  assert.match(request.message, /IBAN NL91 ABNA 0417 1643 00/);
+});
+
+test('rejects transfers the EPC format cannot express', () => {
+  assert.throws(() => PaymentRequests.createEpcPayload({ ...bankAccount, iban: 'NL00ABNA0417164300', amount: 100 }),
+    /valid IBAN/);
+  assert.throws(() => PaymentRequests.createEpcPayload({ ...bankAccount, amount: 0 }), /amount/);
+});
+
+test('encodes transfer payloads as QR codes of the smallest fitting version', () => {
+  const [request] = PaymentRequests.createPaymentRequests(results, { bankAccount, orderReference: '12345678' });
+  const qr = QrCode.encode(request.epcPayload, { errorCorrection: 'M' });
+
+  assert.equal(qr.version, 6);
+  assert.equal(qr.size, qr.version * 4 + 17);
+  assert.equal(qr.modules.length, qr.size);
+  // Finder pattern corners are dark, their separators light
+  assert.equal(qr.modules[0][0], true);
+  assert.equal(qr.modules[7][7], false);
+  assert.equal(qr.modules[qr.size - 1][0], true);
+  assert.throws(() => QrCode.encode('x'.repeat(3000), { errorCorrection: 'H' }), /too long/);
+});
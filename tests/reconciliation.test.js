@@ -0,0 +1,59 @@
+/**
+ * Reconciliation of calculated orders against the totals shown on the page
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileTotals, createDiscrepancyAcknowledgement } = require('../calculator.js');
+
+// Order with €20.00 of items, €2.50 delivery, €1.00 service and a €5.00 discount
+const breakdown = {
+  orderSubtotal: 2000,
+  delivery: 250,
+  service: 100,
+  discount: -500,
+  grandTotal: 1850
+};
+
+const participants = [
+  { name: 'Participant A', items: [{ name: 'Pizza', quantity: 1, options: [], linePrice: 1200 }] },
+  { name: 'Participant B', items: [{ name: 'Cola', quantity: 1, options: [], linePrice: 800 }] }
+];
+
+function causeCodes(pageTotals) {
+  return reconcileTotals(breakdown, pageTotals, { participants }).causes.map(cause => cause.code);
+}
+
+test('matching page totals do not block payments', () => {
+  const reconciliation = reconcileTotals(breakdown, { subtotal: 2000, total: 1850 });
+  assert.equal(reconciliation.status, 'matched');
+  assert.equal(reconciliation.blocksPayments, false);
+});
+
+test('pages without totals cannot be verified but do not block payments', () => {
+  const reconciliation = reconcileTotals(breakdown, { subtotal: null, total: null });
+  assert.equal(reconciliation.status, 'unverified');
+  assert.equal(reconciliation.blocksPayments, false);
+});
+
+test('pinpoints likely causes of a mismatch', () => {
+  assert.deepEqual(causeCodes({ subtotal: 2300, total: 2150 }), ['missed_item']);
+  assert.deepEqual(causeCodes({ subtotal: 1200, total: 1050 }), ['duplicate_item']);
+  assert.deepEqual(causeCodes({ subtotal: 2000, total: 2850 }), ['discount_sign']);
+  assert.deepEqual(causeCodes({ subtotal: 2000, total: 1600 }), ['double_counted_fee']);
+  assert.deepEqual(causeCodes({ subtotal: 2000, total: 2049 }), ['missed_fee']);
+  assert.match(reconcileTotals(breakdown, { subtotal: 1200, total: 1050 }, { participants }).causes[0].message,
+    /"Cola" of Participant B/);
+});
+
+test('an acknowledged mismatch stops blocking until the amounts change', () => {
+  const pageTotals = { subtotal: 2000, total: 1600 };
+  const acknowledged = createDiscrepancyAcknowledgement(reconcileTotals(breakdown, pageTotals));
+
+  const reconciliation = reconcileTotals(breakdown, pageTotals, { acknowledged });
+  assert.equal(reconciliation.status, 'mismatch');
+  assert.equal(reconciliation.acknowledged, true);
+  assert.equal(reconciliation.blocksPayments, false);
+
+  const changed = reconcileTotals(breakdown, { subtotal: 2000, total: 1700 }, { acknowledged });
+  assert.equal(changed.blocksPayments, true);
+});
@@ -0,0 +1,91 @@
+/**
+ * Safe HTML rendering: names typed into a group order never become markup
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SafeHtml = require('../safe-html.js');
+const { inspectFixture } = require('./harness');
+
+const { html, render } = SafeHtml;
+
+// Participant and dish names as someone in the group order could type them
+const HOSTILE_NAME = '<img src=x onerror="window.injected=true">';
+const HOSTILE_DISH = '<b>Loempia</b><script>window.injected=true</script>';
+
+/**
+ * Escape text the way the order page shows it in its own HTML
+ */
+function asPageText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+test('escapes interpolated values and keeps nested templates as markup', () => {
+  const items = ['<b>Pizza</b>', 'Fish & Chips'].map(name => html`<li>${name}</li>`);
+  const markup = html`<ul title="${'" onmouseover="x'}">${items}${null}${false}</ul>`;
+
+  assert.equal(String(markup),
+    '<ul title="&quot; onmouseover=&quot;x"><li>&lt;b&gt;Pizza&lt;/b&gt;</li><li>Fish &amp; Chips</li></ul>');
+});
+
+test('renders only markup built by the html template', () => {
+  const { document } = new JSDOM('<div id="target">old</div>').window;
+  const target = document.getElementById('target');
+
+  assert.throws(() => render(target, `<span>${HOSTILE_NAME}</span>`), TypeError);
+  assert.equal(target.textContent, 'old');
+
+  render(target, html`<span>${HOSTILE_NAME}</span>`);
+  assert.equal(target.querySelector('span').textContent, HOSTILE_NAME);
+  assert.equal(target.querySelector('img'), null);
+});
+
+test('shows hostile participant and dish names as text in the results modal', async () => {
+  await inspectFixture('thuisbezorgd-foodtracker', page => page
+    .replace('>Participant A<', `>${asPageText(HOSTILE_NAME)}<`)
+    .replace('>Loempia<', `>${asPageText(HOSTILE_DISH)}<`), (window, response) => {
+    assert.ok(response.results[HOSTILE_NAME]);
+
+    const modal = window.document.getElementById('group-order-modal-backdrop');
+    assert.ok(modal.textContent.includes(HOSTILE_NAME));
+    assert.ok(modal.textContent.includes(HOSTILE_DISH));
+    assert.equal(modal.querySelector('img, b, script'), null);
+    assert.equal(window.injected, undefined);
+  });
+});
+
+test('shows hostile names as text in the popup breakdown', () => {
+  const popupHtml = fs.readFileSync(path.join(__dirname, '..', 'popup.html'), 'utf8')
+    .replace(/<script[^>]*><\/script>/g, '');
+  const { window } = new JSDOM(popupHtml, { runScripts: 'outside-only' });
+  window.chrome = { runtime: { id: 'test', sendMessage() {} }, i18n: { getUILanguage: () => 'en' } };
+  ['i18n.js', 'safe-html.js', 'message-protocol.js', 'calculator.js', 'site-adapters.js', 'message-templates.js',
+    'payment-requests.js', 'order-export.js', 'expense-report.js', 'payment-ledger.js', 'debt-netting.js',
+    'secure-storage.js', 'popup.js']
+    .forEach(script => window.eval(fs.readFileSync(path.join(__dirname, '..', script), 'utf8')));
+
+  try {
+    const calculation = window.GroupOrderCalculator.calculateDistribution({
+      participants: [
+        { name: 'You', items: [{ name: 'Pizza', quantity: 1, options: [], linePrice: 900 }] },
+        { name: HOSTILE_NAME, items: [{ name: HOSTILE_DISH, quantity: 1, options: [], linePrice: 1800 }] }
+      ],
+      delivery: 250,
+      service: 0,
+      discount: 0
+    }, { dailyBudget: 14 });
+    window.displayResults(calculation.results, calculation.breakdown, false, 'You');
+
+    const breakdown = window.document.getElementById('breakdown-content');
+    assert.ok(breakdown.textContent.includes(HOSTILE_NAME));
+    assert.ok(breakdown.textContent.includes(HOSTILE_DISH));
+    assert.equal(breakdown.querySelector('img, b, script'), null);
+
+    window.showError(`Could not read ${HOSTILE_NAME}`);
+    assert.equal(window.document.getElementById('error-message').querySelector('img'), null);
+  } finally {
+    window.close();
+  }
+});
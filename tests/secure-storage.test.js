@@ -0,0 +1,168 @@
+/**
+ * Encrypted-field layer: sensitive settings and records are only stored encrypted
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SecurityManager = require('../security.js');
+const SecureStorage = require('../secure-storage.js');
+
+global.chrome = { runtime: { id: 'abcdefghijklmnopabcdefghijklmnop' } };
+
+// chrome.storage area stand-in
+function createArea(data = {}) {
+  return {
+    data,
+    get: async keys => {
+      const names = Array.isArray(keys) ? keys : Object.keys(keys);
+      const stored = Object.fromEntries(names.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+      return Array.isArray(keys) ? stored : { ...keys, ...stored };
+    },
+    set: async values => Object.assign(data, structuredClone(values)),
+    remove: async keys => {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+function createSecureSync(sync, local = createArea(), session = createArea()) {
+  const securityManager = new SecurityManager(local, session);
+  securityManager.logSecurityEvent = () => {};
+  return SecureStorage.createSecureArea(sync, SecureStorage.SENSITIVE_FIELDS.sync, securityManager);
+}
+
+// Settings the way the background stores them: sensitive ones in this browser's local storage
+function createBrowserSettings(sync, local = createArea()) {
+  const securityManager = new SecurityManager(local, createArea());
+  securityManager.logSecurityEvent = () => {};
+  return SecureStorage.createSecureArea(sync, SecureStorage.SENSITIVE_FIELDS.sync, securityManager, local);
+}
+
+test('encrypts sensitive settings and leaves the others readable', async () => {
+  const sync = createArea();
+  const secureSync = createSecureSync(sync);
+
+  await secureSync.set({
+    dailyBudget: 14,
+    iban: 'NL91ABNA0417164300',
+    roster: [{ name: 'Anna', budget: 10, reimbursed: true }],
+    selfName: ''
+  });
+
+  assert.equal(sync.data.dailyBudget, 14);
+  assert.equal(sync.data.selfName, '');
+  assert.match(sync.data.iban, /^encrypted:v1:/);
+  assert.match(sync.data.roster, /^encrypted:v1:/);
+  assert.ok(!sync.data.roster.includes('Anna'));
+
+  const settings = await secureSync.get({ dailyBudget: 10, iban: '', roster: [], selfName: '' });
+  assert.deepEqual(settings, {
+    dailyBudget: 14,
+    iban: 'NL91ABNA0417164300',
+    roster: [{ name: 'Anna', budget: 10, reimbursed: true }],
+    selfName: ''
+  });
+});
+
+test('encrypts values stored in plain text by earlier versions when they are read', async () => {
+  const sync = createArea({ tikkieLink: 'https://tikkie.me/pay/abc', roster: [{ name: 'Anna' }] });
+  const secureSync = createSecureSync(sync);
+
+  const settings = await secureSync.get(['tikkieLink', 'roster']);
+
+  assert.equal(settings.tikkieLink, 'https://tikkie.me/pay/abc');
+  assert.deepEqual(settings.roster, [{ name: 'Anna' }]);
+  assert.match(sync.data.tikkieLink, /^encrypted:v1:/);
+  assert.equal((await secureSync.listEncryptedValues()).length, 2);
+});
+
+test('reads values from before the keyring as their default and removes them', async () => {
+  const sync = createArea({ tikkieLink: 'encrypted:QUJDREVGR0hJSktMTU5PUA==' });
+  const secureSync = createSecureSync(sync);
+
+  assert.deepEqual(await secureSync.get({ tikkieLink: '' }), { tikkieLink: '' });
+  assert.equal('tikkieLink' in sync.data, false);
+});
+
+test('refuses to read or write over values that cannot be decrypted', async () => {
+  const sync = createArea({ dailyBudget: 14, iban: 'encrypted:v1:7:AAAA' });
+  const secureSync = createSecureSync(sync);
+
+  const isUnreadable = error => error.unreadable === true && error.field === 'iban';
+  await assert.rejects(secureSync.get({ iban: '' }), isUnreadable);
+  await assert.rejects(secureSync.set({ iban: 'NL91ABNA0417164300' }), isUnreadable);
+  assert.equal(sync.data.iban, 'encrypted:v1:7:AAAA');
+
+  // The other fields stay usable
+  await secureSync.set({ dailyBudget: 12, selfName: 'Yu' });
+  assert.deepEqual(await secureSync.get({ dailyBudget: 10, selfName: '' }), { dailyBudget: 12, selfName: 'Yu' });
+});
+
+test('refuses sensitive fields while the passphrase lock is closed', async () => {
+  const sync = createArea();
+  const local = createArea();
+  const session = createArea();
+  const securityManager = new SecurityManager(local, session);
+  securityManager.logSecurityEvent = () => {};
+  const secureSync = SecureStorage.createSecureArea(sync, SecureStorage.SENSITIVE_FIELDS.sync, securityManager);
+  await secureSync.set({ dailyBudget: 14, tikkieLink: 'https://tikkie.me/pay/abc' });
+  await securityManager.setPassphrase('correct horse battery');
+  await securityManager.lock();
+
+  await assert.rejects(secureSync.get({ tikkieLink: '' }), error => error.locked === true);
+  // Storing an empty link would replace the locked one
+  await assert.rejects(secureSync.set({ tikkieLink: '' }), error => error.locked === true);
+  assert.deepEqual(await secureSync.getPublic({ dailyBudget: 10, tikkieLink: '' }), { dailyBudget: 14 });
+
+  await secureSync.set({ dailyBudget: 12 });
+  assert.equal(await securityManager.unlock('correct horse battery'), true);
+  assert.deepEqual(await secureSync.get(['dailyBudget', 'tikkieLink']), {
+    dailyBudget: 12,
+    tikkieLink: 'https://tikkie.me/pay/abc'
+  });
+});
+
+test('keeps sensitive settings in this browser and syncs the others', async () => {
+  const sync = createArea();
+  const local = createArea();
+  const settings = createBrowserSettings(sync, local);
+
+  await settings.set({ dailyBudget: 14, iban: 'NL91ABNA0417164300', roster: [{ name: 'Anna' }] });
+
+  assert.deepEqual(sync.data, { dailyBudget: 14 });
+  assert.match(local.data.iban, /^encrypted:v1:/);
+  assert.deepEqual(await settings.get({ dailyBudget: 10, iban: '', roster: [] }),
+    { dailyBudget: 14, iban: 'NL91ABNA0417164300', roster: [{ name: 'Anna' }] });
+  assert.equal((await settings.listEncryptedValues()).length, 2);
+});
+
+test('moves sensitive settings synced by earlier versions into this browser', async () => {
+  const sync = createArea({ dailyBudget: 14, selfName: 'Yu', tikkieLink: '' });
+  const local = createArea();
+  const settings = createBrowserSettings(sync, local);
+  // Encrypted in this browser before sensitive settings stopped syncing
+  await createSecureSync(sync, local).set({ roster: [{ name: 'Anna' }] });
+
+  assert.deepEqual(await settings.get({ selfName: '', roster: [], tikkieLink: '' }),
+    { selfName: 'Yu', roster: [{ name: 'Anna' }], tikkieLink: '' });
+  assert.deepEqual(sync.data, { dailyBudget: 14 });
+  assert.match(local.data.selfName, /^encrypted:v1:/);
+  assert.deepEqual(await settings.get(['roster']), { roster: [{ name: 'Anna' }] });
+});
+
+test('never overwrites a synced value another browser encrypted when saving', async () => {
+  const sync = createArea();
+  // The other browser synced its roster before sensitive settings stopped syncing
+  await createSecureSync(sync).set({ roster: [{ name: 'Anna', budget: 20, reimbursed: true }] });
+  const otherBrowsersRoster = sync.data.roster;
+
+  // This browser has its own keys and cannot decrypt it
+  const local = createArea();
+  const settings = createBrowserSettings(sync, local);
+  assert.deepEqual(await settings.get({ roster: [] }), { roster: [] });
+  assert.equal(sync.data.roster, otherBrowsersRoster);
+
+  await settings.set({ dailyBudget: 12, roster: [{ name: 'Bram', budget: null, reimbursed: true }] });
+
+  assert.equal(sync.data.roster, otherBrowsersRoster);
+  assert.deepEqual(await settings.get({ roster: [] }), { roster: [{ name: 'Bram', budget: null, reimbursed: true }] });
+});
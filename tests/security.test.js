@@ -0,0 +1,149 @@
+/**
+ * Encryption of sensitive settings: persistent keys, versioned values, key rotation
+ * and the passphrase lock
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SecurityManager = require('../security.js');
+const MessageProtocol = require('../message-protocol.js');
+
+global.chrome = { runtime: { id: 'abcdefghijklmnopabcdefghijklmnop' } };
+
+// chrome.storage.local stand-in that survives manager instances, like a browser restart
+function createStorage() {
+  const data = {};
+  return {
+    data,
+    get: async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])])),
+    set: async values => Object.assign(data, structuredClone(values)),
+    remove: async key => {
+      delete data[key];
+    }
+  };
+}
+
+// Manager that keeps its keyring and session in the given storage, without audit logging
+function createManager(storage, session) {
+  const manager = new SecurityManager(storage, session);
+  manager.logSecurityEvent = () => {};
+  return manager;
+}
+
+test('values encrypted before a restart can be decrypted after it', async () => {
+  const storage = createStorage();
+  const encrypted = await new SecurityManager(storage).encrypt('https://tikkie.me/pay/abc');
+
+  assert.match(encrypted, /^encrypted:v1:1:[A-Za-z0-9+/=]+$/);
+  assert.equal(await new SecurityManager(storage).decrypt(encrypted), 'https://tikkie.me/pay/abc');
+});
+
+test('keeps only wrapped keys in storage', async () => {
+  const storage = createStorage();
+  await new SecurityManager(storage).encrypt('secret');
+
+  const keyring = storage.data.encryptionKeyring;
+  assert.equal(keyring.currentKeyId, 1);
+  assert.deepEqual(Object.keys(keyring.keys[1]).sort(), ['createdAt', 'iv', 'wrappedKey']);
+  // 32 key bytes plus the 16 byte GCM tag of the wrapping
+  assert.equal(atob(keyring.keys[1].wrappedKey).length, 48);
+});
+
+test('rotated keys keep older values readable until they are encrypted again', async () => {
+  const storage = createStorage();
+  const manager = new SecurityManager(storage);
+  const old = await manager.encrypt('first');
+
+  assert.equal(await manager.rotateKey(), false);
+  assert.equal(await manager.rotateKey(false, Date.now() + 91 * 24 * 60 * 60 * 1000), true);
+
+  const restarted = new SecurityManager(storage);
+  assert.equal(await restarted.decrypt(old), 'first');
+  assert.equal(await restarted.needsReencryption(old), true);
+
+  const current = await restarted.encrypt('first');
+  assert.match(current, /^encrypted:v1:2:/);
+  assert.equal(await restarted.needsReencryption(current), false);
+
+  await restarted.retireUnusedKeys([old]);
+  assert.deepEqual(Object.keys(storage.data.encryptionKeyring.keys), ['1', '2']);
+  await restarted.retireUnusedKeys([current]);
+  assert.deepEqual(Object.keys(storage.data.encryptionKeyring.keys), ['2']);
+  await assert.rejects(restarted.decrypt(old), /Failed to decrypt/);
+});
+
+test('recognizes plain text and values from before the keyring', async () => {
+  const manager = new SecurityManager(createStorage());
+
+  assert.equal(manager.isEncrypted('https://tikkie.me/pay/abc'), false);
+  assert.equal(await manager.needsReencryption('https://tikkie.me/pay/abc'), true);
+  assert.equal(await manager.needsReencryption(''), false);
+  await assert.rejects(manager.decrypt('encrypted:AAAAAAAAAAAAAAAAAAAA'), error => error.legacy === true);
+});
+
+test('a passphrase lock keeps values unreadable until it is unlocked', async () => {
+  const storage = createStorage();
+  const session = createStorage();
+  const manager = createManager(storage, session);
+  const encrypted = await manager.encrypt('NL91ABNA0417164300');
+
+  await assert.rejects(manager.setPassphrase('short'), /at least 8 characters/);
+  await manager.setPassphrase('correct horse battery');
+  assert.equal(await manager.isLocked(), false);
+  assert.equal(await manager.decrypt(encrypted), 'NL91ABNA0417164300');
+
+  // A browser restart empties the session storage
+  const restarted = createManager(storage, createStorage());
+  assert.equal(await restarted.isLocked(), true);
+  await assert.rejects(restarted.decrypt(encrypted), error => error.locked === true);
+  await assert.rejects(restarted.encrypt('new'), error => error.locked === true);
+
+  assert.equal(await restarted.unlock('wrong passphrase'), false);
+  assert.equal(await restarted.unlock('correct horse battery'), true);
+  assert.equal(await restarted.decrypt(encrypted), 'NL91ABNA0417164300');
+
+  await restarted.removePassphrase();
+  assert.equal(storage.data.encryptionKeyring.passphrase, undefined);
+  assert.equal(await createManager(storage, createStorage()).decrypt(encrypted), 'NL91ABNA0417164300');
+});
+
+test('locks again after the auto-lock minutes without activity', async () => {
+  const session = createStorage();
+  const manager = createManager(createStorage(), session);
+  const encrypted = await manager.encrypt('secret');
+  await manager.setPassphrase('correct horse battery', 10);
+  const { lastActivityAt } = session.data.passphraseUnlock;
+
+  await manager.recordActivity(lastActivityAt + 8 * 60 * 1000);
+  assert.equal(await manager.isLocked(lastActivityAt + 15 * 60 * 1000), false);
+  assert.equal(await manager.isLocked(lastActivityAt + 19 * 60 * 1000), true);
+  assert.equal('passphraseUnlock' in session.data, false);
+  await assert.rejects(manager.decrypt(encrypted), error => error.locked === true);
+});
+
+test('messages order pages send on their own do not keep the lock open', async () => {
+  const { CONTEXTS, createMessage, isUserActivity } = MessageProtocol;
+  const session = createStorage();
+  const manager = createManager(createStorage(), session);
+  await manager.setPassphrase('correct horse battery', 10);
+  const { lastActivityAt } = session.data.passphraseUnlock;
+
+  // Record activity the way the background does for each message it handles
+  const receive = async (message, sender, minutes) => {
+    if (isUserActivity(createMessage(message), sender)) {
+      await manager.recordActivity(lastActivityAt + minutes * 60 * 1000);
+    }
+  };
+
+  // An open order page fetches settings and records recalculated orders every few minutes
+  await receive({ type: 'GET_SETTINGS' }, CONTEXTS.content, 4);
+  await receive({ type: 'RECORD_ORDER', order: { orderKey: 'a', results: {} } }, CONTEXTS.content, 8);
+  await receive({ type: 'LOG_ERROR', error: 'x' }, CONTEXTS.content, 9);
+  assert.equal(session.data.passphraseUnlock.lastActivityAt, lastActivityAt);
+
+  // Saving corrections on the page and using the popup are the user's doing
+  await receive({ type: 'SAVE_ORDER_CORRECTIONS', orderKey: 'a', corrections: null }, CONTEXTS.content, 9);
+  assert.equal(session.data.passphraseUnlock.lastActivityAt, lastActivityAt + 9 * 60 * 1000);
+  await receive({ type: 'GET_SETTINGS' }, CONTEXTS.popup, 15);
+  await receive({ type: 'GET_SETTINGS' }, CONTEXTS.content, 24);
+  assert.equal(await manager.isLocked(lastActivityAt + 26 * 60 * 1000), true);
+});
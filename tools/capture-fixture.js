@@ -0,0 +1,106 @@
+/**
+ * Capture a sanitized parser fixture from a live order page
+ *
+ * Paste this file into the DevTools console on a foodtracker or
+ * order-confirmation page once the order has loaded. It downloads a copy of
+ * the page with scripts, styles, media and personal data removed:
+ * participant names become "Participant A", "Participant B", ...; addresses,
+ * phone numbers, e-mail addresses and postcodes are dropped; and the order id
+ * in the URL is replaced. Move the file to tests/fixtures/, check it for
+ * anything personal the sanitizer missed, then record its expectations with
+ * `npm run fixture:record -- <name>`.
+ */
+(function captureFixture() {
+  'use strict';
+
+  const PARTICIPANT_NAME_SELECTOR = '[data-qa="participant-name"]';
+
+  // Names that mark the order creator; kept so creator detection stays testable
+  const CREATOR_NAMES = /^(you|yu|me|myself|jij|ik|du|ich|vous|moi)$/i;
+
+  const REMOVED_ELEMENTS = 'script, style, link, meta, noscript, iframe, svg, img, picture, video, canvas, ' +
+    'input, textarea, select, #group-order-modal-backdrop, #group-order-extra-display';
+  const PERSONAL_ELEMENTS = '[data-qa*="address"], [data-qa*="phone"], [data-qa*="email"], ' +
+    '[data-qa*="customer"], [data-qa*="courier"], [data-qa*="driver"], [data-qa*="map"]';
+  const KEPT_ATTRIBUTES = ['data-qa', 'class'];
+
+  const PERSONAL_TEXT_PATTERNS = [
+    /[\w.+-]+@[\w-]+\.[\w.]+/g, // e-mail addresses
+    /\+?\d[\d\s-]{8,}\d/g, // phone numbers
+    /\b\d{4}\s?[A-Z]{2}\b/g, // Dutch postcodes
+    /\b\d{5}\b(?=\s+\p{Lu})/gu // German postcodes before a city name
+  ];
+
+  // A, B, ..., Z, AA, AB, ...; digits would make names look like prices to the text parser
+  function toLetters(index) {
+    const letter = String.fromCharCode(65 + (index % 26));
+    return index < 26 ? letter : toLetters(Math.floor(index / 26) - 1) + letter;
+  }
+
+  // Pseudonymize participant names consistently across the page
+  const pseudonyms = new Map();
+  document.querySelectorAll(PARTICIPANT_NAME_SELECTOR).forEach(element => {
+    const name = element.textContent.trim();
+    if (name && !CREATOR_NAMES.test(name) && !pseudonyms.has(name)) {
+      pseudonyms.set(name, `Participant ${toLetters(pseudonyms.size)}`);
+    }
+  });
+
+  const clone = document.body.cloneNode(true);
+  clone.querySelectorAll(REMOVED_ELEMENTS).forEach(element => element.remove());
+  clone.querySelectorAll(PERSONAL_ELEMENTS).forEach(element => element.remove());
+
+  clone.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes)
+      .filter(attribute => !KEPT_ATTRIBUTES.includes(attribute.name))
+      .forEach(attribute => element.removeAttribute(attribute.name));
+  });
+
+  // Longest names first so "Anna Maria" is not replaced as "Anna"
+  const names = Array.from(pseudonyms.keys()).sort((a, b) => b.length - a.length);
+  const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    let text = walker.currentNode.textContent;
+    names.forEach(name => {
+      text = text.split(name).join(pseudonyms.get(name));
+    });
+    PERSONAL_TEXT_PATTERNS.forEach(pattern => {
+      text = text.replace(pattern, '[removed]');
+    });
+    walker.currentNode.textContent = text;
+  }
+
+  // Replace order ids in the path and drop the query string
+  const url = new URL(window.location.href);
+  url.pathname = url.pathname
+    .split('/')
+    .map(segment => (/\d/.test(segment) && segment.length >= 6 ? 'fixture' : segment))
+    .join('/');
+  url.search = '';
+  url.hash = '';
+
+  const pageType = url.pathname.includes('foodtracker') ? 'foodtracker' : 'order-confirmation';
+  const site = url.hostname.replace(/^www\./, '').split('.')[0];
+  const fileName = `${site}-${pageType}-${new Date().toISOString().slice(0, 10)}.html`;
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${document.documentElement.lang || 'en'}">`,
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <meta name="fixture-url" content="${url.href}">`,
+    `  <title>Fixture: ${site} ${pageType}</title>`,
+    '</head>',
+    clone.outerHTML,
+    '</html>',
+    ''
+  ].join('\n');
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+  console.log(`Saved ${fileName}: ${pseudonyms.size} participants pseudonymized`);
+})();
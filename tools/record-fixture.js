@@ -0,0 +1,46 @@
+/**
+ * Record the current parser output as the expected results of a fixture
+ *
+ * Usage: npm run fixture:record -- <name> [dailyBudget] [splitStrategy]
+ *
+ * Review the written tests/fixtures/<name>.expected.json against the page
+ * before committing it: the recording is only as correct as the parser.
+ * Settings of an existing expectation file are kept unless given here.
+ */
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, readExpected, runFixture } = require('../tests/harness');
+
+async function main() {
+  const [name, dailyBudget, splitStrategy] = process.argv.slice(2);
+  if (!name) {
+    console.error('Usage: npm run fixture:record -- <name> [dailyBudget] [splitStrategy]');
+    process.exit(1);
+  }
+
+  const previous = readExpected(name) || {};
+  const settings = { ...(previous.settings || { dailyBudget: 14 }) };
+  if (dailyBudget) {
+    settings.dailyBudget = parseFloat(dailyBudget);
+  }
+  if (splitStrategy) {
+    settings.splitStrategy = splitStrategy;
+  }
+
+  const results = await runFixture(name, settings);
+  const expected = {
+    description: previous.description || `Recorded from ${name}.html`,
+    settings,
+    ...results
+  };
+
+  const file = path.join(FIXTURES_DIR, `${name}.expected.json`);
+  fs.writeFileSync(file, `${JSON.stringify(expected, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(process.cwd(), file)} (${results.strategy} parsing, ` +
+    `${Object.keys(results.participants).length} participants)`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});